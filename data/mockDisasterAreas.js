@@ -0,0 +1,43 @@
+// Mock affected-area versions; the highest version per disaster is the current perimeter
+const mockDisasterAreas = [
+    {
+        id: 'area_1_v1_0',
+        disaster_id: '1',
+        version: 1,
+        position: 0,
+        label: 'Lower Manhattan flood zone',
+        geometry: {
+            type: 'MultiPolygon',
+            coordinates: [[[
+                [-74.0200, 40.7000],
+                [-73.9700, 40.7000],
+                [-73.9700, 40.7400],
+                [-74.0200, 40.7400],
+                [-74.0200, 40.7000]
+            ]]]
+        },
+        created_by: 'netrunnerX',
+        created_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString()
+    },
+    {
+        id: 'area_1_v2_0',
+        disaster_id: '1',
+        version: 2,
+        position: 0,
+        label: 'Lower Manhattan flood zone',
+        geometry: {
+            type: 'MultiPolygon',
+            coordinates: [[[
+                [-74.0200, 40.7000],
+                [-73.9600, 40.7000],
+                [-73.9600, 40.7900],
+                [-74.0200, 40.7900],
+                [-74.0200, 40.7000]
+            ]]]
+        },
+        created_by: 'netrunnerX',
+        created_at: new Date(Date.now() - 30 * 60 * 1000).toISOString()
+    }
+];
+
+module.exports = mockDisasterAreas;
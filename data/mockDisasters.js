@@ -0,0 +1,61 @@
+// Mock data for testing when Supabase is not available
+const mockDisasters = [
+    {
+        id: '1',
+        title: 'NYC Flood',
+        location_name: 'Manhattan, NYC',
+        location: { type: 'Point', coordinates: [-74.0060, 40.7128] },
+        description: 'Heavy flooding in Manhattan area affecting multiple blocks',
+        tags: ['flood', 'urgent'],
+        hazard_type: 'flood',
+        severity: 'severe',
+        estimated_affected_population: 120000,
+        status: 'active',
+        owner_id: 'netrunnerX',
+        version: 2,
+        created_at: new Date().toISOString(),
+        audit_trail: [
+            {
+                action: 'create',
+                user_id: 'netrunnerX',
+                timestamp: new Date().toISOString()
+            },
+            {
+                action: 'update',
+                user_id: 'netrunnerX',
+                timestamp: new Date().toISOString(),
+                changes: ['description'],
+                diff: {
+                    description: {
+                        from: 'Flooding reported in Manhattan',
+                        to: 'Heavy flooding in Manhattan area affecting multiple blocks'
+                    }
+                }
+            }
+        ]
+    },
+    {
+        id: '2',
+        title: 'California Wildfire',
+        location_name: 'Los Angeles, CA',
+        location: { type: 'Point', coordinates: [-118.2437, 34.0522] },
+        description: 'Wildfire spreading rapidly in the hills near LA',
+        tags: ['wildfire', 'evacuation'],
+        hazard_type: 'wildfire',
+        severity: 'extreme',
+        estimated_affected_population: 45000,
+        status: 'reported',
+        owner_id: 'reliefAdmin',
+        version: 1,
+        created_at: new Date().toISOString(),
+        audit_trail: [
+            {
+                action: 'create',
+                user_id: 'reliefAdmin',
+                timestamp: new Date().toISOString()
+            }
+        ]
+    }
+];
+
+module.exports = mockDisasters;
@@ -0,0 +1,4 @@
+// Social media posts stored by the ingestion job when Supabase is unavailable (filled at runtime)
+const mockIngestedPosts = [];
+
+module.exports = mockIngestedPosts;
@@ -0,0 +1,49 @@
+// Mock inventory items for testing when Supabase is not available
+const mockInventoryItems = [
+    {
+        id: '1',
+        resource_id: '1',
+        sku: 'WATER-1L',
+        name: 'Bottled water (1 L)',
+        unit: 'bottle',
+        quantity: 150,
+        low_stock_threshold: 100,
+        created_at: new Date(Date.now() - 6 * 60 * 60 * 1000).toISOString(),
+        updated_at: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+    },
+    {
+        id: '2',
+        resource_id: '4',
+        sku: 'WATER-1L',
+        name: 'Bottled water (1 L)',
+        unit: 'bottle',
+        quantity: 1200,
+        low_stock_threshold: 300,
+        created_at: new Date(Date.now() - 6 * 60 * 60 * 1000).toISOString(),
+        updated_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString()
+    },
+    {
+        id: '3',
+        resource_id: '4',
+        sku: 'BLANKET-WOOL',
+        name: 'Wool blanket',
+        unit: 'each',
+        quantity: 80,
+        low_stock_threshold: 100,
+        created_at: new Date(Date.now() - 6 * 60 * 60 * 1000).toISOString(),
+        updated_at: new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString()
+    },
+    {
+        id: '4',
+        resource_id: '4',
+        sku: 'MRE',
+        name: 'Meal, ready-to-eat',
+        unit: 'meal',
+        quantity: 500,
+        low_stock_threshold: 200,
+        created_at: new Date(Date.now() - 6 * 60 * 60 * 1000).toISOString(),
+        updated_at: new Date(Date.now() - 6 * 60 * 60 * 1000).toISOString()
+    }
+];
+
+module.exports = mockInventoryItems;
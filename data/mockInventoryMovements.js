@@ -0,0 +1,38 @@
+// Mock inventory ledger entries for testing when Supabase is not available
+const mockInventoryMovements = [
+    {
+        id: '1',
+        resource_id: '4',
+        sku: 'WATER-1L',
+        movement_type: 'received',
+        quantity: 1500,
+        counterpart_resource_id: null,
+        note: 'FEMA pallet delivery',
+        created_by: 'reliefAdmin',
+        created_at: new Date(Date.now() - 6 * 60 * 60 * 1000).toISOString()
+    },
+    {
+        id: '2',
+        resource_id: '4',
+        sku: 'WATER-1L',
+        movement_type: 'transferred',
+        quantity: 150,
+        counterpart_resource_id: '1',
+        note: null,
+        created_by: 'reliefAdmin',
+        created_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString()
+    },
+    {
+        id: '3',
+        resource_id: '4',
+        sku: 'WATER-1L',
+        movement_type: 'distributed',
+        quantity: 150,
+        counterpart_resource_id: null,
+        note: 'Water Street residents',
+        created_by: 'volunteer1',
+        created_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString()
+    }
+];
+
+module.exports = mockInventoryMovements;
@@ -0,0 +1,23 @@
+// Mock occupancy time series for testing when Supabase is not available.
+// Each sample is the resource's state after a change; the latest one matches mockResources.
+const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+const mockOccupancySamples = [
+    { id: 1, resource_id: '1', disaster_id: '1', type: 'shelter', capacity: 150, current_occupancy: 10, reserved_count: 0, status: 'active', recorded_at: hoursAgo(12) },
+    { id: 2, resource_id: '1', disaster_id: '1', type: 'shelter', capacity: 150, current_occupancy: 18, reserved_count: 0, status: 'active', recorded_at: hoursAgo(9) },
+    { id: 3, resource_id: '1', disaster_id: '1', type: 'shelter', capacity: 150, current_occupancy: 27, reserved_count: 0, status: 'active', recorded_at: hoursAgo(6) },
+    { id: 4, resource_id: '1', disaster_id: '1', type: 'shelter', capacity: 150, current_occupancy: 38, reserved_count: 0, status: 'active', recorded_at: hoursAgo(3) },
+    { id: 5, resource_id: '1', disaster_id: '1', type: 'shelter', capacity: 150, current_occupancy: 45, reserved_count: 0, status: 'active', recorded_at: hoursAgo(1) },
+    { id: 6, resource_id: '1', disaster_id: '1', type: 'shelter', capacity: 150, current_occupancy: 45, reserved_count: 20, status: 'active', recorded_at: hoursAgo(0.25) },
+    { id: 7, resource_id: '2', disaster_id: '1', type: 'medical', capacity: 200, current_occupancy: 90, reserved_count: 0, status: 'active', recorded_at: hoursAgo(12) },
+    { id: 8, resource_id: '2', disaster_id: '1', type: 'medical', capacity: 200, current_occupancy: 105, reserved_count: 0, status: 'active', recorded_at: hoursAgo(6) },
+    { id: 9, resource_id: '2', disaster_id: '1', type: 'medical', capacity: 200, current_occupancy: 120, reserved_count: 0, status: 'active', recorded_at: hoursAgo(2) },
+    { id: 10, resource_id: '3', disaster_id: '1', type: 'food', capacity: 500, current_occupancy: 0, reserved_count: 0, status: 'active', recorded_at: hoursAgo(24) },
+    { id: 11, resource_id: '4', disaster_id: '1', type: 'supplies', capacity: 1000, current_occupancy: 300, reserved_count: 0, status: 'active', recorded_at: hoursAgo(24) },
+    { id: 12, resource_id: '5', disaster_id: '2', type: 'evacuation', capacity: 300, current_occupancy: 150, reserved_count: 0, status: 'active', recorded_at: hoursAgo(24) },
+    { id: 13, resource_id: '5', disaster_id: '2', type: 'evacuation', capacity: 300, current_occupancy: 180, reserved_count: 0, status: 'active', recorded_at: hoursAgo(8) },
+    { id: 14, resource_id: '6', disaster_id: '1', type: 'medical', capacity: 50, current_occupancy: 5, reserved_count: 0, status: 'active', recorded_at: hoursAgo(12) },
+    { id: 15, resource_id: '6', disaster_id: '1', type: 'medical', capacity: 50, current_occupancy: 15, reserved_count: 0, status: 'active', recorded_at: hoursAgo(4) }
+];
+
+module.exports = mockOccupancySamples;
@@ -0,0 +1,155 @@
+// Default priority lexicons, also used as the lexicon store when Supabase is unavailable.
+// hazard_type null applies to every disaster; terms that are not `negatable` keep their weight after
+// "no"/"without" ("no food" is still a need).
+const mockPriorityLexicons = [
+    {
+        id: 'general-en',
+        hazard_type: null,
+        language: 'en',
+        terms: [
+            { term: 'trapped', weight: 8 },
+            { term: 'sos', weight: 8 },
+            { term: 'unconscious', weight: 8 },
+            { term: 'not breathing', weight: 8, negatable: false },
+            { term: 'stuck', weight: 5 },
+            { term: 'injured', weight: 5 },
+            { term: 'missing', weight: 4 },
+            { term: 'urgent', weight: 4 },
+            { term: 'urgently', weight: 4 },
+            { term: 'evacuation', weight: 4 },
+            { term: 'evacuate', weight: 4 },
+            { term: 'rescue', weight: 4 },
+            { term: 'emergency', weight: 3 },
+            { term: 'immediately', weight: 3 },
+            { term: 'danger', weight: 3 },
+            { term: 'warning', weight: 3 },
+            { term: 'breaking', weight: 3 },
+            { term: 'insulin', weight: 3, negatable: false },
+            { term: 'alert', weight: 2 },
+            { term: 'medical', weight: 2 },
+            { term: 'help', weight: 1.5 },
+            { term: 'food', weight: 1, negatable: false },
+            { term: 'water', weight: 1, negatable: false },
+            { term: 'shelter', weight: 1 },
+            { term: 'assistance', weight: 1 },
+            { term: 'drill', weight: -4 },
+            { term: 'false alarm', weight: -6 },
+            { term: 'all clear', weight: -4 }
+        ]
+    },
+    {
+        id: 'general-es',
+        hazard_type: null,
+        language: 'es',
+        terms: [
+            { term: 'atrapado', weight: 8 },
+            { term: 'atrapada', weight: 8 },
+            { term: 'atrapados', weight: 8 },
+            { term: 'auxilio', weight: 6 },
+            { term: 'herido', weight: 5 },
+            { term: 'heridos', weight: 5 },
+            { term: 'desaparecido', weight: 4 },
+            { term: 'urgente', weight: 4 },
+            { term: 'evacuación', weight: 4 },
+            { term: 'evacuar', weight: 4 },
+            { term: 'rescate', weight: 4 },
+            { term: 'emergencia', weight: 3 },
+            { term: 'peligro', weight: 3 },
+            { term: 'ayuda', weight: 1.5 },
+            { term: 'comida', weight: 1, negatable: false },
+            { term: 'agua', weight: 1, negatable: false },
+            { term: 'refugio', weight: 1 },
+            { term: 'simulacro', weight: -4 }
+        ]
+    },
+    {
+        id: 'general-fr',
+        hazard_type: null,
+        language: 'fr',
+        terms: [
+            { term: 'piégé', weight: 8 },
+            { term: 'piégés', weight: 8 },
+            { term: 'au secours', weight: 6 },
+            { term: 'coincé', weight: 5 },
+            { term: 'coincés', weight: 5 },
+            { term: 'blessé', weight: 5 },
+            { term: 'blessés', weight: 5 },
+            { term: 'disparu', weight: 4 },
+            { term: 'évacuation', weight: 4 },
+            { term: 'évacuer', weight: 4 },
+            { term: 'secours', weight: 4 },
+            { term: 'urgence', weight: 3 },
+            { term: 'aide', weight: 1.5 },
+            { term: 'nourriture', weight: 1, negatable: false },
+            { term: 'eau', weight: 1, negatable: false },
+            { term: 'abri', weight: 1 },
+            { term: 'exercice', weight: -4 }
+        ]
+    },
+    {
+        id: 'flood-en',
+        hazard_type: 'flood',
+        language: 'en',
+        terms: [
+            { term: 'swept away', weight: 8 },
+            { term: 'on the roof', weight: 5 },
+            { term: 'on roofs', weight: 5 },
+            { term: 'water rising', weight: 4 },
+            { term: 'rising water', weight: 4 },
+            { term: 'boat', weight: 2 },
+            { term: 'basement', weight: 2 },
+            { term: 'flooding', weight: 2 },
+            { term: 'flooded', weight: 2 }
+        ]
+    },
+    {
+        id: 'flood-es',
+        hazard_type: 'flood',
+        language: 'es',
+        terms: [
+            { term: 'arrastrado', weight: 8 },
+            { term: 'en el techo', weight: 5 },
+            { term: 'el agua sube', weight: 4 },
+            { term: 'inundación', weight: 2 },
+            { term: 'inundado', weight: 2 }
+        ]
+    },
+    {
+        id: 'wildfire-en',
+        hazard_type: 'wildfire',
+        language: 'en',
+        terms: [
+            { term: 'cut off', weight: 6 },
+            { term: 'fire approaching', weight: 6 },
+            { term: 'evacuation order', weight: 5 },
+            { term: 'flames', weight: 4 },
+            { term: 'burning', weight: 3 },
+            { term: 'smoke', weight: 2 }
+        ]
+    },
+    {
+        id: 'earthquake-en',
+        hazard_type: 'earthquake',
+        language: 'en',
+        terms: [
+            { term: 'under the rubble', weight: 8 },
+            { term: 'buried', weight: 8 },
+            { term: 'collapsed', weight: 6 },
+            { term: 'gas leak', weight: 5 },
+            { term: 'aftershock', weight: 2 }
+        ]
+    },
+    {
+        id: 'hurricane-en',
+        hazard_type: 'hurricane',
+        language: 'en',
+        terms: [
+            { term: 'on the roof', weight: 5 },
+            { term: 'storm surge', weight: 5 },
+            { term: 'roof torn', weight: 5 },
+            { term: 'power lines down', weight: 3 }
+        ]
+    }
+];
+
+module.exports = mockPriorityLexicons;
@@ -0,0 +1,53 @@
+// Mock report data for testing when Supabase is not available
+const mockReports = [
+    {
+        id: '1',
+        disaster_id: '1',
+        user_id: 'citizen1',
+        content: 'Flooding on Water Street reaching 3 feet. Several cars stranded. Need immediate assistance.',
+        image_url: null,
+        verification_status: 'pending',
+        location_name: 'Water Street, NYC',
+        location: { type: 'Point', coordinates: [-74.0070, 40.7050] },
+        priority: 'high',
+        moderated_by: null,
+        moderated_at: null,
+        moderation_notes: null,
+        created_at: new Date(Date.now() - 40 * 60 * 1000).toISOString(),
+        updated_at: new Date(Date.now() - 40 * 60 * 1000).toISOString()
+    },
+    {
+        id: '2',
+        disaster_id: '1',
+        user_id: 'volunteer1',
+        content: 'Shelter at community center is at capacity. Additional space needed urgently.',
+        image_url: 'http://example.com/flood1.jpg',
+        verification_status: 'verified',
+        location_name: 'Lower East Side, NYC',
+        location: { type: 'Point', coordinates: [-73.9857, 40.7831] },
+        priority: 'critical',
+        moderated_by: 'reliefAdmin',
+        moderated_at: new Date(Date.now() - 10 * 60 * 1000).toISOString(),
+        moderation_notes: 'Confirmed by shelter staff',
+        created_at: new Date(Date.now() - 25 * 60 * 1000).toISOString(),
+        updated_at: new Date(Date.now() - 10 * 60 * 1000).toISOString()
+    },
+    {
+        id: '3',
+        disaster_id: '2',
+        user_id: 'citizen1',
+        content: 'Smoke visible from Topanga Canyon, road closed at the north entrance.',
+        image_url: 'http://example.com/fire1.jpg',
+        verification_status: 'pending',
+        location_name: 'Topanga Canyon, CA',
+        location: { type: 'Point', coordinates: [-118.6009, 34.0934] },
+        priority: 'normal',
+        moderated_by: null,
+        moderated_at: null,
+        moderation_notes: null,
+        created_at: new Date(Date.now() - 15 * 60 * 1000).toISOString(),
+        updated_at: new Date(Date.now() - 15 * 60 * 1000).toISOString()
+    }
+];
+
+module.exports = mockReports;
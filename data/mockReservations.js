@@ -0,0 +1,40 @@
+// Mock shelter reservations for testing when Supabase is not available
+// (the 20 held places are included in resource 1's reserved_count)
+const mockReservations = [
+    {
+        id: '1',
+        resource_id: '1',
+        disaster_id: '1',
+        party_size: 20,
+        expected_arrival: new Date(Date.now() + 45 * 60 * 1000).toISOString(),
+        hold_expires_at: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
+        status: 'held',
+        reference: 'BUS-12',
+        contact: '+1-555-0199',
+        note: 'Evacuees from Water Street, two wheelchair users',
+        arrived_count: null,
+        created_by: 'reliefAdmin',
+        created_at: new Date(Date.now() - 15 * 60 * 1000).toISOString(),
+        updated_at: new Date(Date.now() - 15 * 60 * 1000).toISOString(),
+        released_at: null
+    },
+    {
+        id: '2',
+        resource_id: '1',
+        disaster_id: '1',
+        party_size: 8,
+        expected_arrival: new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString(),
+        hold_expires_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+        status: 'checked_in',
+        reference: 'VAN-3',
+        contact: null,
+        note: null,
+        arrived_count: 7,
+        created_by: 'volunteer1',
+        created_at: new Date(Date.now() - 4 * 60 * 60 * 1000).toISOString(),
+        updated_at: new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString(),
+        released_at: new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString()
+    }
+];
+
+module.exports = mockReservations;
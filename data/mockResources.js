@@ -0,0 +1,138 @@
+// Mock resource data for testing
+const mockResources = [
+    {
+        id: '1',
+        disaster_id: '1',
+        name: 'Red Cross Emergency Shelter',
+        location_name: 'Lower East Side Community Center, NYC',
+        location: { type: 'Point', coordinates: [-73.9857, 40.7831] },
+        type: 'shelter',
+        capacity: 150,
+        current_occupancy: 45,
+        reserved_count: 20,
+        contact: '+1-555-0123',
+        amenities: ['food', 'medical', 'blankets', 'charging_stations'],
+        status: 'active',
+        created_by: 'reliefAdmin',
+        managers: ['volunteer1'],
+        version: 1,
+        created_at: new Date().toISOString()
+    },
+    {
+        id: '2',
+        disaster_id: '1',
+        name: 'Manhattan General Hospital',
+        location_name: 'Manhattan General Hospital, NYC',
+        location: { type: 'Point', coordinates: [-73.9776, 40.7831] },
+        type: 'medical',
+        capacity: 200,
+        current_occupancy: 120,
+        reserved_count: 0,
+        contact: '+1-555-0456',
+        amenities: ['emergency_care', 'surgery', 'pharmacy', 'ambulance'],
+        status: 'active',
+        created_by: 'netrunnerX',
+        managers: [],
+        version: 1,
+        created_at: new Date().toISOString()
+    },
+    {
+        id: '3',
+        disaster_id: '1',
+        name: 'Food Distribution Center',
+        location_name: 'Union Square, NYC',
+        location: { type: 'Point', coordinates: [-73.9903, 40.7359] },
+        type: 'food',
+        capacity: 500,
+        current_occupancy: 0,
+        reserved_count: 0,
+        contact: '+1-555-0789',
+        amenities: ['hot_meals', 'water', 'snacks', 'baby_formula'],
+        status: 'active',
+        schedule: {
+            timezone: 'America/New_York',
+            weekly: {
+                mon: [{ open: '08:00', close: '12:00' }, { open: '16:00', close: '20:00' }],
+                tue: [{ open: '08:00', close: '12:00' }, { open: '16:00', close: '20:00' }],
+                wed: [{ open: '08:00', close: '12:00' }, { open: '16:00', close: '20:00' }],
+                thu: [{ open: '08:00', close: '12:00' }, { open: '16:00', close: '20:00' }],
+                fri: [{ open: '08:00', close: '12:00' }, { open: '16:00', close: '20:00' }],
+                sat: [{ open: '10:00', close: '16:00' }]
+            }
+        },
+        closures: [],
+        created_by: 'reliefAdmin',
+        managers: [],
+        version: 1,
+        created_at: new Date().toISOString()
+    },
+    {
+        id: '4',
+        disaster_id: '1',
+        name: 'Emergency Supply Depot',
+        location_name: 'Brooklyn Bridge Area, NYC',
+        location: { type: 'Point', coordinates: [-73.9969, 40.7061] },
+        type: 'supplies',
+        capacity: 1000,
+        current_occupancy: 300,
+        reserved_count: 0,
+        contact: '+1-555-0234',
+        amenities: ['blankets', 'clothing', 'hygiene_kits', 'flashlights'],
+        status: 'active',
+        created_by: 'netrunnerX',
+        managers: [],
+        version: 1,
+        created_at: new Date().toISOString()
+    },
+    {
+        id: '5',
+        disaster_id: '2',
+        name: 'Evacuation Center West',
+        location_name: 'Santa Monica, CA',
+        location: { type: 'Point', coordinates: [-118.4912, 34.0195] },
+        type: 'evacuation',
+        capacity: 300,
+        current_occupancy: 180,
+        reserved_count: 0,
+        contact: '+1-555-0567',
+        amenities: ['temporary_housing', 'food', 'medical', 'pet_care'],
+        status: 'active',
+        created_by: 'reliefAdmin',
+        managers: [],
+        version: 1,
+        created_at: new Date().toISOString()
+    },
+    {
+        id: '6',
+        disaster_id: '1',
+        name: 'Mobile Medical Unit #1',
+        location_name: 'Central Park South, NYC',
+        location: { type: 'Point', coordinates: [-73.9735, 40.7676] },
+        type: 'medical',
+        capacity: 50,
+        current_occupancy: 15,
+        reserved_count: 0,
+        contact: '+1-555-0890',
+        amenities: ['first_aid', 'medication', 'triage'],
+        status: 'active',
+        schedule: {
+            timezone: 'America/New_York',
+            weekly: {
+                mon: [{ open: '07:00', close: '19:00' }],
+                tue: [{ open: '07:00', close: '19:00' }],
+                wed: [{ open: '07:00', close: '19:00' }],
+                thu: [{ open: '07:00', close: '19:00' }],
+                fri: [{ open: '07:00', close: '19:00' }],
+                sat: [{ open: '09:00', close: '17:00' }],
+                sun: [{ open: '09:00', close: '17:00' }]
+            }
+        },
+        closures: [],
+        created_by: 'netrunnerX',
+        managers: [],
+        version: 1,
+        created_at: new Date().toISOString()
+    }
+];
+
+module.exports = mockResources;
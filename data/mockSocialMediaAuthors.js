@@ -0,0 +1,25 @@
+// Mock social media trust/block list (author_key is provider:author id)
+const mockSocialMediaAuthors = [
+    {
+        author_key: 'mock:emergency_responder',
+        provider: 'mock',
+        author_id: 'emergency_responder',
+        username: 'emr_official',
+        trust: 'trusted',
+        reason: 'Official emergency management account',
+        set_by: 'netrunnerX',
+        set_at: '2024-01-10T09:00:00.000Z'
+    },
+    {
+        author_key: 'mock:red_cross_ny',
+        provider: 'mock',
+        author_id: 'red_cross_ny',
+        username: 'RedCrossNY',
+        trust: 'trusted',
+        reason: 'Red Cross regional chapter',
+        set_by: 'reliefAdmin',
+        set_at: '2024-01-10T09:05:00.000Z'
+    }
+];
+
+module.exports = mockSocialMediaAuthors;
@@ -0,0 +1,104 @@
+// Mock social media data
+const mockSocialMediaPosts = [
+    {
+        id: '1',
+        user: 'citizen1',
+        username: '@citizen_reporter',
+        content: '#floodrelief Need food and water in Lower East Side Manhattan. Families stuck on 3rd floor. #NYC #emergency',
+        timestamp: new Date(Date.now() - 30 * 60 * 1000).toISOString(), // 30 minutes ago
+        source: 'twitter',
+        hashtags: ['floodrelief', 'NYC', 'emergency'],
+        priority: 'critical',
+        location: 'Lower East Side, Manhattan',
+        engagement: { likes: 45, retweets: 23, replies: 12 }
+    },
+    {
+        id: '2',
+        user: 'volunteer_helper',
+        username: '@volunteer_help',
+        content: 'Shelter available at Community Center on 42nd St. Can accommodate 50 people. Hot meals provided. #disasterrelief #NYC',
+        timestamp: new Date(Date.now() - 45 * 60 * 1000).toISOString(), // 45 minutes ago
+        source: 'twitter',
+        hashtags: ['disasterrelief', 'NYC'],
+        priority: 'normal',
+        location: '42nd St, NYC',
+        engagement: { likes: 78, retweets: 34, replies: 8 }
+    },
+    {
+        id: '3',
+        user: 'emergency_responder',
+        username: '@emr_official',
+        content: 'URGENT: Evacuation notice for blocks 15-20 on Water Street. Please move to higher ground immediately. #evacuation #safety',
+        timestamp: new Date(Date.now() - 15 * 60 * 1000).toISOString(), // 15 minutes ago
+        source: 'twitter',
+        hashtags: ['evacuation', 'safety'],
+        priority: 'critical',
+        location: 'Water Street, NYC',
+        engagement: { likes: 156, retweets: 89, replies: 23 }
+    },
+    {
+        id: '4',
+        user: 'local_news',
+        username: '@ny_news_live',
+        verified: true,
+        content: 'BREAKING: Flooding in Manhattan reaches 4 feet in some areas. MTA services suspended on Lines 4,5,6. Avoid downtown area.',
+        timestamp: new Date(Date.now() - 60 * 60 * 1000).toISOString(), // 1 hour ago
+        source: 'twitter',
+        hashtags: ['breaking', 'flooding', 'MTA'],
+        priority: 'high',
+        location: 'Manhattan, NYC',
+        engagement: { likes: 234, retweets: 156, replies: 45 }
+    },
+    {
+        id: '5',
+        user: 'red_cross_ny',
+        username: '@RedCrossNY',
+        content: 'Medical assistance available at Roosevelt Hospital. Non-emergency cases please use alternate facilities. Staff on standby. #medical #help',
+        timestamp: new Date(Date.now() - 90 * 60 * 1000).toISOString(), // 1.5 hours ago
+        source: 'twitter',
+        hashtags: ['medical', 'help'],
+        priority: 'normal',
+        location: 'Roosevelt Hospital, NYC',
+        engagement: { likes: 67, retweets: 45, replies: 12 }
+    },
+    {
+        id: '6',
+        user: 'neighbor_les',
+        username: '@les_neighbor',
+        content: 'Need food and water in Lower East Side Manhattan!! Families stuck on 3rd floor. Please share #floodrelief #NYC',
+        timestamp: new Date(Date.now() - 20 * 60 * 1000).toISOString(), // 20 minutes ago
+        source: 'twitter',
+        hashtags: ['floodrelief', 'NYC'],
+        priority: 'high',
+        location: 'Lower East Side, Manhattan',
+        engagement: { likes: 12, retweets: 9, replies: 1 }
+    },
+    {
+        id: '7',
+        user: 'nyc_mutual_aid',
+        username: '@nyc_mutual_aid',
+        content: 'RT @citizen_reporter: #floodrelief Need food and water in Lower East Side Manhattan. Families stuck on 3rd floor. #NYC #emergency',
+        timestamp: new Date(Date.now() - 10 * 60 * 1000).toISOString(), // 10 minutes ago
+        source: 'twitter',
+        hashtags: ['floodrelief', 'NYC', 'emergency'],
+        priority: 'critical',
+        location: 'Lower East Side, Manhattan',
+        repost_of: '1',
+        engagement: { likes: 0, retweets: 0, replies: 0 }
+    },
+    {
+        id: '8',
+        user: 'nyc_flood_truth',
+        username: '@nyc_flood_truth',
+        account_created_at: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(), // 2 days old
+        content: 'BREAKING: the Queens dam has burst, evacuate all of Queens immediately!! Authorities are hiding it #flood #emergency',
+        timestamp: new Date(Date.now() - 25 * 60 * 1000).toISOString(), // 25 minutes ago
+        source: 'twitter',
+        hashtags: ['flood', 'emergency'],
+        priority: 'critical',
+        location: 'Queens, NYC',
+        engagement: { likes: 310, retweets: 420, replies: 96 }
+    }
+];
+
+module.exports = mockSocialMediaPosts;
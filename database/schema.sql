@@ -9,6 +9,14 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
 -- Drop tables if they exist (for development)
 DROP TABLE IF EXISTS cache CASCADE;
+DROP TABLE IF EXISTS disaster_areas CASCADE;
+DROP TABLE IF EXISTS social_media_authors CASCADE;
+DROP TABLE IF EXISTS priority_lexicons CASCADE;
+DROP TABLE IF EXISTS social_media_posts CASCADE;
+DROP TABLE IF EXISTS resource_occupancy_samples CASCADE;
+DROP TABLE IF EXISTS reservations CASCADE;
+DROP TABLE IF EXISTS inventory_movements CASCADE;
+DROP TABLE IF EXISTS inventory_items CASCADE;
 DROP TABLE IF EXISTS reports CASCADE;
 DROP TABLE IF EXISTS resources CASCADE;
 DROP TABLE IF EXISTS disasters CASCADE;
@@ -21,13 +29,33 @@ CREATE TABLE disasters (
     location GEOGRAPHY(POINT, 4326), -- PostGIS geography type for lat/lng
     description TEXT NOT NULL,
     tags TEXT[] DEFAULT '{}', -- Array of tags
+    hazard_type VARCHAR(50) CHECK (hazard_type IN (
+        'flood', 'wildfire', 'earthquake', 'hurricane', 'tornado', 'tsunami', 'landslide',
+        'winter_storm', 'extreme_heat', 'drought', 'hazmat', 'infrastructure_failure', 'epidemic', 'other'
+    )),
+    severity VARCHAR(20) CHECK (severity IN ('minor', 'moderate', 'severe', 'extreme')), -- CAP severity scale
+    estimated_affected_population INTEGER CHECK (estimated_affected_population >= 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'reported'
+        CHECK (status IN ('reported', 'active', 'contained', 'resolved', 'archived')), -- lifecycle state
     owner_id VARCHAR(100) NOT NULL,
+    version INTEGER NOT NULL DEFAULT 1, -- optimistic concurrency version, exposed as ETag
+    deleted_at TIMESTAMP WITH TIME ZONE, -- soft delete marker; NULL while the disaster is live
+    deleted_by VARCHAR(100),
+    merged_into UUID REFERENCES disasters(id) ON DELETE SET NULL, -- set when this disaster was merged as a duplicate
+    social_media_providers TEXT[], -- twitter, mastodon, bluesky, reddit, mock; NULL = deployment default (SOCIAL_MEDIA_PROVIDERS)
+    social_media_keywords TEXT[], -- terms the ingestion job polls for; NULL = default keywords
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    audit_trail JSONB DEFAULT '[]'::jsonb -- JSON array of audit entries
+    audit_trail JSONB DEFAULT '[]'::jsonb, -- JSON array of audit entries
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(location_name, '')), 'C')
+    ) STORED
 );
 
 -- Resources table
+-- Disasters are soft-deleted; the cascade only applies when an admin purges a disaster from the trash
 CREATE TABLE resources (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     disaster_id UUID NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
@@ -37,12 +65,24 @@ CREATE TABLE resources (
     type VARCHAR(100) NOT NULL, -- shelter, medical, food, supplies, evacuation, etc.
     capacity INTEGER DEFAULT 0,
     current_occupancy INTEGER DEFAULT 0,
+    reserved_count INTEGER NOT NULL DEFAULT 0, -- places held by reservations; occupancy + reserved may not exceed capacity
     contact VARCHAR(255),
     amenities TEXT[] DEFAULT '{}', -- Array of amenities
     status VARCHAR(50) DEFAULT 'active', -- active, inactive, full
+    schedule JSONB, -- {"timezone": "America/New_York", "weekly": {"mon": [{"open": "08:00", "close": "18:00"}]}}; NULL = open around the clock
+    closures JSONB NOT NULL DEFAULT '[]', -- one-off closures: [{"id", "starts_at", "ends_at", "reason"}]
+    external_id VARCHAR(100), -- partner agency id used to upsert bulk imports
     created_by VARCHAR(100),
+    managers TEXT[] NOT NULL DEFAULT '{}', -- user ids of assigned managers, who may edit the resource like its creator
+    audit_trail JSONB NOT NULL DEFAULT '[]'::jsonb, -- JSON array of audit entries with field-level diffs
+    version INTEGER NOT NULL DEFAULT 1, -- optimistic concurrency version, exposed as ETag
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(type, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(location_name, '')), 'C')
+    ) STORED
 );
 
 -- Reports table (for user-submitted reports)
@@ -56,7 +96,142 @@ CREATE TABLE reports (
     location_name TEXT,
     location GEOGRAPHY(POINT, 4326),
     priority VARCHAR(20) DEFAULT 'normal', -- critical, high, normal, low
+    priority_score NUMERIC(8, 2), -- priority classifier score of the content
+    priority_explanation JSONB, -- classifier terms that fired (term, lexicon, weight, negated, contribution)
+    moderated_by VARCHAR(100),
+    moderated_at TIMESTAMP WITH TIME ZONE,
+    moderation_notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(content, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(location_name, '')), 'C')
+    ) STORED
+);
+
+-- Affected-area perimeters; each save writes a full new version of a disaster's area set
+CREATE TABLE disaster_areas (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    disaster_id UUID NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    label VARCHAR(255),
+    area GEOGRAPHY(MULTIPOLYGON, 4326) NOT NULL,
+    created_by VARCHAR(100) NOT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (disaster_id, version, position)
+);
+
+-- Inventory items: stock on hand per SKU at a resource
+CREATE TABLE inventory_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    sku VARCHAR(64) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    unit VARCHAR(50) NOT NULL, -- e.g. bottle, each, meal, pallet
+    quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    low_stock_threshold INTEGER NOT NULL DEFAULT 0 CHECK (low_stock_threshold >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (resource_id, sku)
+);
+
+-- Inventory ledger; a transfer is one row that appears in both the source and destination ledgers
+CREATE TABLE inventory_movements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    sku VARCHAR(64) NOT NULL,
+    movement_type VARCHAR(20) NOT NULL CHECK (movement_type IN ('received', 'distributed', 'transferred')),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    counterpart_resource_id UUID REFERENCES resources(id) ON DELETE SET NULL, -- transfer destination
+    note TEXT,
+    created_by VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Reservations table (places held at a resource for an incoming group, e.g. an evacuation bus)
+CREATE TABLE reservations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    disaster_id UUID NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+    party_size INTEGER NOT NULL CHECK (party_size > 0),
+    expected_arrival TIMESTAMP WITH TIME ZONE,
+    hold_expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'checked_in', 'cancelled', 'expired')),
+    reference VARCHAR(100), -- vehicle or transport booking reference
+    contact VARCHAR(255),
+    note TEXT,
+    arrived_count INTEGER, -- people checked in when the hold was converted
+    created_by VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    released_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Occupancy time series: one sample per change of a resource's capacity, occupancy, holds or status
+-- (written by the record_resources_occupancy trigger)
+CREATE TABLE resource_occupancy_samples (
+    id BIGSERIAL PRIMARY KEY,
+    resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    disaster_id UUID NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+    type VARCHAR(100) NOT NULL,
+    capacity INTEGER NOT NULL,
+    current_occupancy INTEGER NOT NULL,
+    reserved_count INTEGER NOT NULL,
+    status VARCHAR(50) NOT NULL,
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Social media posts stored by the ingestion job, in the normalized post schema
+-- (id is provider:provider_id, so a post is stored once per disaster)
+CREATE TABLE social_media_posts (
+    id TEXT NOT NULL,
+    disaster_id UUID NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+    provider VARCHAR(20) NOT NULL,
+    provider_id TEXT NOT NULL,
+    url TEXT,
+    content TEXT NOT NULL,
+    language VARCHAR(10),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    author JSONB NOT NULL,
+    author_key TEXT, -- provider:author id, for credibility lookups
+    geo JSONB,
+    media JSONB NOT NULL DEFAULT '[]'::jsonb,
+    engagement JSONB NOT NULL DEFAULT '{}'::jsonb,
+    hashtags TEXT[] NOT NULL DEFAULT '{}',
+    referenced_posts JSONB NOT NULL DEFAULT '[]'::jsonb, -- the post's `references`
+    priority VARCHAR(20) NOT NULL,
+    priority_score NUMERIC(8, 2),
+    priority_explanation JSONB,
+    extracted_location TEXT,
+    matched_keywords TEXT[] NOT NULL DEFAULT '{}',
+    verdict VARCHAR(20), -- confirmed, refuted (by a report or official update)
+    verdict_evidence JSONB, -- { type, id, url, notes }
+    verdict_by VARCHAR(100),
+    verdict_at TIMESTAMP WITH TIME ZONE,
+    ingested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (disaster_id, id)
+);
+
+-- Admin trust and block list of social media authors
+CREATE TABLE social_media_authors (
+    author_key TEXT PRIMARY KEY, -- provider:author id
+    provider VARCHAR(20) NOT NULL,
+    author_id TEXT NOT NULL,
+    username TEXT,
+    trust VARCHAR(20) NOT NULL, -- trusted, blocked
+    reason TEXT,
+    set_by VARCHAR(100) NOT NULL,
+    set_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Weighted term lists of the priority classifier; hazard_type NULL applies to every disaster
+CREATE TABLE priority_lexicons (
+    id VARCHAR(50) PRIMARY KEY,
+    hazard_type VARCHAR(50),
+    language VARCHAR(10) NOT NULL, -- en, es, fr (selects the negation cues)
+    terms JSONB NOT NULL, -- [{ term, weight, negatable }]
+    updated_by VARCHAR(100),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -74,7 +249,12 @@ CREATE TABLE cache (
 CREATE INDEX idx_disasters_owner_id ON disasters(owner_id);
 CREATE INDEX idx_disasters_created_at ON disasters(created_at DESC);
 CREATE INDEX idx_disasters_tags ON disasters USING GIN(tags);
+CREATE INDEX idx_disasters_status ON disasters(status);
+CREATE INDEX idx_disasters_hazard_type ON disasters(hazard_type);
+CREATE INDEX idx_disasters_severity ON disasters(severity);
+CREATE INDEX idx_disasters_deleted_at ON disasters(deleted_at) WHERE deleted_at IS NOT NULL;
 CREATE INDEX idx_disasters_location ON disasters USING GIST(location);
+CREATE INDEX idx_disasters_search ON disasters USING GIN(search_vector);
 
 -- Resources indexes
 CREATE INDEX idx_resources_disaster_id ON resources(disaster_id);
@@ -82,6 +262,8 @@ CREATE INDEX idx_resources_type ON resources(type);
 CREATE INDEX idx_resources_status ON resources(status);
 CREATE INDEX idx_resources_location ON resources USING GIST(location);
 CREATE INDEX idx_resources_created_at ON resources(created_at DESC);
+CREATE INDEX idx_resources_search ON resources USING GIN(search_vector);
+CREATE UNIQUE INDEX idx_resources_external_id ON resources(disaster_id, external_id) WHERE external_id IS NOT NULL;
 
 -- Reports indexes
 CREATE INDEX idx_reports_disaster_id ON reports(disaster_id);
@@ -90,18 +272,54 @@ CREATE INDEX idx_reports_verification_status ON reports(verification_status);
 CREATE INDEX idx_reports_priority ON reports(priority);
 CREATE INDEX idx_reports_location ON reports USING GIST(location);
 CREATE INDEX idx_reports_created_at ON reports(created_at DESC);
+CREATE INDEX idx_reports_search ON reports USING GIN(search_vector);
+
+-- Affected area indexes
+CREATE INDEX idx_disaster_areas_version ON disaster_areas(disaster_id, version DESC);
+CREATE INDEX idx_disaster_areas_area ON disaster_areas USING GIST(area);
+
+-- Inventory indexes
+CREATE INDEX idx_inventory_movements_resource_id ON inventory_movements(resource_id, created_at DESC);
+CREATE INDEX idx_inventory_movements_counterpart ON inventory_movements(counterpart_resource_id, created_at DESC);
+
+-- Reservations indexes
+CREATE INDEX idx_reservations_resource_id ON reservations(resource_id, created_at DESC);
+CREATE INDEX idx_reservations_held_expiry ON reservations(hold_expires_at) WHERE status = 'held';
+
+-- Occupancy samples indexes
+CREATE INDEX idx_occupancy_samples_resource ON resource_occupancy_samples(resource_id, recorded_at);
+CREATE INDEX idx_occupancy_samples_disaster ON resource_occupancy_samples(disaster_id, recorded_at);
+
+-- Social media posts indexes
+CREATE INDEX idx_social_media_posts_created_at ON social_media_posts(disaster_id, created_at DESC);
+CREATE INDEX idx_social_media_posts_priority ON social_media_posts(disaster_id, priority, created_at DESC);
+CREATE INDEX idx_social_media_posts_author ON social_media_posts(author_key, created_at DESC);
 
 -- Cache indexes
 CREATE INDEX idx_cache_expires_at ON cache(expires_at);
 
+-- Views exposing point locations as plain lat/lng for clients that compute distances themselves
+CREATE OR REPLACE VIEW resources_with_coordinates AS
+SELECT r.*, ST_Y(r.location::geometry) AS lat, ST_X(r.location::geometry) AS lng
+FROM resources r;
+
+CREATE OR REPLACE VIEW reports_with_coordinates AS
+SELECT r.*, ST_Y(r.location::geometry) AS lat, ST_X(r.location::geometry) AS lng
+FROM reports r;
+
 -- Functions for geospatial queries
 
 -- Function to find nearby resources
+-- Returns lat/lng so callers can score distance without decoding the geography;
+-- only_affected_area limits results to the disaster's current affected-area perimeter
+DROP FUNCTION IF EXISTS find_nearby_resources(UUID, FLOAT, FLOAT, INTEGER);
+DROP FUNCTION IF EXISTS find_nearby_resources(UUID, FLOAT, FLOAT, INTEGER, BOOLEAN);
 CREATE OR REPLACE FUNCTION find_nearby_resources(
     disaster_id UUID,
     center_lat FLOAT,
     center_lng FLOAT,
-    radius_meters INTEGER DEFAULT 10000
+    radius_meters INTEGER DEFAULT 10000,
+    only_affected_area BOOLEAN DEFAULT FALSE
 )
 RETURNS TABLE (
     id UUID,
@@ -115,9 +333,16 @@ RETURNS TABLE (
     contact VARCHAR(255),
     amenities TEXT[],
     status VARCHAR(50),
+    reserved_count INTEGER,
+    schedule JSONB,
+    closures JSONB,
+    external_id VARCHAR(100),
     created_by VARCHAR(100),
+    version INTEGER,
     created_at TIMESTAMP WITH TIME ZONE,
     updated_at TIMESTAMP WITH TIME ZONE,
+    lat FLOAT,
+    lng FLOAT,
     distance_meters FLOAT
 ) AS $$
 BEGIN
@@ -134,18 +359,275 @@ BEGIN
         r.contact,
         r.amenities,
         r.status,
+        r.reserved_count,
+        r.schedule,
+        r.closures,
+        r.external_id,
         r.created_by,
+        r.version,
         r.created_at,
         r.updated_at,
+        ST_Y(r.location::geometry) AS lat,
+        ST_X(r.location::geometry) AS lng,
         ST_Distance(r.location, ST_SetSRID(ST_Point(center_lng, center_lat), 4326)) as distance_meters
     FROM resources r
     WHERE r.disaster_id = find_nearby_resources.disaster_id
     AND ST_DWithin(r.location, ST_SetSRID(ST_Point(center_lng, center_lat), 4326), radius_meters)
+    AND (NOT only_affected_area OR EXISTS (
+        SELECT 1 FROM disaster_areas a
+        WHERE a.disaster_id = find_nearby_resources.disaster_id
+        AND a.version = (
+            SELECT max(latest.version) FROM disaster_areas latest
+            WHERE latest.disaster_id = find_nearby_resources.disaster_id
+        )
+        AND ST_Covers(a.area, r.location)
+    ))
     ORDER BY distance_meters ASC;
 END;
 $$ LANGUAGE plpgsql;
 
+-- Function to check people into (positive delta) or out of (negative delta) a resource in one statement.
+-- Returns no row when the change would exceed capacity, drop below zero or check into an inactive resource.
+-- Places held by reservations count as taken, so walk-ins cannot use them.
+CREATE OR REPLACE FUNCTION adjust_resource_occupancy(
+    target_resource_id UUID,
+    target_disaster_id UUID,
+    delta INTEGER
+)
+RETURNS SETOF resources AS $$
+    UPDATE resources r SET
+        current_occupancy = r.current_occupancy + delta,
+        status = CASE
+            WHEN r.status = 'inactive' THEN r.status
+            WHEN r.current_occupancy + r.reserved_count + delta >= r.capacity THEN 'full'
+            ELSE 'active'
+        END,
+        version = r.version + 1
+    WHERE r.id = target_resource_id
+    AND r.disaster_id = target_disaster_id
+    AND r.current_occupancy + delta >= 0
+    AND (delta <= 0 OR (r.status <> 'inactive' AND r.current_occupancy + r.reserved_count + delta <= r.capacity))
+    RETURNING r.*;
+$$ LANGUAGE sql;
+
+-- Function to hold places at a resource. Locks the resource row so concurrent holds and check-ins cannot overbook it.
+-- Raises no_data_found if the resource does not exist and check_violation if there is not enough free space.
+CREATE OR REPLACE FUNCTION create_resource_reservation(
+    target_resource_id UUID,
+    target_disaster_id UUID,
+    party INTEGER,
+    arrival TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    booking_reference VARCHAR(100) DEFAULT NULL,
+    booking_contact VARCHAR(255) DEFAULT NULL,
+    booking_note TEXT DEFAULT NULL,
+    reserved_by VARCHAR(100) DEFAULT NULL
+)
+RETURNS SETOF reservations AS $$
+DECLARE
+    target resources%ROWTYPE;
+BEGIN
+    SELECT * INTO target FROM resources
+    WHERE id = target_resource_id AND disaster_id = target_disaster_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Resource % not found', target_resource_id USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF target.status = 'inactive' OR target.current_occupancy + target.reserved_count + party > target.capacity THEN
+        RAISE EXCEPTION 'Not enough free places at resource %', target_resource_id USING ERRCODE = 'check_violation';
+    END IF;
+
+    UPDATE resources SET
+        reserved_count = reserved_count + party,
+        status = CASE WHEN current_occupancy + reserved_count + party >= capacity THEN 'full' ELSE status END,
+        version = version + 1
+    WHERE id = target_resource_id;
+
+    RETURN QUERY
+    INSERT INTO reservations (resource_id, disaster_id, party_size, expected_arrival, hold_expires_at, reference, contact, note, created_by)
+    VALUES (target_resource_id, target_disaster_id, party, arrival, expires_at, booking_reference, booking_contact, booking_note, reserved_by)
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to end a hold: 'checked_in' moves arrived people into current_occupancy, 'cancelled' and 'expired'
+-- only give the places back. Raises no_data_found for unknown reservations and object_not_in_prerequisite_state
+-- if the hold has already ended (or has lapsed and is being checked in).
+CREATE OR REPLACE FUNCTION finish_resource_reservation(
+    target_reservation_id UUID,
+    outcome VARCHAR(20),
+    arrived INTEGER DEFAULT NULL
+)
+RETURNS SETOF reservations AS $$
+DECLARE
+    booking reservations%ROWTYPE;
+    checked_in INTEGER;
+BEGIN
+    SELECT * INTO booking FROM reservations WHERE id = target_reservation_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Reservation % not found', target_reservation_id USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF booking.status <> 'held' OR (outcome = 'checked_in' AND booking.hold_expires_at <= NOW()) THEN
+        RAISE EXCEPTION 'Reservation % is no longer held', target_reservation_id
+            USING ERRCODE = 'object_not_in_prerequisite_state';
+    END IF;
+
+    checked_in := CASE WHEN outcome = 'checked_in' THEN coalesce(arrived, booking.party_size) ELSE 0 END;
+
+    UPDATE resources SET
+        reserved_count = reserved_count - booking.party_size,
+        current_occupancy = current_occupancy + checked_in,
+        status = CASE
+            WHEN status = 'inactive' THEN status
+            WHEN current_occupancy + checked_in + reserved_count - booking.party_size >= capacity THEN 'full'
+            ELSE 'active'
+        END,
+        version = version + 1
+    WHERE id = booking.resource_id;
+
+    RETURN QUERY
+    UPDATE reservations SET
+        status = outcome,
+        arrived_count = CASE WHEN outcome = 'checked_in' THEN checked_in END,
+        released_at = NOW()
+    WHERE id = target_reservation_id
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to release every hold whose expiry has passed; returns the expired reservations.
+-- SKIP LOCKED leaves holds that are being checked in right now to that transaction.
+CREATE OR REPLACE FUNCTION expire_resource_reservations()
+RETURNS SETOF reservations AS $$
+DECLARE
+    lapsed_id UUID;
+BEGIN
+    FOR lapsed_id IN
+        SELECT id FROM reservations
+        WHERE status = 'held' AND hold_expires_at <= NOW()
+        ORDER BY hold_expires_at
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        RETURN QUERY SELECT * FROM finish_resource_reservation(lapsed_id, 'expired');
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to record an inventory movement and apply it to stock levels in one transaction.
+-- Raises no_data_found if the SKU is not stocked at the source and check_violation if stock would go negative.
+CREATE OR REPLACE FUNCTION record_inventory_movement(
+    source_resource_id UUID,
+    item_sku VARCHAR(64),
+    movement_type VARCHAR(20),
+    movement_quantity INTEGER,
+    target_resource_id UUID DEFAULT NULL,
+    movement_note TEXT DEFAULT NULL,
+    recorded_by VARCHAR(100) DEFAULT NULL
+)
+RETURNS SETOF inventory_movements AS $$
+DECLARE
+    item inventory_items%ROWTYPE;
+BEGIN
+    UPDATE inventory_items i SET
+        quantity = i.quantity + CASE WHEN movement_type = 'received' THEN movement_quantity ELSE -movement_quantity END,
+        updated_at = NOW()
+    WHERE i.resource_id = source_resource_id AND i.sku = item_sku
+    RETURNING * INTO item;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Inventory item % not found at resource %', item_sku, source_resource_id
+            USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF movement_type = 'transferred' THEN
+        INSERT INTO inventory_items (resource_id, sku, name, unit, quantity)
+        VALUES (target_resource_id, item.sku, item.name, item.unit, movement_quantity)
+        ON CONFLICT (resource_id, sku) DO UPDATE SET
+            quantity = inventory_items.quantity + EXCLUDED.quantity,
+            updated_at = NOW();
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO inventory_movements (resource_id, sku, movement_type, quantity, counterpart_resource_id, note, created_by)
+    VALUES (
+        source_resource_id,
+        item_sku,
+        movement_type,
+        movement_quantity,
+        CASE WHEN movement_type = 'transferred' THEN target_resource_id END,
+        movement_note,
+        recorded_by
+    )
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to load occupancy samples for a time window, plus each resource's last sample before it
+-- so callers know the state at the start of the window. target_resource_id NULL means every resource.
+CREATE OR REPLACE FUNCTION get_occupancy_samples(
+    target_disaster_id UUID,
+    target_resource_id UUID DEFAULT NULL,
+    since TIMESTAMP WITH TIME ZONE DEFAULT NOW() - INTERVAL '24 hours',
+    until TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+)
+RETURNS SETOF resource_occupancy_samples AS $$
+    (
+        SELECT DISTINCT ON (s.resource_id) s.*
+        FROM resource_occupancy_samples s
+        WHERE s.disaster_id = target_disaster_id
+        AND (target_resource_id IS NULL OR s.resource_id = target_resource_id)
+        AND s.recorded_at < since
+        ORDER BY s.resource_id, s.recorded_at DESC
+    )
+    UNION ALL
+    (
+        SELECT s.*
+        FROM resource_occupancy_samples s
+        WHERE s.disaster_id = target_disaster_id
+        AND (target_resource_id IS NULL OR s.resource_id = target_resource_id)
+        AND s.recorded_at BETWEEN since AND until
+    )
+    ORDER BY recorded_at;
+$$ LANGUAGE sql STABLE;
+
+-- Function to count resources and places per type for a disaster. Capacity, occupancy, held and
+-- available places only cover resources that are not inactive.
+CREATE OR REPLACE FUNCTION get_resource_type_stats(target_disaster_id UUID)
+RETURNS TABLE (
+    type VARCHAR,
+    resource_count BIGINT,
+    active_count BIGINT,
+    full_count BIGINT,
+    inactive_count BIGINT,
+    total_capacity BIGINT,
+    occupied BIGINT,
+    reserved BIGINT,
+    available_capacity BIGINT
+) AS $$
+    SELECT
+        r.type,
+        COUNT(*),
+        COUNT(*) FILTER (WHERE coalesce(r.status, 'active') = 'active'),
+        COUNT(*) FILTER (WHERE r.status = 'full'),
+        COUNT(*) FILTER (WHERE r.status = 'inactive'),
+        coalesce(SUM(coalesce(r.capacity, 0)) FILTER (WHERE r.status IS DISTINCT FROM 'inactive'), 0),
+        coalesce(SUM(coalesce(r.current_occupancy, 0)) FILTER (WHERE r.status IS DISTINCT FROM 'inactive'), 0),
+        coalesce(SUM(r.reserved_count) FILTER (WHERE r.status IS DISTINCT FROM 'inactive'), 0),
+        coalesce(SUM(GREATEST(0, coalesce(r.capacity, 0) - coalesce(r.current_occupancy, 0) - r.reserved_count))
+            FILTER (WHERE r.status IS DISTINCT FROM 'inactive'), 0)
+    FROM resources r
+    WHERE r.disaster_id = target_disaster_id
+    GROUP BY r.type
+    ORDER BY r.type;
+$$ LANGUAGE sql STABLE;
+
 -- Function to find disasters within a geographic area
+-- Returns lat/lng alongside the geography so callers can clip results to a bounding box
+DROP FUNCTION IF EXISTS find_disasters_in_area(FLOAT, FLOAT, INTEGER);
 CREATE OR REPLACE FUNCTION find_disasters_in_area(
     center_lat FLOAT,
     center_lng FLOAT,
@@ -158,9 +640,16 @@ RETURNS TABLE (
     location GEOGRAPHY,
     description TEXT,
     tags TEXT[],
+    hazard_type VARCHAR(50),
+    severity VARCHAR(20),
+    estimated_affected_population INTEGER,
+    status VARCHAR(20),
     owner_id VARCHAR(100),
+    version INTEGER,
     created_at TIMESTAMP WITH TIME ZONE,
     updated_at TIMESTAMP WITH TIME ZONE,
+    lat FLOAT,
+    lng FLOAT,
     distance_meters FLOAT
 ) AS $$
 BEGIN
@@ -172,17 +661,404 @@ BEGIN
         d.location,
         d.description,
         d.tags,
+        d.hazard_type,
+        d.severity,
+        d.estimated_affected_population,
+        d.status,
         d.owner_id,
+        d.version,
         d.created_at,
         d.updated_at,
+        ST_Y(d.location::geometry) as lat,
+        ST_X(d.location::geometry) as lng,
         ST_Distance(d.location, ST_SetSRID(ST_Point(center_lng, center_lat), 4326)) as distance_meters
     FROM disasters d
     WHERE d.location IS NOT NULL
+    AND d.deleted_at IS NULL
     AND ST_DWithin(d.location, ST_SetSRID(ST_Point(center_lng, center_lat), 4326), radius_meters)
     ORDER BY distance_meters ASC;
 END;
 $$ LANGUAGE plpgsql;
 
+-- Function to find reports for a disaster inside a bounding box
+CREATE OR REPLACE FUNCTION find_reports_in_bbox(
+    target_disaster_id UUID,
+    min_lng FLOAT,
+    min_lat FLOAT,
+    max_lng FLOAT,
+    max_lat FLOAT
+)
+RETURNS SETOF reports AS $$
+BEGIN
+    RETURN QUERY
+    SELECT r.*
+    FROM reports r
+    WHERE r.disaster_id = target_disaster_id
+    AND r.location IS NOT NULL
+    AND ST_Intersects(r.location, ST_MakeEnvelope(min_lng, min_lat, max_lng, max_lat, 4326)::geography);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to list live, non-archived disasters created since a point in time, for duplicate detection
+CREATE OR REPLACE FUNCTION find_recent_disasters(since TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (
+    id UUID,
+    title VARCHAR(255),
+    location_name TEXT,
+    tags TEXT[],
+    hazard_type VARCHAR(50),
+    status VARCHAR(20),
+    created_at TIMESTAMP WITH TIME ZONE,
+    lat FLOAT,
+    lng FLOAT
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        d.id,
+        d.title,
+        d.location_name,
+        d.tags,
+        d.hazard_type,
+        d.status,
+        d.created_at,
+        ST_Y(d.location::geometry) AS lat,
+        ST_X(d.location::geometry) AS lng
+    FROM disasters d
+    WHERE d.deleted_at IS NULL
+    AND d.status <> 'archived'
+    AND d.created_at >= since
+    ORDER BY d.created_at DESC;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to merge a duplicate disaster into a surviving one in a single transaction:
+-- re-parents resources (with their reservations and occupancy history), reports and social media posts,
+-- moves the duplicate to the trash and appends both audit entries. A post stored for both disasters keeps
+-- the survivor's row. The survivor keeps its affected areas; one without any adopts the duplicate's current
+-- area set as its first version, and the duplicate's own area versions stay with it in the trash.
+-- Raises serialization_failure if either disaster changed since the caller read it.
+DROP FUNCTION IF EXISTS merge_disasters(UUID, INTEGER, UUID, INTEGER, JSONB, JSONB);
+CREATE OR REPLACE FUNCTION merge_disasters(
+    survivor_id UUID,
+    survivor_version INTEGER,
+    duplicate_id UUID,
+    duplicate_version INTEGER,
+    survivor_entry JSONB,
+    duplicate_entry JSONB
+)
+RETURNS TABLE (
+    moved_resources INTEGER,
+    moved_reservations INTEGER,
+    moved_occupancy_samples INTEGER,
+    moved_reports INTEGER,
+    moved_posts INTEGER,
+    adopted_areas INTEGER
+) AS $$
+DECLARE
+    locked_count INTEGER;
+    resource_count INTEGER;
+    reservation_count INTEGER;
+    sample_count INTEGER;
+    report_count INTEGER;
+    post_count INTEGER;
+    area_count INTEGER := 0;
+    moved JSONB;
+BEGIN
+    SELECT count(*) INTO locked_count FROM (
+        SELECT 1 FROM disasters d
+        WHERE d.id IN (survivor_id, duplicate_id)
+        AND d.deleted_at IS NULL
+        AND d.version = CASE WHEN d.id = survivor_id THEN survivor_version ELSE duplicate_version END
+        FOR UPDATE
+    ) locked;
+
+    IF locked_count <> 2 THEN
+        RAISE EXCEPTION 'Disaster % or % changed since it was read', survivor_id, duplicate_id
+            USING ERRCODE = 'serialization_failure';
+    END IF;
+
+    UPDATE resources SET disaster_id = survivor_id WHERE disaster_id = duplicate_id;
+    GET DIAGNOSTICS resource_count = ROW_COUNT;
+
+    -- Holds follow their resources, so they are released against the right disaster and are not
+    -- removed with the duplicate when it is purged
+    UPDATE reservations SET disaster_id = survivor_id WHERE disaster_id = duplicate_id;
+    GET DIAGNOSTICS reservation_count = ROW_COUNT;
+
+    -- The occupancy history is read per disaster, so it moves too (the sample trigger only fires on
+    -- capacity and occupancy changes, not on a new disaster_id)
+    UPDATE resource_occupancy_samples SET disaster_id = survivor_id WHERE disaster_id = duplicate_id;
+    GET DIAGNOSTICS sample_count = ROW_COUNT;
+
+    UPDATE reports SET disaster_id = survivor_id WHERE disaster_id = duplicate_id;
+    GET DIAGNOSTICS report_count = ROW_COUNT;
+
+    -- A post stored for both disasters keeps the survivor's row, taking over the duplicate's verdict
+    -- if the survivor's copy has none
+    UPDATE social_media_posts s SET
+        verdict = d.verdict,
+        verdict_evidence = d.verdict_evidence,
+        verdict_by = d.verdict_by,
+        verdict_at = d.verdict_at
+    FROM social_media_posts d
+    WHERE s.disaster_id = survivor_id
+    AND d.disaster_id = duplicate_id
+    AND d.id = s.id
+    AND s.verdict IS NULL
+    AND d.verdict IS NOT NULL;
+
+    DELETE FROM social_media_posts d
+    WHERE d.disaster_id = duplicate_id
+    AND EXISTS (SELECT 1 FROM social_media_posts s WHERE s.disaster_id = survivor_id AND s.id = d.id);
+
+    UPDATE social_media_posts SET disaster_id = survivor_id WHERE disaster_id = duplicate_id;
+    GET DIAGNOSTICS post_count = ROW_COUNT;
+
+    IF NOT EXISTS (SELECT 1 FROM disaster_areas a WHERE a.disaster_id = survivor_id) THEN
+        INSERT INTO disaster_areas (disaster_id, version, position, label, area, created_by)
+        SELECT survivor_id, 1, a.position, a.label, a.area, duplicate_entry->>'user_id'
+        FROM disaster_areas a
+        WHERE a.disaster_id = duplicate_id
+        AND a.version = (
+            SELECT max(latest.version) FROM disaster_areas latest WHERE latest.disaster_id = duplicate_id
+        );
+        GET DIAGNOSTICS area_count = ROW_COUNT;
+    END IF;
+
+    moved := jsonb_build_object(
+        'moved_resources', resource_count,
+        'moved_reservations', reservation_count,
+        'moved_occupancy_samples', sample_count,
+        'moved_reports', report_count,
+        'moved_posts', post_count,
+        'adopted_areas', area_count
+    );
+
+    UPDATE disasters SET
+        deleted_at = (duplicate_entry->>'timestamp')::timestamptz,
+        deleted_by = duplicate_entry->>'user_id',
+        merged_into = survivor_id,
+        version = version + 1,
+        audit_trail = audit_trail || jsonb_build_array(duplicate_entry || moved)
+    WHERE id = duplicate_id;
+
+    UPDATE disasters SET
+        version = version + 1,
+        audit_trail = audit_trail || jsonb_build_array(survivor_entry || moved)
+    WHERE id = survivor_id;
+
+    RETURN QUERY SELECT resource_count, reservation_count, sample_count, report_count, post_count, area_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to get one version (default: the latest) of a disaster's affected areas as GeoJSON
+CREATE OR REPLACE FUNCTION get_disaster_areas(
+    target_disaster_id UUID,
+    target_version INTEGER DEFAULT NULL
+)
+RETURNS TABLE (
+    id UUID,
+    disaster_id UUID,
+    version INTEGER,
+    "position" INTEGER,
+    label VARCHAR(255),
+    geometry JSONB,
+    area_sq_km FLOAT,
+    created_by VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        a.id,
+        a.disaster_id,
+        a.version,
+        a.position,
+        a.label,
+        ST_AsGeoJSON(a.area)::jsonb,
+        ST_Area(a.area) / 1000000,
+        a.created_by,
+        a.created_at
+    FROM disaster_areas a
+    WHERE a.disaster_id = target_disaster_id
+    AND a.version = COALESCE(target_version, (
+        SELECT max(latest.version) FROM disaster_areas latest WHERE latest.disaster_id = target_disaster_id
+    ))
+    ORDER BY a.position;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to update a disaster and save a new version of its affected areas in one transaction, so the
+-- audit entry's affected_areas versions always exist. `changes` holds the updated columns (location as WKT),
+-- `areas` a list of { label, area } with EWKT multipolygons; the audit entry gets the from/to area versions.
+-- Raises serialization_failure if the disaster changed since the caller read it.
+CREATE OR REPLACE FUNCTION update_disaster_with_areas(
+    target_disaster_id UUID,
+    expected_version INTEGER,
+    changes JSONB,
+    areas JSONB,
+    audit_entry JSONB
+)
+RETURNS SETOF disasters AS $$
+DECLARE
+    previous_version INTEGER;
+    area_version INTEGER;
+    entry JSONB;
+BEGIN
+    PERFORM 1 FROM disasters d
+    WHERE d.id = target_disaster_id
+    AND d.deleted_at IS NULL
+    AND d.version = expected_version
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Disaster % changed since it was read', target_disaster_id
+            USING ERRCODE = 'serialization_failure';
+    END IF;
+
+    SELECT max(a.version) INTO previous_version FROM disaster_areas a WHERE a.disaster_id = target_disaster_id;
+    area_version := COALESCE(previous_version, 0) + 1;
+
+    INSERT INTO disaster_areas (disaster_id, version, position, label, area, created_by)
+    SELECT target_disaster_id, area_version, (item.ordinality - 1)::INTEGER, item.value->>'label',
+        (item.value->>'area')::GEOGRAPHY, audit_entry->>'user_id'
+    FROM jsonb_array_elements(areas) WITH ORDINALITY AS item(value, ordinality);
+
+    entry := jsonb_set(
+        jsonb_set(audit_entry, '{diff,affected_areas}', jsonb_build_object('from', previous_version, 'to', area_version)),
+        '{changes}', COALESCE(audit_entry->'changes', '[]'::jsonb) || '["affected_areas"]'::jsonb
+    );
+
+    RETURN QUERY
+    WITH updated AS (
+        UPDATE disasters d SET
+            title = COALESCE(changes->>'title', d.title),
+            location_name = COALESCE(changes->>'location_name', d.location_name),
+            description = COALESCE(changes->>'description', d.description),
+            tags = CASE WHEN changes ? 'tags'
+                THEN ARRAY(SELECT jsonb_array_elements_text(changes->'tags')) ELSE d.tags END,
+            hazard_type = COALESCE(changes->>'hazard_type', d.hazard_type),
+            severity = COALESCE(changes->>'severity', d.severity),
+            estimated_affected_population = CASE WHEN changes ? 'estimated_affected_population'
+                THEN (changes->>'estimated_affected_population')::INTEGER ELSE d.estimated_affected_population END,
+            location = CASE WHEN changes ? 'location'
+                THEN (changes->>'location')::GEOGRAPHY ELSE d.location END,
+            audit_trail = COALESCE(d.audit_trail, '[]'::jsonb) || jsonb_build_array(entry),
+            version = d.version + 1
+        WHERE d.id = target_disaster_id
+        RETURNING d.*
+    )
+    SELECT * FROM updated;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to find resources located inside a disaster's current affected area
+CREATE OR REPLACE FUNCTION find_resources_in_affected_area(target_disaster_id UUID)
+RETURNS SETOF resources AS $$
+BEGIN
+    RETURN QUERY
+    SELECT r.*
+    FROM resources r
+    WHERE r.disaster_id = target_disaster_id
+    AND r.location IS NOT NULL
+    AND EXISTS (
+        SELECT 1 FROM disaster_areas a
+        WHERE a.disaster_id = target_disaster_id
+        AND a.version = (SELECT max(latest.version) FROM disaster_areas latest WHERE latest.disaster_id = target_disaster_id)
+        AND ST_Covers(a.area, r.location)
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to find reports located inside a disaster's current affected area
+CREATE OR REPLACE FUNCTION find_reports_in_affected_area(target_disaster_id UUID)
+RETURNS SETOF reports AS $$
+BEGIN
+    RETURN QUERY
+    SELECT r.*
+    FROM reports r
+    WHERE r.disaster_id = target_disaster_id
+    AND r.location IS NOT NULL
+    AND EXISTS (
+        SELECT 1 FROM disaster_areas a
+        WHERE a.disaster_id = target_disaster_id
+        AND a.version = (SELECT max(latest.version) FROM disaster_areas latest WHERE latest.disaster_id = target_disaster_id)
+        AND ST_Covers(a.area, r.location)
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function for ranked full-text search across disasters, reports, resources and cached official updates
+CREATE OR REPLACE FUNCTION search_platform(
+    search_query TEXT,
+    result_types TEXT[] DEFAULT NULL,
+    target_disaster_id UUID DEFAULT NULL,
+    max_results INTEGER DEFAULT 500
+)
+RETURNS TABLE (
+    type TEXT,
+    id TEXT,
+    disaster_id UUID,
+    title TEXT,
+    highlight TEXT,
+    rank REAL,
+    created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+DECLARE
+    q TSQUERY := websearch_to_tsquery('english', search_query);
+    -- Matches are wrapped in control characters that the API swaps for <mark> after HTML-escaping the snippet
+    headline_options TEXT := 'StartSel=' || chr(2) || ', StopSel=' || chr(3) || ', MaxFragments=2, MaxWords=30, MinWords=10';
+BEGIN
+    RETURN QUERY
+    SELECT results.* FROM (
+        SELECT 'disaster'::TEXT, d.id::TEXT, d.id, d.title::TEXT,
+            ts_headline('english', d.title || ' ' || d.description, q, headline_options),
+            ts_rank(d.search_vector, q), d.created_at
+        FROM disasters d
+        WHERE d.search_vector @@ q
+        AND d.deleted_at IS NULL
+        AND (target_disaster_id IS NULL OR d.id = target_disaster_id)
+
+        UNION ALL
+
+        SELECT 'report'::TEXT, r.id::TEXT, r.disaster_id, left(r.content, 80),
+            ts_headline('english', r.content, q, headline_options),
+            ts_rank(r.search_vector, q), r.created_at
+        FROM reports r
+        JOIN disasters rd ON rd.id = r.disaster_id AND rd.deleted_at IS NULL
+        WHERE r.search_vector @@ q
+        AND (target_disaster_id IS NULL OR r.disaster_id = target_disaster_id)
+
+        UNION ALL
+
+        SELECT 'resource'::TEXT, res.id::TEXT, res.disaster_id, res.name::TEXT,
+            ts_headline('english', res.name || ' ' || res.location_name, q, headline_options),
+            ts_rank(res.search_vector, q), res.created_at
+        FROM resources res
+        JOIN disasters resd ON resd.id = res.disaster_id AND resd.deleted_at IS NULL
+        WHERE res.search_vector @@ q
+        AND (target_disaster_id IS NULL OR res.disaster_id = target_disaster_id)
+
+        UNION ALL
+
+        SELECT DISTINCT ON (u.value->>'title', u.value->>'url')
+            'official_update'::TEXT, u.value->>'id', NULL::UUID, u.value->>'title',
+            ts_headline('english', coalesce(u.value->>'title', '') || ' ' || coalesce(u.value->>'content', ''), q, headline_options),
+            ts_rank(to_tsvector('english', coalesce(u.value->>'title', '') || ' ' || coalesce(u.value->>'content', '')), q),
+            c.created_at
+        FROM cache c
+        CROSS JOIN LATERAL jsonb_array_elements(c.value->'updates') AS u(value)
+        WHERE c.key LIKE 'official_updates:%'
+        AND c.expires_at > NOW()
+        AND to_tsvector('english', coalesce(u.value->>'title', '') || ' ' || coalesce(u.value->>'content', '')) @@ q
+    ) AS results(type, id, disaster_id, title, highlight, rank, created_at)
+    WHERE result_types IS NULL OR results.type = ANY(result_types)
+    ORDER BY results.rank DESC
+    LIMIT max_results;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Function to clean expired cache entries
 CREATE OR REPLACE FUNCTION clean_expired_cache()
 RETURNS INTEGER AS $$
@@ -198,7 +1074,7 @@ $$ LANGUAGE plpgsql;
 -- Insert sample data for testing
 
 -- Sample disasters
-INSERT INTO disasters (id, title, location_name, location, description, tags, owner_id, audit_trail) VALUES
+INSERT INTO disasters (id, title, location_name, location, description, tags, hazard_type, severity, estimated_affected_population, status, owner_id, audit_trail) VALUES
 (
     '00000000-0000-0000-0000-000000000001',
     'NYC Flood Emergency',
@@ -206,6 +1082,10 @@ INSERT INTO disasters (id, title, location_name, location, description, tags, ow
     ST_SetSRID(ST_Point(-74.0060, 40.7128), 4326),
     'Severe flooding in Manhattan affecting multiple neighborhoods. Water levels rising rapidly.',
     '{"flood", "urgent", "manhattan"}',
+    'flood',
+    'severe',
+    120000,
+    'active',
     'netrunnerX',
     '[{"action": "create", "user_id": "netrunnerX", "timestamp": "2025-06-21T10:00:00Z"}]'::jsonb
 ),
@@ -216,12 +1096,27 @@ INSERT INTO disasters (id, title, location_name, location, description, tags, ow
     ST_SetSRID(ST_Point(-118.2437, 34.0522), 4326),
     'Large wildfire spreading rapidly through the hills near Los Angeles.',
     '{"wildfire", "evacuation", "california"}',
+    'wildfire',
+    'extreme',
+    45000,
+    'active',
     'reliefAdmin',
     '[{"action": "create", "user_id": "reliefAdmin", "timestamp": "2025-06-21T09:30:00Z"}]'::jsonb
 );
 
+-- Sample affected area
+INSERT INTO disaster_areas (disaster_id, version, position, label, area, created_by) VALUES
+(
+    '00000000-0000-0000-0000-000000000001',
+    1,
+    0,
+    'Lower Manhattan flood zone',
+    ST_GeogFromText('SRID=4326;MULTIPOLYGON(((-74.02 40.70, -73.96 40.70, -73.96 40.79, -74.02 40.79, -74.02 40.70)))'),
+    'netrunnerX'
+);
+
 -- Sample resources
-INSERT INTO resources (disaster_id, name, location_name, location, type, capacity, current_occupancy, contact, amenities, status, created_by) VALUES
+INSERT INTO resources (disaster_id, name, location_name, location, type, capacity, current_occupancy, contact, amenities, status, created_by, managers) VALUES
 (
     '00000000-0000-0000-0000-000000000001',
     'Red Cross Emergency Shelter',
@@ -233,7 +1128,8 @@ INSERT INTO resources (disaster_id, name, location_name, location, type, capacit
     '+1-555-0123',
     '{"food", "medical", "blankets", "charging_stations"}',
     'active',
-    'reliefAdmin'
+    'reliefAdmin',
+    '{"volunteer1"}'
 ),
 (
     '00000000-0000-0000-0000-000000000001',
@@ -246,7 +1142,8 @@ INSERT INTO resources (disaster_id, name, location_name, location, type, capacit
     '+1-555-0456',
     '{"emergency_care", "surgery", "pharmacy", "ambulance"}',
     'active',
-    'netrunnerX'
+    'netrunnerX',
+    '{}'
 ),
 (
     '00000000-0000-0000-0000-000000000002',
@@ -259,7 +1156,8 @@ INSERT INTO resources (disaster_id, name, location_name, location, type, capacit
     '+1-555-0567',
     '{"temporary_housing", "food", "medical", "pet_care"}',
     'active',
-    'reliefAdmin'
+    'reliefAdmin',
+    '{}'
 );
 
 -- Sample reports
@@ -283,6 +1181,157 @@ INSERT INTO reports (disaster_id, user_id, content, verification_status, locatio
     'critical'
 );
 
+-- Default priority lexicons (the same set as data/mockPriorityLexicons.js)
+INSERT INTO priority_lexicons (id, hazard_type, language, terms) VALUES
+(
+    'general-en',
+    NULL,
+    'en',
+    '[
+        {"term": "trapped", "weight": 8},
+        {"term": "sos", "weight": 8},
+        {"term": "unconscious", "weight": 8},
+        {"term": "not breathing", "weight": 8, "negatable": false},
+        {"term": "stuck", "weight": 5},
+        {"term": "injured", "weight": 5},
+        {"term": "missing", "weight": 4},
+        {"term": "urgent", "weight": 4},
+        {"term": "urgently", "weight": 4},
+        {"term": "evacuation", "weight": 4},
+        {"term": "evacuate", "weight": 4},
+        {"term": "rescue", "weight": 4},
+        {"term": "emergency", "weight": 3},
+        {"term": "immediately", "weight": 3},
+        {"term": "danger", "weight": 3},
+        {"term": "warning", "weight": 3},
+        {"term": "breaking", "weight": 3},
+        {"term": "insulin", "weight": 3, "negatable": false},
+        {"term": "alert", "weight": 2},
+        {"term": "medical", "weight": 2},
+        {"term": "help", "weight": 1.5},
+        {"term": "food", "weight": 1, "negatable": false},
+        {"term": "water", "weight": 1, "negatable": false},
+        {"term": "shelter", "weight": 1},
+        {"term": "assistance", "weight": 1},
+        {"term": "drill", "weight": -4},
+        {"term": "false alarm", "weight": -6},
+        {"term": "all clear", "weight": -4}
+    ]'::jsonb
+),
+(
+    'general-es',
+    NULL,
+    'es',
+    '[
+        {"term": "atrapado", "weight": 8},
+        {"term": "atrapada", "weight": 8},
+        {"term": "atrapados", "weight": 8},
+        {"term": "auxilio", "weight": 6},
+        {"term": "herido", "weight": 5},
+        {"term": "heridos", "weight": 5},
+        {"term": "desaparecido", "weight": 4},
+        {"term": "urgente", "weight": 4},
+        {"term": "evacuación", "weight": 4},
+        {"term": "evacuar", "weight": 4},
+        {"term": "rescate", "weight": 4},
+        {"term": "emergencia", "weight": 3},
+        {"term": "peligro", "weight": 3},
+        {"term": "ayuda", "weight": 1.5},
+        {"term": "comida", "weight": 1, "negatable": false},
+        {"term": "agua", "weight": 1, "negatable": false},
+        {"term": "refugio", "weight": 1},
+        {"term": "simulacro", "weight": -4}
+    ]'::jsonb
+),
+(
+    'general-fr',
+    NULL,
+    'fr',
+    '[
+        {"term": "piégé", "weight": 8},
+        {"term": "piégés", "weight": 8},
+        {"term": "au secours", "weight": 6},
+        {"term": "coincé", "weight": 5},
+        {"term": "coincés", "weight": 5},
+        {"term": "blessé", "weight": 5},
+        {"term": "blessés", "weight": 5},
+        {"term": "disparu", "weight": 4},
+        {"term": "évacuation", "weight": 4},
+        {"term": "évacuer", "weight": 4},
+        {"term": "secours", "weight": 4},
+        {"term": "urgence", "weight": 3},
+        {"term": "aide", "weight": 1.5},
+        {"term": "nourriture", "weight": 1, "negatable": false},
+        {"term": "eau", "weight": 1, "negatable": false},
+        {"term": "abri", "weight": 1},
+        {"term": "exercice", "weight": -4}
+    ]'::jsonb
+),
+(
+    'flood-en',
+    'flood',
+    'en',
+    '[
+        {"term": "swept away", "weight": 8},
+        {"term": "on the roof", "weight": 5},
+        {"term": "on roofs", "weight": 5},
+        {"term": "water rising", "weight": 4},
+        {"term": "rising water", "weight": 4},
+        {"term": "boat", "weight": 2},
+        {"term": "basement", "weight": 2},
+        {"term": "flooding", "weight": 2},
+        {"term": "flooded", "weight": 2}
+    ]'::jsonb
+),
+(
+    'flood-es',
+    'flood',
+    'es',
+    '[
+        {"term": "arrastrado", "weight": 8},
+        {"term": "en el techo", "weight": 5},
+        {"term": "el agua sube", "weight": 4},
+        {"term": "inundación", "weight": 2},
+        {"term": "inundado", "weight": 2}
+    ]'::jsonb
+),
+(
+    'wildfire-en',
+    'wildfire',
+    'en',
+    '[
+        {"term": "cut off", "weight": 6},
+        {"term": "fire approaching", "weight": 6},
+        {"term": "evacuation order", "weight": 5},
+        {"term": "flames", "weight": 4},
+        {"term": "burning", "weight": 3},
+        {"term": "smoke", "weight": 2}
+    ]'::jsonb
+),
+(
+    'earthquake-en',
+    'earthquake',
+    'en',
+    '[
+        {"term": "under the rubble", "weight": 8},
+        {"term": "buried", "weight": 8},
+        {"term": "collapsed", "weight": 6},
+        {"term": "gas leak", "weight": 5},
+        {"term": "aftershock", "weight": 2}
+    ]'::jsonb
+),
+(
+    'hurricane-en',
+    'hurricane',
+    'en',
+    '[
+        {"term": "on the roof", "weight": 5},
+        {"term": "storm surge", "weight": 5},
+        {"term": "roof torn", "weight": 5},
+        {"term": "power lines down", "weight": 3}
+    ]'::jsonb
+);
+
 -- Create a trigger to automatically update the updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -302,6 +1351,36 @@ CREATE TRIGGER update_resources_updated_at BEFORE UPDATE ON resources
 CREATE TRIGGER update_reports_updated_at BEFORE UPDATE ON reports
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_inventory_items_updated_at BEFORE UPDATE ON inventory_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_reservations_updated_at BEFORE UPDATE ON reservations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Record an occupancy sample whenever a resource is created or its capacity, occupancy, holds or status change,
+-- whichever code path made the change (check-ins, reservations, edits, imports)
+CREATE OR REPLACE FUNCTION record_resource_occupancy_sample()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT'
+        OR NEW.capacity IS DISTINCT FROM OLD.capacity
+        OR NEW.current_occupancy IS DISTINCT FROM OLD.current_occupancy
+        OR NEW.reserved_count IS DISTINCT FROM OLD.reserved_count
+        OR NEW.status IS DISTINCT FROM OLD.status THEN
+        INSERT INTO resource_occupancy_samples (resource_id, disaster_id, type, capacity, current_occupancy, reserved_count, status)
+        VALUES (NEW.id, NEW.disaster_id, NEW.type, coalesce(NEW.capacity, 0), coalesce(NEW.current_occupancy, 0), NEW.reserved_count, coalesce(NEW.status, 'active'));
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER record_resources_occupancy AFTER INSERT OR UPDATE ON resources
+    FOR EACH ROW EXECUTE FUNCTION record_resource_occupancy_sample();
+
+-- The sample resources above were inserted before the trigger existed; give them a starting sample
+INSERT INTO resource_occupancy_samples (resource_id, disaster_id, type, capacity, current_occupancy, reserved_count, status)
+SELECT id, disaster_id, type, capacity, current_occupancy, reserved_count, status FROM resources;
+
 -- RLS (Row Level Security) policies (optional - for multi-tenant setup)
 -- Uncomment these if you want to implement row-level security
 
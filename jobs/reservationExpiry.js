@@ -0,0 +1,25 @@
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const { releaseExpiredReservations } = require('../utils/reservations');
+
+// Check for lapsed reservation holds once a minute
+const RESERVATION_EXPIRY_SCHEDULE = process.env.RESERVATION_EXPIRY_SCHEDULE || '* * * * *';
+
+// Start the job that gives expired holds back to their shelters; returns the scheduled task
+function startReservationExpiryJob(io) {
+    const task = cron.schedule(RESERVATION_EXPIRY_SCHEDULE, async () => {
+        try {
+            const expired = await releaseExpiredReservations(io);
+            if (expired.length > 0) {
+                logger.info(`Released ${expired.length} expired reservation holds`);
+            }
+        } catch (error) {
+            logger.error('Error releasing expired reservations:', error);
+        }
+    }, { name: 'reservation-expiry', noOverlap: true });
+
+    logger.info(`Reservation expiry job scheduled (${RESERVATION_EXPIRY_SCHEDULE})`);
+    return task;
+}
+
+module.exports = { startReservationExpiryJob };
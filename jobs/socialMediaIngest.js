@@ -0,0 +1,35 @@
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const { ingestActiveDisasters } = require('../utils/socialIngestion');
+
+// Poll social media providers every two minutes
+const SOCIAL_MEDIA_INGEST_SCHEDULE = process.env.SOCIAL_MEDIA_INGEST_SCHEDULE || '*/2 * * * *';
+
+// Helper function to run one ingestion pass and log what it stored
+async function runIngestion(io) {
+    try {
+        const summaries = await ingestActiveDisasters(io);
+        const stored = summaries.reduce((sum, s) => sum + s.stored, 0);
+        if (stored > 0) {
+            logger.info(`Stored ${stored} new social media posts across ${summaries.length} disasters`);
+        }
+    } catch (error) {
+        logger.error('Error ingesting social media posts:', error);
+    }
+}
+
+// Start the job that stores new posts for live disasters; returns the scheduled task.
+// A first pass runs right away so feeds are not empty until the first scheduled run.
+function startSocialMediaIngestJob(io) {
+    const task = cron.schedule(SOCIAL_MEDIA_INGEST_SCHEDULE, () => runIngestion(io), {
+        name: 'social-media-ingest',
+        noOverlap: true
+    });
+
+    runIngestion(io);
+
+    logger.info(`Social media ingestion job scheduled (${SOCIAL_MEDIA_INGEST_SCHEDULE})`);
+    return task;
+}
+
+module.exports = { startSocialMediaIngestJob };
@@ -3,85 +3,637 @@ const router = express.Router();
 const supabase = require('../config/supabase');
 const logger = require('../utils/logger');
 const { authenticateUser, requireRole } = require('../middleware/auth');
+const {
+    calculateDistance,
+    boundingBoxToCircle,
+    parseBoundingBox,
+    isPointInBoundingBox,
+    formatLocationForDB,
+    formatMultiPolygonForDB
+} = require('../utils/geo');
+const { formatETag, getExpectedVersion, sendVersionConflict } = require('../utils/concurrency');
+const {
+    HAZARD_TYPES,
+    SEVERITY_LEVELS,
+    URGENCY_WEIGHTS,
+    validateClassification,
+    computeUrgency
+} = require('../utils/classification');
+const { DUPLICATE_WINDOW_HOURS, findDuplicateCandidates } = require('../utils/duplicates');
+const {
+    validateAffectedAreas,
+    getAffectedAreas,
+    listAreaVersions,
+    saveAffectedAreas
+} = require('../utils/affectedAreas');
+const mockDisasters = require('../data/mockDisasters');
+const mockResources = require('../data/mockResources');
+const mockReports = require('../data/mockReports');
+const mockReservations = require('../data/mockReservations');
+const mockOccupancySamples = require('../data/mockOccupancySamples');
+const mockInventoryItems = require('../data/mockInventoryItems');
+const mockInventoryMovements = require('../data/mockInventoryMovements');
+const mockDisasterAreas = require('../data/mockDisasterAreas');
+const mockIngestedPosts = require('../data/mockIngestedPosts');
 
-// Mock data for testing when Supabase is not available
-const mockDisasters = [
-    {
-        id: '1',
-        title: 'NYC Flood',
-        location_name: 'Manhattan, NYC',
-        location: { type: 'Point', coordinates: [-74.0060, 40.7128] },
-        description: 'Heavy flooding in Manhattan area affecting multiple blocks',
-        tags: ['flood', 'urgent'],
-        owner_id: 'netrunnerX',
-        created_at: new Date().toISOString(),
-        audit_trail: [
-            {
-                action: 'create',
-                user_id: 'netrunnerX',
-                timestamp: new Date().toISOString()
+// Days a soft-deleted disaster stays in the trash before it may be purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Lifecycle states and the transitions allowed out of each one
+const LIFECYCLE_TRANSITIONS = {
+    reported: ['active', 'resolved'],
+    active: ['contained', 'resolved'],
+    contained: ['active', 'resolved'],
+    resolved: ['active', 'archived'],
+    archived: ['resolved']
+};
+const LIFECYCLE_STATES = Object.keys(LIFECYCLE_TRANSITIONS);
+
+// Roles allowed to move a disaster into each target state
+const TRANSITION_ROLES = {
+    active: ['admin', 'contributor'],
+    contained: ['admin', 'contributor'],
+    resolved: ['admin'],
+    archived: ['admin']
+};
+
+// Helper function to list the transitions a user may perform on a disaster
+function getAllowedTransitions(disaster, user) {
+    const isOwner = disaster.owner_id === user.id;
+    return (LIFECYCLE_TRANSITIONS[disaster.status] || []).filter(target =>
+        TRANSITION_ROLES[target].includes(user.role) && (isOwner || user.role === 'admin')
+    );
+}
+
+// Fields whose before/after values are tracked in audit_trail diffs and can be reverted
+const AUDITED_FIELDS = [
+    'title',
+    'location_name',
+    'description',
+    'tags',
+    'location',
+    'hazard_type',
+    'severity',
+    'estimated_affected_population'
+];
+
+// Helper function to build a field-level diff between the stored disaster and an update
+function buildFieldDiff(existing, updateData) {
+    const diff = {};
+    AUDITED_FIELDS.forEach(field => {
+        if (updateData[field] === undefined) return;
+        const before = existing[field] === undefined ? null : existing[field];
+        if (JSON.stringify(before) !== JSON.stringify(updateData[field])) {
+            diff[field] = { from: before, to: updateData[field] };
+        }
+    });
+    return diff;
+}
+
+// Helper function to number audit entries as revisions (revision 1 is the creation entry)
+function toRevisions(auditTrail) {
+    return (auditTrail || []).map((entry, index) => ({ revision: index + 1, ...entry }));
+}
+
+// Helper function to compute field values as they were right after a given revision,
+// by undoing the diffs of every later entry in reverse order
+function computeRevertValues(disaster, revision) {
+    const laterEntries = (disaster.audit_trail || []).slice(revision).reverse();
+    const values = {};
+
+    for (const entry of laterEntries) {
+        const changedFields = (entry.changes || []).filter(field => AUDITED_FIELDS.includes(field));
+        if (changedFields.length > 0 && !entry.diff) {
+            return { error: `Revision ${revision} cannot be restored: a later ${entry.action} entry has no recorded diff` };
+        }
+
+        Object.entries(entry.diff || {}).forEach(([field, change]) => {
+            if (AUDITED_FIELDS.includes(field)) {
+                values[field] = change.from;
             }
-        ]
-    },
-    {
-        id: '2',
-        title: 'California Wildfire',
-        location_name: 'Los Angeles, CA',
-        location: { type: 'Point', coordinates: [-118.2437, 34.0522] },
-        description: 'Wildfire spreading rapidly in the hills near LA',
-        tags: ['wildfire', 'evacuation'],
-        owner_id: 'reliefAdmin',
-        created_at: new Date().toISOString(),
-        audit_trail: [
-            {
-                action: 'create',
-                user_id: 'reliefAdmin',
-                timestamp: new Date().toISOString()
+        });
+    }
+
+    return { values };
+}
+
+// Listing sort fields; urgency, severity and population are sorted in memory
+const SORT_FIELDS = ['created_at', 'urgency', 'severity', 'affected_population', 'distance'];
+
+// Helper function to gather urgency metrics (reports, resource load, critical posts) for a set of disasters
+async function loadUrgencyMetrics(disasters) {
+    const ids = disasters.map(d => d.id);
+    const metrics = {};
+    ids.forEach(id => {
+        metrics[id] = {
+            report_count: 0,
+            critical_report_count: 0,
+            critical_post_count: 0,
+            total_capacity: 0,
+            total_occupancy: 0,
+            full_resource_count: 0
+        };
+    });
+
+    if (ids.length === 0) {
+        return metrics;
+    }
+
+    const [reportsResult, resourcesResult, postsResult] = await Promise.all([
+        supabase.from('reports').select('disaster_id, priority, verification_status').in('disaster_id', ids),
+        supabase.from('resources').select('disaster_id, capacity, current_occupancy, status').in('disaster_id', ids),
+        supabase.from('social_media_posts').select('disaster_id').in('disaster_id', ids).eq('priority', 'critical')
+    ]);
+
+    const reports = reportsResult.error
+        ? mockReports.filter(r => ids.includes(r.disaster_id))
+        : reportsResult.data || [];
+    const resources = resourcesResult.error
+        ? mockResources.filter(r => ids.includes(r.disaster_id))
+        : resourcesResult.data || [];
+    const criticalPosts = postsResult.error
+        ? mockIngestedPosts.filter(p => ids.includes(p.disaster_id) && p.priority === 'critical')
+        : postsResult.data || [];
+
+    reports.forEach(report => {
+        if (report.verification_status === 'rejected') return;
+        metrics[report.disaster_id].report_count++;
+        if (report.priority === 'critical') {
+            metrics[report.disaster_id].critical_report_count++;
+        }
+    });
+
+    resources.forEach(resource => {
+        if (resource.status === 'inactive') return;
+        const entry = metrics[resource.disaster_id];
+        entry.total_capacity += resource.capacity || 0;
+        entry.total_occupancy += resource.current_occupancy || 0;
+        if (resource.status === 'full' || (resource.capacity > 0 && resource.current_occupancy >= resource.capacity)) {
+            entry.full_resource_count++;
+        }
+    });
+
+    criticalPosts.forEach(post => {
+        metrics[post.disaster_id].critical_post_count++;
+    });
+
+    return metrics;
+}
+
+// Helper function to sort disasters by a listing sort field
+function sortDisasters(disasters, field, order) {
+    const valueOf = {
+        created_at: d => new Date(d.created_at).getTime(),
+        urgency: d => d.urgency_score || 0,
+        severity: d => SEVERITY_LEVELS.indexOf(d.severity),
+        affected_population: d => d.estimated_affected_population || 0,
+        distance: d => d.distance_meters || 0
+    }[field];
+    const direction = order === 'asc' ? 1 : -1;
+
+    return [...disasters].sort((a, b) => (valueOf(a) - valueOf(b)) * direction);
+}
+
+// Helper function to find a mock disaster that has not been soft-deleted
+function findActiveMockDisaster(id) {
+    return mockDisasters.find(d => d.id === id && !d.deleted_at);
+}
+
+// Helper function to check whether a trashed disaster is past the retention window
+function isPastRetention(disaster, now = Date.now()) {
+    return now - new Date(disaster.deleted_at).getTime() >= TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// Helper function to permanently remove mock disasters and everything stored for them
+function purgeMockDisasters(ids) {
+    // Inventory is keyed by resource, so note the resources before they are removed
+    const resourceIds = mockResources.filter(r => ids.includes(r.disaster_id)).map(r => r.id);
+
+    const collections = [
+        mockDisasters,
+        mockResources,
+        mockReservations,
+        mockOccupancySamples,
+        mockReports,
+        mockDisasterAreas,
+        mockIngestedPosts
+    ];
+    collections.forEach(collection => {
+        for (let i = collection.length - 1; i >= 0; i--) {
+            const item = collection[i];
+            if (ids.includes(collection === mockDisasters ? item.id : item.disaster_id)) {
+                collection.splice(i, 1);
+            }
+        }
+    });
+
+    [mockInventoryItems, mockInventoryMovements].forEach(collection => {
+        for (let i = collection.length - 1; i >= 0; i--) {
+            if (resourceIds.includes(collection[i].resource_id)) {
+                collection.splice(i, 1);
             }
-        ]
+        }
+    });
+    // Transfers from other resources keep their ledger entry but lose the purged destination, as in the database
+    mockInventoryMovements.forEach(movement => {
+        if (resourceIds.includes(movement.counterpart_resource_id)) {
+            movement.counterpart_resource_id = null;
+        }
+    });
+}
+
+// Helper function to load live, non-archived disasters created inside the duplicate detection window
+async function loadRecentDisasters() {
+    const since = new Date(Date.now() - DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase.rpc('find_recent_disasters', { since });
+    if (!error && data) {
+        return data;
     }
-];
 
-// Helper function to format location for Supabase
-function formatLocationForDB(lat, lng) {
-    return `POINT(${lng} ${lat})`;
+    return mockDisasters.filter(d => !d.deleted_at && d.status !== 'archived' && d.created_at >= since);
 }
 
-// GET /disasters - List all disasters with optional filtering
-router.get('/', authenticateUser, async (req, res) => {
-    try {
-        const { tag, limit = 50, offset = 0 } = req.query;
+// Helper function to list the external_ids used by resources of both disasters; resources of one disaster
+// must have distinct external_ids, so these block a merge
+async function findExternalIdConflicts(survivorId, duplicateId, useMock) {
+    let resources;
+
+    if (useMock) {
+        resources = mockResources.filter(r => [survivorId, duplicateId].includes(r.disaster_id) && r.external_id);
+    } else {
+        const { data, error } = await supabase
+            .from('resources')
+            .select('disaster_id, external_id')
+            .in('disaster_id', [survivorId, duplicateId])
+            .not('external_id', 'is', null);
+
+        if (error) {
+            return { error };
+        }
+        resources = data || [];
+    }
+
+    const survivorExternalIds = new Set(resources.filter(r => r.disaster_id === survivorId).map(r => r.external_id));
+    return {
+        conflicts: resources
+            .filter(r => r.disaster_id === duplicateId && survivorExternalIds.has(r.external_id))
+            .map(r => r.external_id)
+            .sort()
+    };
+}
+
+// Helper function to merge mock disasters (mock-mode equivalent of the merge_disasters RPC)
+function mergeMockDisasters(survivor, duplicate, survivorEntry, duplicateEntry) {
+    let movedResources = 0;
+    let movedReservations = 0;
+    let movedSamples = 0;
+    let movedReports = 0;
+    let movedPosts = 0;
+
+    mockResources.forEach(resource => {
+        if (resource.disaster_id === duplicate.id) {
+            resource.disaster_id = survivor.id;
+            movedResources++;
+        }
+    });
+    mockReservations.forEach(reservation => {
+        if (reservation.disaster_id === duplicate.id) {
+            reservation.disaster_id = survivor.id;
+            movedReservations++;
+        }
+    });
+    mockOccupancySamples.forEach(sample => {
+        if (sample.disaster_id === duplicate.id) {
+            sample.disaster_id = survivor.id;
+            movedSamples++;
+        }
+    });
+    mockReports.forEach(report => {
+        if (report.disaster_id === duplicate.id) {
+            report.disaster_id = survivor.id;
+            movedReports++;
+        }
+    });
+
+    // A post stored for both disasters keeps the survivor's copy, taking over the duplicate's verdict
+    for (let i = mockIngestedPosts.length - 1; i >= 0; i--) {
+        const post = mockIngestedPosts[i];
+        if (post.disaster_id !== duplicate.id) continue;
+
+        const existing = mockIngestedPosts.find(p => p.disaster_id === survivor.id && p.id === post.id);
+        if (existing) {
+            if (!existing.verdict && post.verdict) {
+                ['verdict', 'verdict_evidence', 'verdict_by', 'verdict_at'].forEach(field => {
+                    existing[field] = post[field];
+                });
+            }
+            mockIngestedPosts.splice(i, 1);
+        } else {
+            post.disaster_id = survivor.id;
+            movedPosts++;
+        }
+    }
+
+    // A survivor without affected areas adopts the duplicate's current area set as its first version
+    let adoptedAreas = 0;
+    if (!mockDisasterAreas.some(area => area.disaster_id === survivor.id)) {
+        const duplicateAreas = mockDisasterAreas.filter(area => area.disaster_id === duplicate.id);
+        const latestVersion = Math.max(0, ...duplicateAreas.map(area => area.version));
+        const adopted = duplicateAreas
+            .filter(area => area.version === latestVersion)
+            .map(area => ({
+                ...area,
+                id: `area_${survivor.id}_v1_${area.position}`,
+                disaster_id: survivor.id,
+                version: 1,
+                created_by: duplicateEntry.user_id,
+                created_at: duplicateEntry.timestamp
+            }));
+        mockDisasterAreas.push(...adopted);
+        adoptedAreas = adopted.length;
+    }
+
+    const moved = {
+        moved_resources: movedResources,
+        moved_reservations: movedReservations,
+        moved_occupancy_samples: movedSamples,
+        moved_reports: movedReports,
+        moved_posts: movedPosts,
+        adopted_areas: adoptedAreas
+    };
+
+    Object.assign(duplicate, {
+        deleted_at: duplicateEntry.timestamp,
+        deleted_by: duplicateEntry.user_id,
+        merged_into: survivor.id,
+        version: (duplicate.version || 1) + 1,
+        audit_trail: [...(duplicate.audit_trail || []), { ...duplicateEntry, ...moved }]
+    });
+    Object.assign(survivor, {
+        version: (survivor.version || 1) + 1,
+        audit_trail: [...(survivor.audit_trail || []), { ...survivorEntry, ...moved }]
+    });
+
+    return moved;
+}
+
+// Helper function to persist disaster changes only if the stored version is still the one that was read,
+// so concurrent writers cannot silently drop each other's changes or audit entries
+async function saveDisasterChanges(current, changes, mockDisaster) {
+    if (mockDisaster) {
+        Object.assign(mockDisaster, changes, { version: (mockDisaster.version || 1) + 1 });
+        return { data: mockDisaster };
+    }
+
+    const { data, error } = await supabase
+        .from('disasters')
+        .update({ ...changes, version: current.version + 1 })
+        .eq('id', current.id)
+        .eq('version', current.version)
+        .select()
+        .single();
+
+    if (data) {
+        return { data };
+    }
+
+    const { data: latest } = await supabase
+        .from('disasters')
+        .select('*')
+        .eq('id', current.id)
+        .single();
+
+    if (latest && latest.version !== current.version) {
+        return { conflict: latest };
+    }
+
+    return { error: error || new Error('Disaster could not be updated') };
+}
+
+// Helper function to add the affected area versions a save moved between to its audit entry
+function withAreaVersions(entry, version) {
+    return {
+        ...entry,
+        changes: [...entry.changes, 'affected_areas'],
+        diff: { ...entry.diff, affected_areas: { from: version > 1 ? version - 1 : null, to: version } }
+    };
+}
+
+// Helper function to persist disaster changes together with a new affected area version, so the audit entry
+// never points at areas that were not saved. Supabase does both in one transaction (update_disaster_with_areas).
+// Returns { data, areas, version }, { conflict } or { error }.
+async function saveDisasterWithAreas(current, changes, auditEntry, areas, userId, mockDisaster) {
+    if (mockDisaster) {
+        const saved = await saveAffectedAreas(current.id, areas, userId, true);
+        Object.assign(mockDisaster, changes, {
+            audit_trail: [...(mockDisaster.audit_trail || []), withAreaVersions(auditEntry, saved.version)],
+            version: (mockDisaster.version || 1) + 1
+        });
+        return { data: mockDisaster, areas: saved.areas, version: saved.version };
+    }
 
-        let query = supabase
+    const { data, error } = await supabase.rpc('update_disaster_with_areas', {
+        target_disaster_id: current.id,
+        expected_version: current.version,
+        changes,
+        areas: areas.map(area => ({ label: area.label, area: formatMultiPolygonForDB(area.geometry) })),
+        audit_entry: auditEntry
+    });
+
+    // serialization_failure: the disaster changed after it was read
+    if (error && error.code === '40001') {
+        const { data: latest } = await supabase
             .from('disasters')
             .select('*')
-            .range(offset, offset + limit - 1)
-            .order('created_at', { ascending: false });
+            .eq('id', current.id)
+            .single();
+        return { conflict: latest || current };
+    }
+
+    if (error || !data || data.length === 0) {
+        return { error: error || new Error('Disaster could not be updated') };
+    }
+
+    const updated = data[0];
+    const { diff } = updated.audit_trail[updated.audit_trail.length - 1];
+    const { areas: saved } = await getAffectedAreas(current.id, diff.affected_areas.to);
+    return { data: updated, areas: saved, version: diff.affected_areas.to };
+}
+
+// Helper function to filter disasters by distance (mock-mode equivalent of find_disasters_in_area)
+function filterDisastersByDistance(disasters, lat, lng, radiusKm) {
+    return disasters
+        .filter(disaster => disaster.location && disaster.location.coordinates)
+        .map(disaster => {
+            const [disasterLng, disasterLat] = disaster.location.coordinates;
+            const distanceKm = calculateDistance(lat, lng, disasterLat, disasterLng);
+            return { ...disaster, distance_meters: Math.round(distanceKm * 1000) };
+        })
+        .filter(disaster => disaster.distance_meters <= radiusKm * 1000)
+        .sort((a, b) => a.distance_meters - b.distance_meters);
+}
+
+// Helper function to resolve the geospatial search mode from query parameters
+function parseAreaSearch({ lat, lng, radius, bbox }) {
+    if (lat || lng) {
+        const latitude = parseFloat(lat);
+        const longitude = parseFloat(lng);
+        const radiusKm = radius !== undefined ? parseFloat(radius) : 50;
+
+        if (isNaN(latitude) || isNaN(longitude) || latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+            return { error: 'Both lat and lng must be valid numbers' };
+        }
+        if (isNaN(radiusKm) || radiusKm <= 0) {
+            return { error: 'radius must be a positive number of kilometers' };
+        }
+
+        return { mode: 'radius', lat: latitude, lng: longitude, radiusKm };
+    }
+
+    if (bbox) {
+        const box = parseBoundingBox(bbox);
+        if (!box) {
+            return { error: 'bbox must be "minLng,minLat,maxLng,maxLat"' };
+        }
+
+        return { mode: 'bbox', box, ...boundingBoxToCircle(box) };
+    }
+
+    return null;
+}
+
+// GET /disasters - List disasters with tag, status, classification and area filtering
+router.get('/', authenticateUser, async (req, res) => {
+    try {
+        const { tag, status, include_archived, hazard_type, severity, sort, order, limit = 50, offset = 0 } = req.query;
+        const limitNum = parseInt(limit) || 50;
+        const offsetNum = parseInt(offset) || 0;
+
+        // Archived incidents are hidden unless explicitly requested
+        const statusList = status ? status.split(',').map(s => s.trim()) : null;
+        if (statusList && statusList.some(s => !LIFECYCLE_STATES.includes(s))) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                allowed: LIFECYCLE_STATES
+            });
+        }
+        const hideArchived = !statusList && include_archived !== 'true';
+
+        const classificationError = validateClassification({ hazard_type, severity });
+        if (classificationError) {
+            return res.status(400).json({
+                error: 'Invalid classification filter',
+                message: classificationError
+            });
+        }
+
+        const area = parseAreaSearch(req.query);
+        if (area && area.error) {
+            return res.status(400).json({
+                error: 'Invalid area search',
+                message: area.error
+            });
+        }
+
+        const sortField = sort || (area ? 'distance' : 'created_at');
+        if (!SORT_FIELDS.includes(sortField) || (sortField === 'distance' && !area)) {
+            return res.status(400).json({
+                error: 'Invalid sort',
+                allowed: area ? SORT_FIELDS : SORT_FIELDS.filter(f => f !== 'distance')
+            });
+        }
+        const sortOrder = order === 'asc' || order === 'desc'
+            ? order
+            : (sortField === 'distance' ? 'asc' : 'desc');
+
+        const search = area
+            ? {
+                mode: area.mode,
+                center: { lat: area.lat, lng: area.lng },
+                radius_km: Math.round(area.radiusKm * 100) / 100,
+                bbox: area.box || null
+            }
+            : undefined;
+
+        // Only the default created_at listing is paginated by the database; other orderings
+        // need urgency scores or bounding box clipping, so they are sorted and paginated in memory
+        const paginateInDatabase = !area && sortField === 'created_at';
+
+        let query = area
+            ? supabase.rpc('find_disasters_in_area', {
+                center_lat: area.lat,
+                center_lng: area.lng,
+                radius_meters: Math.ceil(area.radiusKm * 1000)
+            })
+            : supabase
+                .from('disasters')
+                .select('*')
+                .is('deleted_at', null)
+                .order('created_at', { ascending: sortOrder === 'asc' });
 
         if (tag) {
             query = query.contains('tags', [tag]);
         }
+        if (hazard_type) {
+            query = query.eq('hazard_type', hazard_type);
+        }
+        if (severity) {
+            query = query.eq('severity', severity);
+        }
+        if (statusList) {
+            query = query.in('status', statusList);
+        } else if (hideArchived) {
+            query = query.neq('status', 'archived');
+        }
+
+        if (paginateInDatabase) {
+            query = query.range(offsetNum, offsetNum + limitNum - 1);
+        }
 
         const { data, error } = await query;
 
+        let disasters;
         if (error) {
             logger.error('Error fetching disasters:', error);
-            // Return mock data on error
-            const filteredMockData = tag
-                ? mockDisasters.filter(d => d.tags.includes(tag))
-                : mockDisasters;
+            // Fall back to mock data on error
+            disasters = mockDisasters.filter(d =>
+                !d.deleted_at &&
+                (!tag || d.tags.includes(tag)) &&
+                (!hazard_type || d.hazard_type === hazard_type) &&
+                (!severity || d.severity === severity) &&
+                (statusList ? statusList.includes(d.status) : !hideArchived || d.status !== 'archived')
+            );
 
-            return res.json({
-                data: filteredMockData,
-                count: filteredMockData.length,
-                message: 'Using mock data due to database connection issue'
-            });
+            if (area) {
+                disasters = filterDisastersByDistance(disasters, area.lat, area.lng, area.radiusKm);
+                if (area.box) {
+                    disasters = disasters.filter(d => isPointInBoundingBox(d.location, area.box));
+                }
+            }
+        } else {
+            disasters = data || [];
+            if (area && area.box) {
+                disasters = disasters.filter(d => d.lng >= area.box.minLng && d.lng <= area.box.maxLng &&
+                    d.lat >= area.box.minLat && d.lat <= area.box.maxLat);
+            }
+        }
+
+        const metrics = await loadUrgencyMetrics(disasters);
+        disasters = disasters.map(d => ({ ...d, urgency_score: computeUrgency(d, metrics[d.id]).score }));
+
+        if (error || !paginateInDatabase) {
+            disasters = sortDisasters(disasters, sortField, sortOrder).slice(offsetNum, offsetNum + limitNum);
         }
 
-        logger.info(`Fetched ${data.length} disasters for user ${req.user.id}`);
+        logger.info(`Fetched ${disasters.length} disasters for user ${req.user.id}`);
         res.json({
-            data: data || [],
-            count: data ? data.length : 0
+            data: disasters,
+            count: disasters.length,
+            filters: { tag, status: statusList, include_archived: !hideArchived, hazard_type, severity },
+            sort: { field: sortField, order: sortOrder },
+            search,
+            ...(error ? { message: 'Using mock data due to database connection issue' } : {})
         });
 
     } catch (error) {
@@ -93,7 +645,61 @@ router.get('/', authenticateUser, async (req, res) => {
     }
 });
 
-// GET /disasters/:id - Get specific disaster
+// GET /disasters/classification - Hazard type taxonomy, severity scale and urgency weights
+router.get('/classification', authenticateUser, (req, res) => {
+    res.json({
+        hazard_types: HAZARD_TYPES,
+        severity_levels: SEVERITY_LEVELS,
+        urgency_weights: URGENCY_WEIGHTS,
+        sort_fields: SORT_FIELDS
+    });
+});
+
+// GET /disasters/trash - List soft-deleted disasters (admin only)
+router.get('/trash', authenticateUser, requireRole(['admin']), async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('disasters')
+            .select('id, title, location_name, status, owner_id, deleted_at, deleted_by')
+            .not('deleted_at', 'is', null)
+            .order('deleted_at', { ascending: false });
+
+        const trashed = error
+            ? mockDisasters.filter(d => d.deleted_at)
+            : data || [];
+
+        if (error) {
+            logger.error('Error fetching disaster trash:', error);
+        }
+
+        const now = Date.now();
+        res.json({
+            data: trashed.map(d => ({
+                id: d.id,
+                title: d.title,
+                location_name: d.location_name,
+                status: d.status,
+                owner_id: d.owner_id,
+                deleted_at: d.deleted_at,
+                deleted_by: d.deleted_by,
+                purgeable: isPastRetention(d, now),
+                purgeable_after: new Date(new Date(d.deleted_at).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+            })),
+            count: trashed.length,
+            retention_days: TRASH_RETENTION_DAYS,
+            ...(error ? { message: 'Using mock data due to database connection issue' } : {})
+        });
+
+    } catch (error) {
+        logger.error('Error in GET /disasters/trash:', error);
+        res.status(500).json({
+            error: 'Failed to fetch disaster trash',
+            message: error.message
+        });
+    }
+});
+
+// GET /disasters/:id - Get specific disaster with its urgency breakdown
 router.get('/:id', authenticateUser, async (req, res) => {
     try {
         const { id } = req.params;
@@ -102,26 +708,35 @@ router.get('/:id', authenticateUser, async (req, res) => {
             .from('disasters')
             .select('*')
             .eq('id', id)
+            .is('deleted_at', null)
             .single();
 
-        if (error || !data) {
-            // Return mock data if not found in database
-            const mockDisaster = mockDisasters.find(d => d.id === id);
-            if (mockDisaster) {
-                return res.json({
-                    data: mockDisaster,
-                    message: 'Using mock data'
-                });
-            }
+        // Fall back to mock data if not found in database
+        const disaster = (error || !data) ? findActiveMockDisaster(id) : data;
 
+        if (!disaster) {
             return res.status(404).json({
                 error: 'Disaster not found',
                 id
             });
         }
 
+        const metrics = await loadUrgencyMetrics([disaster]);
+        const urgency = computeUrgency(disaster, metrics[disaster.id]);
+        const { areas } = await getAffectedAreas(disaster.id);
+
         logger.info(`Fetched disaster ${id} for user ${req.user.id}`);
-        res.json({ data });
+        res.set('ETag', formatETag(disaster.version));
+        res.json({
+            data: {
+                ...disaster,
+                urgency_score: urgency.score,
+                urgency,
+                affected_areas: areas,
+                affected_areas_version: areas.length > 0 ? areas[0].version : null
+            },
+            ...(disaster !== data ? { message: 'Using mock data' } : {})
+        });
 
     } catch (error) {
         logger.error(`Error fetching disaster ${req.params.id}:`, error);
@@ -135,7 +750,17 @@ router.get('/:id', authenticateUser, async (req, res) => {
 // POST /disasters - Create new disaster
 router.post('/', authenticateUser, async (req, res) => {
     try {
-        const { title, location_name, description, tags, location } = req.body;
+        const {
+            title,
+            location_name,
+            description,
+            tags,
+            location,
+            hazard_type,
+            severity,
+            estimated_affected_population,
+            affected_areas
+        } = req.body;
 
         if (!title || !location_name || !description) {
             return res.status(400).json({
@@ -144,11 +769,43 @@ router.post('/', authenticateUser, async (req, res) => {
             });
         }
 
+        const classificationError = validateClassification({ hazard_type, severity, estimated_affected_population });
+        if (classificationError) {
+            return res.status(400).json({
+                error: 'Invalid classification',
+                message: classificationError
+            });
+        }
+
+        const areaValidation = affected_areas === undefined ? null : validateAffectedAreas(affected_areas);
+        if (areaValidation && areaValidation.error) {
+            return res.status(400).json({
+                error: 'Invalid affected areas',
+                message: areaValidation.error
+            });
+        }
+
+        const duplicateCandidates = findDuplicateCandidates(
+            { title, location_name, tags, hazard_type, location },
+            await loadRecentDisasters()
+        );
+        const warnings = duplicateCandidates.length > 0
+            ? [{
+                code: 'possible_duplicate',
+                message: `${duplicateCandidates.length} recent disaster(s) may describe the same incident`,
+                candidates: duplicateCandidates
+            }]
+            : [];
+
         const newDisaster = {
             title,
             location_name,
             description,
             tags: tags || [],
+            hazard_type: hazard_type || null,
+            severity: severity || null,
+            estimated_affected_population: estimated_affected_population === undefined ? null : estimated_affected_population,
+            status: 'reported',
             owner_id: req.user.id,
             audit_trail: [{
                 action: 'create',
@@ -179,6 +836,12 @@ router.post('/', authenticateUser, async (req, res) => {
                 location: location ? { type: 'Point', coordinates: [location.lng, location.lat] } : null
             };
 
+            if (areaValidation) {
+                const saved = await saveAffectedAreas(mockId, areaValidation.areas, req.user.id, true);
+                mockResponse.affected_areas = saved.areas;
+                mockResponse.affected_areas_version = saved.version;
+            }
+
             // Emit socket event
             const io = req.app.get('io');
             io.emit('disaster_updated', {
@@ -188,10 +851,27 @@ router.post('/', authenticateUser, async (req, res) => {
 
             return res.status(201).json({
                 data: mockResponse,
+                warnings,
                 message: 'Created with mock data due to database connection issue'
             });
         }
 
+        // A disaster whose perimeter could not be saved is removed again, so a retry does not create a duplicate
+        if (areaValidation) {
+            const saved = await saveAffectedAreas(data.id, areaValidation.areas, req.user.id);
+            if (saved.error) {
+                logger.error(`Error saving affected areas for disaster ${data.id}:`, saved.error);
+                await supabase.from('disasters').delete().eq('id', data.id);
+                return res.status(500).json({
+                    error: 'Failed to create disaster',
+                    message: `Affected areas could not be saved: ${saved.error.message}`
+                });
+            }
+
+            data.affected_areas = saved.areas;
+            data.affected_areas_version = saved.version;
+        }
+
         logger.info(`Created disaster: ${data.title} by user ${req.user.id}`);
 
         // Emit socket event for real-time updates
@@ -201,7 +881,7 @@ router.post('/', authenticateUser, async (req, res) => {
             data
         });
 
-        res.status(201).json({ data });
+        res.status(201).json({ data, warnings });
 
     } catch (error) {
         logger.error('Error in POST /disasters:', error);
@@ -216,16 +896,54 @@ router.post('/', authenticateUser, async (req, res) => {
 router.put('/:id', authenticateUser, async (req, res) => {
     try {
         const { id } = req.params;
-        const { title, location_name, description, tags, location } = req.body;
+        const {
+            title,
+            location_name,
+            description,
+            tags,
+            location,
+            hazard_type,
+            severity,
+            estimated_affected_population,
+            affected_areas
+        } = req.body;
+
+        const classificationError = validateClassification({ hazard_type, severity, estimated_affected_population });
+        if (classificationError) {
+            return res.status(400).json({
+                error: 'Invalid classification',
+                message: classificationError
+            });
+        }
+
+        const areaValidation = affected_areas === undefined ? null : validateAffectedAreas(affected_areas);
+        if (areaValidation && areaValidation.error) {
+            return res.status(400).json({
+                error: 'Invalid affected areas',
+                message: areaValidation.error
+            });
+        }
+
+        const expectedVersion = getExpectedVersion(req);
+        if (Number.isNaN(expectedVersion)) {
+            return res.status(400).json({
+                error: 'Invalid version',
+                message: 'If-Match must be an ETag returned by this API, e.g. "3"'
+            });
+        }
 
         // First check if disaster exists and user has permission
         const { data: existing, error: fetchError } = await supabase
             .from('disasters')
-            .select('owner_id, audit_trail')
+            .select('*')
             .eq('id', id)
+            .is('deleted_at', null)
             .single();
 
-        if (fetchError || !existing) {
+        const mockDisaster = (fetchError || !existing) ? findActiveMockDisaster(id) : null;
+        const current = existing || mockDisaster;
+
+        if (!current) {
             return res.status(404).json({
                 error: 'Disaster not found',
                 id
@@ -233,48 +951,68 @@ router.put('/:id', authenticateUser, async (req, res) => {
         }
 
         // Check ownership or admin role
-        if (existing.owner_id !== req.user.id && req.user.role !== 'admin') {
+        if (current.owner_id !== req.user.id && req.user.role !== 'admin') {
             return res.status(403).json({
                 error: 'Insufficient permissions',
                 message: 'You can only update your own disasters'
             });
         }
 
+        if (expectedVersion !== null && expectedVersion !== current.version) {
+            return sendVersionConflict(res, current, 'Disaster');
+        }
+
         const updateData = {};
         if (title) updateData.title = title;
         if (location_name) updateData.location_name = location_name;
         if (description) updateData.description = description;
         if (tags) updateData.tags = tags;
+        if (hazard_type) updateData.hazard_type = hazard_type;
+        if (severity) updateData.severity = severity;
+        if (estimated_affected_population !== undefined) updateData.estimated_affected_population = estimated_affected_population;
         if (location && location.lat && location.lng) {
-            updateData.location = formatLocationForDB(location.lat, location.lng);
+            updateData.location = mockDisaster
+                ? { type: 'Point', coordinates: [parseFloat(location.lng), parseFloat(location.lat)] }
+                : formatLocationForDB(location.lat, location.lng);
         }
 
-        // Update audit trail
+        // Update audit trail with before/after values for each changed field
+        const diff = buildFieldDiff(current, updateData);
+
         const newAuditEntry = {
             action: 'update',
             user_id: req.user.id,
             timestamp: new Date().toISOString(),
-            changes: Object.keys(updateData)
+            changes: Object.keys(diff),
+            diff
         };
 
-        updateData.audit_trail = [...(existing.audit_trail || []), newAuditEntry];
+        // A new perimeter is saved as the next area version together with the version-checked disaster update,
+        // so a conflicting update leaves no area version behind and the audit entry records the versions it
+        // moved between
+        const result = areaValidation
+            ? await saveDisasterWithAreas(current, updateData, newAuditEntry, areaValidation.areas, req.user.id, mockDisaster)
+            : await saveDisasterChanges(current, {
+                ...updateData,
+                audit_trail: [...(current.audit_trail || []), newAuditEntry]
+            }, mockDisaster);
 
-        const { data, error } = await supabase
-            .from('disasters')
-            .update(updateData)
-            .eq('id', id)
-            .select()
-            .single();
+        if (result.conflict) {
+            return sendVersionConflict(res, result.conflict, 'Disaster');
+        }
 
-        if (error) {
-            logger.error(`Error updating disaster ${id}:`, error);
+        if (result.error) {
+            logger.error(`Error updating disaster ${id}:`, result.error);
             return res.status(500).json({
                 error: 'Failed to update disaster',
-                message: error.message
+                message: result.error.message
             });
         }
 
-        logger.info(`Updated disaster ${id} by user ${req.user.id}`);
+        const data = areaValidation
+            ? { ...result.data, affected_areas: result.areas, affected_areas_version: result.version }
+            : result.data;
+        logger.info(`Updated disaster ${id} to version ${data.version} by user ${req.user.id}`);
 
         // Emit socket event
         const io = req.app.get('io');
@@ -283,7 +1021,11 @@ router.put('/:id', authenticateUser, async (req, res) => {
             data
         });
 
-        res.json({ data });
+        res.set('ETag', formatETag(data.version));
+        res.json({
+            data,
+            ...(mockDisaster ? { message: 'Updated mock data due to database connection issue' } : {})
+        });
 
     } catch (error) {
         logger.error(`Error in PUT /disasters/${req.params.id}:`, error);
@@ -294,44 +1036,914 @@ router.put('/:id', authenticateUser, async (req, res) => {
     }
 });
 
-// DELETE /disasters/:id - Delete disaster
-router.delete('/:id', authenticateUser, requireRole(['admin']), async (req, res) => {
+// GET /disasters/:id/duplicates - Find recent disasters that look like the same incident
+router.get('/:id/duplicates', authenticateUser, async (req, res) => {
     try {
         const { id } = req.params;
 
         const { data, error } = await supabase
             .from('disasters')
-            .delete()
+            .select('*')
             .eq('id', id)
-            .select()
+            .is('deleted_at', null)
             .single();
 
-        if (error) {
-            logger.error(`Error deleting disaster ${id}:`, error);
+        const disaster = (error || !data) ? findActiveMockDisaster(id) : data;
+
+        if (!disaster) {
             return res.status(404).json({
-                error: 'Disaster not found or could not be deleted',
+                error: 'Disaster not found',
                 id
             });
         }
 
-        logger.info(`Deleted disaster ${id} by admin ${req.user.id}`);
-
-        // Emit socket event
-        const io = req.app.get('io');
-        io.emit('disaster_updated', {
-            action: 'delete',
-            data: { id }
-        });
+        const recent = await loadRecentDisasters();
+        // The RPC rows carry lat/lng, so prefer the target's own row from that list when present
+        const self = recent.find(d => d.id === disaster.id) || disaster;
+        const candidates = findDuplicateCandidates(self, recent);
 
         res.json({
-            message: 'Disaster deleted successfully',
-            data
+            disaster_id: id,
+            data: candidates,
+            meta: {
+                window_hours: DUPLICATE_WINDOW_HOURS,
+                compared: recent.length,
+                timestamp: new Date().toISOString()
+            }
         });
 
     } catch (error) {
-        logger.error(`Error in DELETE /disasters/${req.params.id}:`, error);
+        logger.error(`Error in GET /disasters/${req.params.id}/duplicates:`, error);
         res.status(500).json({
-            error: 'Failed to delete disaster',
+            error: 'Failed to find duplicate disasters',
+            message: error.message
+        });
+    }
+});
+
+// GET /disasters/:id/areas - Get the current affected-area perimeter (or ?version=n) as GeoJSON
+router.get('/:id/areas', authenticateUser, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { version, format } = req.query;
+        const versionNum = version === undefined ? null : parseInt(version);
+
+        if (version !== undefined && (isNaN(versionNum) || versionNum < 1)) {
+            return res.status(400).json({
+                error: 'Invalid version',
+                message: 'version must be a positive integer'
+            });
+        }
+
+        const { areas, source } = await getAffectedAreas(id, versionNum);
+
+        if (versionNum && areas.length === 0) {
+            return res.status(404).json({
+                error: 'Affected area version not found',
+                id,
+                version: versionNum
+            });
+        }
+
+        // GeoJSON FeatureCollection for map clients
+        if (format === 'geojson') {
+            return res.json({
+                type: 'FeatureCollection',
+                features: areas.map(area => ({
+                    type: 'Feature',
+                    id: area.id,
+                    geometry: area.geometry,
+                    properties: {
+                        label: area.label,
+                        version: area.version,
+                        created_by: area.created_by,
+                        created_at: area.created_at
+                    }
+                }))
+            });
+        }
+
+        res.json({
+            disaster_id: id,
+            version: areas.length > 0 ? areas[0].version : null,
+            data: areas,
+            meta: {
+                area_count: areas.length,
+                source,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error in GET /disasters/${req.params.id}/areas:`, error);
+        res.status(500).json({
+            error: 'Failed to fetch affected areas',
+            message: error.message
+        });
+    }
+});
+
+// GET /disasters/:id/areas/versions - List saved perimeter versions, newest first
+router.get('/:id/areas/versions', authenticateUser, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { versions, source } = await listAreaVersions(id);
+
+        res.json({
+            disaster_id: id,
+            data: versions,
+            meta: {
+                total_versions: versions.length,
+                current_version: versions.length > 0 ? versions[0].version : null,
+                source,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error in GET /disasters/${req.params.id}/areas/versions:`, error);
+        res.status(500).json({
+            error: 'Failed to fetch affected area versions',
+            message: error.message
+        });
+    }
+});
+
+// GET /disasters/:id/history - Get audit trail as numbered revisions with field-level diffs
+router.get('/:id/history', authenticateUser, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { field, action } = req.query;
+
+        let { data: disaster, error } = await supabase
+            .from('disasters')
+            .select('id, audit_trail')
+            .eq('id', id)
+            .single();
+
+        let source = 'supabase';
+        if (error || !disaster) {
+            disaster = mockDisasters.find(d => d.id === id);
+            source = 'mock_data';
+            if (!disaster) {
+                return res.status(404).json({
+                    error: 'Disaster not found',
+                    id
+                });
+            }
+        }
+
+        let revisions = toRevisions(disaster.audit_trail);
+        if (action) {
+            revisions = revisions.filter(entry => entry.action === action);
+        }
+        if (field) {
+            revisions = revisions.filter(entry => entry.diff && entry.diff[field]);
+        }
+
+        res.json({
+            disaster_id: id,
+            data: revisions,
+            meta: {
+                total_revisions: (disaster.audit_trail || []).length,
+                filters: { field, action },
+                source,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error in GET /disasters/${req.params.id}/history:`, error);
+        res.status(500).json({
+            error: 'Failed to fetch disaster history',
+            message: error.message
+        });
+    }
+});
+
+// POST /disasters/:id/history/:revision/revert - Restore field values from a revision (admin only)
+router.post('/:id/history/:revision/revert', authenticateUser, requireRole(['admin']), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const revision = parseInt(req.params.revision);
+        const { reason } = req.body || {};
+
+        const { data: existing, error: fetchError } = await supabase
+            .from('disasters')
+            .select('*')
+            .eq('id', id)
+            .is('deleted_at', null)
+            .single();
+
+        const mockDisaster = (fetchError || !existing) ? findActiveMockDisaster(id) : null;
+        const current = existing || mockDisaster;
+
+        if (!current) {
+            return res.status(404).json({
+                error: 'Disaster not found',
+                id
+            });
+        }
+
+        const expectedVersion = getExpectedVersion(req);
+        if (Number.isNaN(expectedVersion)) {
+            return res.status(400).json({
+                error: 'Invalid version',
+                message: 'If-Match must be an ETag returned by this API, e.g. "3"'
+            });
+        }
+
+        if (expectedVersion !== null && expectedVersion !== current.version) {
+            return sendVersionConflict(res, current, 'Disaster');
+        }
+
+        const auditTrail = current.audit_trail || [];
+        if (isNaN(revision) || revision < 1 || revision > auditTrail.length) {
+            return res.status(400).json({
+                error: 'Invalid revision',
+                message: `revision must be between 1 and ${auditTrail.length}`
+            });
+        }
+
+        const { values, error: revertError } = computeRevertValues(current, revision);
+        if (revertError) {
+            return res.status(409).json({
+                error: 'Revert not possible',
+                message: revertError
+            });
+        }
+
+        const diff = buildFieldDiff(current, values);
+        if (Object.keys(diff).length === 0) {
+            return res.status(400).json({
+                error: 'Nothing to revert',
+                message: `Disaster already matches revision ${revision}`
+            });
+        }
+
+        const revertData = {};
+        Object.keys(diff).forEach(field => {
+            revertData[field] = values[field];
+        });
+
+        const auditEntry = {
+            action: 'revert',
+            user_id: req.user.id,
+            timestamp: new Date().toISOString(),
+            reverted_to_revision: revision,
+            reason: reason || null,
+            changes: Object.keys(diff),
+            diff
+        };
+
+        const result = await saveDisasterChanges(
+            current,
+            { ...revertData, audit_trail: [...auditTrail, auditEntry] },
+            mockDisaster
+        );
+
+        if (result.conflict) {
+            return sendVersionConflict(res, result.conflict, 'Disaster');
+        }
+
+        if (result.error) {
+            logger.error(`Error reverting disaster ${id}:`, result.error);
+            return res.status(500).json({
+                error: 'Failed to revert disaster',
+                message: result.error.message
+            });
+        }
+
+        const data = result.data;
+
+        logger.info(`Reverted disaster ${id} to revision ${revision} by admin ${req.user.id}`);
+
+        // Emit socket event
+        const io = req.app.get('io');
+        io.emit('disaster_updated', {
+            action: 'revert',
+            data,
+            reverted_to_revision: revision
+        });
+
+        res.set('ETag', formatETag(data.version));
+        res.json({
+            data,
+            revision: { revision: auditTrail.length + 1, ...auditEntry },
+            ...(mockDisaster ? { message: 'Reverted mock data due to database connection issue' } : {})
+        });
+
+    } catch (error) {
+        logger.error(`Error in POST /disasters/${req.params.id}/history/${req.params.revision}/revert:`, error);
+        res.status(500).json({
+            error: 'Failed to revert disaster',
+            message: error.message
+        });
+    }
+});
+
+// GET /disasters/:id/status - Get lifecycle status, allowed transitions and status history
+router.get('/:id/status', authenticateUser, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        let { data: disaster, error } = await supabase
+            .from('disasters')
+            .select('id, status, owner_id, audit_trail')
+            .eq('id', id)
+            .is('deleted_at', null)
+            .single();
+
+        if (error || !disaster) {
+            disaster = findActiveMockDisaster(id);
+            if (!disaster) {
+                return res.status(404).json({
+                    error: 'Disaster not found',
+                    id
+                });
+            }
+        }
+
+        res.json({
+            disaster_id: id,
+            status: disaster.status,
+            allowed_transitions: getAllowedTransitions(disaster, req.user),
+            history: (disaster.audit_trail || []).filter(entry => entry.action === 'status_change'),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error(`Error in GET /disasters/${req.params.id}/status:`, error);
+        res.status(500).json({
+            error: 'Failed to fetch disaster status',
+            message: error.message
+        });
+    }
+});
+
+// POST /disasters/:id/status - Transition disaster to a new lifecycle state
+router.post('/:id/status', authenticateUser, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, reason } = req.body;
+
+        if (!LIFECYCLE_STATES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                allowed: LIFECYCLE_STATES
+            });
+        }
+
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['status', 'reason']
+            });
+        }
+
+        const { data: existing, error: fetchError } = await supabase
+            .from('disasters')
+            .select('id, status, owner_id, version, audit_trail')
+            .eq('id', id)
+            .is('deleted_at', null)
+            .single();
+
+        const mockDisaster = (fetchError || !existing) ? findActiveMockDisaster(id) : null;
+        const current = existing || mockDisaster;
+
+        if (!current) {
+            return res.status(404).json({
+                error: 'Disaster not found',
+                id
+            });
+        }
+
+        if (!(LIFECYCLE_TRANSITIONS[current.status] || []).includes(status)) {
+            return res.status(409).json({
+                error: 'Invalid transition',
+                message: `Cannot move disaster from ${current.status} to ${status}`,
+                current_status: current.status,
+                allowed: LIFECYCLE_TRANSITIONS[current.status] || []
+            });
+        }
+
+        if (!getAllowedTransitions(current, req.user).includes(status)) {
+            return res.status(403).json({
+                error: 'Insufficient permissions',
+                message: `Required role for ${status}: ${TRANSITION_ROLES[status].join(' or ')}` +
+                    (req.user.role !== 'admin' ? ' (and ownership of the disaster)' : '')
+            });
+        }
+
+        const expectedVersion = getExpectedVersion(req);
+        if (Number.isNaN(expectedVersion)) {
+            return res.status(400).json({
+                error: 'Invalid version',
+                message: 'If-Match must be an ETag returned by this API, e.g. "3"'
+            });
+        }
+
+        if (expectedVersion !== null && expectedVersion !== current.version) {
+            return sendVersionConflict(res, current, 'Disaster');
+        }
+
+        const previousStatus = current.status;
+        const auditEntry = {
+            action: 'status_change',
+            user_id: req.user.id,
+            timestamp: new Date().toISOString(),
+            from: previousStatus,
+            to: status,
+            reason: String(reason).trim()
+        };
+
+        const result = await saveDisasterChanges(
+            current,
+            { status, audit_trail: [...(current.audit_trail || []), auditEntry] },
+            mockDisaster
+        );
+
+        if (result.conflict) {
+            return sendVersionConflict(res, result.conflict, 'Disaster');
+        }
+
+        if (result.error) {
+            logger.error(`Error transitioning disaster ${id}:`, result.error);
+            return res.status(500).json({
+                error: 'Failed to change disaster status',
+                message: result.error.message
+            });
+        }
+
+        const data = result.data;
+
+        logger.info(`Disaster ${id} moved from ${previousStatus} to ${status} by user ${req.user.id}`);
+
+        // Emit socket event
+        const io = req.app.get('io');
+        io.emit('disaster_updated', {
+            action: 'status_change',
+            data,
+            previous_status: previousStatus,
+            status,
+            reason: auditEntry.reason
+        });
+
+        res.set('ETag', formatETag(data.version));
+        res.json({
+            data,
+            transition: auditEntry,
+            ...(mockDisaster ? { message: 'Updated mock data due to database connection issue' } : {})
+        });
+
+    } catch (error) {
+        logger.error(`Error in POST /disasters/${req.params.id}/status:`, error);
+        res.status(500).json({
+            error: 'Failed to change disaster status',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /disasters/trash/purge - Permanently delete every trashed disaster past the retention window (admin only)
+router.delete('/trash/purge', authenticateUser, requireRole(['admin']), async (req, res) => {
+    try {
+        const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+        let purgedIds;
+        const { data, error } = await supabase
+            .from('disasters')
+            .delete()
+            .not('deleted_at', 'is', null)
+            .lte('deleted_at', cutoff)
+            .select('id');
+
+        if (error) {
+            logger.error('Error purging disaster trash:', error);
+            purgedIds = mockDisasters.filter(d => d.deleted_at && isPastRetention(d)).map(d => d.id);
+            purgeMockDisasters(purgedIds);
+        } else {
+            purgedIds = (data || []).map(d => d.id);
+        }
+
+        logger.info(`Purged ${purgedIds.length} disasters from trash by admin ${req.user.id}`);
+
+        const io = req.app.get('io');
+        purgedIds.forEach(id => {
+            io.emit('disaster_updated', {
+                action: 'purge',
+                data: { id }
+            });
+        });
+
+        res.json({
+            message: `Purged ${purgedIds.length} disasters deleted before ${cutoff}`,
+            purged_ids: purgedIds,
+            retention_days: TRASH_RETENTION_DAYS
+        });
+
+    } catch (error) {
+        logger.error('Error in DELETE /disasters/trash/purge:', error);
+        res.status(500).json({
+            error: 'Failed to purge disaster trash',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /disasters/:id - Soft delete disaster (admin only); resources and reports are kept
+router.delete('/:id', authenticateUser, requireRole(['admin']), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body || {};
+
+        const { data: existing, error: fetchError } = await supabase
+            .from('disasters')
+            .select('*')
+            .eq('id', id)
+            .is('deleted_at', null)
+            .single();
+
+        const mockDisaster = (fetchError || !existing) ? findActiveMockDisaster(id) : null;
+        const current = existing || mockDisaster;
+
+        if (!current) {
+            return res.status(404).json({
+                error: 'Disaster not found or already deleted',
+                id
+            });
+        }
+
+        const deletedAt = new Date().toISOString();
+        const auditEntry = {
+            action: 'delete',
+            user_id: req.user.id,
+            timestamp: deletedAt,
+            reason: reason || null
+        };
+
+        const result = await saveDisasterChanges(current, {
+            deleted_at: deletedAt,
+            deleted_by: req.user.id,
+            audit_trail: [...(current.audit_trail || []), auditEntry]
+        }, mockDisaster);
+
+        if (result.conflict) {
+            return sendVersionConflict(res, result.conflict, 'Disaster');
+        }
+
+        if (result.error) {
+            logger.error(`Error deleting disaster ${id}:`, result.error);
+            return res.status(500).json({
+                error: 'Failed to delete disaster',
+                message: result.error.message
+            });
+        }
+
+        logger.info(`Moved disaster ${id} to trash by admin ${req.user.id}`);
+
+        // Emit socket event
+        const io = req.app.get('io');
+        io.emit('disaster_updated', {
+            action: 'delete',
+            data: { id }
+        });
+
+        res.json({
+            message: 'Disaster moved to trash',
+            data: result.data,
+            purgeable_after: new Date(Date.now() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+        });
+
+    } catch (error) {
+        logger.error(`Error in DELETE /disasters/${req.params.id}:`, error);
+        res.status(500).json({
+            error: 'Failed to delete disaster',
+            message: error.message
+        });
+    }
+});
+
+// POST /disasters/:id/merge - Merge a duplicate disaster into this one (admin only).
+// Resources, reservations, reports and social media posts move to this disaster, the duplicate goes to the trash, and both audit
+// trails record the merge.
+router.post('/:id/merge', authenticateUser, requireRole(['admin']), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { duplicate_id: duplicateId, reason } = req.body || {};
+
+        if (!duplicateId) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['duplicate_id']
+            });
+        }
+
+        if (duplicateId === id) {
+            return res.status(400).json({
+                error: 'Invalid merge',
+                message: 'A disaster cannot be merged into itself'
+            });
+        }
+
+        const expectedVersion = getExpectedVersion(req);
+        if (Number.isNaN(expectedVersion)) {
+            return res.status(400).json({
+                error: 'Invalid version',
+                message: 'If-Match must be an ETag returned by this API, e.g. "3"'
+            });
+        }
+
+        const { data: rows, error: fetchError } = await supabase
+            .from('disasters')
+            .select('*')
+            .in('id', [id, duplicateId])
+            .is('deleted_at', null);
+
+        const useMock = Boolean(fetchError);
+        const survivor = useMock ? findActiveMockDisaster(id) : rows.find(d => d.id === id);
+        const duplicate = useMock ? findActiveMockDisaster(duplicateId) : rows.find(d => d.id === duplicateId);
+
+        if (!survivor || !duplicate) {
+            return res.status(404).json({
+                error: 'Disaster not found',
+                id: survivor ? duplicateId : id
+            });
+        }
+
+        if (expectedVersion !== null && expectedVersion !== survivor.version) {
+            return sendVersionConflict(res, survivor, 'Disaster');
+        }
+
+        const { conflicts, error: conflictError } = await findExternalIdConflicts(survivor.id, duplicate.id, useMock);
+
+        if (conflictError) {
+            logger.error(`Error checking external_ids before merging disaster ${duplicate.id} into ${survivor.id}:`, conflictError);
+            return res.status(500).json({
+                error: 'Failed to merge disasters',
+                message: conflictError.message
+            });
+        }
+
+        if (conflicts.length > 0) {
+            return res.status(409).json({
+                error: 'Conflicting external_ids',
+                message: 'Resources of both disasters use the same external_id; change or clear them on one side before merging',
+                external_ids: conflicts
+            });
+        }
+
+        const timestamp = new Date().toISOString();
+        const survivorEntry = {
+            action: 'merge',
+            user_id: req.user.id,
+            timestamp,
+            merged_from: duplicate.id,
+            merged_title: duplicate.title,
+            reason: reason || null
+        };
+        const duplicateEntry = {
+            action: 'merged_into',
+            user_id: req.user.id,
+            timestamp,
+            merged_into: survivor.id,
+            reason: reason || null
+        };
+
+        let moved;
+        let data;
+
+        if (useMock) {
+            moved = mergeMockDisasters(survivor, duplicate, survivorEntry, duplicateEntry);
+            data = survivor;
+        } else {
+            const { data: result, error } = await supabase.rpc('merge_disasters', {
+                survivor_id: survivor.id,
+                survivor_version: survivor.version,
+                duplicate_id: duplicate.id,
+                duplicate_version: duplicate.version,
+                survivor_entry: survivorEntry,
+                duplicate_entry: duplicateEntry
+            });
+
+            const { data: latest } = await supabase
+                .from('disasters')
+                .select('*')
+                .eq('id', survivor.id)
+                .single();
+
+            // serialization_failure: one of the disasters changed after it was read
+            if (error && error.code === '40001') {
+                return sendVersionConflict(res, latest || survivor, 'Disaster');
+            }
+
+            // unique_violation: a resource with a colliding external_id was added after the check above
+            if (error && error.code === '23505') {
+                const { conflicts: latestConflicts = [] } = await findExternalIdConflicts(survivor.id, duplicate.id, false);
+                return res.status(409).json({
+                    error: 'Conflicting external_ids',
+                    message: 'Resources of both disasters use the same external_id; change or clear them on one side before merging',
+                    external_ids: latestConflicts
+                });
+            }
+
+            if (error) {
+                logger.error(`Error merging disaster ${duplicate.id} into ${survivor.id}:`, error);
+                return res.status(500).json({
+                    error: 'Failed to merge disasters',
+                    message: error.message
+                });
+            }
+
+            moved = result && result[0] ? result[0] : {
+                moved_resources: 0,
+                moved_reservations: 0,
+                moved_occupancy_samples: 0,
+                moved_reports: 0,
+                moved_posts: 0,
+                adopted_areas: 0
+            };
+            data = latest || survivor;
+        }
+
+        logger.info(`Merged disaster ${duplicate.id} into ${survivor.id} (${moved.moved_resources} resources, ${moved.moved_reports} reports, ${moved.moved_posts} posts) by admin ${req.user.id}`);
+
+        // Emit socket event
+        const io = req.app.get('io');
+        io.emit('disaster_updated', {
+            action: 'merge',
+            data,
+            merged_disaster_id: duplicate.id
+        });
+
+        res.set('ETag', formatETag(data.version));
+        res.json({
+            message: 'Disasters merged',
+            data,
+            merged: {
+                duplicate_id: duplicate.id,
+                ...moved
+            },
+            ...(useMock ? { source: 'mock_data' } : {})
+        });
+
+    } catch (error) {
+        logger.error(`Error in POST /disasters/${req.params.id}/merge:`, error);
+        res.status(500).json({
+            error: 'Failed to merge disasters',
+            message: error.message
+        });
+    }
+});
+
+// POST /disasters/:id/restore - Restore a soft-deleted disaster (admin only)
+router.post('/:id/restore', authenticateUser, requireRole(['admin']), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: existing, error: fetchError } = await supabase
+            .from('disasters')
+            .select('*')
+            .eq('id', id)
+            .not('deleted_at', 'is', null)
+            .single();
+
+        const mockDisaster = (fetchError || !existing)
+            ? mockDisasters.find(d => d.id === id && d.deleted_at)
+            : null;
+        const current = existing || mockDisaster;
+
+        if (!current) {
+            return res.status(404).json({
+                error: 'Disaster not found in trash',
+                id
+            });
+        }
+
+        if (current.merged_into) {
+            return res.status(409).json({
+                error: 'Disaster was merged',
+                message: `Disaster was merged into ${current.merged_into}; its resources and reports now belong there`,
+                merged_into: current.merged_into
+            });
+        }
+
+        const auditEntry = {
+            action: 'restore',
+            user_id: req.user.id,
+            timestamp: new Date().toISOString(),
+            deleted_at: current.deleted_at,
+            deleted_by: current.deleted_by
+        };
+
+        const result = await saveDisasterChanges(current, {
+            deleted_at: null,
+            deleted_by: null,
+            audit_trail: [...(current.audit_trail || []), auditEntry]
+        }, mockDisaster);
+
+        if (result.conflict) {
+            return sendVersionConflict(res, result.conflict, 'Disaster');
+        }
+
+        if (result.error) {
+            logger.error(`Error restoring disaster ${id}:`, result.error);
+            return res.status(500).json({
+                error: 'Failed to restore disaster',
+                message: result.error.message
+            });
+        }
+
+        logger.info(`Restored disaster ${id} from trash by admin ${req.user.id}`);
+
+        const io = req.app.get('io');
+        io.emit('disaster_updated', {
+            action: 'restore',
+            data: result.data
+        });
+
+        res.json({
+            message: 'Disaster restored',
+            data: result.data
+        });
+
+    } catch (error) {
+        logger.error(`Error in POST /disasters/${req.params.id}/restore:`, error);
+        res.status(500).json({
+            error: 'Failed to restore disaster',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /disasters/:id/purge - Permanently delete a trashed disaster with its resources and reports (admin only)
+router.delete('/:id/purge', authenticateUser, requireRole(['admin']), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: existing, error: fetchError } = await supabase
+            .from('disasters')
+            .select('id, deleted_at')
+            .eq('id', id)
+            .not('deleted_at', 'is', null)
+            .single();
+
+        const mockDisaster = (fetchError || !existing)
+            ? mockDisasters.find(d => d.id === id && d.deleted_at)
+            : null;
+        const current = existing || mockDisaster;
+
+        if (!current) {
+            return res.status(404).json({
+                error: 'Disaster not found in trash',
+                message: 'Only soft-deleted disasters can be purged',
+                id
+            });
+        }
+
+        if (!isPastRetention(current)) {
+            return res.status(409).json({
+                error: 'Retention window not elapsed',
+                message: `Trashed disasters are kept for ${TRASH_RETENTION_DAYS} days before they can be purged`,
+                purgeable_after: new Date(new Date(current.deleted_at).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+            });
+        }
+
+        if (mockDisaster) {
+            purgeMockDisasters([id]);
+        } else {
+            const { error } = await supabase
+                .from('disasters')
+                .delete()
+                .eq('id', id)
+                .not('deleted_at', 'is', null);
+
+            if (error) {
+                logger.error(`Error purging disaster ${id}:`, error);
+                return res.status(500).json({
+                    error: 'Failed to purge disaster',
+                    message: error.message
+                });
+            }
+        }
+
+        logger.info(`Purged disaster ${id} by admin ${req.user.id}`);
+
+        const io = req.app.get('io');
+        io.emit('disaster_updated', {
+            action: 'purge',
+            data: { id }
+        });
+
+        res.json({
+            message: 'Disaster and its resources and reports permanently deleted',
+            data: { id }
+        });
+
+    } catch (error) {
+        logger.error(`Error in DELETE /disasters/${req.params.id}/purge:`, error);
+        res.status(500).json({
+            error: 'Failed to purge disaster',
             message: error.message
         });
     }
@@ -0,0 +1,616 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const { authenticateUser } = require('../middleware/auth');
+const { canManageResource } = require('../utils/permissions');
+const mockResources = require('../data/mockResources');
+const mockInventoryItems = require('../data/mockInventoryItems');
+const mockInventoryMovements = require('../data/mockInventoryMovements');
+
+const MOVEMENT_TYPES = ['received', 'distributed', 'transferred'];
+const SKU_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const MAX_QUANTITY = 1000000;
+
+function isValidQuantity(value, allowZero = false) {
+    return Number.isInteger(value) && value >= (allowZero ? 0 : 1) && value <= MAX_QUANTITY;
+}
+
+function isLowStock(item) {
+    return item.quantity <= item.low_stock_threshold;
+}
+
+function withStockLevel(item) {
+    return { ...item, low_stock: isLowStock(item) };
+}
+
+// Helper function to find a resource of a disaster; `mock` tells callers which store holds its inventory
+async function findResource(disasterId, resourceId) {
+    const { data, error } = await supabase
+        .from('resources')
+        .select('id, disaster_id, name, type, created_by, managers')
+        .eq('id', resourceId)
+        .eq('disaster_id', disasterId)
+        .single();
+
+    if (!error && data) {
+        return { resource: data, mock: false };
+    }
+
+    const mockResource = mockResources.find(r => r.id === resourceId && r.disaster_id === disasterId);
+    return { resource: mockResource || null, mock: true };
+}
+
+// Helper function to apply a movement to mock inventory (mock-mode equivalent of record_inventory_movement)
+function recordMockMovement(sourceItem, movement) {
+    const now = new Date().toISOString();
+    const delta = movement.movement_type === 'received' ? movement.quantity : -movement.quantity;
+
+    if (sourceItem.quantity + delta < 0) {
+        return { insufficient: true };
+    }
+
+    sourceItem.quantity += delta;
+    sourceItem.updated_at = now;
+
+    let targetItem = null;
+    if (movement.movement_type === 'transferred') {
+        targetItem = mockInventoryItems.find(i =>
+            i.resource_id === movement.counterpart_resource_id && i.sku === sourceItem.sku
+        );
+        if (!targetItem) {
+            targetItem = {
+                id: Math.random().toString(36).substr(2, 9),
+                resource_id: movement.counterpart_resource_id,
+                sku: sourceItem.sku,
+                name: sourceItem.name,
+                unit: sourceItem.unit,
+                quantity: 0,
+                low_stock_threshold: 0,
+                created_at: now
+            };
+            mockInventoryItems.push(targetItem);
+        }
+        targetItem.quantity += movement.quantity;
+        targetItem.updated_at = now;
+    }
+
+    const entry = {
+        id: Math.random().toString(36).substr(2, 9),
+        ...movement,
+        created_at: now
+    };
+    mockInventoryMovements.push(entry);
+
+    return { movement: entry, item: sourceItem, targetItem };
+}
+
+// Helper function to emit inventory events to the disaster room, plus a low-stock alert
+// when a movement takes an item from above its threshold to at or below it
+function emitInventoryUpdate(req, disasterId, action, item, previousQuantity) {
+    const io = req.app.get('io');
+    const room = `disaster_${disasterId}`;
+
+    io.to(room).emit('inventory_updated', {
+        action,
+        disaster_id: disasterId,
+        data: withStockLevel(item),
+        timestamp: new Date().toISOString()
+    });
+
+    if (isLowStock(item) && previousQuantity > item.low_stock_threshold) {
+        logger.info(`Low stock: ${item.sku} at resource ${item.resource_id} is down to ${item.quantity} ${item.unit}`);
+        io.to(room).emit('inventory_low_stock', {
+            disaster_id: disasterId,
+            resource_id: item.resource_id,
+            data: withStockLevel(item),
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// GET /disasters/:id/resources/:resourceId/inventory - List stock on hand
+router.get('/:id/resources/:resourceId/inventory', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId, resourceId } = req.params;
+        const { low_stock: lowStock } = req.query;
+
+        const { resource, mock } = await findResource(disasterId, resourceId);
+        if (!resource) {
+            return res.status(404).json({
+                error: 'Resource not found',
+                resourceId
+            });
+        }
+
+        let items;
+        if (mock) {
+            items = mockInventoryItems.filter(i => i.resource_id === resourceId);
+        } else {
+            const { data, error } = await supabase
+                .from('inventory_items')
+                .select('*')
+                .eq('resource_id', resourceId)
+                .order('sku', { ascending: true });
+
+            if (error) {
+                throw error;
+            }
+            items = data || [];
+        }
+
+        items = items.map(withStockLevel);
+        if (lowStock === 'true') {
+            items = items.filter(item => item.low_stock);
+        }
+
+        res.json({
+            disaster_id: disasterId,
+            resource_id: resourceId,
+            data: items,
+            meta: {
+                total_count: items.length,
+                low_stock_count: items.filter(item => item.low_stock).length,
+                source: mock ? 'mock_data' : 'supabase',
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error in GET /disasters/${req.params.id}/resources/${req.params.resourceId}/inventory:`, error);
+        res.status(500).json({
+            error: 'Failed to fetch inventory',
+            message: error.message
+        });
+    }
+});
+
+// POST /disasters/:id/resources/:resourceId/inventory - Add a stock item; opening stock is ledgered as received
+router.post('/:id/resources/:resourceId/inventory', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId, resourceId } = req.params;
+        const { sku, name, unit, quantity = 0, low_stock_threshold: threshold = 0 } = req.body;
+
+        if (!sku || !name || !unit) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['sku', 'name', 'unit']
+            });
+        }
+
+        if (!SKU_PATTERN.test(sku)) {
+            return res.status(400).json({
+                error: 'Invalid SKU',
+                message: 'sku must be 1-64 letters, digits, ".", "_" or "-"'
+            });
+        }
+
+        if (!isValidQuantity(quantity, true) || !isValidQuantity(threshold, true)) {
+            return res.status(400).json({
+                error: 'Invalid quantity',
+                message: `quantity and low_stock_threshold must be integers between 0 and ${MAX_QUANTITY}`
+            });
+        }
+
+        const { resource, mock } = await findResource(disasterId, resourceId);
+        if (!resource) {
+            return res.status(404).json({
+                error: 'Resource not found',
+                resourceId
+            });
+        }
+
+        if (!canManageResource(resource, req.user)) {
+            return res.status(403).json({
+                error: 'Insufficient permissions',
+                message: 'You can only manage stock at resources you created or manage'
+            });
+        }
+
+        const newItem = {
+            resource_id: resourceId,
+            sku,
+            name,
+            unit,
+            quantity: 0,
+            low_stock_threshold: threshold
+        };
+
+        let item;
+        if (mock) {
+            if (mockInventoryItems.some(i => i.resource_id === resourceId && i.sku === sku)) {
+                return res.status(409).json({
+                    error: 'Duplicate SKU',
+                    message: `${sku} is already stocked at this resource`
+                });
+            }
+
+            item = {
+                ...newItem,
+                id: Math.random().toString(36).substr(2, 9),
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            };
+            mockInventoryItems.push(item);
+
+            if (quantity > 0) {
+                recordMockMovement(item, {
+                    resource_id: resourceId,
+                    sku,
+                    movement_type: 'received',
+                    quantity,
+                    counterpart_resource_id: null,
+                    note: 'Opening stock',
+                    created_by: req.user.id
+                });
+            }
+        } else {
+            const { data, error } = await supabase
+                .from('inventory_items')
+                .insert([newItem])
+                .select()
+                .single();
+
+            if (error && error.code === '23505') {
+                return res.status(409).json({
+                    error: 'Duplicate SKU',
+                    message: `${sku} is already stocked at this resource`
+                });
+            }
+            if (error) {
+                throw error;
+            }
+
+            item = data;
+            if (quantity > 0) {
+                const { error: movementError } = await supabase.rpc('record_inventory_movement', {
+                    source_resource_id: resourceId,
+                    item_sku: sku,
+                    movement_type: 'received',
+                    movement_quantity: quantity,
+                    movement_note: 'Opening stock',
+                    recorded_by: req.user.id
+                });
+                if (movementError) {
+                    throw movementError;
+                }
+                item = { ...item, quantity };
+            }
+        }
+
+        logger.info(`Added inventory item ${sku} to resource ${resourceId} by user ${req.user.id}`);
+        emitInventoryUpdate(req, disasterId, 'create', item, Infinity);
+
+        res.status(201).json({
+            data: withStockLevel(item),
+            ...(mock ? { message: 'Created with mock data due to database connection issue' } : {})
+        });
+
+    } catch (error) {
+        logger.error(`Error in POST /disasters/${req.params.id}/resources/${req.params.resourceId}/inventory:`, error);
+        res.status(500).json({
+            error: 'Failed to create inventory item',
+            message: error.message
+        });
+    }
+});
+
+// GET /disasters/:id/resources/:resourceId/inventory/movements - Ledger of stock movements in and out of a resource
+router.get('/:id/resources/:resourceId/inventory/movements', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId, resourceId } = req.params;
+        const { sku, type, limit = 50, offset = 0 } = req.query;
+        const limitNum = Math.min(parseInt(limit) || 50, 200);
+        const offsetNum = parseInt(offset) || 0;
+
+        if (type && !MOVEMENT_TYPES.includes(type)) {
+            return res.status(400).json({
+                error: 'Invalid movement type',
+                allowed: MOVEMENT_TYPES
+            });
+        }
+
+        const { resource, mock } = await findResource(disasterId, resourceId);
+        if (!resource) {
+            return res.status(404).json({
+                error: 'Resource not found',
+                resourceId
+            });
+        }
+
+        let movements;
+        if (mock) {
+            movements = mockInventoryMovements
+                .filter(m => m.resource_id === resourceId || m.counterpart_resource_id === resourceId)
+                .filter(m => (!sku || m.sku === sku) && (!type || m.movement_type === type))
+                .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+                .slice(offsetNum, offsetNum + limitNum);
+        } else {
+            let query = supabase
+                .from('inventory_movements')
+                .select('*')
+                .or(`resource_id.eq.${resourceId},counterpart_resource_id.eq.${resourceId}`);
+
+            if (sku) {
+                query = query.eq('sku', sku);
+            }
+            if (type) {
+                query = query.eq('movement_type', type);
+            }
+
+            const { data, error } = await query
+                .order('created_at', { ascending: false })
+                .range(offsetNum, offsetNum + limitNum - 1);
+
+            if (error) {
+                throw error;
+            }
+            movements = data || [];
+        }
+
+        // Transfers appear in both ledgers; direction tells which side of the transfer this resource was on
+        const entries = movements.map(m => ({
+            ...m,
+            direction: m.movement_type === 'received' || m.counterpart_resource_id === resourceId ? 'in' : 'out'
+        }));
+
+        res.json({
+            disaster_id: disasterId,
+            resource_id: resourceId,
+            data: entries,
+            meta: {
+                total_count: entries.length,
+                filters: { sku, type },
+                pagination: { limit: limitNum, offset: offsetNum },
+                source: mock ? 'mock_data' : 'supabase',
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error in GET /disasters/${req.params.id}/resources/${req.params.resourceId}/inventory/movements:`, error);
+        res.status(500).json({
+            error: 'Failed to fetch inventory movements',
+            message: error.message
+        });
+    }
+});
+
+// PUT /disasters/:id/resources/:resourceId/inventory/:sku - Update item details; quantities only change through movements
+router.put('/:id/resources/:resourceId/inventory/:sku', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId, resourceId, sku } = req.params;
+        const { name, unit, low_stock_threshold: threshold } = req.body;
+
+        if (req.body.quantity !== undefined) {
+            return res.status(400).json({
+                error: 'Quantity is read-only',
+                message: 'Record a received, distributed or transferred movement to change stock levels'
+            });
+        }
+
+        if (threshold !== undefined && !isValidQuantity(threshold, true)) {
+            return res.status(400).json({
+                error: 'Invalid threshold',
+                message: `low_stock_threshold must be an integer between 0 and ${MAX_QUANTITY}`
+            });
+        }
+
+        const { resource, mock } = await findResource(disasterId, resourceId);
+        if (!resource) {
+            return res.status(404).json({
+                error: 'Resource not found',
+                resourceId
+            });
+        }
+
+        if (!canManageResource(resource, req.user)) {
+            return res.status(403).json({
+                error: 'Insufficient permissions',
+                message: 'You can only manage stock at resources you created or manage'
+            });
+        }
+
+        const updateData = {};
+        if (name) updateData.name = name;
+        if (unit) updateData.unit = unit;
+        if (threshold !== undefined) updateData.low_stock_threshold = threshold;
+
+        const existing = mock
+            ? mockInventoryItems.find(i => i.resource_id === resourceId && i.sku === sku)
+            : (await supabase.from('inventory_items').select('*').eq('resource_id', resourceId).eq('sku', sku).maybeSingle()).data;
+
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Inventory item not found',
+                sku
+            });
+        }
+
+        // Raising the threshold to or above the stock on hand counts as going low
+        const previousQuantity = isLowStock(existing) ? existing.quantity : Infinity;
+
+        let item;
+        if (mock) {
+            item = Object.assign(existing, updateData, { updated_at: new Date().toISOString() });
+        } else {
+            const { data, error } = await supabase
+                .from('inventory_items')
+                .update({ ...updateData, updated_at: new Date().toISOString() })
+                .eq('id', existing.id)
+                .select()
+                .single();
+
+            if (error) {
+                throw error;
+            }
+            item = data;
+        }
+        logger.info(`Updated inventory item ${sku} at resource ${resourceId} by user ${req.user.id}`);
+        emitInventoryUpdate(req, disasterId, 'update', item, previousQuantity);
+
+        res.json({
+            data: withStockLevel(item),
+            ...(mock ? { message: 'Updated mock data due to database connection issue' } : {})
+        });
+
+    } catch (error) {
+        logger.error(`Error in PUT /disasters/${req.params.id}/resources/${req.params.resourceId}/inventory/${req.params.sku}:`, error);
+        res.status(500).json({
+            error: 'Failed to update inventory item',
+            message: error.message
+        });
+    }
+});
+
+// POST /disasters/:id/resources/:resourceId/inventory/:sku/movements - Record stock received, distributed or transferred
+router.post('/:id/resources/:resourceId/inventory/:sku/movements', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId, resourceId, sku } = req.params;
+        const { type, quantity, to_resource_id: toResourceId, note } = req.body;
+
+        if (!MOVEMENT_TYPES.includes(type)) {
+            return res.status(400).json({
+                error: 'Invalid movement type',
+                allowed: MOVEMENT_TYPES
+            });
+        }
+
+        if (!isValidQuantity(quantity)) {
+            return res.status(400).json({
+                error: 'Invalid quantity',
+                message: `quantity must be an integer between 1 and ${MAX_QUANTITY}`
+            });
+        }
+
+        if (type === 'transferred' && (!toResourceId || toResourceId === resourceId)) {
+            return res.status(400).json({
+                error: 'Invalid transfer',
+                message: 'to_resource_id must name another resource of this disaster'
+            });
+        }
+
+        const { resource, mock } = await findResource(disasterId, resourceId);
+        if (!resource) {
+            return res.status(404).json({
+                error: 'Resource not found',
+                resourceId
+            });
+        }
+
+        if (!canManageResource(resource, req.user)) {
+            return res.status(403).json({
+                error: 'Insufficient permissions',
+                message: 'You can only manage stock at resources you created or manage'
+            });
+        }
+
+        if (type === 'transferred') {
+            const { resource: target } = await findResource(disasterId, toResourceId);
+            if (!target) {
+                return res.status(404).json({
+                    error: 'Destination resource not found',
+                    resourceId: toResourceId
+                });
+            }
+        }
+
+        const movement = {
+            resource_id: resourceId,
+            sku,
+            movement_type: type,
+            quantity,
+            counterpart_resource_id: type === 'transferred' ? toResourceId : null,
+            note: note || null,
+            created_by: req.user.id
+        };
+
+        let result;
+        if (mock) {
+            const item = mockInventoryItems.find(i => i.resource_id === resourceId && i.sku === sku);
+            if (!item) {
+                return res.status(404).json({
+                    error: 'Inventory item not found',
+                    sku
+                });
+            }
+
+            result = recordMockMovement(item, movement);
+        } else {
+            const { data, error } = await supabase.rpc('record_inventory_movement', {
+                source_resource_id: resourceId,
+                item_sku: sku,
+                movement_type: type,
+                movement_quantity: quantity,
+                target_resource_id: movement.counterpart_resource_id,
+                movement_note: movement.note,
+                recorded_by: req.user.id
+            });
+
+            // no_data_found: the SKU is not stocked here; check_violation: stock would go negative
+            if (error && error.code === 'P0002') {
+                return res.status(404).json({
+                    error: 'Inventory item not found',
+                    sku
+                });
+            }
+            if (error && error.code === '23514') {
+                result = { insufficient: true };
+            } else if (error) {
+                throw error;
+            } else {
+                const { data: items, error: itemsError } = await supabase
+                    .from('inventory_items')
+                    .select('*')
+                    .eq('sku', sku)
+                    .in('resource_id', [resourceId, toResourceId].filter(Boolean));
+
+                if (itemsError) {
+                    throw itemsError;
+                }
+
+                result = {
+                    movement: data[0],
+                    item: items.find(i => i.resource_id === resourceId),
+                    targetItem: items.find(i => i.resource_id === toResourceId) || null
+                };
+            }
+        }
+
+        if (result.insufficient) {
+            const item = mock
+                ? mockInventoryItems.find(i => i.resource_id === resourceId && i.sku === sku)
+                : (await supabase.from('inventory_items').select('*').eq('resource_id', resourceId).eq('sku', sku).single()).data;
+
+            return res.status(409).json({
+                error: 'Insufficient stock',
+                message: `Only ${item ? item.quantity : 0} ${item ? item.unit : 'units'} of ${sku} on hand`,
+                data: item ? withStockLevel(item) : null
+            });
+        }
+
+        logger.info(`Recorded ${type} of ${quantity} ${sku} at resource ${resourceId} by user ${req.user.id}`);
+
+        const delta = type === 'received' ? quantity : -quantity;
+        emitInventoryUpdate(req, disasterId, type, result.item, result.item.quantity - delta);
+        if (result.targetItem) {
+            emitInventoryUpdate(req, disasterId, type, result.targetItem, result.targetItem.quantity - quantity);
+        }
+
+        res.status(201).json({
+            data: result.movement,
+            item: withStockLevel(result.item),
+            ...(result.targetItem ? { destination_item: withStockLevel(result.targetItem) } : {}),
+            ...(mock ? { message: 'Recorded in mock data due to database connection issue' } : {})
+        });
+
+    } catch (error) {
+        logger.error(`Error in POST /disasters/${req.params.id}/resources/${req.params.resourceId}/inventory/${req.params.sku}/movements:`, error);
+        res.status(500).json({
+            error: 'Failed to record inventory movement',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
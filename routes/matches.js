@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const { authenticateUser } = require('../middleware/auth');
+const { NEED_CATEGORIES, MATCH_RADIUS_KM, extractNeeds, rankResourcesForNeed } = require('../utils/matching');
+const { queryStoredPosts } = require('../utils/socialIngestion');
+const { getBlockedAuthorKeys } = require('../utils/credibility');
+const mockReports = require('../data/mockReports');
+const mockResources = require('../data/mockResources');
+
+const NEED_SOURCES = ['all', 'reports', 'social_media'];
+
+// Sort order for needs
+const PRIORITY_RANK = { critical: 0, high: 1, normal: 2, low: 3 };
+// Newest stored posts of the disaster searched for needs
+const SOCIAL_NEED_WINDOW_POSTS = 200;
+
+// Helper function to load the disaster's resources with plain lat/lng coordinates
+async function loadResources(disasterId) {
+    const { data, error } = await supabase
+        .from('resources_with_coordinates')
+        .select('*')
+        .eq('disaster_id', disasterId);
+
+    if (error) {
+        logger.error(`Error loading resources for matching: ${error.message}`);
+        return { resources: mockResources.filter(r => r.disaster_id === disasterId), source: 'mock_data' };
+    }
+
+    return { resources: data || [], source: 'supabase' };
+}
+
+// Helper function to load reports that have not been rejected by moderators
+async function loadReports(disasterId) {
+    const { data, error } = await supabase
+        .from('reports_with_coordinates')
+        .select('*')
+        .eq('disaster_id', disasterId)
+        .neq('verification_status', 'rejected');
+
+    if (error) {
+        logger.error(`Error loading reports for matching: ${error.message}`);
+        return mockReports.filter(r => r.disaster_id === disasterId && r.verification_status !== 'rejected');
+    }
+
+    return data || [];
+}
+
+// GET /disasters/:id/matches - Suggest resources for needs expressed in reports and social media posts
+router.get('/:id/matches', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId } = req.params;
+        const { source = 'all', category, radius, max_suggestions: maxSuggestions = 3, limit = 50 } = req.query;
+        const radiusKm = radius === undefined ? MATCH_RADIUS_KM : parseFloat(radius);
+        const suggestionLimit = Math.min(parseInt(maxSuggestions) || 3, 10);
+        const limitNum = Math.min(parseInt(limit) || 50, 200);
+
+        if (!NEED_SOURCES.includes(source)) {
+            return res.status(400).json({
+                error: 'Invalid source',
+                allowed: NEED_SOURCES
+            });
+        }
+
+        if (category && !NEED_CATEGORIES[category]) {
+            return res.status(400).json({
+                error: 'Invalid category',
+                allowed: Object.keys(NEED_CATEGORIES)
+            });
+        }
+
+        if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > 100) {
+            return res.status(400).json({
+                error: 'Invalid radius',
+                message: 'radius must be between 0 and 100 km'
+            });
+        }
+
+        const needs = [];
+
+        if (source !== 'social_media') {
+            const reports = await loadReports(disasterId);
+            reports.forEach(report => {
+                needs.push({
+                    source: 'report',
+                    id: report.id,
+                    content: report.content,
+                    categories: extractNeeds(report.content),
+                    priority: report.priority,
+                    location_name: report.location_name,
+                    location: typeof report.lat === 'number'
+                        ? { lat: report.lat, lng: report.lng }
+                        : report.location,
+                    created_at: report.created_at
+                });
+            });
+        }
+
+        if (source !== 'reports') {
+            // Posts stored for this disaster, without blocked authors; posts without coordinates are ranked
+            // without distance
+            const { posts } = await queryStoredPosts(disasterId, {
+                excludeAuthorKeys: await getBlockedAuthorKeys(),
+                limit: SOCIAL_NEED_WINDOW_POSTS
+            });
+            posts.forEach(post => {
+                const hasCoordinates = post.geo && typeof post.geo.lat === 'number' && typeof post.geo.lng === 'number';
+                needs.push({
+                    source: 'social_media',
+                    id: post.id,
+                    content: post.content,
+                    categories: extractNeeds(post.content),
+                    priority: post.priority,
+                    location_name: post.extracted_location || (post.geo && post.geo.place_name) || null,
+                    location: hasCoordinates ? { lat: post.geo.lat, lng: post.geo.lng } : null,
+                    created_at: post.created_at
+                });
+            });
+        }
+
+        const { resources, source: resourceSource } = await loadResources(disasterId);
+
+        const matches = needs
+            .filter(need => need.categories.length > 0 && (!category || need.categories.includes(category)))
+            .sort((a, b) =>
+                (PRIORITY_RANK[a.priority] ?? 3) - (PRIORITY_RANK[b.priority] ?? 3) ||
+                new Date(b.created_at) - new Date(a.created_at)
+            )
+            .slice(0, limitNum)
+            .map(need => ({
+                need,
+                suggestions: rankResourcesForNeed(need, resources, { radiusKm, limit: suggestionLimit })
+            }));
+
+        // Categories someone asked for that no suggested resource covers
+        const needsByCategory = {};
+        const coveredCategories = new Set();
+        matches.forEach(({ need, suggestions }) => {
+            need.categories.forEach(name => {
+                needsByCategory[name] = (needsByCategory[name] || 0) + 1;
+            });
+            suggestions.forEach(suggestion => suggestion.covers.forEach(name => coveredCategories.add(name)));
+        });
+
+        logger.info(`Matched ${matches.length} needs to resources for disaster ${disasterId}`);
+
+        res.json({
+            disaster_id: disasterId,
+            data: matches,
+            summary: {
+                needs_by_category: needsByCategory,
+                unmet_categories: Object.keys(needsByCategory).filter(name => !coveredCategories.has(name)),
+                unmatched_needs: matches.filter(match => match.suggestions.length === 0).length
+            },
+            meta: {
+                total_count: matches.length,
+                filters: {
+                    source,
+                    category: category || null,
+                    radius_km: radiusKm
+                },
+                resource_source: resourceSource,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error in GET /disasters/${req.params.id}/matches:`, error);
+        res.status(500).json({
+            error: 'Failed to match needs to resources',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
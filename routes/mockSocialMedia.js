@@ -11,7 +11,7 @@ const mockSocialMediaPosts = [
         timestamp: new Date().toISOString(),
         location: 'Lower East Side, NYC',
         hashtags: ['floodrelief', 'emergency', 'help'],
-        priority: 'urgent',
+        priority: 'critical',
         engagement: { likes: 15, retweets: 8, replies: 3 }
     },
     {
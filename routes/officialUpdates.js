@@ -5,82 +5,7 @@ const cheerio = require('cheerio');
 const logger = require('../utils/logger');
 const cache = require('../utils/cache');
 const { authenticateUser } = require('../middleware/auth');
-
-// Mock official updates data
-const mockOfficialUpdates = [
-    {
-        id: '1',
-        source: 'FEMA',
-        title: 'Federal Emergency Declaration for NYC Flooding',
-        content: 'FEMA has declared a federal emergency for New York City due to severe flooding. Federal assistance is now available to supplement state and local response efforts.',
-        url: 'https://www.fema.gov/disaster/4618',
-        published_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(), // 2 hours ago
-        priority: 'high',
-        tags: ['federal', 'emergency', 'assistance', 'flooding'],
-        author: 'FEMA Administrator',
-        type: 'official_announcement'
-    },
-    {
-        id: '2',
-        source: 'NYC Emergency Management',
-        title: 'Evacuation Orders for Lower Manhattan',
-        content: 'The New York City Emergency Management Department has issued evacuation orders for areas below 14th Street in Manhattan. Residents should move to higher ground immediately.',
-        url: 'https://www1.nyc.gov/site/em/index.page',
-        published_at: new Date(Date.now() - 90 * 60 * 1000).toISOString(), // 1.5 hours ago
-        priority: 'critical',
-        tags: ['evacuation', 'manhattan', 'safety'],
-        author: 'NYC Emergency Management',
-        type: 'evacuation_order'
-    },
-    {
-        id: '3',
-        source: 'Red Cross',
-        title: 'Emergency Shelters Now Open',
-        content: 'The American Red Cross has opened emergency shelters across Manhattan and Brooklyn. Hot meals, blankets, and basic supplies are available. No advance registration required.',
-        url: 'https://www.redcross.org/get-help/disaster-relief-and-recovery-services',
-        published_at: new Date(Date.now() - 60 * 60 * 1000).toISOString(), // 1 hour ago
-        priority: 'normal',
-        tags: ['shelter', 'relief', 'supplies'],
-        author: 'American Red Cross',
-        type: 'resource_announcement'
-    },
-    {
-        id: '4',
-        source: 'MTA',
-        title: 'Subway Service Disruptions',
-        content: 'Due to flooding, subway lines 4, 5, 6, and L are suspended until further notice. Limited bus service is available. Please check MTA website for updates.',
-        url: 'https://new.mta.info/alerts',
-        published_at: new Date(Date.now() - 45 * 60 * 1000).toISOString(), // 45 minutes ago
-        priority: 'high',
-        tags: ['transportation', 'subway', 'service'],
-        author: 'MTA Operations',
-        type: 'service_update'
-    },
-    {
-        id: '5',
-        source: 'National Weather Service',
-        title: 'Flash Flood Warning Extended',
-        content: 'Flash flood warning for New York City has been extended until 11 PM tonight. Additional 2-4 inches of rain expected. Avoid travel in low-lying areas.',
-        url: 'https://www.weather.gov/okx/',
-        published_at: new Date(Date.now() - 30 * 60 * 1000).toISOString(), // 30 minutes ago
-        priority: 'high',
-        tags: ['weather', 'flooding', 'warning'],
-        author: 'National Weather Service',
-        type: 'weather_alert'
-    },
-    {
-        id: '6',
-        source: 'NYC Health Department',
-        title: 'Water Safety Advisory',
-        content: 'Residents in affected areas should boil water for 3 minutes before drinking until further notice. Free bottled water available at community centers.',
-        url: 'https://www1.nyc.gov/site/doh/index.page',
-        published_at: new Date(Date.now() - 20 * 60 * 1000).toISOString(), // 20 minutes ago
-        priority: 'normal',
-        tags: ['health', 'water', 'safety'],
-        author: 'NYC Health Department',
-        type: 'health_advisory'
-    }
-];
+const mockOfficialUpdates = require('../data/mockOfficialUpdates');
 
 // Function to scrape FEMA updates
 async function scrapeFEMAUpdates() {
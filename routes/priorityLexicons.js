@@ -0,0 +1,210 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { HAZARD_TYPES } = require('../utils/classification');
+const {
+    PRIORITY_THRESHOLDS,
+    NEGATION_CUES,
+    NEGATION_FILLERS,
+    SUPPORTED_LANGUAGES,
+    classifyPriority,
+    loadLexicons,
+    invalidateLexicons,
+    validateLexicon
+} = require('../utils/priorityClassifier');
+const mockPriorityLexicons = require('../data/mockPriorityLexicons');
+
+const LEXICON_ID_PATTERN = /^[a-z0-9_-]{1,50}$/;
+const MAX_CLASSIFY_LENGTH = 5000;
+
+// Helper function to normalize the terms of a validated lexicon
+function normalizeTerms(terms) {
+    return terms.map(({ term, weight, negatable }) => ({
+        term: term.trim().toLowerCase(),
+        weight,
+        ...(negatable === false ? { negatable: false } : {})
+    }));
+}
+
+// GET /priority-lexicons - Lexicons, thresholds, negation cues and fillers used by the priority classifier
+router.get('/', authenticateUser, async (req, res) => {
+    try {
+        const { lexicons, source } = await loadLexicons();
+
+        res.json({
+            data: lexicons,
+            thresholds: PRIORITY_THRESHOLDS,
+            negation_cues: NEGATION_CUES,
+            negation_fillers: NEGATION_FILLERS,
+            languages: SUPPORTED_LANGUAGES,
+            source
+        });
+
+    } catch (error) {
+        logger.error('Error in GET /priority-lexicons:', error);
+        res.status(500).json({
+            error: 'Failed to fetch priority lexicons',
+            message: error.message
+        });
+    }
+});
+
+// POST /priority-lexicons/classify - Classify a text and explain the result
+router.post('/classify', authenticateUser, async (req, res) => {
+    try {
+        const { content, hazard_type = null } = req.body || {};
+
+        if (typeof content !== 'string' || !content.trim() || content.length > MAX_CLASSIFY_LENGTH) {
+            return res.status(400).json({
+                error: 'Invalid content',
+                message: `content must be a non-empty string of at most ${MAX_CLASSIFY_LENGTH} characters`
+            });
+        }
+
+        if (hazard_type !== null && !HAZARD_TYPES.includes(hazard_type)) {
+            return res.status(400).json({
+                error: 'Invalid hazard_type',
+                allowed: HAZARD_TYPES
+            });
+        }
+
+        const { lexicons, source } = await loadLexicons();
+
+        res.json({
+            ...classifyPriority(content, lexicons, { hazardType: hazard_type }),
+            hazard_type,
+            thresholds: PRIORITY_THRESHOLDS,
+            source
+        });
+
+    } catch (error) {
+        logger.error('Error in POST /priority-lexicons/classify:', error);
+        res.status(500).json({
+            error: 'Failed to classify content',
+            message: error.message
+        });
+    }
+});
+
+// PUT /priority-lexicons/:id - Create or replace a lexicon (admin only)
+router.put('/:id', authenticateUser, requireRole(['admin']), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { hazard_type = null, language, terms } = req.body || {};
+
+        if (!LEXICON_ID_PATTERN.test(id)) {
+            return res.status(400).json({
+                error: 'Invalid lexicon id',
+                message: 'id must be 1-50 lowercase letters, digits, dashes or underscores'
+            });
+        }
+
+        const validationError = validateLexicon({ hazard_type, language, terms });
+        if (validationError) {
+            return res.status(400).json({
+                error: 'Invalid lexicon',
+                message: validationError
+            });
+        }
+
+        const lexicon = {
+            id,
+            hazard_type,
+            language,
+            terms: normalizeTerms(terms),
+            updated_by: req.user.id,
+            updated_at: new Date().toISOString()
+        };
+
+        const { data, error } = await supabase
+            .from('priority_lexicons')
+            .upsert(lexicon)
+            .select()
+            .single();
+
+        invalidateLexicons();
+
+        if (error) {
+            logger.error('Error saving priority lexicon:', error);
+
+            const index = mockPriorityLexicons.findIndex(l => l.id === id);
+            if (index === -1) {
+                mockPriorityLexicons.push(lexicon);
+            } else {
+                mockPriorityLexicons[index] = lexicon;
+            }
+
+            return res.json({
+                data: lexicon,
+                message: 'Saved to mock data due to database connection issue'
+            });
+        }
+
+        logger.info(`Priority lexicon ${id} saved by user ${req.user.id} (${lexicon.terms.length} terms)`);
+        res.json({ data });
+
+    } catch (error) {
+        logger.error(`Error in PUT /priority-lexicons/${req.params.id}:`, error);
+        res.status(500).json({
+            error: 'Failed to save priority lexicon',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /priority-lexicons/:id - Remove a lexicon (admin only)
+router.delete('/:id', authenticateUser, requireRole(['admin']), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data, error } = await supabase
+            .from('priority_lexicons')
+            .delete()
+            .eq('id', id)
+            .select();
+
+        invalidateLexicons();
+
+        if (error) {
+            logger.error('Error deleting priority lexicon:', error);
+
+            const index = mockPriorityLexicons.findIndex(l => l.id === id);
+            if (index === -1) {
+                return res.status(404).json({
+                    error: 'Lexicon not found',
+                    id
+                });
+            }
+            mockPriorityLexicons.splice(index, 1);
+
+            return res.json({
+                message: 'Deleted from mock data due to database connection issue',
+                id
+            });
+        }
+
+        if (!data || data.length === 0) {
+            return res.status(404).json({
+                error: 'Lexicon not found',
+                id
+            });
+        }
+
+        logger.info(`Priority lexicon ${id} deleted by user ${req.user.id}`);
+        res.json({
+            message: 'Lexicon deleted',
+            id
+        });
+
+    } catch (error) {
+        logger.error(`Error in DELETE /priority-lexicons/${req.params.id}:`, error);
+        res.status(500).json({
+            error: 'Failed to delete priority lexicon',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,521 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { parseBoundingBox, isPointInBoundingBox, formatLocationForDB } = require('../utils/geo');
+const { getAffectedAreas, filterInsideAreas } = require('../utils/affectedAreas');
+const { classifyText } = require('../utils/priorityClassifier');
+const mockReports = require('../data/mockReports');
+const mockDisasters = require('../data/mockDisasters');
+
+const VALID_PRIORITIES = ['critical', 'high', 'normal', 'low'];
+const VALID_VERIFICATION_STATUSES = ['pending', 'verified', 'rejected'];
+
+// Helper function to validate an optional { lat, lng } location payload
+function isValidLocation(location) {
+    if (!location) return true;
+    const lat = parseFloat(location.lat);
+    const lng = parseFloat(location.lng);
+    return !isNaN(lat) && !isNaN(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+// Helper function to classify report content with the disaster's hazard lexicons
+async function classifyReport(disasterId, content) {
+    const { data, error } = await supabase
+        .from('disasters')
+        .select('hazard_type')
+        .eq('id', disasterId)
+        .single();
+
+    const disaster = error ? mockDisasters.find(d => d.id === disasterId) : data;
+    return classifyText(content, { hazardType: disaster ? disaster.hazard_type : null });
+}
+
+// Helper function to emit report events to the disaster room
+function emitReportUpdate(req, disasterId, action, data) {
+    const io = req.app.get('io');
+    io.to(`disaster_${disasterId}`).emit('reports_updated', {
+        action,
+        disaster_id: disasterId,
+        data,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// GET /disasters/:id/reports - List reports with priority, status and bounding box filters
+router.get('/:id/reports', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId } = req.params;
+        const { priority, status, bbox, within, limit = 50, offset = 0 } = req.query;
+        const limitNum = Math.min(parseInt(limit) || 50, 200);
+        const offsetNum = parseInt(offset) || 0;
+
+        if (priority && !VALID_PRIORITIES.includes(priority)) {
+            return res.status(400).json({
+                error: 'Invalid priority',
+                allowed: VALID_PRIORITIES
+            });
+        }
+
+        if (status && !VALID_VERIFICATION_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                allowed: VALID_VERIFICATION_STATUSES
+            });
+        }
+
+        const box = parseBoundingBox(bbox);
+        if (bbox && !box) {
+            return res.status(400).json({
+                error: 'Invalid bounding box',
+                message: 'bbox must be "minLng,minLat,maxLng,maxLat"'
+            });
+        }
+
+        if (within && within !== 'affected_area') {
+            return res.status(400).json({
+                error: 'Invalid within filter',
+                allowed: ['affected_area']
+            });
+        }
+
+        if (within && box) {
+            return res.status(400).json({
+                error: 'Conflicting filters',
+                message: 'bbox and within cannot be combined'
+            });
+        }
+
+        let reports;
+        let source = 'supabase';
+
+        try {
+            let query;
+            if (within) {
+                query = supabase.rpc('find_reports_in_affected_area', { target_disaster_id: disasterId });
+            } else if (box) {
+                query = supabase.rpc('find_reports_in_bbox', {
+                    target_disaster_id: disasterId,
+                    min_lng: box.minLng,
+                    min_lat: box.minLat,
+                    max_lng: box.maxLng,
+                    max_lat: box.maxLat
+                });
+            } else {
+                query = supabase.from('reports').select('*').eq('disaster_id', disasterId);
+            }
+
+            if (priority) {
+                query = query.eq('priority', priority);
+            }
+            if (status) {
+                query = query.eq('verification_status', status);
+            }
+
+            const { data, error } = await query
+                .order('created_at', { ascending: false })
+                .range(offsetNum, offsetNum + limitNum - 1);
+
+            if (error) {
+                throw error;
+            }
+
+            reports = data || [];
+            logger.info(`Fetched ${reports.length} reports from Supabase for disaster ${disasterId}`);
+
+        } catch (error) {
+            logger.error(`Error querying Supabase for reports: ${error.message}`);
+
+            // Fall back to mock data
+            let filteredReports = mockReports.filter(r => r.disaster_id === disasterId);
+
+            if (priority) {
+                filteredReports = filteredReports.filter(r => r.priority === priority);
+            }
+            if (status) {
+                filteredReports = filteredReports.filter(r => r.verification_status === status);
+            }
+            if (box) {
+                filteredReports = filteredReports.filter(r => isPointInBoundingBox(r.location, box));
+            }
+            if (within) {
+                const { areas } = await getAffectedAreas(disasterId);
+                filteredReports = filterInsideAreas(filteredReports, areas);
+            }
+
+            reports = filteredReports
+                .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+                .slice(offsetNum, offsetNum + limitNum);
+            source = 'mock_data';
+        }
+
+        res.json({
+            disaster_id: disasterId,
+            data: reports,
+            meta: {
+                total_count: reports.length,
+                filters: {
+                    priority,
+                    status,
+                    bbox: box,
+                    within: within || null
+                },
+                pagination: { limit: limitNum, offset: offsetNum },
+                source,
+                last_updated: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error in GET /disasters/${req.params.id}/reports:`, error);
+        res.status(500).json({
+            error: 'Failed to fetch reports',
+            message: error.message
+        });
+    }
+});
+
+// GET /disasters/:id/reports/:reportId - Get specific report
+router.get('/:id/reports/:reportId', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId, reportId } = req.params;
+
+        const { data, error } = await supabase
+            .from('reports')
+            .select('*')
+            .eq('id', reportId)
+            .eq('disaster_id', disasterId)
+            .single();
+
+        if (error || !data) {
+            const mockReport = mockReports.find(r => r.id === reportId && r.disaster_id === disasterId);
+            if (mockReport) {
+                return res.json({
+                    data: mockReport,
+                    message: 'Using mock data'
+                });
+            }
+
+            return res.status(404).json({
+                error: 'Report not found',
+                reportId
+            });
+        }
+
+        res.json({ data });
+
+    } catch (error) {
+        logger.error(`Error in GET /disasters/${req.params.id}/reports/${req.params.reportId}:`, error);
+        res.status(500).json({
+            error: 'Failed to fetch report',
+            message: error.message
+        });
+    }
+});
+
+// POST /disasters/:id/reports - Submit a new citizen report
+router.post('/:id/reports', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId } = req.params;
+        const { content, image_url, location_name, location, priority } = req.body;
+
+        if (!content) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['content']
+            });
+        }
+
+        if (priority && !VALID_PRIORITIES.includes(priority)) {
+            return res.status(400).json({
+                error: 'Invalid priority',
+                allowed: VALID_PRIORITIES
+            });
+        }
+
+        if (image_url) {
+            try {
+                new URL(image_url);
+            } catch (error) {
+                return res.status(400).json({
+                    error: 'Invalid URL',
+                    message: 'image_url must be a valid URL'
+                });
+            }
+        }
+
+        if (!isValidLocation(location)) {
+            return res.status(400).json({
+                error: 'Invalid coordinates',
+                message: 'location.lat and location.lng must be valid numbers'
+            });
+        }
+
+        // The classifier sets the priority unless the reporter chose one; its score and explanation are kept either way
+        const classification = await classifyReport(disasterId, content);
+
+        const newReport = {
+            disaster_id: disasterId,
+            user_id: req.user.id,
+            content,
+            image_url: image_url || null,
+            location_name: location_name || null,
+            priority: priority || classification.priority,
+            priority_score: classification.score,
+            priority_explanation: classification.explanation,
+            verification_status: 'pending'
+        };
+
+        if (location && location.lat && location.lng) {
+            newReport.location = formatLocationForDB(location.lat, location.lng);
+        }
+
+        try {
+            const { data, error } = await supabase
+                .from('reports')
+                .insert([newReport])
+                .select()
+                .single();
+
+            if (error) {
+                throw error;
+            }
+
+            logger.info(`Created report ${data.id} for disaster ${disasterId} by user ${req.user.id}`);
+            emitReportUpdate(req, disasterId, 'create', data);
+
+            res.status(201).json({ data });
+
+        } catch (error) {
+            logger.error('Error creating report in Supabase:', error);
+
+            const mockResponse = {
+                ...newReport,
+                id: Math.random().toString(36).substr(2, 9),
+                location: location && location.lat && location.lng
+                    ? { type: 'Point', coordinates: [parseFloat(location.lng), parseFloat(location.lat)] }
+                    : null,
+                moderated_by: null,
+                moderated_at: null,
+                moderation_notes: null,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            };
+            mockReports.push(mockResponse);
+
+            emitReportUpdate(req, disasterId, 'create', mockResponse);
+
+            res.status(201).json({
+                data: mockResponse,
+                message: 'Created with mock data due to database connection issue'
+            });
+        }
+
+    } catch (error) {
+        logger.error(`Error in POST /disasters/${req.params.id}/reports:`, error);
+        res.status(500).json({
+            error: 'Failed to create report',
+            message: error.message
+        });
+    }
+});
+
+// PUT /disasters/:id/reports/:reportId - Update report content (author or admin)
+router.put('/:id/reports/:reportId', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId, reportId } = req.params;
+        const { content, image_url, location_name, location, priority } = req.body;
+
+        if (priority && !VALID_PRIORITIES.includes(priority)) {
+            return res.status(400).json({
+                error: 'Invalid priority',
+                allowed: VALID_PRIORITIES
+            });
+        }
+
+        if (image_url) {
+            try {
+                new URL(image_url);
+            } catch (error) {
+                return res.status(400).json({
+                    error: 'Invalid URL',
+                    message: 'image_url must be a valid URL'
+                });
+            }
+        }
+
+        if (!isValidLocation(location)) {
+            return res.status(400).json({
+                error: 'Invalid coordinates',
+                message: 'location.lat and location.lng must be valid numbers'
+            });
+        }
+
+        const updateData = {};
+        if (content) updateData.content = content;
+        if (image_url !== undefined) updateData.image_url = image_url || null;
+        if (location_name) updateData.location_name = location_name;
+        if (priority) updateData.priority = priority;
+        if (location && location.lat && location.lng) {
+            updateData.location = formatLocationForDB(location.lat, location.lng);
+        }
+
+        // Edited content is classified again; the priority itself only changes when given
+        if (content) {
+            const classification = await classifyReport(disasterId, content);
+            updateData.priority_score = classification.score;
+            updateData.priority_explanation = classification.explanation;
+        }
+
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({
+                error: 'No updatable fields provided',
+                allowed: ['content', 'image_url', 'location_name', 'location', 'priority']
+            });
+        }
+
+        const { data: existing, error: fetchError } = await supabase
+            .from('reports')
+            .select('user_id')
+            .eq('id', reportId)
+            .eq('disaster_id', disasterId)
+            .single();
+
+        if (fetchError || !existing) {
+            const mockReport = mockReports.find(r => r.id === reportId && r.disaster_id === disasterId);
+            if (!mockReport) {
+                return res.status(404).json({
+                    error: 'Report not found',
+                    reportId
+                });
+            }
+
+            if (mockReport.user_id !== req.user.id && req.user.role !== 'admin') {
+                return res.status(403).json({
+                    error: 'Insufficient permissions',
+                    message: 'You can only update your own reports'
+                });
+            }
+
+            Object.assign(mockReport, updateData, {
+                location: updateData.location
+                    ? { type: 'Point', coordinates: [parseFloat(location.lng), parseFloat(location.lat)] }
+                    : mockReport.location,
+                updated_at: new Date().toISOString()
+            });
+
+            emitReportUpdate(req, disasterId, 'update', mockReport);
+
+            return res.json({
+                data: mockReport,
+                message: 'Updated mock data due to database connection issue'
+            });
+        }
+
+        if (existing.user_id !== req.user.id && req.user.role !== 'admin') {
+            return res.status(403).json({
+                error: 'Insufficient permissions',
+                message: 'You can only update your own reports'
+            });
+        }
+
+        const { data, error } = await supabase
+            .from('reports')
+            .update(updateData)
+            .eq('id', reportId)
+            .eq('disaster_id', disasterId)
+            .select()
+            .single();
+
+        if (error) {
+            logger.error(`Error updating report ${reportId}:`, error);
+            return res.status(500).json({
+                error: 'Failed to update report',
+                message: error.message
+            });
+        }
+
+        logger.info(`Updated report ${reportId} for disaster ${disasterId} by user ${req.user.id}`);
+        emitReportUpdate(req, disasterId, 'update', data);
+
+        res.json({ data });
+
+    } catch (error) {
+        logger.error(`Error in PUT /disasters/${req.params.id}/reports/${req.params.reportId}:`, error);
+        res.status(500).json({
+            error: 'Failed to update report',
+            message: error.message
+        });
+    }
+});
+
+// POST /disasters/:id/reports/:reportId/moderate - Set verification status (admin only)
+router.post('/:id/reports/:reportId/moderate', authenticateUser, requireRole(['admin']), async (req, res) => {
+    try {
+        const { id: disasterId, reportId } = req.params;
+        const { verification_status, priority, notes } = req.body;
+
+        if (!VALID_VERIFICATION_STATUSES.includes(verification_status)) {
+            return res.status(400).json({
+                error: 'Invalid verification_status',
+                allowed: VALID_VERIFICATION_STATUSES
+            });
+        }
+
+        if (priority && !VALID_PRIORITIES.includes(priority)) {
+            return res.status(400).json({
+                error: 'Invalid priority',
+                allowed: VALID_PRIORITIES
+            });
+        }
+
+        const moderation = {
+            verification_status,
+            moderated_by: req.user.id,
+            moderated_at: new Date().toISOString(),
+            moderation_notes: notes || null
+        };
+        if (priority) moderation.priority = priority;
+
+        const { data, error } = await supabase
+            .from('reports')
+            .update(moderation)
+            .eq('id', reportId)
+            .eq('disaster_id', disasterId)
+            .select()
+            .single();
+
+        if (error || !data) {
+            const mockReport = mockReports.find(r => r.id === reportId && r.disaster_id === disasterId);
+            if (!mockReport) {
+                return res.status(404).json({
+                    error: 'Report not found',
+                    reportId
+                });
+            }
+
+            Object.assign(mockReport, moderation, { updated_at: moderation.moderated_at });
+            emitReportUpdate(req, disasterId, 'moderate', mockReport);
+
+            return res.json({
+                data: mockReport,
+                message: 'Moderated mock data due to database connection issue'
+            });
+        }
+
+        logger.info(`Report ${reportId} marked ${verification_status} by admin ${req.user.id}`);
+        emitReportUpdate(req, disasterId, 'moderate', data);
+
+        res.json({ data });
+
+    } catch (error) {
+        logger.error(`Error in POST /disasters/${req.params.id}/reports/${req.params.reportId}/moderate:`, error);
+        res.status(500).json({
+            error: 'Failed to moderate report',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,375 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const { authenticateUser } = require('../middleware/auth');
+const {
+    RESERVATION_STATUSES,
+    ARRIVAL_GRACE_MINUTES,
+    DEFAULT_HOLD_MINUTES,
+    MAX_HOLD_HOURS,
+    MAX_PARTY_SIZE,
+    getFreePlaces,
+    holdMockPlaces,
+    finishMockReservation,
+    emitReservationUpdate
+} = require('../utils/reservations');
+const { canManageResource } = require('../utils/permissions');
+const mockResources = require('../data/mockResources');
+const mockReservations = require('../data/mockReservations');
+
+// Helper function to find a resource of a disaster; `mock` tells callers which store holds its reservations
+async function findResource(disasterId, resourceId) {
+    const { data, error } = await supabase
+        .from('resources')
+        .select('*')
+        .eq('id', resourceId)
+        .eq('disaster_id', disasterId)
+        .single();
+
+    if (!error && data) {
+        return { resource: data, mock: false };
+    }
+
+    const mockResource = mockResources.find(r => r.id === resourceId && r.disaster_id === disasterId);
+    return { resource: mockResource || null, mock: true };
+}
+
+// Helper function to find a reservation at a resource in the store the resource lives in
+async function findReservation(resourceId, reservationId, mock) {
+    if (mock) {
+        return mockReservations.find(r => r.id === reservationId && r.resource_id === resourceId) || null;
+    }
+
+    const { data, error } = await supabase
+        .from('reservations')
+        .select('*')
+        .eq('id', reservationId)
+        .eq('resource_id', resourceId)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+    return data;
+}
+
+// Helper function to describe a resource's places for responses
+function describeCapacity(resource) {
+    return {
+        capacity: resource.capacity,
+        occupied: resource.current_occupancy,
+        reserved: resource.reserved_count || 0,
+        available: getFreePlaces(resource)
+    };
+}
+
+// Helper function to work out when a new hold expires; returns { expiresAt } or { error }
+function getHoldExpiry({ hold_expires_at: holdExpiresAt, hold_minutes: holdMinutes }, arrival, now) {
+    let expiresAt;
+    if (holdExpiresAt !== undefined) {
+        expiresAt = new Date(holdExpiresAt).getTime();
+    } else if (holdMinutes !== undefined) {
+        expiresAt = Number.isInteger(holdMinutes) && holdMinutes > 0 ? now + holdMinutes * 60 * 1000 : NaN;
+    } else if (arrival) {
+        expiresAt = Math.max(arrival, now) + ARRIVAL_GRACE_MINUTES * 60 * 1000;
+    } else {
+        expiresAt = now + DEFAULT_HOLD_MINUTES * 60 * 1000;
+    }
+
+    if (isNaN(expiresAt) || expiresAt <= now) {
+        return { error: 'hold_expires_at must be a future ISO 8601 timestamp (or hold_minutes a positive integer)' };
+    }
+    if (expiresAt > now + MAX_HOLD_HOURS * 60 * 60 * 1000) {
+        return { error: `Holds can last at most ${MAX_HOLD_HOURS} hours; create a new one closer to arrival` };
+    }
+    return { expiresAt };
+}
+
+// GET /disasters/:id/resources/:resourceId/reservations - List holds at a resource, newest first
+router.get('/:id/resources/:resourceId/reservations', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId, resourceId } = req.params;
+        const { status } = req.query;
+
+        if (status && !RESERVATION_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                allowed: RESERVATION_STATUSES
+            });
+        }
+
+        const { resource, mock } = await findResource(disasterId, resourceId);
+        if (!resource) {
+            return res.status(404).json({
+                error: 'Resource not found',
+                resourceId
+            });
+        }
+
+        let reservations;
+        if (mock) {
+            reservations = mockReservations
+                .filter(r => r.resource_id === resourceId && (!status || r.status === status))
+                .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+        } else {
+            let query = supabase
+                .from('reservations')
+                .select('*')
+                .eq('resource_id', resourceId);
+
+            if (status) {
+                query = query.eq('status', status);
+            }
+
+            const { data, error } = await query.order('created_at', { ascending: false });
+
+            if (error) {
+                throw error;
+            }
+            reservations = data || [];
+        }
+
+        res.json({
+            disaster_id: disasterId,
+            resource_id: resourceId,
+            data: reservations,
+            capacity: describeCapacity(resource),
+            meta: {
+                total_count: reservations.length,
+                filters: { status: status || null },
+                source: mock ? 'mock_data' : 'supabase',
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error in GET /disasters/${req.params.id}/resources/${req.params.resourceId}/reservations:`, error);
+        res.status(500).json({
+            error: 'Failed to fetch reservations',
+            message: error.message
+        });
+    }
+});
+
+// POST /disasters/:id/resources/:resourceId/reservations - Hold places for an incoming group
+router.post('/:id/resources/:resourceId/reservations', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId, resourceId } = req.params;
+        const body = req.body || {};
+        const { party_size: partySize, expected_arrival: expectedArrival, reference, contact, note } = body;
+        const now = Date.now();
+
+        if (!Number.isInteger(partySize) || partySize < 1 || partySize > MAX_PARTY_SIZE) {
+            return res.status(400).json({
+                error: 'Invalid party_size',
+                message: `party_size must be an integer between 1 and ${MAX_PARTY_SIZE}`
+            });
+        }
+
+        const arrival = expectedArrival !== undefined ? new Date(expectedArrival).getTime() : null;
+        if (arrival !== null && isNaN(arrival)) {
+            return res.status(400).json({
+                error: 'Invalid expected_arrival',
+                message: 'expected_arrival must be an ISO 8601 timestamp'
+            });
+        }
+
+        const expiry = getHoldExpiry(body, arrival, now);
+        if (expiry.error) {
+            return res.status(400).json({
+                error: 'Invalid hold expiry',
+                message: expiry.error
+            });
+        }
+
+        const { resource, mock } = await findResource(disasterId, resourceId);
+        if (!resource) {
+            return res.status(404).json({
+                error: 'Resource not found',
+                resourceId
+            });
+        }
+
+        if (!canManageResource(resource, req.user)) {
+            return res.status(403).json({
+                error: 'Insufficient permissions',
+                message: 'You can only hold places at resources you created or manage'
+            });
+        }
+
+        const booking = {
+            resource_id: resourceId,
+            disaster_id: disasterId,
+            party_size: partySize,
+            expected_arrival: arrival !== null ? new Date(arrival).toISOString() : null,
+            hold_expires_at: new Date(expiry.expiresAt).toISOString(),
+            reference: reference || null,
+            contact: contact || null,
+            note: note || null,
+            created_by: req.user.id
+        };
+
+        let result;
+        if (mock) {
+            result = holdMockPlaces(resource, booking);
+        } else {
+            const { data, error } = await supabase.rpc('create_resource_reservation', {
+                target_resource_id: resourceId,
+                target_disaster_id: disasterId,
+                party: partySize,
+                arrival: booking.expected_arrival,
+                expires_at: booking.hold_expires_at,
+                booking_reference: booking.reference,
+                booking_contact: booking.contact,
+                booking_note: booking.note,
+                reserved_by: req.user.id
+            });
+
+            // check_violation: not enough free places once occupancy and other holds are counted
+            if (error && error.code === '23514') {
+                result = { insufficient: true };
+            } else if (error) {
+                throw error;
+            } else {
+                const { resource: updated } = await findResource(disasterId, resourceId);
+                result = { reservation: data[0], resource: updated };
+            }
+        }
+
+        if (result.insufficient) {
+            const { resource: latest } = mock ? { resource } : await findResource(disasterId, resourceId);
+            return res.status(409).json({
+                error: 'Not enough space',
+                message: latest.status === 'inactive'
+                    ? 'Resource is inactive and not accepting reservations'
+                    : `Only ${getFreePlaces(latest)} of ${latest.capacity} places are free to hold`,
+                capacity: describeCapacity(latest)
+            });
+        }
+
+        logger.info(`Held ${partySize} places at resource ${resourceId} until ${booking.hold_expires_at} by user ${req.user.id}`);
+        emitReservationUpdate(req.app.get('io'), 'held', result.reservation, result.resource);
+
+        res.status(201).json({
+            data: result.reservation,
+            capacity: describeCapacity(result.resource),
+            ...(mock ? { message: 'Created with mock data due to database connection issue' } : {})
+        });
+
+    } catch (error) {
+        logger.error(`Error in POST /disasters/${req.params.id}/resources/${req.params.resourceId}/reservations:`, error);
+        res.status(500).json({
+            error: 'Failed to create reservation',
+            message: error.message
+        });
+    }
+});
+
+// Helper function to end a hold as checked in or cancelled and report the resource's new capacity
+async function finishReservation(req, res, outcome) {
+    const { id: disasterId, resourceId, reservationId } = req.params;
+    const arrived = outcome === 'checked_in' && req.body && req.body.arrived_count !== undefined
+        ? req.body.arrived_count
+        : null;
+
+    const { resource, mock } = await findResource(disasterId, resourceId);
+    if (!resource) {
+        return res.status(404).json({
+            error: 'Resource not found',
+            resourceId
+        });
+    }
+
+    const reservation = await findReservation(resourceId, reservationId, mock);
+    if (!reservation) {
+        return res.status(404).json({
+            error: 'Reservation not found',
+            reservationId
+        });
+    }
+
+    if (reservation.created_by !== req.user.id && !canManageResource(resource, req.user)) {
+        return res.status(403).json({
+            error: 'Insufficient permissions',
+            message: 'You can only check in or cancel holds you placed or at resources you created or manage'
+        });
+    }
+
+    // Fewer people may arrive than were booked; the rest of the hold is released
+    if (arrived !== null && (!Number.isInteger(arrived) || arrived < 0 || arrived > reservation.party_size)) {
+        return res.status(400).json({
+            error: 'Invalid arrived_count',
+            message: `arrived_count must be an integer between 0 and the party size (${reservation.party_size})`
+        });
+    }
+
+    let result;
+    if (mock) {
+        result = finishMockReservation(reservation, outcome, arrived);
+    } else {
+        const { data, error } = await supabase.rpc('finish_resource_reservation', {
+            target_reservation_id: reservationId,
+            outcome,
+            arrived
+        });
+
+        // object_not_in_prerequisite_state: the hold was already used, cancelled or has lapsed
+        if (error && error.code === '55000') {
+            result = { notHeld: true };
+        } else if (error) {
+            throw error;
+        } else {
+            const { resource: updated } = await findResource(disasterId, resourceId);
+            result = { reservation: data[0], resource: updated };
+        }
+    }
+
+    if (result.notHeld) {
+        const latest = await findReservation(resourceId, reservationId, mock);
+        return res.status(409).json({
+            error: 'Reservation is not held',
+            message: latest.status === 'held'
+                ? `The hold expired at ${latest.hold_expires_at}; check the group in directly if there is space`
+                : `Reservation is already ${latest.status.replace('_', ' ')}`,
+            data: latest
+        });
+    }
+
+    logger.info(`Reservation ${reservationId} at resource ${resourceId} ${outcome.replace('_', ' ')} by user ${req.user.id}`);
+    emitReservationUpdate(req.app.get('io'), outcome, result.reservation, result.resource);
+
+    res.json({
+        data: result.reservation,
+        capacity: result.resource ? describeCapacity(result.resource) : null,
+        ...(mock ? { message: 'Updated mock data due to database connection issue' } : {})
+    });
+}
+
+// POST /disasters/:id/resources/:resourceId/reservations/:reservationId/check-in - Convert a hold into a check-in on arrival
+router.post('/:id/resources/:resourceId/reservations/:reservationId/check-in', authenticateUser, async (req, res) => {
+    try {
+        await finishReservation(req, res, 'checked_in');
+    } catch (error) {
+        logger.error(`Error in POST /disasters/${req.params.id}/resources/${req.params.resourceId}/reservations/${req.params.reservationId}/check-in:`, error);
+        res.status(500).json({
+            error: 'Failed to check in reservation',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /disasters/:id/resources/:resourceId/reservations/:reservationId - Cancel a hold and free its places
+router.delete('/:id/resources/:resourceId/reservations/:reservationId', authenticateUser, async (req, res) => {
+    try {
+        await finishReservation(req, res, 'cancelled');
+    } catch (error) {
+        logger.error(`Error in DELETE /disasters/${req.params.id}/resources/${req.params.resourceId}/reservations/${req.params.reservationId}:`, error);
+        res.status(500).json({
+            error: 'Failed to cancel reservation',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
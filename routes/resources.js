@@ -1,108 +1,287 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const supabase = require('../config/supabase');
 const logger = require('../utils/logger');
 const cache = require('../utils/cache');
 const { authenticateUser } = require('../middleware/auth');
+const { calculateDistance, formatLocationForDB, getCoordinates } = require('../utils/geo');
+const { formatETag, getExpectedVersion, sendVersionConflict } = require('../utils/concurrency');
+const { getAffectedAreas, filterInsideAreas } = require('../utils/affectedAreas');
+const { BEST_RESOURCE_WEIGHTS, rankBestResources } = require('../utils/matching');
+const { validateSchedule, validateClosure, getAvailability } = require('../utils/schedule');
+const { detectImportFormat, parseImport, resourcesToCSV, resourcesToGeoJSON } = require('../utils/resourceImport');
+const { getFreePlaces, getCapacityStatus } = require('../utils/reservations');
+const { recordMockSample } = require('../utils/occupancyHistory');
+const { canManageResource } = require('../utils/permissions');
+const mockResources = require('../data/mockResources');
 
-// Mock resource data for testing
-const mockResources = [
-    {
-        id: '1',
-        disaster_id: '1',
-        name: 'Red Cross Emergency Shelter',
-        location_name: 'Lower East Side Community Center, NYC',
-        location: { type: 'Point', coordinates: [-73.9857, 40.7831] },
-        type: 'shelter',
-        capacity: 150,
-        current_occupancy: 45,
-        contact: '+1-555-0123',
-        amenities: ['food', 'medical', 'blankets', 'charging_stations'],
-        status: 'active',
-        created_at: new Date().toISOString()
-    },
-    {
-        id: '2',
-        disaster_id: '1',
-        name: 'Manhattan General Hospital',
-        location_name: 'Manhattan General Hospital, NYC',
-        location: { type: 'Point', coordinates: [-73.9776, 40.7831] },
-        type: 'medical',
-        capacity: 200,
-        current_occupancy: 120,
-        contact: '+1-555-0456',
-        amenities: ['emergency_care', 'surgery', 'pharmacy', 'ambulance'],
-        status: 'active',
-        created_at: new Date().toISOString()
-    },
-    {
-        id: '3',
-        disaster_id: '1',
-        name: 'Food Distribution Center',
-        location_name: 'Union Square, NYC',
-        location: { type: 'Point', coordinates: [-73.9903, 40.7359] },
-        type: 'food',
-        capacity: 500,
+const RESOURCE_STATUSES = ['active', 'inactive', 'full'];
+const EXPORT_FORMATS = ['csv', 'geojson'];
+
+// Fields PUT /resources/:resourceId may change; disaster_id, created_by, reserved_count and the like are rejected
+const UPDATABLE_FIELDS = [
+    'name',
+    'location_name',
+    'type',
+    'location',
+    'capacity',
+    'current_occupancy',
+    'contact',
+    'amenities',
+    'status',
+    'external_id',
+    'managers'
+];
+// Fields whose before/after values are tracked in a resource's audit_trail
+const AUDITED_FIELDS = [...UPDATABLE_FIELDS, 'schedule', 'closures'];
+
+// Import files are parsed in memory; 5 MB comfortably holds the row limit
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+// Helper function to validate a resource body for creation (or, with partial, for an update of the given fields).
+// Imports may also set status and current_occupancy; single creation always starts active and empty.
+// Returns { errors, fields } where fields holds only the validated values that were provided.
+function validateResourceInput(input, { partial = false, allowOperational = false } = {}) {
+    const errors = [];
+    const fields = {};
+    const body = input || {};
+
+    ['name', 'location_name', 'type'].forEach(field => {
+        if (partial && body[field] === undefined) return;
+        if (body[field] === null || body[field] === undefined || body[field] === '') {
+            errors.push({ field, message: partial ? `${field} cannot be empty` : `${field} is required` });
+        } else if (typeof body[field] !== 'string' || body[field].length > 255) {
+            errors.push({ field, message: `${field} must be text of at most 255 characters` });
+        } else {
+            fields[field] = body[field];
+        }
+    });
+
+    if (body.external_id !== undefined && body.external_id !== null) {
+        if (typeof body.external_id !== 'string' || !body.external_id.trim() || body.external_id.length > 100) {
+            errors.push({ field: 'external_id', message: 'external_id must be text of at most 100 characters' });
+        } else {
+            fields.external_id = body.external_id.trim();
+        }
+    }
+
+    if (body.capacity !== undefined && body.capacity !== null) {
+        if (!Number.isInteger(body.capacity) || body.capacity < 0) {
+            errors.push({ field: 'capacity', message: 'capacity must be a non-negative integer' });
+        } else {
+            fields.capacity = body.capacity;
+        }
+    }
+
+    if (body.contact !== undefined && body.contact !== null) {
+        fields.contact = String(body.contact);
+    }
+
+    if (body.amenities !== undefined) {
+        if (!Array.isArray(body.amenities) || body.amenities.some(a => typeof a !== 'string')) {
+            errors.push({ field: 'amenities', message: 'amenities must be a list of strings' });
+        } else {
+            fields.amenities = body.amenities;
+        }
+    }
+
+    if (body.location !== undefined && body.location !== null) {
+        const { lat, lng } = body.location;
+        if (typeof lat !== 'number' || typeof lng !== 'number' || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+            errors.push({ field: 'location', message: 'location needs numeric lat (-90 to 90) and lng (-180 to 180)' });
+        } else {
+            fields.location = { lat, lng };
+        }
+    }
+
+    if (body.schedule !== undefined && body.schedule !== null) {
+        const scheduleError = validateSchedule(body.schedule);
+        if (scheduleError) {
+            errors.push({ field: 'schedule', message: scheduleError });
+        } else {
+            fields.schedule = body.schedule;
+        }
+    }
+
+    if (body.closures !== undefined) {
+        const closuresError = Array.isArray(body.closures)
+            ? body.closures.map(validateClosure).find(Boolean)
+            : 'closures must be an array';
+        if (closuresError) {
+            errors.push({ field: 'closures', message: closuresError });
+        } else {
+            fields.closures = body.closures.map(closure => ({
+                id: Math.random().toString(36).substr(2, 9),
+                starts_at: new Date(closure.starts_at).toISOString(),
+                ends_at: new Date(closure.ends_at).toISOString(),
+                reason: closure.reason || null
+            }));
+        }
+    }
+
+    if (body.managers !== undefined) {
+        if (!Array.isArray(body.managers) || body.managers.some(m => typeof m !== 'string' || !m.trim())) {
+            errors.push({ field: 'managers', message: 'managers must be a list of user ids' });
+        } else {
+            fields.managers = [...new Set(body.managers.map(m => m.trim()))];
+        }
+    }
+
+    if (allowOperational) {
+        if (body.status !== undefined) {
+            if (!RESOURCE_STATUSES.includes(body.status)) {
+                errors.push({ field: 'status', message: `status must be one of ${RESOURCE_STATUSES.join(', ')}` });
+            } else {
+                fields.status = body.status;
+            }
+        }
+
+        if (body.current_occupancy !== undefined) {
+            if (!Number.isInteger(body.current_occupancy) || body.current_occupancy < 0) {
+                errors.push({ field: 'current_occupancy', message: 'current_occupancy must be a non-negative integer' });
+            } else if (fields.capacity !== undefined && body.current_occupancy > fields.capacity) {
+                errors.push({ field: 'current_occupancy', message: 'current_occupancy cannot exceed capacity' });
+            } else {
+                fields.current_occupancy = body.current_occupancy;
+            }
+        }
+    }
+
+    return { errors, fields };
+}
+
+// Helper function to convert validated fields to a storable row; mock rows keep GeoJSON locations
+function toResourceRow(fields, useMock) {
+    const { location, ...row } = fields;
+    if (location) {
+        row.location = useMock
+            ? { type: 'Point', coordinates: [location.lng, location.lat] }
+            : formatLocationForDB(location.lat, location.lng);
+    }
+    return row;
+}
+
+// Helper function to build a new resource from validated fields with the defaults single creation uses
+function buildNewResource(fields, disasterId, userId, useMock) {
+    return {
+        disaster_id: disasterId,
+        capacity: 0,
         current_occupancy: 0,
-        contact: '+1-555-0789',
-        amenities: ['hot_meals', 'water', 'snacks', 'baby_formula'],
-        status: 'active',
-        created_at: new Date().toISOString()
-    },
-    {
-        id: '4',
-        disaster_id: '1',
-        name: 'Emergency Supply Depot',
-        location_name: 'Brooklyn Bridge Area, NYC',
-        location: { type: 'Point', coordinates: [-73.9969, 40.7061] },
-        type: 'supplies',
-        capacity: 1000,
-        current_occupancy: 300,
-        contact: '+1-555-0234',
-        amenities: ['blankets', 'clothing', 'hygiene_kits', 'flashlights'],
+        contact: '',
+        amenities: [],
         status: 'active',
-        created_at: new Date().toISOString()
-    },
-    {
-        id: '5',
-        disaster_id: '2',
-        name: 'Evacuation Center West',
-        location_name: 'Santa Monica, CA',
-        location: { type: 'Point', coordinates: [-118.4912, 34.0195] },
-        type: 'evacuation',
-        capacity: 300,
-        current_occupancy: 180,
-        contact: '+1-555-0567',
-        amenities: ['temporary_housing', 'food', 'medical', 'pet_care'],
-        status: 'active',
-        created_at: new Date().toISOString()
-    },
-    {
-        id: '6',
-        disaster_id: '1',
-        name: 'Mobile Medical Unit #1',
-        location_name: 'Central Park South, NYC',
-        location: { type: 'Point', coordinates: [-73.9735, 40.7676] },
-        type: 'medical',
-        capacity: 50,
-        current_occupancy: 15,
-        contact: '+1-555-0890',
-        amenities: ['first_aid', 'medication', 'triage'],
-        status: 'active',
-        created_at: new Date().toISOString()
+        schedule: null,
+        closures: [],
+        managers: [],
+        ...toResourceRow(fields, useMock),
+        created_by: userId,
+        audit_trail: [{
+            action: 'create',
+            user_id: userId,
+            timestamp: new Date().toISOString()
+        }]
+    };
+}
+
+// Helper function to explain why a user may not apply these changes to a resource, or return null.
+// Only admins and the creator may change who manages it, so a manager cannot hand the resource on.
+function getEditRejection(resource, user, fields) {
+    if (!canManageResource(resource, user)) {
+        return 'You can only update resources you created or manage';
     }
-];
+    if (fields.managers !== undefined && user.role !== 'admin' && resource.created_by !== user.id &&
+        JSON.stringify(fields.managers) !== JSON.stringify(resource.managers || [])) {
+        return 'Only the creator or an admin can change managers';
+    }
+    return null;
+}
+
+// Helper function to check that occupied and held places still fit once capacity or occupancy change;
+// returns a validation error or null
+function getCapacityError(resource, fields) {
+    if (fields.capacity === undefined && fields.current_occupancy === undefined) return null;
+
+    const capacity = fields.capacity !== undefined ? fields.capacity : resource.capacity;
+    const occupancy = fields.current_occupancy !== undefined ? fields.current_occupancy : resource.current_occupancy;
+    const reserved = resource.reserved_count || 0;
+    if (occupancy + reserved <= capacity) return null;
+
+    return {
+        field: fields.capacity !== undefined ? 'capacity' : 'current_occupancy',
+        message: `capacity ${capacity} cannot hold ${occupancy} occupied and ${reserved} held places`
+    };
+}
+
+// Helper function to keep full/active in step with new capacity or occupancy figures unless the status is set explicitly
+function withCapacityStatus(resource, fields) {
+    if (fields.status !== undefined || (fields.capacity === undefined && fields.current_occupancy === undefined)) {
+        return fields;
+    }
+    return { ...fields, status: getCapacityStatus({ ...resource, ...fields }) };
+}
+
+// Helper function to build a field-level diff between the stored resource and validated changes
+function buildResourceDiff(current, fields) {
+    const diff = {};
+    AUDITED_FIELDS.forEach(field => {
+        if (fields[field] === undefined) return;
+        const stored = field === 'location' ? getCoordinates(current) : current[field];
+        const before = stored === undefined ? null : stored;
+        if (JSON.stringify(before) !== JSON.stringify(fields[field])) {
+            diff[field] = { from: before, to: fields[field] };
+        }
+    });
+    return diff;
+}
+
+// Helper function to append an audit entry for the fields that actually change to a resource update
+function withAuditEntry(current, fields, changes, userId, action) {
+    const diff = buildResourceDiff(current, fields);
+    if (Object.keys(diff).length === 0) {
+        return changes;
+    }
+
+    return {
+        ...changes,
+        audit_trail: [...(current.audit_trail || []), {
+            action,
+            user_id: userId,
+            timestamp: new Date().toISOString(),
+            changes: Object.keys(diff),
+            diff
+        }]
+    };
+}
 
-// Helper function to calculate distance between two points (Haversine formula)
-function calculateDistance(lat1, lng1, lat2, lng2) {
-    const R = 6371; // Earth's radius in kilometers
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLng = (lng2 - lng1) * Math.PI / 180;
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-        Math.sin(dLng / 2) * Math.sin(dLng / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
+// Helper function to accept an optional multipart upload (field "file") and surface upload errors as 400s
+function receiveUpload(req, res) {
+    return new Promise((resolve, reject) => {
+        upload.single('file')(req, res, error => (error ? reject(error) : resolve()));
+    });
+}
+
+// Helper function to load the disaster's resources that carry an external id, keyed by it
+async function loadResourcesByExternalId(disasterId) {
+    const { data, error } = await supabase
+        .from('resources')
+        .select('*')
+        .eq('disaster_id', disasterId)
+        .not('external_id', 'is', null);
+
+    if (error) {
+        logger.error(`Error loading resources for import: ${error.message}`);
+        const mockMatches = mockResources.filter(r => r.disaster_id === disasterId && r.external_id);
+        return { byExternalId: new Map(mockMatches.map(r => [r.external_id, r])), useMock: true };
+    }
+
+    return { byExternalId: new Map((data || []).map(r => [r.external_id, r])), useMock: false };
+}
+
+// Helper function to push resource changes to everyone watching the disaster
+function notifyResourcesUpdated(req, disasterId, payload) {
+    const io = req.app.get('io');
+    io.to(`disaster_${disasterId}`).emit('resources_updated', payload);
 }
 
 // Helper function to filter resources by distance
@@ -120,11 +299,288 @@ function filterResourcesByDistance(resources, lat, lng, radiusKm = 10) {
     }).sort((a, b) => a.distance_km - b.distance_km);
 }
 
+// Helper function to persist resource changes only if the stored version is still the one that was read
+async function saveResourceChanges(current, changes, mockResource) {
+    if (mockResource) {
+        Object.assign(mockResource, changes, {
+            version: (mockResource.version || 1) + 1,
+            updated_at: new Date().toISOString()
+        });
+        recordMockSample(mockResource);
+        return { data: mockResource };
+    }
+
+    const { data, error } = await supabase
+        .from('resources')
+        .update({ ...changes, version: current.version + 1 })
+        .eq('id', current.id)
+        .eq('disaster_id', current.disaster_id)
+        .eq('version', current.version)
+        .select()
+        .single();
+
+    if (data) {
+        return { data };
+    }
+
+    const { data: latest } = await supabase
+        .from('resources')
+        .select('*')
+        .eq('id', current.id)
+        .single();
+
+    if (latest && latest.version !== current.version) {
+        return { conflict: latest };
+    }
+
+    return { error: error || new Error('Resource could not be updated') };
+}
+
+// Helper function to read the open_at / open_now query filters. Availability is computed at open_at
+// (or now) either way; only_open says whether closed resources should be dropped.
+function parseAvailabilityFilter(query) {
+    const { open_at: openAt, open_now: openNow } = query;
+
+    if (openAt !== undefined) {
+        const at = new Date(openAt).getTime();
+        if (isNaN(at)) {
+            return { error: 'open_at must be an ISO 8601 timestamp' };
+        }
+        return { at, onlyOpen: true };
+    }
+
+    return { at: Date.now(), onlyOpen: openNow === 'true' };
+}
+
+// Helper function to attach opening information to resources and optionally drop closed ones
+function applyAvailability(resources, { at, onlyOpen }) {
+    return resources
+        .map(resource => ({ ...resource, availability: getAvailability(resource, at) }))
+        .filter(resource => !onlyOpen || resource.availability.open_now);
+}
+
+// Helper function to load a resource for a versioned update, falling back to mock data
+async function findResourceForUpdate(disasterId, resourceId) {
+    const { data: existing, error: fetchError } = await supabase
+        .from('resources')
+        .select('*')
+        .eq('id', resourceId)
+        .eq('disaster_id', disasterId)
+        .single();
+
+    const mockResource = (fetchError || !existing)
+        ? mockResources.find(r => r.id === resourceId && r.disaster_id === disasterId)
+        : null;
+
+    return { current: existing || mockResource, mockResource };
+}
+
+// Helper function to apply a schedule or closure change with the usual If-Match check and socket update.
+// buildChanges returns { changes } or { status, body } to reject the request.
+async function updateResourceHours(req, res, action, buildChanges) {
+    const { id: disasterId, resourceId } = req.params;
+
+    const expectedVersion = getExpectedVersion(req);
+    if (Number.isNaN(expectedVersion)) {
+        return res.status(400).json({
+            error: 'Invalid version',
+            message: 'If-Match must be an ETag returned by this API, e.g. "3"'
+        });
+    }
+
+    const { current, mockResource } = await findResourceForUpdate(disasterId, resourceId);
+
+    if (!current) {
+        return res.status(404).json({
+            error: 'Resource not found',
+            resourceId
+        });
+    }
+
+    if (!canManageResource(current, req.user)) {
+        return res.status(403).json({
+            error: 'Insufficient permissions',
+            message: 'You can only update resources you created or manage'
+        });
+    }
+
+    if (expectedVersion !== null && expectedVersion !== current.version) {
+        return sendVersionConflict(res, current, 'Resource');
+    }
+
+    const outcome = buildChanges(current);
+    if (outcome.status) {
+        return res.status(outcome.status).json(outcome.body);
+    }
+
+    const changes = withAuditEntry(current, outcome.changes, outcome.changes, req.user.id, action);
+    const result = await saveResourceChanges(current, changes, mockResource);
+
+    if (result.conflict) {
+        return sendVersionConflict(res, result.conflict, 'Resource');
+    }
+
+    if (result.error) {
+        logger.error(`Error updating hours of resource ${resourceId}:`, result.error);
+        return res.status(500).json({
+            error: 'Failed to update resource hours',
+            message: result.error.message
+        });
+    }
+
+    const data = { ...result.data, availability: getAvailability(result.data) };
+    logger.info(`${action} for resource ${resourceId} (version ${data.version}) by user ${req.user.id}`);
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    io.to(`disaster_${disasterId}`).emit('resources_updated', {
+        action,
+        data
+    });
+
+    res.set('ETag', formatETag(data.version));
+    res.status(outcome.created ? 201 : 200).json({
+        data,
+        ...(mockResource ? { message: 'Updated mock data due to database connection issue' } : {})
+    });
+}
+
+// Explain why an occupancy change was rejected; returns null if it is allowed.
+// Places held by reservations are not available to walk-in check-ins.
+function getOccupancyRejection(resource, delta) {
+    const occupancy = resource.current_occupancy + delta;
+    const reserved = resource.reserved_count || 0;
+    if (delta > 0 && resource.status === 'inactive') {
+        return 'Resource is inactive and not accepting check-ins';
+    }
+    if (occupancy < 0) {
+        return `Only ${resource.current_occupancy} people are checked in`;
+    }
+    if (delta > 0 && occupancy + reserved > resource.capacity) {
+        return `Check-in would exceed capacity (${getFreePlaces(resource)} of ${resource.capacity} places available` +
+            (reserved > 0 ? `, ${reserved} held for reservations)` : ')');
+    }
+    return null;
+}
+
+// Helper function to check people in (direction 1) or out (direction -1) of a resource.
+// Supabase applies the change in a single conditional UPDATE so concurrent check-ins cannot overfill a shelter.
+async function adjustOccupancy(req, res, direction) {
+    const { id: disasterId, resourceId } = req.params;
+    const { count = 1 } = req.body || {};
+    const action = direction > 0 ? 'check_in' : 'check_out';
+
+    if (!Number.isInteger(count) || count < 1 || count > 1000) {
+        return res.status(400).json({
+            error: 'Invalid count',
+            message: 'count must be an integer between 1 and 1000'
+        });
+    }
+
+    const { current: target } = await findResourceForUpdate(disasterId, resourceId);
+
+    if (!target) {
+        return res.status(404).json({
+            error: 'Resource not found',
+            resourceId
+        });
+    }
+
+    if (!canManageResource(target, req.user)) {
+        return res.status(403).json({
+            error: 'Insufficient permissions',
+            message: 'You can only check people in or out of resources you created or manage'
+        });
+    }
+
+    const delta = direction * count;
+    let data;
+    let mockResource = null;
+
+    const { data: updated, error } = await supabase.rpc('adjust_resource_occupancy', {
+        target_resource_id: resourceId,
+        target_disaster_id: disasterId,
+        delta
+    });
+
+    if (!error && updated && updated.length > 0) {
+        data = updated[0];
+    } else {
+        // Either the database is unavailable or the conditional update matched nothing: find out which
+        const { data: existing, error: fetchError } = await supabase
+            .from('resources')
+            .select('*')
+            .eq('id', resourceId)
+            .eq('disaster_id', disasterId)
+            .single();
+
+        mockResource = (fetchError || !existing)
+            ? mockResources.find(r => r.id === resourceId && r.disaster_id === disasterId)
+            : null;
+        const current = existing || mockResource;
+
+        if (!current) {
+            return res.status(404).json({
+                error: 'Resource not found',
+                resourceId
+            });
+        }
+
+        const rejection = getOccupancyRejection(current, delta);
+        if (rejection) {
+            return res.status(409).json({
+                error: direction > 0 ? 'Check-in rejected' : 'Check-out rejected',
+                message: rejection,
+                data: current
+            });
+        }
+
+        if (!mockResource) {
+            logger.error(`Error adjusting occupancy of resource ${resourceId}:`, error);
+            return res.status(500).json({
+                error: 'Failed to update occupancy',
+                message: error ? error.message : 'Occupancy could not be updated'
+            });
+        }
+
+        mockResource.current_occupancy += delta;
+        Object.assign(mockResource, {
+            status: getCapacityStatus(mockResource),
+            version: (mockResource.version || 1) + 1,
+            updated_at: new Date().toISOString()
+        });
+        recordMockSample(mockResource);
+        data = mockResource;
+    }
+
+    logger.info(`${action} of ${count} at resource ${resourceId} (${data.current_occupancy}/${data.capacity}) by user ${req.user.id}`);
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    io.to(`disaster_${disasterId}`).emit('resources_updated', {
+        action,
+        count,
+        data
+    });
+
+    res.set('ETag', formatETag(data.version));
+    res.json({
+        data,
+        occupancy: {
+            current: data.current_occupancy,
+            capacity: data.capacity,
+            reserved: data.reserved_count || 0,
+            available: getFreePlaces(data)
+        },
+        ...(mockResource ? { message: 'Updated mock data due to database connection issue' } : {})
+    });
+}
+
 // GET /disasters/:id/resources - Get resources for a disaster with geospatial filtering
 router.get('/:id/resources', authenticateUser, async (req, res) => {
     try {
         const { id: disasterId } = req.params;
-        const { lat, lng, radius = 10, type, status = 'active', limit = 50 } = req.query;
+        const { lat, lng, radius = 10, type, status = 'active', within, limit = 50 } = req.query;
 
         const latitude = lat ? parseFloat(lat) : null;
         const longitude = lng ? parseFloat(lng) : null;
@@ -137,36 +593,53 @@ router.get('/:id/resources', authenticateUser, async (req, res) => {
             });
         }
 
-        const cacheKey = cache.generateKey('resources', { disasterId, lat, lng, radius, type, status });
+        if (within && within !== 'affected_area') {
+            return res.status(400).json({
+                error: 'Invalid within filter',
+                allowed: ['affected_area']
+            });
+        }
+
+        const availabilityFilter = parseAvailabilityFilter(req.query);
+        if (availabilityFilter.error) {
+            return res.status(400).json({
+                error: 'Invalid open_at',
+                message: availabilityFilter.error
+            });
+        }
+
+        const cacheKey = cache.generateKey('resources', { disasterId, lat, lng, radius, type, status, within });
         let resourceData = await cache.get(cacheKey);
 
         if (!resourceData) {
             try {
-                // Try to query Supabase with geospatial query
-                let query = supabase
-                    .from('resources')
-                    .select('*')
-                    .eq('disaster_id', disasterId)
-                    .eq('status', status)
-                    .limit(limit);
-
-                // Add type filter if specified
-                if (type) {
-                    query = query.eq('type', type);
-                }
-
-                // Add geospatial filter if coordinates provided
+                // Pick the base query first so every filter below applies to it; the RPCs return
+                // filterable row sets, so status, type and limit work the same in all three cases
+                let query;
                 if (latitude && longitude) {
                     // Using ST_DWithin for distance-based query (radius in meters)
-                    const radiusMeters = radiusKm * 1000;
-                    query = query.rpc('find_nearby_resources', {
+                    query = supabase.rpc('find_nearby_resources', {
                         disaster_id: disasterId,
                         center_lat: latitude,
                         center_lng: longitude,
-                        radius_meters: radiusMeters
+                        radius_meters: Math.round(radiusKm * 1000),
+                        only_affected_area: Boolean(within)
                     });
+                } else if (within) {
+                    query = supabase.rpc('find_resources_in_affected_area', { target_disaster_id: disasterId });
+                } else {
+                    query = supabase.from('resources').select('*').eq('disaster_id', disasterId);
                 }
 
+                query = query.eq('status', status);
+
+                // Add type filter if specified
+                if (type) {
+                    query = query.eq('type', type);
+                }
+
+                query = query.limit(limit);
+
                 const { data, error } = await query;
 
                 if (error) {
@@ -174,7 +647,10 @@ router.get('/:id/resources', authenticateUser, async (req, res) => {
                 }
 
                 resourceData = {
-                    resources: data || [],
+                    // Report distances in km like the mock path does
+                    resources: (data || []).map(resource => resource.distance_meters === undefined
+                        ? resource
+                        : { ...resource, distance_km: Math.round(resource.distance_meters / 10) / 100 }),
                     source: 'supabase'
                 };
 
@@ -198,6 +674,12 @@ router.get('/:id/resources', authenticateUser, async (req, res) => {
                     filteredResources = filterResourcesByDistance(filteredResources, latitude, longitude, radiusKm);
                 }
 
+                // Keep only resources inside the disaster's current affected area
+                if (within) {
+                    const { areas } = await getAffectedAreas(disasterId);
+                    filteredResources = filterInsideAreas(filteredResources, areas);
+                }
+
                 resourceData = {
                     resources: filteredResources.slice(0, limit),
                     source: 'mock_data',
@@ -213,11 +695,14 @@ router.get('/:id/resources', authenticateUser, async (req, res) => {
             logger.info(`Using cached resource data for disaster ${disasterId}`);
         }
 
+        // Opening hours depend on the clock, so they are computed after the cache rather than stored in it
+        const resources = applyAvailability(resourceData.resources, availabilityFilter);
+
         // Emit real-time update via WebSocket
         const io = req.app.get('io');
         io.to(`disaster_${disasterId}`).emit('resources_updated', {
             disaster_id: disasterId,
-            resource_count: resourceData.resources.length,
+            resource_count: resources.length,
             center_location: latitude && longitude ? { lat: latitude, lng: longitude } : null,
             radius_km: radiusKm,
             timestamp: new Date().toISOString()
@@ -225,14 +710,16 @@ router.get('/:id/resources', authenticateUser, async (req, res) => {
 
         res.json({
             disaster_id: disasterId,
-            data: resourceData.resources,
+            data: resources,
             meta: {
-                total_count: resourceData.resources.length,
+                total_count: resources.length,
                 filters: {
                     location: latitude && longitude ? { lat: latitude, lng: longitude } : null,
                     radius_km: radiusKm,
                     type,
-                    status
+                    status,
+                    within: within || null,
+                    open_at: availabilityFilter.onlyOpen ? new Date(availabilityFilter.at).toISOString() : null
                 },
                 source: resourceData.source,
                 last_updated: new Date().toISOString()
@@ -248,37 +735,127 @@ router.get('/:id/resources', authenticateUser, async (req, res) => {
     }
 });
 
-// POST /disasters/:id/resources - Add new resource
-router.post('/:id/resources', authenticateUser, async (req, res) => {
+// GET /disasters/:id/resources/best - Rank the best available resources around a point.
+// Full and inactive resources are excluded; candidates are scored by distance, free capacity and freshness.
+router.get('/:id/resources/best', authenticateUser, async (req, res) => {
     try {
         const { id: disasterId } = req.params;
-        const { name, location_name, type, capacity, contact, amenities, location } = req.body;
+        const { lat, lng, radius = 25, type, amenities, limit = 5 } = req.query;
 
-        if (!name || !location_name || !type) {
+        const latitude = parseFloat(lat);
+        const longitude = parseFloat(lng);
+        const radiusKm = parseFloat(radius);
+        const limitNum = Math.min(parseInt(limit) || 5, 20);
+        const amenityList = amenities ? amenities.split(',').map(a => a.trim()).filter(Boolean) : [];
+
+        if (isNaN(latitude) || isNaN(longitude) || latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
             return res.status(400).json({
-                error: 'Missing required fields',
-                required: ['name', 'location_name', 'type']
+                error: 'Invalid coordinates',
+                message: 'lat and lng are required and must be valid coordinates'
             });
         }
 
-        const newResource = {
-            disaster_id: disasterId,
-            name,
-            location_name,
+        if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > 200) {
+            return res.status(400).json({
+                error: 'Invalid radius',
+                message: 'radius must be between 0 and 200 km'
+            });
+        }
+
+        const availabilityFilter = parseAvailabilityFilter(req.query);
+        if (availabilityFilter.error) {
+            return res.status(400).json({
+                error: 'Invalid open_at',
+                message: availabilityFilter.error
+            });
+        }
+
+        let candidates;
+        let source = 'supabase';
+
+        try {
+            let query = supabase
+                .rpc('find_nearby_resources', {
+                    disaster_id: disasterId,
+                    center_lat: latitude,
+                    center_lng: longitude,
+                    radius_meters: Math.round(radiusKm * 1000)
+                })
+                .eq('status', 'active');
+
+            if (type) {
+                query = query.eq('type', type);
+            }
+            if (amenityList.length > 0) {
+                query = query.contains('amenities', amenityList);
+            }
+
+            const { data, error } = await query;
+
+            if (error) {
+                throw error;
+            }
+
+            candidates = data || [];
+
+        } catch (error) {
+            logger.error(`Error querying Supabase for best resources: ${error.message}`);
+            candidates = mockResources.filter(r => r.disaster_id === disasterId);
+            source = 'mock_data';
+        }
+
+        // Scoring runs on both paths so Supabase and mock mode rank identically
+        const ranked = rankBestResources(applyAvailability(candidates, availabilityFilter), {
+            lat: latitude,
+            lng: longitude,
+            radiusKm,
             type,
-            capacity: capacity || 0,
-            current_occupancy: 0,
-            contact: contact || '',
-            amenities: amenities || [],
-            status: 'active',
-            created_by: req.user.id
-        };
+            amenities: amenityList,
+            limit: limitNum
+        });
+
+        res.json({
+            disaster_id: disasterId,
+            data: ranked,
+            meta: {
+                total_count: ranked.length,
+                filters: {
+                    location: { lat: latitude, lng: longitude },
+                    radius_km: radiusKm,
+                    type: type || null,
+                    amenities: amenityList,
+                    open_at: availabilityFilter.onlyOpen ? new Date(availabilityFilter.at).toISOString() : null
+                },
+                weights: BEST_RESOURCE_WEIGHTS,
+                source,
+                timestamp: new Date().toISOString()
+            }
+        });
 
-        // Add location if provided
-        if (location && location.lat && location.lng) {
-            newResource.location = `POINT(${location.lng} ${location.lat})`;
+    } catch (error) {
+        logger.error(`Error in GET /disasters/${req.params.id}/resources/best:`, error);
+        res.status(500).json({
+            error: 'Failed to rank resources',
+            message: error.message
+        });
+    }
+});
+
+// POST /disasters/:id/resources - Add new resource
+router.post('/:id/resources', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId } = req.params;
+        const { errors, fields } = validateResourceInput(req.body);
+
+        if (errors.length > 0) {
+            const missing = errors.filter(e => e.message.endsWith('is required')).map(e => e.field);
+            return res.status(400).json(missing.length === errors.length
+                ? { error: 'Missing required fields', required: ['name', 'location_name', 'type'] }
+                : { error: 'Invalid resource', details: errors });
         }
 
+        const newResource = buildNewResource(fields, disasterId, req.user.id, false);
+
         try {
             const { data, error } = await supabase
                 .from('resources')
@@ -293,8 +870,7 @@ router.post('/:id/resources', authenticateUser, async (req, res) => {
             logger.info(`Created resource: ${data.name} for disaster ${disasterId} by user ${req.user.id}`);
 
             // Emit real-time update
-            const io = req.app.get('io');
-            io.to(`disaster_${disasterId}`).emit('resources_updated', {
+            notifyResourcesUpdated(req, disasterId, {
                 action: 'create',
                 data
             });
@@ -307,10 +883,10 @@ router.post('/:id/resources', authenticateUser, async (req, res) => {
             // Create mock response
             const mockId = Math.random().toString(36).substr(2, 9);
             const mockResponse = {
-                ...newResource,
+                location: null,
+                ...buildNewResource(fields, disasterId, req.user.id, true),
                 id: mockId,
-                created_at: new Date().toISOString(),
-                location: location ? { type: 'Point', coordinates: [location.lng, location.lat] } : null
+                created_at: new Date().toISOString()
             };
 
             res.status(201).json({
@@ -328,28 +904,334 @@ router.post('/:id/resources', authenticateUser, async (req, res) => {
     }
 });
 
-// PUT /disasters/:id/resources/:resourceId - Update resource
+// POST /disasters/:id/resources/import - Bulk create or update resources from CSV or GeoJSON.
+// Rows with an external_id that already exists in this disaster update that resource; all other rows create one.
+// Rows are validated like POST /resources; with any invalid row nothing is written unless skip_invalid=true.
+router.post('/:id/resources/import', authenticateUser, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    try {
+        const { id: disasterId } = req.params;
+        const dryRun = req.query.dry_run === 'true';
+        const skipInvalid = req.query.skip_invalid === 'true';
+
+        try {
+            await receiveUpload(req, res);
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid upload',
+                message: error.message
+            });
+        }
+
+        const format = detectImportFormat({
+            format: req.query.format,
+            filename: req.file && req.file.originalname,
+            contentType: req.file ? req.file.mimetype : req.headers['content-type']
+        });
+
+        if (!format) {
+            return res.status(400).json({
+                error: 'Unknown import format',
+                message: 'Upload a .csv or .geojson file, or pass format=csv|geojson',
+                allowed: ['csv', 'geojson']
+            });
+        }
+
+        const parsed = parseImport(format, req.file ? req.file.buffer.toString('utf8') : req.body);
+        if (parsed.error) {
+            return res.status(400).json({
+                error: 'Invalid import file',
+                message: parsed.error
+            });
+        }
+
+        const { byExternalId, useMock } = await loadResourcesByExternalId(disasterId);
+        const seenExternalIds = new Set();
+
+        const rows = parsed.rows.map(({ row, input }) => {
+            const externalId = typeof input.external_id === 'string' ? input.external_id.trim() : null;
+            const match = externalId ? byExternalId.get(externalId) : null;
+            const { errors, fields } = validateResourceInput(input, { partial: Boolean(match), allowOperational: true });
+
+            if (externalId && seenExternalIds.has(externalId)) {
+                errors.push({ field: 'external_id', message: `external_id ${externalId} appears more than once in this file` });
+            }
+            if (externalId) seenExternalIds.add(externalId);
+
+            // Updates get the same capacity check as PUT, counting held places too
+            const capacityError = match && errors.length === 0 && getCapacityError(match, fields);
+            if (capacityError) {
+                errors.push(capacityError);
+            }
+
+            const rejection = match && getEditRejection(match, req.user, fields);
+            if (rejection) {
+                errors.push({ field: 'external_id', message: `${rejection} (${externalId} exists already)` });
+            }
+
+            return {
+                row,
+                external_id: externalId,
+                action: errors.length > 0 ? 'invalid' : (match ? 'update' : 'create'),
+                resource_id: match ? match.id : null,
+                errors,
+                fields: match ? withCapacityStatus(match, fields) : fields,
+                match
+            };
+        });
+
+        const invalidCount = rows.filter(r => r.action === 'invalid').length;
+        const buildReport = () => ({
+            disaster_id: disasterId,
+            format,
+            dry_run: dryRun,
+            summary: {
+                total_rows: rows.length,
+                valid: rows.length - invalidCount,
+                invalid: invalidCount,
+                created: rows.filter(r => r.action === 'create' && r.resource_id).length,
+                updated: rows.filter(r => r.action === 'update' && r.written).length,
+                failed: rows.filter(r => r.action === 'failed').length
+            },
+            rows: rows.map(({ row, external_id: externalId, action, resource_id: resourceId, errors }) => ({
+                row,
+                external_id: externalId,
+                action,
+                resource_id: resourceId,
+                errors
+            }))
+        });
+
+        if (dryRun) {
+            return res.json(buildReport());
+        }
+
+        if (invalidCount > 0 && !skipInvalid) {
+            return res.status(422).json({
+                error: 'Import has invalid rows',
+                message: 'Fix the rows listed below or retry with skip_invalid=true to import only the valid ones',
+                ...buildReport()
+            });
+        }
+
+        // Creates go in one insert so a database error leaves none of them half-written
+        const creates = rows.filter(r => r.action === 'create');
+        const newResources = creates.map(r => buildNewResource(r.fields, disasterId, req.user.id, useMock));
+        let created = [];
+
+        if (newResources.length > 0) {
+            if (useMock) {
+                created = newResources.map(resource => ({
+                    location: null,
+                    ...resource,
+                    id: Math.random().toString(36).substr(2, 9),
+                    version: 1,
+                    created_at: new Date().toISOString()
+                }));
+                mockResources.push(...created);
+                created.forEach(recordMockSample);
+            } else {
+                const { data, error } = await supabase
+                    .from('resources')
+                    .insert(newResources)
+                    .select();
+
+                if (error) {
+                    logger.error(`Error importing resources for disaster ${disasterId}:`, error);
+                    return res.status(500).json({
+                        error: 'Failed to import resources',
+                        message: error.message
+                    });
+                }
+                created = data || [];
+            }
+            creates.forEach((r, index) => {
+                r.resource_id = created[index] ? created[index].id : null;
+            });
+        }
+
+        const updated = [];
+        for (const r of rows.filter(row => row.action === 'update')) {
+            const changes = withAuditEntry(r.match, r.fields, toResourceRow(r.fields, useMock), req.user.id, 'import');
+            const result = await saveResourceChanges(r.match, changes, useMock ? r.match : null);
+            if (result.data) {
+                r.written = true;
+                updated.push(result.data);
+            } else {
+                r.action = 'failed';
+                r.errors.push({
+                    field: null,
+                    message: result.conflict ? 'Resource was changed by someone else during the import' : result.error.message
+                });
+            }
+        }
+
+        logger.info(`Imported resources for disaster ${disasterId} by user ${req.user.id}: ${created.length} created, ${updated.length} updated, ${invalidCount} skipped`);
+
+        // Same notifications as single creates and updates so connected clients need no special handling
+        created.forEach(data => notifyResourcesUpdated(req, disasterId, { action: 'create', data }));
+        updated.forEach(data => notifyResourcesUpdated(req, disasterId, { action: 'update', data }));
+
+        res.status(created.length > 0 ? 201 : 200).json({
+            ...buildReport(),
+            ...(useMock ? { message: 'Imported into mock data due to database connection issue' } : {})
+        });
+
+    } catch (error) {
+        logger.error(`Error in POST /disasters/${req.params.id}/resources/import:`, error);
+        res.status(500).json({
+            error: 'Failed to import resources',
+            message: error.message
+        });
+    }
+});
+
+// GET /disasters/:id/resources/export - Download resources as CSV or GeoJSON in the import format
+router.get('/:id/resources/export', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId } = req.params;
+        const { format = 'csv', type, status } = req.query;
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                error: 'Invalid format',
+                allowed: EXPORT_FORMATS
+            });
+        }
+
+        let resources;
+        let query = supabase
+            .from('resources_with_coordinates')
+            .select('*')
+            .eq('disaster_id', disasterId)
+            .order('created_at', { ascending: true });
+
+        if (type) query = query.eq('type', type);
+        if (status) query = query.eq('status', status);
+
+        const { data, error } = await query;
+
+        if (error) {
+            logger.error(`Error exporting resources from Supabase: ${error.message}`);
+            resources = mockResources.filter(r =>
+                r.disaster_id === disasterId && (!type || r.type === type) && (!status || r.status === status)
+            );
+        } else {
+            resources = data || [];
+        }
+
+        logger.info(`Exported ${resources.length} resources for disaster ${disasterId} as ${format}`);
+
+        const filename = `disaster-${disasterId}-resources.${format}`;
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'csv') {
+            res.type('text/csv; charset=utf-8').send(resourcesToCSV(resources));
+        } else {
+            res.type('application/geo+json').send(JSON.stringify(resourcesToGeoJSON(resources)));
+        }
+
+    } catch (error) {
+        logger.error(`Error in GET /disasters/${req.params.id}/resources/export:`, error);
+        res.status(500).json({
+            error: 'Failed to export resources',
+            message: error.message
+        });
+    }
+});
+
+// PUT /disasters/:id/resources/:resourceId - Update whitelisted fields of a resource (creator, managers or admins)
 router.put('/:id/resources/:resourceId', authenticateUser, async (req, res) => {
     try {
         const { id: disasterId, resourceId } = req.params;
-        const updates = req.body;
+        const { version, id, ...updates } = req.body || {};
 
-        const { data, error } = await supabase
-            .from('resources')
-            .update(updates)
-            .eq('id', resourceId)
-            .eq('disaster_id', disasterId)
-            .select()
-            .single();
+        const expectedVersion = getExpectedVersion(req);
+        if (Number.isNaN(expectedVersion)) {
+            return res.status(400).json({
+                error: 'Invalid version',
+                message: 'If-Match must be an ETag returned by this API, e.g. "3"'
+            });
+        }
 
-        if (error || !data) {
+        // Opening hours have their own endpoints, which validate them and assign closure ids
+        if (updates.schedule !== undefined || updates.closures !== undefined) {
+            return res.status(400).json({
+                error: 'Use the opening hours endpoints',
+                message: 'Change schedule via PUT .../schedule and closures via .../closures'
+            });
+        }
+
+        const readOnly = Object.keys(updates).filter(field => !UPDATABLE_FIELDS.includes(field));
+        if (readOnly.length > 0 || (id !== undefined && id !== resourceId)) {
+            return res.status(400).json({
+                error: 'Invalid resource',
+                details: [...(id !== undefined && id !== resourceId ? ['id'] : []), ...readOnly]
+                    .map(field => ({ field, message: `${field} cannot be changed` })),
+                allowed: UPDATABLE_FIELDS
+            });
+        }
+
+        const { errors, fields } = validateResourceInput(updates, { partial: true, allowOperational: true });
+
+        const { current, mockResource } = await findResourceForUpdate(disasterId, resourceId);
+
+        if (!current) {
             return res.status(404).json({
                 error: 'Resource not found or could not be updated',
                 resourceId
             });
         }
 
-        logger.info(`Updated resource ${resourceId} for disaster ${disasterId} by user ${req.user.id}`);
+        const capacityError = errors.length === 0 && getCapacityError(current, fields);
+        if (capacityError) {
+            errors.push(capacityError);
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid resource',
+                details: errors
+            });
+        }
+
+        const rejection = getEditRejection(current, req.user, fields);
+        if (rejection) {
+            return res.status(403).json({
+                error: 'Insufficient permissions',
+                message: rejection
+            });
+        }
+
+        if (expectedVersion !== null && expectedVersion !== current.version) {
+            return sendVersionConflict(res, current, 'Resource');
+        }
+
+        const updateFields = withCapacityStatus(current, fields);
+        const changes = withAuditEntry(current, updateFields, toResourceRow(updateFields, Boolean(mockResource)), req.user.id, 'update');
+        const result = await saveResourceChanges(current, changes, mockResource);
+
+        if (result.conflict) {
+            return sendVersionConflict(res, result.conflict, 'Resource');
+        }
+
+        // unique_violation: another resource of this disaster already uses the external_id
+        if (result.error && result.error.code === '23505') {
+            return res.status(409).json({
+                error: 'Duplicate external_id',
+                message: `Another resource in this disaster already has external_id ${fields.external_id}`
+            });
+        }
+
+        if (result.error) {
+            logger.error(`Error updating resource ${resourceId}:`, result.error);
+            return res.status(500).json({
+                error: 'Failed to update resource',
+                message: result.error.message
+            });
+        }
+
+        const data = result.data;
+        logger.info(`Updated resource ${resourceId} for disaster ${disasterId} to version ${data.version} by user ${req.user.id}`);
 
         // Emit real-time update
         const io = req.app.get('io');
@@ -358,7 +1240,11 @@ router.put('/:id/resources/:resourceId', authenticateUser, async (req, res) => {
             data
         });
 
-        res.json({ data });
+        res.set('ETag', formatETag(data.version));
+        res.json({
+            data,
+            ...(mockResource ? { message: 'Updated mock data due to database connection issue' } : {})
+        });
 
     } catch (error) {
         logger.error(`Error in PUT /disasters/${req.params.id}/resources/${req.params.resourceId}:`, error);
@@ -369,28 +1255,206 @@ router.put('/:id/resources/:resourceId', authenticateUser, async (req, res) => {
     }
 });
 
-// GET /disasters/:id/resources/types - Get available resource types
+// POST /disasters/:id/resources/:resourceId/check-in - Check people into a shelter or other capacity-limited resource
+router.post('/:id/resources/:resourceId/check-in', authenticateUser, async (req, res) => {
+    try {
+        await adjustOccupancy(req, res, 1);
+    } catch (error) {
+        logger.error(`Error in POST /disasters/${req.params.id}/resources/${req.params.resourceId}/check-in:`, error);
+        res.status(500).json({
+            error: 'Failed to check in',
+            message: error.message
+        });
+    }
+});
+
+// POST /disasters/:id/resources/:resourceId/check-out - Check people out of a resource
+router.post('/:id/resources/:resourceId/check-out', authenticateUser, async (req, res) => {
+    try {
+        await adjustOccupancy(req, res, -1);
+    } catch (error) {
+        logger.error(`Error in POST /disasters/${req.params.id}/resources/${req.params.resourceId}/check-out:`, error);
+        res.status(500).json({
+            error: 'Failed to check out',
+            message: error.message
+        });
+    }
+});
+
+// PUT /disasters/:id/resources/:resourceId/schedule - Replace a resource's weekly opening hours (null = always open)
+router.put('/:id/resources/:resourceId/schedule', authenticateUser, async (req, res) => {
+    try {
+        const { schedule } = req.body || {};
+
+        await updateResourceHours(req, res, 'schedule_update', () => {
+            if (schedule === undefined) {
+                return {
+                    status: 400,
+                    body: { error: 'Missing schedule', message: 'Send { schedule } or { schedule: null } to clear it' }
+                };
+            }
+
+            const scheduleError = schedule !== null && validateSchedule(schedule);
+            if (scheduleError) {
+                return { status: 400, body: { error: 'Invalid schedule', message: scheduleError } };
+            }
+
+            return { changes: { schedule } };
+        });
+    } catch (error) {
+        logger.error(`Error in PUT /disasters/${req.params.id}/resources/${req.params.resourceId}/schedule:`, error);
+        res.status(500).json({
+            error: 'Failed to update schedule',
+            message: error.message
+        });
+    }
+});
+
+// POST /disasters/:id/resources/:resourceId/closures - Add a one-off closure (e.g. restocking, unsafe access)
+router.post('/:id/resources/:resourceId/closures', authenticateUser, async (req, res) => {
+    try {
+        const { starts_at: startsAt, ends_at: endsAt, reason } = req.body || {};
+
+        await updateResourceHours(req, res, 'closure_add', current => {
+            const closureError = validateClosure({ starts_at: startsAt, ends_at: endsAt });
+            if (closureError) {
+                return { status: 400, body: { error: 'Invalid closure', message: closureError } };
+            }
+
+            const closure = {
+                id: Math.random().toString(36).substr(2, 9),
+                starts_at: new Date(startsAt).toISOString(),
+                ends_at: new Date(endsAt).toISOString(),
+                reason: reason || null,
+                created_by: req.user.id
+            };
+
+            return {
+                changes: { closures: [...(current.closures || []), closure] },
+                created: true
+            };
+        });
+    } catch (error) {
+        logger.error(`Error in POST /disasters/${req.params.id}/resources/${req.params.resourceId}/closures:`, error);
+        res.status(500).json({
+            error: 'Failed to add closure',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /disasters/:id/resources/:resourceId/closures/:closureId - Cancel a closure
+router.delete('/:id/resources/:resourceId/closures/:closureId', authenticateUser, async (req, res) => {
+    try {
+        const { closureId } = req.params;
+
+        await updateResourceHours(req, res, 'closure_remove', current => {
+            const closures = current.closures || [];
+            if (!closures.some(closure => closure.id === closureId)) {
+                return { status: 404, body: { error: 'Closure not found', closureId } };
+            }
+
+            return { changes: { closures: closures.filter(closure => closure.id !== closureId) } };
+        });
+    } catch (error) {
+        logger.error(`Error in DELETE /disasters/${req.params.id}/resources/${req.params.resourceId}/closures/${req.params.closureId}:`, error);
+        res.status(500).json({
+            error: 'Failed to remove closure',
+            message: error.message
+        });
+    }
+});
+
+// Helper function to count resources and places per type (mock-mode equivalent of get_resource_type_stats).
+// Capacity figures only cover resources that are not inactive, since those take nobody in.
+function computeTypeStats(resources) {
+    const byType = new Map();
+    resources.forEach(resource => {
+        if (!byType.has(resource.type)) {
+            byType.set(resource.type, {
+                type: resource.type,
+                resource_count: 0,
+                active_count: 0,
+                full_count: 0,
+                inactive_count: 0,
+                total_capacity: 0,
+                occupied: 0,
+                reserved: 0,
+                available_capacity: 0
+            });
+        }
+        const stats = byType.get(resource.type);
+        const status = resource.status || 'active';
+
+        stats.resource_count += 1;
+        if (status === 'inactive') {
+            stats.inactive_count += 1;
+            return;
+        }
+        if (status === 'full') stats.full_count += 1;
+        if (status === 'active') stats.active_count += 1;
+
+        stats.total_capacity += resource.capacity || 0;
+        stats.occupied += resource.current_occupancy || 0;
+        stats.reserved += resource.reserved_count || 0;
+        stats.available_capacity += getFreePlaces(resource);
+    });
+
+    return [...byType.values()].sort((a, b) => a.type.localeCompare(b.type));
+}
+
+// Helper function to add the utilization percentage (occupied and held places over capacity) to type stats
+function withUtilizationPercent(stats) {
+    return {
+        ...stats,
+        utilization_percent: stats.total_capacity > 0
+            ? Math.round((stats.occupied + stats.reserved) / stats.total_capacity * 1000) / 10
+            : null
+    };
+}
+
+// GET /disasters/:id/resources/types - Resource counts, capacity and utilization per type, with a disaster-wide rollup
 router.get('/:id/resources/types', authenticateUser, async (req, res) => {
     try {
         const { id: disasterId } = req.params;
+        let stats;
+        let source = 'supabase';
 
-        // Get unique resource types for this disaster
-        const resourceTypes = [...new Set(mockResources
-            .filter(r => r.disaster_id === disasterId)
-            .map(r => r.type)
-        )];
+        const { data, error } = await supabase.rpc('get_resource_type_stats', {
+            target_disaster_id: disasterId
+        });
 
-        const typeCounts = resourceTypes.map(type => ({
-            type,
-            count: mockResources.filter(r => r.disaster_id === disasterId && r.type === type).length,
-            available_capacity: mockResources
-                .filter(r => r.disaster_id === disasterId && r.type === type)
-                .reduce((sum, r) => sum + (r.capacity - r.current_occupancy), 0)
-        }));
+        if (error) {
+            logger.error(`Error fetching resource type stats: ${error.message}`);
+            stats = computeTypeStats(mockResources.filter(r => r.disaster_id === disasterId));
+            source = 'mock_data';
+        } else {
+            // Counts and sums come back as bigint, which may arrive as strings
+            stats = (data || []).map(row => Object.fromEntries(
+                Object.entries(row).map(([key, value]) => [key, key === 'type' ? value : Number(value)])
+            ));
+        }
+
+        const totals = stats.reduce((sum, row) => {
+            Object.keys(sum).forEach(key => { sum[key] += row[key]; });
+            return sum;
+        }, {
+            resource_count: 0,
+            active_count: 0,
+            full_count: 0,
+            inactive_count: 0,
+            total_capacity: 0,
+            occupied: 0,
+            reserved: 0,
+            available_capacity: 0
+        });
 
         res.json({
             disaster_id: disasterId,
-            resource_types: typeCounts,
+            // `count` is kept alongside resource_count for existing clients
+            resource_types: stats.map(row => ({ ...withUtilizationPercent(row), count: row.resource_count })),
+            totals: { type_count: stats.length, ...withUtilizationPercent(totals) },
+            source,
             timestamp: new Date().toISOString()
         });
 
@@ -403,4 +1467,44 @@ router.get('/:id/resources/types', authenticateUser, async (req, res) => {
     }
 });
 
+// GET /disasters/:id/resources/:resourceId - Get specific resource with its ETag
+router.get('/:id/resources/:resourceId', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId, resourceId } = req.params;
+
+        const { data, error } = await supabase
+            .from('resources')
+            .select('*')
+            .eq('id', resourceId)
+            .eq('disaster_id', disasterId)
+            .single();
+
+        if (error || !data) {
+            const mockResource = mockResources.find(r => r.id === resourceId && r.disaster_id === disasterId);
+            if (mockResource) {
+                res.set('ETag', formatETag(mockResource.version));
+                return res.json({
+                    data: { ...mockResource, availability: getAvailability(mockResource) },
+                    message: 'Using mock data'
+                });
+            }
+
+            return res.status(404).json({
+                error: 'Resource not found',
+                resourceId
+            });
+        }
+
+        res.set('ETag', formatETag(data.version));
+        res.json({ data: { ...data, availability: getAvailability(data) } });
+
+    } catch (error) {
+        logger.error(`Error in GET /disasters/${req.params.id}/resources/${req.params.resourceId}:`, error);
+        res.status(500).json({
+            error: 'Failed to fetch resource',
+            message: error.message
+        });
+    }
+});
+
 module.exports = router;
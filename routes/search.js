@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const { authenticateUser } = require('../middleware/auth');
+const { parseQuery, isEmptyQuery, formatHeadline, searchDocuments, buildFacets } = require('../utils/search');
+const mockDisasters = require('../data/mockDisasters');
+const mockReports = require('../data/mockReports');
+const mockResources = require('../data/mockResources');
+const mockOfficialUpdates = require('../data/mockOfficialUpdates');
+
+const SEARCH_TYPES = ['disaster', 'report', 'resource', 'official_update'];
+const MAX_MATCHES = 500;
+
+// Build searchable documents from mock data (mock-mode equivalent of the search_platform RPC)
+function buildMockDocuments(disasterId) {
+    const liveIds = mockDisasters.filter(d => !d.deleted_at).map(d => d.id);
+    const belongs = item => liveIds.includes(item.disaster_id) && (!disasterId || item.disaster_id === disasterId);
+
+    return [
+        ...mockDisasters
+            .filter(d => !d.deleted_at && (!disasterId || d.id === disasterId))
+            .map(d => ({
+                type: 'disaster',
+                id: d.id,
+                disaster_id: d.id,
+                title: d.title,
+                created_at: d.created_at,
+                fields: [
+                    { name: 'title', text: d.title, weight: 3 },
+                    { name: 'description', text: d.description, weight: 1 },
+                    { name: 'tags', text: (d.tags || []).join(' '), weight: 2 },
+                    { name: 'location_name', text: d.location_name, weight: 1 }
+                ]
+            })),
+        ...mockReports.filter(belongs).map(r => ({
+            type: 'report',
+            id: r.id,
+            disaster_id: r.disaster_id,
+            title: r.content.length > 80 ? `${r.content.substring(0, 80)}...` : r.content,
+            created_at: r.created_at,
+            fields: [
+                { name: 'content', text: r.content, weight: 2 },
+                { name: 'location_name', text: r.location_name, weight: 1 }
+            ]
+        })),
+        ...mockResources.filter(belongs).map(r => ({
+            type: 'resource',
+            id: r.id,
+            disaster_id: r.disaster_id,
+            title: r.name,
+            created_at: r.created_at,
+            fields: [
+                { name: 'name', text: r.name, weight: 3 },
+                { name: 'type', text: r.type, weight: 2 },
+                { name: 'location_name', text: r.location_name, weight: 1 },
+                { name: 'amenities', text: (r.amenities || []).join(' '), weight: 1 }
+            ]
+        })),
+        ...mockOfficialUpdates.map(u => ({
+            type: 'official_update',
+            id: u.id,
+            disaster_id: null,
+            title: u.title,
+            created_at: u.published_at,
+            fields: [
+                { name: 'title', text: u.title, weight: 3 },
+                { name: 'content', text: u.content, weight: 1 },
+                { name: 'source', text: u.source, weight: 1 }
+            ]
+        }))
+    ];
+}
+
+// GET /search - Ranked full-text search across disasters, reports, resources and official updates
+router.get('/', authenticateUser, async (req, res) => {
+    try {
+        const { q, types, disaster_id: disasterId, limit = 20, offset = 0 } = req.query;
+        const limitNum = Math.min(parseInt(limit) || 20, 100);
+        const offsetNum = parseInt(offset) || 0;
+
+        if (!q || !String(q).trim() || String(q).length > 200) {
+            return res.status(400).json({
+                error: 'Invalid query',
+                message: 'q is required and must be at most 200 characters'
+            });
+        }
+
+        if (isEmptyQuery(parseQuery(q))) {
+            return res.status(400).json({
+                error: 'Invalid query',
+                message: 'q must contain at least one searchable word'
+            });
+        }
+
+        const typeList = types ? types.split(',').map(t => t.trim()) : SEARCH_TYPES;
+        if (typeList.some(t => !SEARCH_TYPES.includes(t))) {
+            return res.status(400).json({
+                error: 'Invalid types',
+                allowed: SEARCH_TYPES
+            });
+        }
+
+        let matches;
+        let source = 'supabase';
+
+        try {
+            const { data, error } = await supabase.rpc('search_platform', {
+                search_query: q,
+                result_types: typeList,
+                target_disaster_id: disasterId || null,
+                max_results: MAX_MATCHES
+            });
+
+            if (error) {
+                throw error;
+            }
+
+            matches = (data || []).map(row => ({
+                type: row.type,
+                id: row.id,
+                disaster_id: row.disaster_id,
+                title: row.title,
+                created_at: row.created_at,
+                score: row.rank,
+                matched_field: null,
+                highlight: formatHeadline(row.highlight)
+            }));
+
+        } catch (error) {
+            logger.error(`Error running full-text search in Supabase: ${error.message}`);
+
+            matches = searchDocuments(
+                buildMockDocuments(disasterId).filter(doc => typeList.includes(doc.type)),
+                q
+            ).slice(0, MAX_MATCHES);
+            source = 'mock_data';
+        }
+
+        logger.info(`Search "${q}" returned ${matches.length} matches for user ${req.user.id}`);
+
+        res.json({
+            query: q,
+            data: matches.slice(offsetNum, offsetNum + limitNum),
+            facets: buildFacets(matches, typeList),
+            meta: {
+                total_count: matches.length,
+                filters: {
+                    types: typeList,
+                    disaster_id: disasterId || null
+                },
+                pagination: { limit: limitNum, offset: offsetNum },
+                source,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error in GET /search:', error);
+        res.status(500).json({
+            error: 'Search failed',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,257 +1,248 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
+const supabase = require('../config/supabase');
 const logger = require('../utils/logger');
-const cache = require('../utils/cache');
-const { authenticateUser } = require('../middleware/auth');
-
-// Mock social media data
-const mockSocialMediaPosts = [
-    {
-        id: '1',
-        user: 'citizen1',
-        username: '@citizen_reporter',
-        content: '#floodrelief Need food and water in Lower East Side Manhattan. Families stuck on 3rd floor. #NYC #emergency',
-        timestamp: new Date(Date.now() - 30 * 60 * 1000).toISOString(), // 30 minutes ago
-        source: 'twitter',
-        hashtags: ['floodrelief', 'NYC', 'emergency'],
-        priority: 'urgent',
-        location: 'Lower East Side, Manhattan',
-        engagement: { likes: 45, retweets: 23, replies: 12 }
-    },
-    {
-        id: '2',
-        user: 'volunteer_helper',
-        username: '@volunteer_help',
-        content: 'Shelter available at Community Center on 42nd St. Can accommodate 50 people. Hot meals provided. #disasterrelief #NYC',
-        timestamp: new Date(Date.now() - 45 * 60 * 1000).toISOString(), // 45 minutes ago
-        source: 'twitter',
-        hashtags: ['disasterrelief', 'NYC'],
-        priority: 'normal',
-        location: '42nd St, NYC',
-        engagement: { likes: 78, retweets: 34, replies: 8 }
-    },
-    {
-        id: '3',
-        user: 'emergency_responder',
-        username: '@emr_official',
-        content: 'URGENT: Evacuation notice for blocks 15-20 on Water Street. Please move to higher ground immediately. #evacuation #safety',
-        timestamp: new Date(Date.now() - 15 * 60 * 1000).toISOString(), // 15 minutes ago
-        source: 'twitter',
-        hashtags: ['evacuation', 'safety'],
-        priority: 'critical',
-        location: 'Water Street, NYC',
-        engagement: { likes: 156, retweets: 89, replies: 23 }
-    },
-    {
-        id: '4',
-        user: 'local_news',
-        username: '@ny_news_live',
-        content: 'BREAKING: Flooding in Manhattan reaches 4 feet in some areas. MTA services suspended on Lines 4,5,6. Avoid downtown area.',
-        timestamp: new Date(Date.now() - 60 * 60 * 1000).toISOString(), // 1 hour ago
-        source: 'twitter',
-        hashtags: ['breaking', 'flooding', 'MTA'],
-        priority: 'high',
-        location: 'Manhattan, NYC',
-        engagement: { likes: 234, retweets: 156, replies: 45 }
-    },
-    {
-        id: '5',
-        user: 'red_cross_ny',
-        username: '@RedCrossNY',
-        content: 'Medical assistance available at Roosevelt Hospital. Non-emergency cases please use alternate facilities. Staff on standby. #medical #help',
-        timestamp: new Date(Date.now() - 90 * 60 * 1000).toISOString(), // 1.5 hours ago
-        source: 'twitter',
-        hashtags: ['medical', 'help'],
-        priority: 'normal',
-        location: 'Roosevelt Hospital, NYC',
-        engagement: { likes: 67, retweets: 45, replies: 12 }
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const {
+    PROVIDER_NAMES,
+    getDefaultProviders,
+    validateProviderList,
+    describeProviders
+} = require('../utils/socialProviders');
+const {
+    DEFAULT_KEYWORDS,
+    getEnabledProviders,
+    getDisasterKeywords,
+    validateKeywords,
+    ingestDisaster,
+    queryStoredPosts,
+    setPostVerdict
+} = require('../utils/socialIngestion');
+const { DEFAULT_SIMILARITY, validateSimilarity, clusterPosts } = require('../utils/socialClustering');
+const { VERDICTS, attachCredibility, getBlockedAuthorKeys } = require('../utils/credibility');
+const mockDisasters = require('../data/mockDisasters');
+const mockReports = require('../data/mockReports');
+
+const PRIORITY_LEVELS = ['critical', 'high', 'normal', 'low'];
+const MAX_LIMIT = 100;
+// Posts categorized by GET /social-media/priority
+const PRIORITY_WINDOW_POSTS = 500;
+// Newest posts grouped or credibility-filtered by GET /social-media
+const FEED_WINDOW_POSTS = 500;
+const EVIDENCE_TYPES = ['report', 'official_update'];
+
+// Helper function to load a live disaster's owner and social media settings, falling back to mock data
+async function findDisasterSettings(disasterId) {
+    const { data, error } = await supabase
+        .from('disasters')
+        .select('id, status, hazard_type, owner_id, social_media_providers, social_media_keywords')
+        .eq('id', disasterId)
+        .is('deleted_at', null)
+        .single();
+
+    if (!error && data) {
+        return { disaster: data, mock: false };
     }
-];
 
-// Function to determine post priority based on keywords
-function determinePriority(content) {
-    const criticalKeywords = ['urgent', 'emergency', 'sos', 'help', 'trapped', 'evacuation', 'immediate'];
-    const highKeywords = ['breaking', 'alert', 'warning', 'danger', 'rescue'];
-    const normalKeywords = ['shelter', 'food', 'water', 'medical', 'assistance'];
+    const mockDisaster = mockDisasters.find(d => d.id === disasterId && !d.deleted_at);
+    return { disaster: mockDisaster || null, mock: true };
+}
 
-    const lowerContent = content.toLowerCase();
+// Helper function to load a disaster whose social media settings the user wants to change.
+// Sends the 404/403 response itself and returns null when the change is not allowed.
+async function findConfigurableDisaster(req, res) {
+    const { disaster, mock } = await findDisasterSettings(req.params.id);
 
-    if (criticalKeywords.some(keyword => lowerContent.includes(keyword))) {
-        return 'critical';
-    }
-    if (highKeywords.some(keyword => lowerContent.includes(keyword))) {
-        return 'high';
+    if (!disaster) {
+        res.status(404).json({
+            error: 'Disaster not found',
+            id: req.params.id
+        });
+        return null;
     }
-    if (normalKeywords.some(keyword => lowerContent.includes(keyword))) {
-        return 'normal';
+
+    // Check ownership or admin role
+    if (disaster.owner_id !== req.user.id && req.user.role !== 'admin') {
+        res.status(403).json({
+            error: 'Insufficient permissions',
+            message: 'You can only configure your own disasters'
+        });
+        return null;
     }
 
-    return 'low';
+    return { disaster, mock };
 }
 
-// Function to extract hashtags from content
-function extractHashtags(content) {
-    const hashtagRegex = /#[\w]+/g;
-    const matches = content.match(hashtagRegex);
-    return matches ? matches.map(tag => tag.substring(1)) : [];
-}
+// Helper function to validate verdict evidence: a report of the disaster or the URL of an official update.
+// Returns an error message or null.
+async function validateEvidence(disasterId, evidence) {
+    if (!evidence || !EVIDENCE_TYPES.includes(evidence.type)) {
+        return `evidence.type must be one of: ${EVIDENCE_TYPES.join(', ')}`;
+    }
 
-// Function to extract location mentions from content
-function extractLocationFromContent(content) {
-    const locationPatterns = [
-        /(?:in|at|on|near)\s+([A-Z][a-zA-Z\s]+(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Manhattan|Brooklyn|Queens|Bronx))/gi,
-        /(Manhattan|Brooklyn|Queens|Bronx|Staten Island)/gi,
-        /([A-Z][a-zA-Z\s]+),\s*(NYC|New York)/gi
-    ];
-
-    for (const pattern of locationPatterns) {
-        const matches = content.match(pattern);
-        if (matches && matches.length > 0) {
-            return matches[0].replace(/^(in|at|on|near)\s+/i, '');
+    if (evidence.type === 'official_update') {
+        try {
+            new URL(evidence.url);
+        } catch (error) {
+            return 'evidence.url must be the URL of the official update';
         }
+        return null;
+    }
+
+    if (!evidence.id) {
+        return 'evidence.id must be the id of a report of this disaster';
     }
 
-    return null;
+    const { data, error } = await supabase
+        .from('reports')
+        .select('id')
+        .eq('id', evidence.id)
+        .eq('disaster_id', disasterId)
+        .single();
+
+    const found = error
+        ? mockReports.some(r => r.id === String(evidence.id) && r.disaster_id === disasterId)
+        : !!data;
+
+    return found ? null : `Report ${evidence.id} not found for this disaster`;
 }
 
-// Function to simulate real-time social media monitoring
-function getRealtimeSocialMediaPosts(disasterId, keywords = []) {
-    const relevantPosts = mockSocialMediaPosts.filter(post => {
-        if (keywords.length === 0) return true;
-
-        const content = post.content.toLowerCase();
-        return keywords.some(keyword =>
-            content.includes(keyword.toLowerCase()) ||
-            post.hashtags.some(tag => tag.toLowerCase().includes(keyword.toLowerCase()))
-        );
-    });
-
-    // Add some randomization to simulate real-time updates
-    const randomPosts = relevantPosts.map(post => ({
-        ...post,
-        id: `${post.id}_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
-        timestamp: new Date(Date.now() - Math.random() * 3600000).toISOString(), // Random time within last hour
-        engagement: {
-            likes: Math.floor(Math.random() * 200) + post.engagement.likes,
-            retweets: Math.floor(Math.random() * 100) + post.engagement.retweets,
-            replies: Math.floor(Math.random() * 50) + post.engagement.replies
-        }
-    }));
+// Helper function to save social media settings on the disaster row (or the mock disaster)
+async function saveSocialSettings(disaster, mock, changes) {
+    if (mock) {
+        Object.assign(disaster, changes);
+        return;
+    }
+
+    const { error } = await supabase
+        .from('disasters')
+        .update(changes)
+        .eq('id', disaster.id);
 
-    return randomPosts;
+    if (error) {
+        throw error;
+    }
 }
 
-// GET /disasters/:id/social-media - Get social media reports for a disaster
+// GET /disasters/:id/social-media - Stored social media posts for a disaster, newest first, with author credibility
+// (cluster=true returns one representative per group of copies and reposts instead)
 router.get('/:id/social-media', authenticateUser, async (req, res) => {
     try {
         const { id: disasterId } = req.params;
-        const { keywords, limit = 20, priority, since } = req.query;
+        const {
+            keywords, limit = 20, offset = 0, priority, since, provider, cluster, similarity,
+            min_credibility: minCredibilityParam, include_blocked: includeBlockedParam
+        } = req.query;
+        const clustered = cluster === 'true';
+        const includeBlocked = includeBlockedParam === 'true';
+        const minCredibility = minCredibilityParam !== undefined ? Number(minCredibilityParam) : null;
 
         // Parse keywords
-        const keywordList = keywords ? keywords.split(',').map(k => k.trim()) : ['flood', 'emergency', 'help', 'rescue'];
-
-        const cacheKey = cache.generateKey('social_media', { disasterId, keywords: keywordList, priority });
-        let socialMediaData = await cache.get(cacheKey);
-
-        if (!socialMediaData) {
-            try {
-                // Try to use real Twitter API if available
-                if (process.env.TWITTER_BEARER_TOKEN) {
-                    const response = await axios.get('https://api.twitter.com/2/tweets/search/recent', {
-                        headers: {
-                            'Authorization': `Bearer ${process.env.TWITTER_BEARER_TOKEN}`
-                        },
-                        params: {
-                            query: keywordList.join(' OR '),
-                            max_results: Math.min(parseInt(limit), 100),
-                            'tweet.fields': 'created_at,author_id,public_metrics,context_annotations',
-                            'user.fields': 'username,name,verified'
-                        }
-                    });
-
-                    socialMediaData = {
-                        posts: response.data.data || [],
-                        meta: response.data.meta,
-                        source: 'twitter_api'
-                    };
-
-                    logger.info(`Fetched ${socialMediaData.posts.length} real Twitter posts for disaster ${disasterId}`);
-                } else {
-                    // Use mock data
-                    socialMediaData = {
-                        posts: getRealtimeSocialMediaPosts(disasterId, keywordList),
-                        source: 'mock_api'
-                    };
-
-                    logger.info(`Using mock social media data for disaster ${disasterId}`);
-                }
-
-                // Apply priority filtering if specified
-                if (priority && socialMediaData.posts) {
-                    socialMediaData.posts = socialMediaData.posts.filter(post => {
-                        const postPriority = post.priority || determinePriority(post.content || post.text || '');
-                        return postPriority === priority;
-                    });
-                }
-
-                // Apply time filtering if specified
-                if (since && socialMediaData.posts) {
-                    const sinceDate = new Date(since);
-                    socialMediaData.posts = socialMediaData.posts.filter(post => {
-                        const postDate = new Date(post.timestamp || post.created_at);
-                        return postDate >= sinceDate;
-                    });
-                }
+        const keywordList = keywords ? keywords.split(',').map(k => k.trim()).filter(Boolean) : [];
+        const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIMIT);
+        const offsetNum = Math.max(parseInt(offset) || 0, 0);
+
+        if (since && isNaN(new Date(since).getTime())) {
+            return res.status(400).json({
+                error: 'Invalid since',
+                message: 'since must be an ISO 8601 timestamp'
+            });
+        }
 
-                // Enhance posts with additional metadata
-                if (socialMediaData.posts) {
-                    socialMediaData.posts = socialMediaData.posts.map(post => ({
-                        ...post,
-                        priority: post.priority || determinePriority(post.content || post.text || ''),
-                        hashtags: post.hashtags || extractHashtags(post.content || post.text || ''),
-                        extracted_location: post.location || extractLocationFromContent(post.content || post.text || ''),
-                        disaster_id: disasterId,
-                        processed_at: new Date().toISOString()
-                    }));
-                }
+        if (priority && !PRIORITY_LEVELS.includes(priority)) {
+            return res.status(400).json({
+                error: 'Invalid priority',
+                allowed: PRIORITY_LEVELS
+            });
+        }
 
-                // Cache the results
-                await cache.set(cacheKey, socialMediaData, 300); // Cache for 5 minutes for more real-time feel
+        if (provider && !PROVIDER_NAMES.includes(provider)) {
+            return res.status(400).json({
+                error: 'Invalid provider',
+                allowed: PROVIDER_NAMES
+            });
+        }
 
-            } catch (error) {
-                logger.error(`Error fetching social media for disaster ${disasterId}:`, error);
+        if (minCredibility !== null && (minCredibilityParam === '' || isNaN(minCredibility) || minCredibility < 0 || minCredibility > 100)) {
+            return res.status(400).json({
+                error: 'Invalid min_credibility',
+                message: 'min_credibility must be a number between 0 and 100'
+            });
+        }
 
-                // Fallback to mock data
-                socialMediaData = {
-                    posts: getRealtimeSocialMediaPosts(disasterId, keywordList),
-                    source: 'mock_fallback',
-                    error: 'API request failed, using mock data'
-                };
+        if (clustered && similarity !== undefined) {
+            const similarityError = validateSimilarity(similarity);
+            if (similarityError) {
+                return res.status(400).json({
+                    error: 'Invalid similarity',
+                    message: similarityError
+                });
             }
-        } else {
-            logger.info(`Using cached social media data for disaster ${disasterId}`);
         }
 
-        // Emit real-time update via WebSocket
-        const io = req.app.get('io');
-        io.to(`disaster_${disasterId}`).emit('social_media_updated', {
-            disaster_id: disasterId,
-            new_posts: socialMediaData.posts?.slice(0, 5) || [], // Send latest 5 posts
-            total_count: socialMediaData.posts?.length || 0,
-            timestamp: new Date().toISOString()
+        const filters = {
+            keywords: keywordList,
+            priority: priority || null,
+            provider: provider || null,
+            since: since || null,
+            min_credibility: minCredibility,
+            include_blocked: includeBlocked
+        };
+        // Posts of blocked authors are left out unless asked for
+        const excludeAuthorKeys = includeBlocked ? [] : await getBlockedAuthorKeys();
+
+        if (clustered || minCredibility !== null) {
+            // Clusters and credibility cut across pages, so the newest posts are scored and grouped first
+            // and the result paged afterwards
+            const threshold = similarity !== undefined ? Number(similarity) : DEFAULT_SIMILARITY;
+            const { posts, total, source } = await queryStoredPosts(disasterId, {
+                priority,
+                provider,
+                since,
+                keywords: keywordList,
+                excludeAuthorKeys,
+                limit: FEED_WINDOW_POSTS
+            });
+            const scored = (await attachCredibility(posts))
+                .filter(post => minCredibility === null || post.credibility.score >= minCredibility);
+            const entries = clustered ? clusterPosts(scored, { similarity: threshold }) : scored;
+            const page = entries.slice(offsetNum, offsetNum + limitNum);
+
+            return res.json({
+                disaster_id: disasterId,
+                data: page,
+                meta: {
+                    total_count: entries.length,
+                    post_count: total,
+                    window_posts: posts.length,
+                    ...(clustered ? { similarity: threshold } : {}),
+                    filters,
+                    pagination: { limit: limitNum, offset: offsetNum, has_more: offsetNum + page.length < entries.length },
+                    source,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        const { posts, total, source } = await queryStoredPosts(disasterId, {
+            priority,
+            provider,
+            since,
+            keywords: keywordList,
+            excludeAuthorKeys,
+            limit: limitNum,
+            offset: offsetNum
         });
 
         res.json({
             disaster_id: disasterId,
-            data: socialMediaData.posts || [],
+            data: await attachCredibility(posts),
             meta: {
-                total_count: socialMediaData.posts?.length || 0,
-                keywords: keywordList,
-                priority_filter: priority,
-                source: socialMediaData.source,
-                cached: !!socialMediaData,
-                last_updated: new Date().toISOString()
+                total_count: total,
+                filters,
+                pagination: { limit: limitNum, offset: offsetNum, has_more: offsetNum + posts.length < total },
+                source,
+                timestamp: new Date().toISOString()
             }
         });
 
@@ -264,46 +255,260 @@ router.get('/:id/social-media', authenticateUser, async (req, res) => {
     }
 });
 
-// GET /disasters/:id/social-media/priority - Get posts by priority level
-router.get('/:id/social-media/priority', authenticateUser, async (req, res) => {
+// POST /disasters/:id/social-media/posts/:postId/verdict - Record that a post was confirmed or refuted (admin only)
+router.post('/:id/social-media/posts/:postId/verdict', authenticateUser, requireRole(['admin']), async (req, res) => {
     try {
-        const { id: disasterId } = req.params;
-        const { level = 'all' } = req.query;
+        const { id: disasterId, postId } = req.params;
+        const { verdict, evidence, notes } = req.body || {};
 
-        const cacheKey = cache.generateKey('social_media_priority', { disasterId, level });
-        let priorityData = await cache.get(cacheKey);
+        if (verdict !== null && !VERDICTS.includes(verdict)) {
+            return res.status(400).json({
+                error: 'Invalid verdict',
+                allowed: [...VERDICTS, null]
+            });
+        }
 
-        if (!priorityData) {
-            const allPosts = getRealtimeSocialMediaPosts(disasterId);
+        if (verdict !== null) {
+            const evidenceError = await validateEvidence(disasterId, evidence);
+            if (evidenceError) {
+                return res.status(400).json({
+                    error: 'Invalid evidence',
+                    message: evidenceError
+                });
+            }
+        }
 
-            // Categorize posts by priority
-            const categorized = {
-                critical: [],
-                high: [],
-                normal: [],
-                low: []
+        const changes = verdict === null
+            ? { verdict: null, verdict_evidence: null, verdict_by: null, verdict_at: null }
+            : {
+                verdict,
+                verdict_evidence: {
+                    type: evidence.type,
+                    id: evidence.id ? String(evidence.id) : null,
+                    url: evidence.url || null,
+                    notes: notes || null
+                },
+                verdict_by: req.user.id,
+                verdict_at: new Date().toISOString()
             };
 
-            allPosts.forEach(post => {
-                const priority = determinePriority(post.content);
-                post.priority = priority;
-                categorized[priority].push(post);
+        const post = await setPostVerdict(disasterId, postId, changes);
+        if (!post) {
+            return res.status(404).json({
+                error: 'Post not found',
+                postId
+            });
+        }
+
+        logger.info(`Post ${postId} of disaster ${disasterId} marked ${verdict || 'unreviewed'} by user ${req.user.id}`);
+
+        const [scored] = await attachCredibility([post]);
+        res.json({ data: scored });
+
+    } catch (error) {
+        logger.error(`Error in POST /disasters/${req.params.id}/social-media/posts/${req.params.postId}/verdict:`, error);
+        res.status(500).json({
+            error: 'Failed to save post verdict',
+            message: error.message
+        });
+    }
+});
+
+// POST /disasters/:id/social-media/ingest - Poll the disaster's providers now instead of waiting for the scheduled run
+router.post('/:id/social-media/ingest', authenticateUser, async (req, res) => {
+    try {
+        const found = await findConfigurableDisaster(req, res);
+        if (!found) return;
+
+        const summary = await ingestDisaster(found.disaster, req.app.get('io'));
+        logger.info(`Manual social media ingestion for disaster ${req.params.id} by user ${req.user.id}: ${summary.stored} new posts`);
+
+        res.json(summary);
+
+    } catch (error) {
+        logger.error(`Error in POST /disasters/${req.params.id}/social-media/ingest:`, error);
+        res.status(500).json({
+            error: 'Failed to ingest social media posts',
+            message: error.message
+        });
+    }
+});
+
+// GET /disasters/:id/social-media/keywords - Keywords polled for a disaster
+router.get('/:id/social-media/keywords', authenticateUser, async (req, res) => {
+    try {
+        const { disaster } = await findDisasterSettings(req.params.id);
+
+        if (!disaster) {
+            return res.status(404).json({
+                error: 'Disaster not found',
+                id: req.params.id
+            });
+        }
+
+        res.json({
+            disaster_id: req.params.id,
+            keywords: getDisasterKeywords(disaster),
+            uses_default: !(disaster.social_media_keywords && disaster.social_media_keywords.length > 0)
+        });
+
+    } catch (error) {
+        logger.error(`Error in GET /disasters/${req.params.id}/social-media/keywords:`, error);
+        res.status(500).json({
+            error: 'Failed to fetch social media keywords',
+            message: error.message
+        });
+    }
+});
+
+// PUT /disasters/:id/social-media/keywords - Set the keywords polled for a disaster ({ "keywords": null } restores the default)
+router.put('/:id/social-media/keywords', authenticateUser, async (req, res) => {
+    try {
+        const { keywords } = req.body || {};
+
+        if (keywords !== null) {
+            const keywordError = validateKeywords(keywords);
+            if (keywordError) {
+                return res.status(400).json({
+                    error: 'Invalid keywords',
+                    message: keywordError
+                });
+            }
+        }
+
+        const found = await findConfigurableDisaster(req, res);
+        if (!found) return;
+
+        const chosen = keywords === null ? null : [...new Set(keywords.map(k => k.trim()))];
+        await saveSocialSettings(found.disaster, found.mock, { social_media_keywords: chosen });
+
+        logger.info(`Social media keywords for disaster ${req.params.id} set to ${chosen ? chosen.join(', ') : 'the default'} by user ${req.user.id}`);
+
+        res.json({
+            disaster_id: req.params.id,
+            keywords: chosen || DEFAULT_KEYWORDS,
+            uses_default: chosen === null,
+            ...(found.mock ? { message: 'Updated mock data due to database connection issue' } : {})
+        });
+
+    } catch (error) {
+        logger.error(`Error in PUT /disasters/${req.params.id}/social-media/keywords:`, error);
+        res.status(500).json({
+            error: 'Failed to update social media keywords',
+            message: error.message
+        });
+    }
+});
+
+// GET /disasters/:id/social-media/providers - Providers available and enabled for a disaster
+router.get('/:id/social-media/providers', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId } = req.params;
+        const { disaster } = await findDisasterSettings(disasterId);
+
+        if (!disaster) {
+            return res.status(404).json({
+                error: 'Disaster not found',
+                id: disasterId
             });
+        }
 
-            priorityData = level === 'all' ? categorized : { [level]: categorized[level] || [] };
+        const enabled = getEnabledProviders(disaster);
 
-            await cache.set(cacheKey, priorityData, 300); // Cache for 5 minutes
+        res.json({
+            disaster_id: disasterId,
+            enabled,
+            uses_default: !(disaster.social_media_providers && disaster.social_media_providers.length > 0),
+            providers: describeProviders(enabled)
+        });
+
+    } catch (error) {
+        logger.error(`Error in GET /disasters/${req.params.id}/social-media/providers:`, error);
+        res.status(500).json({
+            error: 'Failed to fetch social media providers',
+            message: error.message
+        });
+    }
+});
+
+// PUT /disasters/:id/social-media/providers - Choose a disaster's providers ({ "providers": null } restores the default)
+router.put('/:id/social-media/providers', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId } = req.params;
+        const { providers } = req.body || {};
+
+        if (providers !== null) {
+            const providerError = validateProviderList(providers);
+            if (providerError) {
+                return res.status(400).json({
+                    error: 'Invalid providers',
+                    message: providerError
+                });
+            }
         }
 
+        const found = await findConfigurableDisaster(req, res);
+        if (!found) return;
+
+        const chosen = providers === null ? null : [...new Set(providers)];
+        await saveSocialSettings(found.disaster, found.mock, { social_media_providers: chosen });
+
+        const enabled = chosen || getDefaultProviders();
+        logger.info(`Social media providers for disaster ${disasterId} set to ${chosen ? chosen.join(', ') : 'the default'} by user ${req.user.id}`);
+
+        res.json({
+            disaster_id: disasterId,
+            enabled,
+            uses_default: chosen === null,
+            providers: describeProviders(enabled),
+            ...(found.mock ? { message: 'Updated mock data due to database connection issue' } : {})
+        });
+
+    } catch (error) {
+        logger.error(`Error in PUT /disasters/${req.params.id}/social-media/providers:`, error);
+        res.status(500).json({
+            error: 'Failed to update social media providers',
+            message: error.message
+        });
+    }
+});
+
+// GET /disasters/:id/social-media/priority - Recent stored posts (blocked authors left out) grouped by priority level
+router.get('/:id/social-media/priority', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId } = req.params;
+        const { level = 'all', keywords } = req.query;
+        const keywordList = keywords ? keywords.split(',').map(k => k.trim()).filter(Boolean) : [];
+
+        if (level !== 'all' && !PRIORITY_LEVELS.includes(level)) {
+            return res.status(400).json({
+                error: 'Invalid priority level',
+                allowed: ['all', ...PRIORITY_LEVELS]
+            });
+        }
+
+        const { posts: allPosts } = await queryStoredPosts(disasterId, {
+            priority: level === 'all' ? undefined : level,
+            keywords: keywordList,
+            excludeAuthorKeys: await getBlockedAuthorKeys(),
+            limit: PRIORITY_WINDOW_POSTS
+        });
+
+        // Categorize posts by priority
+        const categorized = Object.fromEntries(PRIORITY_LEVELS.map(priority => [priority, []]));
+        allPosts.forEach(post => {
+            (categorized[post.priority] || categorized.low).push(post);
+        });
+
+        const priorityData = level === 'all' ? categorized : { [level]: categorized[level] };
+
         res.json({
             disaster_id: disasterId,
             priority_level: level,
             data: priorityData,
             meta: {
                 timestamp: new Date().toISOString(),
-                total_posts: level === 'all'
-                    ? Object.values(priorityData).reduce((sum, posts) => sum + posts.length, 0)
-                    : priorityData[level]?.length || 0
+                total_posts: Object.values(priorityData).reduce((sum, posts) => sum + posts.length, 0)
             }
         });
 
@@ -0,0 +1,203 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { PROVIDER_NAMES } = require('../utils/socialProviders');
+const { TRUST_LEVELS, loadTrustList, getAuthorCredibility } = require('../utils/credibility');
+const mockSocialMediaAuthors = require('../data/mockSocialMediaAuthors');
+
+const MAX_REASON_LENGTH = 500;
+
+// Helper function to reject unknown providers; returns true when a response was sent
+function rejectUnknownProvider(req, res) {
+    if (PROVIDER_NAMES.includes(req.params.provider)) {
+        return false;
+    }
+    res.status(400).json({
+        error: 'Invalid provider',
+        allowed: PROVIDER_NAMES
+    });
+    return true;
+}
+
+// GET /social-media-authors - Trust and block list (admin only)
+router.get('/', authenticateUser, requireRole(['admin']), async (req, res) => {
+    try {
+        const { trust } = req.query;
+
+        if (trust && !TRUST_LEVELS.includes(trust)) {
+            return res.status(400).json({
+                error: 'Invalid trust level',
+                allowed: TRUST_LEVELS
+            });
+        }
+
+        const entries = [...(await loadTrustList()).values()]
+            .filter(entry => !trust || entry.trust === trust)
+            .sort((a, b) => a.author_key.localeCompare(b.author_key));
+
+        res.json({
+            data: entries,
+            meta: {
+                total_count: entries.length,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error in GET /social-media-authors:', error);
+        res.status(500).json({
+            error: 'Failed to fetch social media authors',
+            message: error.message
+        });
+    }
+});
+
+// GET /social-media-authors/:provider/:authorId - Credibility of an author with the factors behind it
+router.get('/:provider/:authorId', authenticateUser, async (req, res) => {
+    try {
+        if (rejectUnknownProvider(req, res)) return;
+
+        const authorKey = `${req.params.provider}:${req.params.authorId}`;
+        const result = await getAuthorCredibility(authorKey);
+
+        if (!result) {
+            return res.status(404).json({
+                error: 'Author not found',
+                author_key: authorKey
+            });
+        }
+
+        res.json({ data: result });
+
+    } catch (error) {
+        logger.error(`Error in GET /social-media-authors/${req.params.provider}/${req.params.authorId}:`, error);
+        res.status(500).json({
+            error: 'Failed to fetch author credibility',
+            message: error.message
+        });
+    }
+});
+
+// PUT /social-media-authors/:provider/:authorId - Mark an author trusted or blocked (admin only)
+router.put('/:provider/:authorId', authenticateUser, requireRole(['admin']), async (req, res) => {
+    try {
+        if (rejectUnknownProvider(req, res)) return;
+
+        const { provider, authorId } = req.params;
+        const { trust, reason, username } = req.body || {};
+
+        if (!TRUST_LEVELS.includes(trust)) {
+            return res.status(400).json({
+                error: 'Invalid trust level',
+                allowed: TRUST_LEVELS
+            });
+        }
+
+        if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+            return res.status(400).json({
+                error: 'Invalid reason',
+                message: `reason must be a string of at most ${MAX_REASON_LENGTH} characters`
+            });
+        }
+
+        const entry = {
+            author_key: `${provider}:${authorId}`,
+            provider,
+            author_id: authorId,
+            username: typeof username === 'string' ? username.replace(/^@/, '') : null,
+            trust,
+            reason: reason || null,
+            set_by: req.user.id,
+            set_at: new Date().toISOString()
+        };
+
+        const { data, error } = await supabase
+            .from('social_media_authors')
+            .upsert(entry)
+            .select()
+            .single();
+
+        if (error) {
+            logger.error('Error saving social media author:', error);
+
+            const index = mockSocialMediaAuthors.findIndex(a => a.author_key === entry.author_key);
+            if (index === -1) {
+                mockSocialMediaAuthors.push(entry);
+            } else {
+                mockSocialMediaAuthors[index] = entry;
+            }
+
+            return res.json({
+                data: entry,
+                message: 'Saved to mock data due to database connection issue'
+            });
+        }
+
+        logger.info(`Social media author ${entry.author_key} marked ${trust} by user ${req.user.id}`);
+        res.json({ data });
+
+    } catch (error) {
+        logger.error(`Error in PUT /social-media-authors/${req.params.provider}/${req.params.authorId}:`, error);
+        res.status(500).json({
+            error: 'Failed to save social media author',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /social-media-authors/:provider/:authorId - Remove an author from the trust and block list (admin only)
+router.delete('/:provider/:authorId', authenticateUser, requireRole(['admin']), async (req, res) => {
+    try {
+        if (rejectUnknownProvider(req, res)) return;
+
+        const authorKey = `${req.params.provider}:${req.params.authorId}`;
+
+        const { data, error } = await supabase
+            .from('social_media_authors')
+            .delete()
+            .eq('author_key', authorKey)
+            .select();
+
+        if (error) {
+            logger.error('Error deleting social media author:', error);
+
+            const index = mockSocialMediaAuthors.findIndex(a => a.author_key === authorKey);
+            if (index === -1) {
+                return res.status(404).json({
+                    error: 'Author not listed',
+                    author_key: authorKey
+                });
+            }
+            mockSocialMediaAuthors.splice(index, 1);
+
+            return res.json({
+                message: 'Deleted from mock data due to database connection issue',
+                author_key: authorKey
+            });
+        }
+
+        if (!data || data.length === 0) {
+            return res.status(404).json({
+                error: 'Author not listed',
+                author_key: authorKey
+            });
+        }
+
+        logger.info(`Social media author ${authorKey} removed from the trust list by user ${req.user.id}`);
+        res.json({
+            message: 'Author removed from the list',
+            author_key: authorKey
+        });
+
+    } catch (error) {
+        logger.error(`Error in DELETE /social-media-authors/${req.params.provider}/${req.params.authorId}:`, error);
+        res.status(500).json({
+            error: 'Failed to delete social media author',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
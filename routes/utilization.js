@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const { authenticateUser } = require('../middleware/auth');
+const {
+    BUCKET_SIZES,
+    parseTimeWindow,
+    loadSamples,
+    describeState,
+    summarizeHistory,
+    aggregateUtilization
+} = require('../utils/occupancyHistory');
+const mockResources = require('../data/mockResources');
+
+// GET /disasters/:id/resources/:resourceId/history - Occupancy and status changes of a resource over time
+router.get('/:id/resources/:resourceId/history', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId, resourceId } = req.params;
+
+        const timeWindow = parseTimeWindow(req.query);
+        if (timeWindow.error) {
+            return res.status(400).json({
+                error: 'Invalid time window',
+                message: timeWindow.error
+            });
+        }
+
+        const { data: resource, error } = await supabase
+            .from('resources')
+            .select('id, name, type')
+            .eq('id', resourceId)
+            .eq('disaster_id', disasterId)
+            .single();
+
+        const found = (!error && resource) ? resource : mockResources.find(r => r.id === resourceId && r.disaster_id === disasterId);
+        if (!found) {
+            return res.status(404).json({
+                error: 'Resource not found',
+                resourceId
+            });
+        }
+
+        const { samples, source } = await loadSamples({ disasterId, resourceId, ...timeWindow });
+        const ordered = [...samples].sort((a, b) => new Date(a.recorded_at) - new Date(b.recorded_at));
+
+        res.json({
+            disaster_id: disasterId,
+            resource: { id: found.id, name: found.name, type: found.type },
+            data: ordered.map(sample => ({
+                recorded_at: sample.recorded_at,
+                status: sample.status,
+                ...describeState(sample)
+            })),
+            summary: summarizeHistory(ordered, timeWindow.from, timeWindow.to),
+            meta: {
+                from: new Date(timeWindow.from).toISOString(),
+                to: new Date(timeWindow.to).toISOString(),
+                total_count: ordered.length,
+                source,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error in GET /disasters/${req.params.id}/resources/${req.params.resourceId}/history:`, error);
+        res.status(500).json({
+            error: 'Failed to fetch resource history',
+            message: error.message
+        });
+    }
+});
+
+// GET /disasters/:id/utilization - Capacity use across a disaster's resources per hour (or day) and type
+router.get('/:id/utilization', authenticateUser, async (req, res) => {
+    try {
+        const { id: disasterId } = req.params;
+        const { bucket = 'hour', type } = req.query;
+
+        if (!BUCKET_SIZES[bucket]) {
+            return res.status(400).json({
+                error: 'Invalid bucket',
+                allowed: Object.keys(BUCKET_SIZES)
+            });
+        }
+
+        const timeWindow = parseTimeWindow(req.query, bucket);
+        if (timeWindow.error) {
+            return res.status(400).json({
+                error: 'Invalid time window',
+                message: timeWindow.error
+            });
+        }
+
+        const { samples, source } = await loadSamples({ disasterId, ...timeWindow });
+        const utilization = aggregateUtilization(
+            samples.filter(sample => !type || sample.type === type),
+            { ...timeWindow, bucket }
+        );
+
+        logger.info(`Aggregated utilization for disaster ${disasterId} into ${utilization.buckets.length} ${bucket} buckets`);
+
+        res.json({
+            disaster_id: disasterId,
+            data: utilization.buckets,
+            by_type: utilization.by_type,
+            meta: {
+                from: new Date(timeWindow.from).toISOString(),
+                to: new Date(timeWindow.to).toISOString(),
+                bucket,
+                filters: { type: type || null },
+                source,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Error in GET /disasters/${req.params.id}/utilization:`, error);
+        res.status(500).json({
+            error: 'Failed to aggregate utilization',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -17,6 +17,18 @@ const officialUpdatesRoutes = require('./routes/officialUpdates');
 const geocodingRoutes = require('./routes/geocoding');
 const verificationRoutes = require('./routes/verification');
 const mockSocialMediaRoutes = require('./routes/mockSocialMedia');
+const reportRoutes = require('./routes/reports');
+const searchRoutes = require('./routes/search');
+const inventoryRoutes = require('./routes/inventory');
+const matchRoutes = require('./routes/matches');
+const reservationRoutes = require('./routes/reservations');
+const utilizationRoutes = require('./routes/utilization');
+const priorityLexiconRoutes = require('./routes/priorityLexicons');
+const socialMediaAuthorRoutes = require('./routes/socialMediaAuthors');
+
+// Scheduled jobs
+const { startReservationExpiryJob } = require('./jobs/reservationExpiry');
+const { startSocialMediaIngestJob } = require('./jobs/socialMediaIngest');
 
 const app = express();
 const server = http.createServer(app);
@@ -31,7 +43,8 @@ const io = socketIo(server, {
 app.use(helmet());
 app.use(cors({
     origin: process.env.CLIENT_URL || "http://localhost:3000",
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['ETag']
 }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
@@ -69,6 +82,14 @@ app.use('/api/disasters', resourceRoutes);
 app.use('/api/disasters', officialUpdatesRoutes);
 app.use('/api/geocode', geocodingRoutes);
 app.use('/api/disasters', verificationRoutes);
+app.use('/api/disasters', reportRoutes);
+app.use('/api/disasters', inventoryRoutes);
+app.use('/api/disasters', matchRoutes);
+app.use('/api/disasters', reservationRoutes);
+app.use('/api/disasters', utilizationRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/priority-lexicons', priorityLexiconRoutes);
+app.use('/api/social-media-authors', socialMediaAuthorRoutes);
 app.use('/api/mock-social-media', mockSocialMediaRoutes);
 
 // Static files for frontend
@@ -83,6 +104,7 @@ app.get('/', (req, res) => {
         endpoints: {
             disasters: '/api/disasters',
             geocoding: '/api/geocode',
+            search: '/api/search',
             mockSocialMedia: '/api/mock-social-media'
         }
     });
@@ -119,6 +141,8 @@ const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
     logger.info(`Server running on port ${PORT}`);
     logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    startReservationExpiryJob(io);
+    startSocialMediaIngestJob(io);
 });
 
 module.exports = { app, server, io };
@@ -0,0 +1,164 @@
+// Disaster history checks: revisions, their field diffs and reverting to an earlier revision.
+// Runs against the mock data; run with `npm test`.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+const disasterRoutes = require('../routes/disasters');
+const mockDisasters = require('../data/mockDisasters');
+
+let api;
+let nextId = 1;
+
+before(async () => {
+    api = await startServer([['/api/disasters', disasterRoutes]]);
+});
+
+after(() => api.close());
+
+// Add a mock disaster whose audit trail starts with its creation entry
+function addDisaster(title) {
+    const disaster = {
+        id: `history-${nextId++}`,
+        title,
+        location_name: 'Test Town',
+        description: 'Original description',
+        tags: ['flood'],
+        status: 'active',
+        owner_id: 'citizen1',
+        version: 1,
+        audit_trail: [{ action: 'create', user_id: 'citizen1', timestamp: new Date().toISOString() }],
+        created_at: new Date().toISOString()
+    };
+    mockDisasters.push(disaster);
+    return disaster;
+}
+
+// Apply an edit the way PUT records it: change the fields and append their before and after values
+function edit(disaster, changes) {
+    const diff = {};
+    Object.entries(changes).forEach(([field, value]) => {
+        diff[field] = { from: disaster[field], to: value };
+        disaster[field] = value;
+    });
+    disaster.audit_trail.push({
+        action: 'update',
+        user_id: 'citizen1',
+        timestamp: new Date().toISOString(),
+        changes: Object.keys(diff),
+        diff
+    });
+}
+
+function update(id, body) {
+    return api.request('PUT', `/disasters/${id}`, { user: 'citizen1', body });
+}
+
+function revert(id, revision, options = {}) {
+    return api.request('POST', `/disasters/${id}/history/${revision}/revert`, {
+        user: options.user || 'reliefAdmin',
+        body: { reason: 'Undo edits' },
+        headers: options.headers
+    });
+}
+
+test('updates record before and after values of the changed fields', async () => {
+    const disaster = addDisaster('History diff');
+
+    const { status } = await update(disaster.id, { title: 'History diff (renamed)', description: 'Original description' });
+    assert.equal(status, 200);
+
+    const entry = disaster.audit_trail.at(-1);
+    assert.deepEqual(entry.changes, ['title']);
+    assert.deepEqual(entry.diff.title, { from: 'History diff', to: 'History diff (renamed)' });
+    assert.equal(disaster.version, 2);
+});
+
+test('the history numbers each audit entry as a revision and can be filtered by field', async () => {
+    const disaster = addDisaster('History list');
+    edit(disaster, { title: 'History list (renamed)' });
+
+    const { status, body } = await api.request('GET', `/disasters/${disaster.id}/history`, { user: 'citizen1' });
+    assert.equal(status, 200);
+    assert.equal(body.meta.total_revisions, 2);
+    assert.deepEqual(body.data.map(entry => entry.revision), [1, 2]);
+    assert.deepEqual(body.data[1].diff.title, { from: 'History list', to: 'History list (renamed)' });
+
+    const filtered = await api.request('GET', `/disasters/${disaster.id}/history?field=description`, { user: 'citizen1' });
+    assert.equal(filtered.body.data.length, 0);
+});
+
+test('reverting restores every field changed after the revision and is itself recorded', async () => {
+    const disaster = addDisaster('History revert');
+
+    edit(disaster, { title: 'Second title' });
+    edit(disaster, { tags: ['flood', 'evacuation'], description: 'Edited description' });
+
+    const { status, body } = await revert(disaster.id, 1);
+    assert.equal(status, 200);
+    assert.equal(body.data.title, 'History revert');
+    assert.equal(body.data.description, 'Original description');
+    assert.deepEqual(body.data.tags, ['flood']);
+
+    assert.equal(body.revision.revision, 4);
+    assert.equal(body.revision.action, 'revert');
+    assert.equal(body.revision.reverted_to_revision, 1);
+    assert.deepEqual(body.revision.changes.sort(), ['description', 'tags', 'title']);
+    assert.deepEqual(body.revision.diff.title, { from: 'Second title', to: 'History revert' });
+
+    const broadcast = api.io.events.filter(e => e.event === 'disaster_updated' && e.data.action === 'revert');
+    assert.equal(broadcast.at(-1).data.reverted_to_revision, 1);
+});
+
+test('a revert can itself be undone by reverting to the revision before it', async () => {
+    const disaster = addDisaster('History redo');
+
+    edit(disaster, { title: 'Redo title' });
+    await revert(disaster.id, 1);
+
+    const { status, body } = await revert(disaster.id, 2);
+    assert.equal(status, 200);
+    assert.equal(body.data.title, 'Redo title');
+});
+
+test('only admins may revert, and only to an existing revision that differs', async () => {
+    const disaster = addDisaster('History rules');
+    edit(disaster, { title: 'Rules title' });
+
+    let response = await revert(disaster.id, 1, { user: 'citizen1' });
+    assert.equal(response.status, 403);
+
+    response = await revert(disaster.id, 9);
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid revision');
+
+    response = await revert(disaster.id, 2);
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Nothing to revert');
+});
+
+test('a revert across an entry without a recorded diff is refused', async () => {
+    const disaster = addDisaster('History legacy');
+    disaster.audit_trail.push({ action: 'update', user_id: 'citizen1', timestamp: new Date().toISOString(), changes: ['title'] });
+    disaster.title = 'Legacy edit';
+
+    const { status, body } = await revert(disaster.id, 1);
+    assert.equal(status, 409);
+    assert.equal(body.error, 'Revert not possible');
+    assert.equal(disaster.title, 'Legacy edit');
+});
+
+test('a stale or malformed If-Match is refused', async () => {
+    const disaster = addDisaster('History versions');
+    await update(disaster.id, { title: 'Versioned title' });
+
+    let response = await revert(disaster.id, 1, { headers: { 'If-Match': '"1"' } });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.current_version, 2);
+
+    response = await revert(disaster.id, 1, { headers: { 'If-Match': 'v2' } });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid version');
+    assert.equal(disaster.title, 'Versioned title');
+});
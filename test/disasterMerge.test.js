@@ -0,0 +1,253 @@
+// Disaster merge checks: everything stored for the duplicate moves to the survivor (mock-mode merge, the
+// equivalent of the merge_disasters RPC), the duplicate goes to the trash and conflicts are refused.
+// Runs against the mock data; run with `npm test`.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+const disasterRoutes = require('../routes/disasters');
+const mockDisasters = require('../data/mockDisasters');
+const mockResources = require('../data/mockResources');
+const mockReports = require('../data/mockReports');
+const mockDisasterAreas = require('../data/mockDisasterAreas');
+const mockReservations = require('../data/mockReservations');
+const mockOccupancySamples = require('../data/mockOccupancySamples');
+const mockIngestedPosts = require('../data/mockIngestedPosts');
+
+let api;
+
+before(async () => {
+    api = await startServer([['/api/disasters', disasterRoutes]]);
+});
+
+after(() => api.close());
+
+const SQUARE = {
+    type: 'MultiPolygon',
+    coordinates: [[[[-74.02, 40.70], [-73.97, 40.70], [-73.97, 40.74], [-74.02, 40.74], [-74.02, 40.70]]]]
+};
+
+function addDisaster(id, title) {
+    const disaster = {
+        id,
+        title,
+        location_name: 'Test Town',
+        description: `${title} for merge tests`,
+        tags: ['flood'],
+        status: 'active',
+        owner_id: 'reliefAdmin',
+        version: 1,
+        audit_trail: [],
+        created_at: new Date().toISOString()
+    };
+    mockDisasters.push(disaster);
+    return disaster;
+}
+
+function addArea(disasterId, version, label) {
+    mockDisasterAreas.push({
+        id: `area_${disasterId}_v${version}_0`,
+        disaster_id: disasterId,
+        version,
+        position: 0,
+        label,
+        geometry: SQUARE,
+        created_by: 'reliefAdmin',
+        created_at: new Date().toISOString()
+    });
+}
+
+// A survivor and a duplicate; the duplicate has a shelter with a hold and occupancy history,
+// a report, two area versions and two stored posts, one of which the survivor stored as well
+function addPair(prefix) {
+    const survivor = addDisaster(`${prefix}-survivor`, `${prefix} survivor`);
+    const duplicate = addDisaster(`${prefix}-duplicate`, `${prefix} duplicate`);
+    const resourceId = `${prefix}-shelter`;
+
+    mockResources.push({
+        id: resourceId,
+        disaster_id: duplicate.id,
+        name: 'School gym',
+        location_name: 'Test Town School',
+        location: { type: 'Point', coordinates: [-74.0, 40.72] },
+        type: 'shelter',
+        capacity: 80,
+        current_occupancy: 10,
+        reserved_count: 5,
+        status: 'active',
+        created_by: 'reliefAdmin',
+        managers: [],
+        version: 1,
+        created_at: new Date().toISOString()
+    });
+    mockReports.push({
+        id: `${prefix}-report`,
+        disaster_id: duplicate.id,
+        user_id: 'citizen1',
+        content: 'Water rising near the school',
+        verification_status: 'pending',
+        priority: 'high',
+        created_at: new Date().toISOString()
+    });
+    addArea(duplicate.id, 1, 'First perimeter');
+    addArea(duplicate.id, 2, 'Current perimeter');
+    mockReservations.push({
+        id: `${prefix}-hold`,
+        resource_id: resourceId,
+        disaster_id: duplicate.id,
+        party_size: 5,
+        status: 'held',
+        hold_expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        created_by: 'reliefAdmin',
+        created_at: new Date().toISOString()
+    });
+    mockOccupancySamples.push({
+        id: `${prefix}-sample`,
+        resource_id: resourceId,
+        disaster_id: duplicate.id,
+        type: 'shelter',
+        capacity: 80,
+        current_occupancy: 10,
+        reserved_count: 5,
+        status: 'active',
+        recorded_at: new Date().toISOString()
+    });
+    mockIngestedPosts.push(
+        { id: `${prefix}-post-1`, disaster_id: duplicate.id, content: 'Only stored for the duplicate', verdict: null },
+        { id: `${prefix}-post-2`, disaster_id: duplicate.id, content: 'Stored for both', verdict: 'confirmed', verdict_by: 'reliefAdmin' },
+        { id: `${prefix}-post-2`, disaster_id: survivor.id, content: 'Stored for both', verdict: null }
+    );
+
+    return { survivor, duplicate, resourceId };
+}
+
+function merge(survivorId, duplicateId, options = {}) {
+    return api.request('POST', `/disasters/${survivorId}/merge`, {
+        user: options.user || 'reliefAdmin',
+        body: { duplicate_id: duplicateId, reason: 'Same incident' },
+        headers: options.headers
+    });
+}
+
+test('merging moves the duplicate\'s resources, holds, history, reports and posts to the survivor', async () => {
+    const { survivor, duplicate, resourceId } = addPair('move');
+
+    const { status, body } = await merge(survivor.id, duplicate.id);
+    assert.equal(status, 200);
+    assert.deepEqual(body.merged, {
+        duplicate_id: duplicate.id,
+        moved_resources: 1,
+        moved_reservations: 1,
+        moved_occupancy_samples: 1,
+        moved_reports: 1,
+        moved_posts: 1,
+        adopted_areas: 1
+    });
+
+    assert.equal(mockResources.find(r => r.id === resourceId).disaster_id, survivor.id);
+    assert.equal(mockReservations.find(r => r.id === 'move-hold').disaster_id, survivor.id);
+    assert.equal(mockOccupancySamples.find(s => s.id === 'move-sample').disaster_id, survivor.id);
+    assert.equal(mockReports.find(r => r.id === 'move-report').disaster_id, survivor.id);
+    assert.equal(mockIngestedPosts.find(p => p.id === 'move-post-1').disaster_id, survivor.id);
+    assert.ok(!mockIngestedPosts.some(p => p.disaster_id === duplicate.id));
+});
+
+test('a post stored for both disasters keeps the survivor\'s copy with the duplicate\'s verdict', async () => {
+    const { survivor, duplicate } = addPair('posts');
+
+    await merge(survivor.id, duplicate.id);
+
+    const copies = mockIngestedPosts.filter(p => p.id === 'posts-post-2');
+    assert.equal(copies.length, 1);
+    assert.equal(copies[0].disaster_id, survivor.id);
+    assert.equal(copies[0].verdict, 'confirmed');
+    assert.equal(copies[0].verdict_by, 'reliefAdmin');
+});
+
+test('a survivor without areas adopts the duplicate\'s current perimeter as its first version', async () => {
+    const { survivor, duplicate } = addPair('areas');
+
+    await merge(survivor.id, duplicate.id);
+
+    const adopted = mockDisasterAreas.filter(area => area.disaster_id === survivor.id);
+    assert.equal(adopted.length, 1);
+    assert.equal(adopted[0].version, 1);
+    assert.equal(adopted[0].label, 'Current perimeter');
+    assert.equal(mockDisasterAreas.filter(area => area.disaster_id === duplicate.id).length, 2);
+});
+
+test('a survivor with areas keeps them', async () => {
+    const { survivor, duplicate } = addPair('keep');
+    addArea(survivor.id, 1, 'Survivor perimeter');
+
+    const { body } = await merge(survivor.id, duplicate.id);
+    assert.equal(body.merged.adopted_areas, 0);
+    assert.deepEqual(mockDisasterAreas.filter(area => area.disaster_id === survivor.id).map(area => area.label), ['Survivor perimeter']);
+});
+
+test('the duplicate goes to the trash and both audit trails record the merge', async () => {
+    const { survivor, duplicate } = addPair('audit');
+
+    const { body, headers } = await merge(survivor.id, duplicate.id);
+    assert.equal(headers.get('ETag'), '"2"');
+    assert.equal(duplicate.merged_into, survivor.id);
+    assert.ok(duplicate.deleted_at);
+
+    assert.equal(survivor.audit_trail.at(-1).action, 'merge');
+    assert.equal(survivor.audit_trail.at(-1).merged_from, duplicate.id);
+    assert.equal(survivor.audit_trail.at(-1).moved_resources, 1);
+    assert.equal(duplicate.audit_trail.at(-1).action, 'merged_into');
+    assert.equal(duplicate.audit_trail.at(-1).merged_into, survivor.id);
+
+    const broadcast = api.io.events.filter(e => e.event === 'disaster_updated' && e.data.action === 'merge');
+    assert.equal(broadcast.at(-1).data.merged_disaster_id, duplicate.id);
+    assert.equal(body.data.id, survivor.id);
+
+    const again = await merge(survivor.id, duplicate.id);
+    assert.equal(again.status, 404);
+});
+
+test('resources sharing an external_id make the merge fail with 409 and move nothing', async () => {
+    const { survivor, duplicate, resourceId } = addPair('conflict');
+    mockResources.find(r => r.id === resourceId).external_id = 'SHELTER-7';
+    mockResources.push({
+        id: 'conflict-survivor-shelter',
+        disaster_id: survivor.id,
+        name: 'Library',
+        type: 'shelter',
+        capacity: 20,
+        current_occupancy: 0,
+        reserved_count: 0,
+        status: 'active',
+        external_id: 'SHELTER-7',
+        created_by: 'reliefAdmin',
+        managers: [],
+        version: 1
+    });
+
+    const { status, body } = await merge(survivor.id, duplicate.id);
+    assert.equal(status, 409);
+    assert.equal(body.error, 'Conflicting external_ids');
+    assert.deepEqual(body.external_ids, ['SHELTER-7']);
+
+    assert.equal(mockResources.find(r => r.id === resourceId).disaster_id, duplicate.id);
+    assert.equal(mockReservations.find(r => r.id === 'conflict-hold').disaster_id, duplicate.id);
+    assert.equal(mockReports.find(r => r.id === 'conflict-report').disaster_id, duplicate.id);
+    assert.ok(!duplicate.deleted_at);
+});
+
+test('merges are limited to admins and checked against the survivor\'s version', async () => {
+    const { survivor, duplicate } = addPair('rules');
+
+    let response = await merge(survivor.id, duplicate.id, { user: 'citizen1' });
+    assert.equal(response.status, 403);
+
+    response = await merge(survivor.id, survivor.id);
+    assert.equal(response.status, 400);
+
+    response = await merge(survivor.id, duplicate.id, { headers: { 'If-Match': '"5"' } });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error, 'Version conflict');
+    assert.ok(!duplicate.deleted_at);
+});
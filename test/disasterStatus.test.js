@@ -0,0 +1,129 @@
+// Disaster lifecycle checks: allowed transitions, role and ownership rules, and the recorded history.
+// Runs against the mock data; run with `npm test`.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+const disasterRoutes = require('../routes/disasters');
+const mockDisasters = require('../data/mockDisasters');
+
+let api;
+
+before(async () => {
+    api = await startServer([['/api/disasters', disasterRoutes]]);
+});
+
+after(() => api.close());
+
+let nextId = 1;
+
+// Add a mock disaster owned by `owner`; created disasters are not kept in mock mode, so tests add their own
+function addDisaster(owner, title, status = 'reported') {
+    const disaster = {
+        id: `lifecycle-${nextId++}`,
+        title,
+        location_name: 'Test Town',
+        description: `${title} for lifecycle tests`,
+        tags: [],
+        status,
+        owner_id: owner,
+        version: 1,
+        audit_trail: [],
+        created_at: new Date().toISOString()
+    };
+    mockDisasters.push(disaster);
+    return disaster;
+}
+
+function changeStatus(id, user, status, options = {}) {
+    return api.request('POST', `/disasters/${id}/status`, {
+        user,
+        body: { status, reason: options.reason || `Moving to ${status}` },
+        headers: options.headers
+    });
+}
+
+test('a reported disaster lists the transitions its owner may perform', async () => {
+    const disaster = addDisaster('citizen1', 'Lifecycle start');
+
+    const { status, body } = await api.request('GET', `/disasters/${disaster.id}/status`, { user: 'citizen1' });
+    assert.equal(status, 200);
+    assert.equal(body.status, 'reported');
+    assert.deepEqual(body.allowed_transitions, ['active']);
+});
+
+test('an owner moves through the states contributors may set and each change is recorded', async () => {
+    const disaster = addDisaster('citizen1', 'Lifecycle walk');
+
+    let response = await changeStatus(disaster.id, 'citizen1', 'active', { reason: 'Confirmed by field team' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.status, 'active');
+    assert.equal(response.body.transition.from, 'reported');
+    assert.equal(response.body.transition.to, 'active');
+
+    response = await changeStatus(disaster.id, 'citizen1', 'contained');
+    assert.equal(response.status, 200);
+
+    const { body } = await api.request('GET', `/disasters/${disaster.id}/status`, { user: 'citizen1' });
+    assert.equal(body.status, 'contained');
+    assert.deepEqual(body.history.map(entry => [entry.from, entry.to]), [['reported', 'active'], ['active', 'contained']]);
+    assert.equal(body.history[0].reason, 'Confirmed by field team');
+
+    const broadcast = api.io.events.filter(e => e.event === 'disaster_updated' && e.data.action === 'status_change');
+    assert.equal(broadcast.at(-1).data.previous_status, 'active');
+    assert.equal(broadcast.at(-1).data.status, 'contained');
+});
+
+test('transitions outside the state machine are rejected with 409', async () => {
+    const disaster = addDisaster('citizen1', 'Lifecycle skip');
+
+    const { status, body } = await changeStatus(disaster.id, 'citizen1', 'contained');
+    assert.equal(status, 409);
+    assert.equal(body.error, 'Invalid transition');
+    assert.deepEqual(body.allowed, ['active', 'resolved']);
+});
+
+test('only admins may resolve or archive, and contributors only change their own disasters', async () => {
+    const disaster = addDisaster('citizen1', 'Lifecycle roles');
+    await changeStatus(disaster.id, 'citizen1', 'active');
+
+    let response = await changeStatus(disaster.id, 'citizen1', 'resolved');
+    assert.equal(response.status, 403);
+
+    response = await changeStatus(disaster.id, 'volunteer1', 'contained');
+    assert.equal(response.status, 403);
+
+    response = await changeStatus(disaster.id, 'reliefAdmin', 'resolved');
+    assert.equal(response.status, 200);
+    response = await changeStatus(disaster.id, 'reliefAdmin', 'archived');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.status, 'archived');
+});
+
+test('a missing reason or unknown status is a 400', async () => {
+    const disaster = addDisaster('citizen1', 'Lifecycle input');
+
+    let response = await api.request('POST', `/disasters/${disaster.id}/status`, {
+        user: 'citizen1',
+        body: { status: 'active' }
+    });
+    assert.equal(response.status, 400);
+
+    response = await changeStatus(disaster.id, 'citizen1', 'closed');
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid status');
+});
+
+test('a stale or malformed If-Match is refused', async () => {
+    const disaster = addDisaster('citizen1', 'Lifecycle versions');
+
+    let response = await changeStatus(disaster.id, 'citizen1', 'active', { headers: { 'If-Match': '"7"' } });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error, 'Version conflict');
+
+    response = await changeStatus(disaster.id, 'citizen1', 'active', { headers: { 'If-Match': 'latest' } });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid version');
+    assert.equal(disaster.status, 'reported');
+});
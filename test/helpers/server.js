@@ -0,0 +1,64 @@
+// Test server: mounts route modules on a bare Express app, the way server.js does, with a stand-in for
+// Socket.IO that records what was emitted. Without Supabase credentials every route runs on the mock data.
+
+const express = require('express');
+const logger = require('../../utils/logger');
+
+// Route errors are expected while Supabase is unreachable; keep the test output readable
+logger.silent = true;
+
+function createRecordingIo() {
+    const events = [];
+    return {
+        events,
+        to(room) {
+            return { emit: (event, data) => events.push({ room, event, data }) };
+        },
+        emit(event, data) {
+            events.push({ room: null, event, data });
+        }
+    };
+}
+
+// Start an app serving `routes` ([[path, router], ...]) on a free port.
+// Returns { io, request(method, path, { user, body, headers }), close() }.
+async function startServer(routes) {
+    const app = express();
+    const io = createRecordingIo();
+    app.set('io', io);
+    app.use(express.json());
+    routes.forEach(([path, router]) => app.use(path, router));
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+    async function request(method, path, { user, body, headers = {} } = {}) {
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers: {
+                ...(user ? { 'x-user-id': user } : {}),
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        return {
+            status: response.status,
+            headers: response.headers,
+            body: text ? JSON.parse(text) : null
+        };
+    }
+
+    return {
+        io,
+        request,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = {
+    startServer
+};
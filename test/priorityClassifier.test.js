@@ -0,0 +1,94 @@
+// Priority classifier checks against the default lexicons: negation in English, Spanish and French
+// (including elided cues), terms that only fill the gap to a cue, and overlapping terms. Run with `npm test`.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { classifyPriority } = require('../utils/priorityClassifier');
+const mockPriorityLexicons = require('../data/mockPriorityLexicons');
+
+function classify(content, hazardType = null) {
+    return classifyPriority(content, mockPriorityLexicons, { hazardType });
+}
+
+function signal(result, term) {
+    return result.explanation.find(entry => entry.term === term);
+}
+
+test('a negated term contributes nothing but is still explained', () => {
+    const result = classify('We are no longer trapped, thanks to the neighbours');
+    assert.equal(result.priority, 'low');
+    assert.equal(result.score, 0);
+    assert.equal(signal(result, 'trapped').negated, true);
+    assert.equal(signal(result, 'trapped').negation, 'no longer');
+});
+
+test('a cue only reaches its term across filler words', () => {
+    const result = classify('No power no water still trapped on the roof', 'flood');
+    assert.equal(signal(result, 'trapped').negated, false);
+    assert.equal(signal(result, 'water').contribution, 1);
+    assert.equal(signal(result, 'on the roof').contribution, 5);
+    assert.equal(result.score, 14);
+    assert.equal(result.priority, 'critical');
+
+    const drill = classify('This is not a drill: evacuate immediately');
+    assert.equal(signal(drill, 'drill').negated, true);
+    assert.equal(drill.score, 7);
+    assert.equal(drill.priority, 'high');
+});
+
+test('terms that are not negatable keep their weight', () => {
+    const result = classify('We have no food and no water');
+    assert.equal(result.score, 2);
+    assert.equal(result.priority, 'normal');
+});
+
+test('contractions, typographic apostrophes and prefixes negate', () => {
+    assert.equal(classify('Don\'t evacuate yet').score, 0);
+    assert.equal(classify('Please don’t evacuate').score, 0);
+    assert.equal(signal(classify('Non-emergency call about a fallen branch'), 'emergency').negation, 'non');
+});
+
+test('Spanish cues, including two-word ones, negate', () => {
+    let result = classify('Ya no estamos atrapados');
+    assert.equal(result.score, 0);
+    assert.equal(signal(result, 'atrapados').negation, 'ya no');
+
+    result = classify('No hay heridos en el edificio');
+    assert.equal(result.score, 0);
+    assert.equal(signal(result, 'heridos').negation, 'no');
+
+    result = classify('Estamos atrapados, no hay agua');
+    assert.equal(signal(result, 'atrapados').negated, false);
+    assert.equal(result.priority, 'critical');
+});
+
+test('French cues negate, including elided ones', () => {
+    let result = classify('Ils ne sont plus piégés');
+    assert.equal(result.score, 0);
+    assert.equal(signal(result, 'piégés').negation, 'plus');
+
+    result = classify('Il n\'y a pas de blessés');
+    assert.equal(result.score, 0);
+    assert.equal(signal(result, 'blessés').negation, 'pas');
+
+    result = classify('Personne n\'est blessé');
+    assert.equal(signal(result, 'blessé').negation, 'n');
+});
+
+test('a longer term is not counted again as the shorter term it contains', () => {
+    let result = classify('Au secours, nous sommes coincés');
+    assert.equal(signal(result, 'au secours').contribution, 6);
+    assert.equal(signal(result, 'secours'), undefined);
+    assert.equal(result.score, 11);
+
+    result = classify('Au secours ! Les secours ne sont pas encore arrivés');
+    assert.equal(signal(result, 'au secours').contribution, 6);
+    assert.equal(signal(result, 'secours').contribution, 4);
+    assert.equal(result.score, 10);
+});
+
+test('hazard lexicons only apply to disasters of their hazard type', () => {
+    assert.equal(signal(classify('Water rising in the basement'), 'water rising'), undefined);
+    assert.equal(signal(classify('Water rising in the basement', 'flood'), 'water rising').contribution, 4);
+});
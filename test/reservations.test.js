@@ -0,0 +1,178 @@
+// Shelter reservation checks: holds count against capacity, check-in and cancellation release them,
+// lapsed holds are expired by the scheduled job's release function, and only the right people may act on them.
+// Runs against the mock data; run with `npm test`.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+const reservationRoutes = require('../routes/reservations');
+const { releaseExpiredReservations } = require('../utils/reservations');
+const mockResources = require('../data/mockResources');
+const mockReservations = require('../data/mockReservations');
+
+let api;
+let nextId = 1;
+
+before(async () => {
+    api = await startServer([['/api/disasters', reservationRoutes]]);
+});
+
+after(() => api.close());
+
+// Add a shelter of disaster 1 created by volunteer1
+function addShelter({ capacity = 50, occupancy = 0 } = {}) {
+    const shelter = {
+        id: `shelter-${nextId++}`,
+        disaster_id: '1',
+        name: 'Test shelter',
+        location_name: 'Test Town',
+        type: 'shelter',
+        capacity,
+        current_occupancy: occupancy,
+        reserved_count: 0,
+        status: 'active',
+        created_by: 'volunteer1',
+        managers: [],
+        version: 1,
+        created_at: new Date().toISOString()
+    };
+    mockResources.push(shelter);
+    return shelter;
+}
+
+function hold(shelter, body, user = 'volunteer1') {
+    return api.request('POST', `/disasters/1/resources/${shelter.id}/reservations`, { user, body });
+}
+
+function checkIn(shelter, reservationId, body = {}, user = 'volunteer1') {
+    return api.request('POST', `/disasters/1/resources/${shelter.id}/reservations/${reservationId}/check-in`, { user, body });
+}
+
+function cancel(shelter, reservationId, user = 'volunteer1') {
+    return api.request('DELETE', `/disasters/1/resources/${shelter.id}/reservations/${reservationId}`, { user });
+}
+
+test('a hold counts against capacity until enough places are left', async () => {
+    const shelter = addShelter({ capacity: 30, occupancy: 10 });
+
+    let response = await hold(shelter, { party_size: 15, reference: 'BUS-1' });
+    assert.equal(response.status, 201);
+    assert.equal(response.body.data.status, 'held');
+    assert.deepEqual(response.body.capacity, { capacity: 30, occupied: 10, reserved: 15, available: 5 });
+
+    response = await hold(shelter, { party_size: 6 });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error, 'Not enough space');
+    assert.equal(shelter.reserved_count, 15);
+});
+
+test('checking in a hold moves the arrivals into occupancy and frees the rest', async () => {
+    const shelter = addShelter({ capacity: 40 });
+    const { body: held } = await hold(shelter, { party_size: 12 });
+
+    const { status, body } = await checkIn(shelter, held.data.id, { arrived_count: 9 });
+    assert.equal(status, 200);
+    assert.equal(body.data.status, 'checked_in');
+    assert.equal(body.data.arrived_count, 9);
+    assert.deepEqual(body.capacity, { capacity: 40, occupied: 9, reserved: 0, available: 31 });
+
+    const again = await checkIn(shelter, held.data.id);
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error, 'Reservation is not held');
+});
+
+test('cancelling a hold gives its places back', async () => {
+    const shelter = addShelter({ capacity: 10 });
+    const { body: held } = await hold(shelter, { party_size: 10 });
+    assert.equal(shelter.status, 'full');
+
+    const { status, body } = await cancel(shelter, held.data.id);
+    assert.equal(status, 200);
+    assert.equal(body.data.status, 'cancelled');
+    assert.equal(shelter.reserved_count, 0);
+    assert.equal(shelter.status, 'active');
+});
+
+test('holds default to an hour past the expected arrival and reject expiries in the past', async () => {
+    const shelter = addShelter();
+    const arrival = new Date(Date.now() + 30 * 60 * 1000);
+
+    let response = await hold(shelter, { party_size: 2, expected_arrival: arrival.toISOString() });
+    assert.equal(response.status, 201);
+    assert.equal(new Date(response.body.data.hold_expires_at).getTime(), arrival.getTime() + 60 * 60 * 1000);
+
+    response = await hold(shelter, { party_size: 2, hold_expires_at: new Date(Date.now() - 1000).toISOString() });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid hold expiry');
+});
+
+test('lapsed holds are expired, their places released and the disaster room told', async () => {
+    const shelter = addShelter({ capacity: 20 });
+    const { body: lapsing } = await hold(shelter, { party_size: 8 });
+    const { body: current } = await hold(shelter, { party_size: 4, hold_minutes: 30 });
+    mockReservations.find(r => r.id === lapsing.data.id).hold_expires_at = new Date(Date.now() - 1000).toISOString();
+
+    const released = await releaseExpiredReservations(api.io);
+    assert.deepEqual(released.map(r => r.id), [lapsing.data.id]);
+    assert.equal(released[0].status, 'expired');
+    assert.equal(shelter.reserved_count, 4);
+    assert.equal(mockReservations.find(r => r.id === current.data.id).status, 'held');
+
+    const event = api.io.events.find(e => e.event === 'reservations_updated' && e.data.action === 'expired');
+    assert.equal(event.room, 'disaster_1');
+    assert.equal(event.data.data.id, lapsing.data.id);
+
+    const { status, body } = await checkIn(shelter, lapsing.data.id);
+    assert.equal(status, 409);
+    assert.equal(body.message, 'Reservation is already expired');
+});
+
+test('a hold that lapsed before the job ran cannot be checked in', async () => {
+    const shelter = addShelter();
+    const { body: held } = await hold(shelter, { party_size: 3 });
+    mockReservations.find(r => r.id === held.data.id).hold_expires_at = new Date(Date.now() - 1000).toISOString();
+
+    const { status, body } = await checkIn(shelter, held.data.id);
+    assert.equal(status, 409);
+    assert.match(body.message, /^The hold expired at /);
+});
+
+test('only admins and the resource\'s creator may hold places', async () => {
+    const shelter = addShelter();
+
+    let response = await hold(shelter, { party_size: 2 }, 'citizen1');
+    assert.equal(response.status, 403);
+
+    response = await hold(shelter, { party_size: 2 }, 'reliefAdmin');
+    assert.equal(response.status, 201);
+    assert.equal(shelter.reserved_count, 2);
+});
+
+test('a hold may be checked in or cancelled by whoever placed it, admins and the resource\'s creator', async () => {
+    const shelter = addShelter();
+    const { body: byAdmin } = await hold(shelter, { party_size: 2 }, 'reliefAdmin');
+    const { body: byCreator } = await hold(shelter, { party_size: 2 }, 'volunteer1');
+
+    let response = await cancel(shelter, byCreator.data.id, 'citizen1');
+    assert.equal(response.status, 403);
+    response = await checkIn(shelter, byCreator.data.id, {}, 'citizen1');
+    assert.equal(response.status, 403);
+
+    response = await cancel(shelter, byAdmin.data.id, 'volunteer1');
+    assert.equal(response.status, 200);
+    response = await checkIn(shelter, byCreator.data.id, {}, 'netrunnerX');
+    assert.equal(response.status, 200);
+});
+
+test('managers may hold places and keep access to their holds after they stop managing the resource', async () => {
+    const shelter = addShelter();
+    shelter.managers = ['citizen1'];
+
+    const { status, body: held } = await hold(shelter, { party_size: 3 }, 'citizen1');
+    assert.equal(status, 201);
+
+    shelter.managers = [];
+    const response = await cancel(shelter, held.data.id, 'citizen1');
+    assert.equal(response.status, 200);
+});
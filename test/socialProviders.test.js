@@ -0,0 +1,297 @@
+// Social media adapter checks: `normalize` on recorded API responses and `fetchPosts` against a local server
+// that serves those recordings page by page, the way each provider pages its search results.
+// Run with `npm test`.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+
+const twitter = require('../utils/socialProviders/twitter');
+const mastodon = require('../utils/socialProviders/mastodon');
+const bluesky = require('../utils/socialProviders/bluesky');
+const reddit = require('../utils/socialProviders/reddit');
+const mock = require('../utils/socialProviders/mock');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'socialProviders');
+const fixtures = {
+    twitter: require(path.join(FIXTURES, 'twitter.json')),
+    mastodon: require(path.join(FIXTURES, 'mastodon.json')),
+    bluesky: require(path.join(FIXTURES, 'bluesky.json')),
+    reddit: require(path.join(FIXTURES, 'reddit.json')),
+    mock: require(path.join(FIXTURES, 'mock.json'))
+};
+
+// The server returns at most this many items per request, so every fetch has to page
+const SERVER_PAGE_SIZE = 2;
+const TWITTER_TOKEN = 'fixture-token';
+const BEFORE_ALL = '2025-03-14T11:00:00.000Z';
+// Between the second and third newest post of every fixture
+const MID_WINDOW = '2025-03-14T12:02:30.000Z';
+
+const POST_KEYS = ['id', 'provider', 'provider_id', 'url', 'content', 'language', 'created_at', 'author', 'geo', 'media', 'engagement', 'hashtags', 'references'];
+const AUTHOR_KEYS = ['id', 'username', 'display_name', 'verified', 'followers', 'account_created_at', 'url'];
+
+let server;
+let baseUrl;
+let requests = [];
+
+// Serve one page of `items`, starting after the item the client's cursor points at
+function page(items, startIndex, limit) {
+    const size = Math.min(Number(limit) || SERVER_PAGE_SIZE, SERVER_PAGE_SIZE);
+    const slice = items.slice(startIndex, startIndex + size);
+    return { slice, more: startIndex + size < items.length };
+}
+
+function handle(url, headers) {
+    const params = url.searchParams;
+
+    if (url.pathname === '/2/tweets/search/recent') {
+        if (headers.authorization !== `Bearer ${TWITTER_TOKEN}`) {
+            return [401, { title: 'Unauthorized', status: 401 }];
+        }
+        const startTime = params.get('start_time');
+        const tweets = fixtures.twitter.data.filter(tweet => !startTime || tweet.created_at >= startTime);
+        const offset = params.get('next_token') ? Number(params.get('next_token').replace('page-', '')) : 0;
+        const { slice, more } = page(tweets, offset, params.get('max_results'));
+        return [200, {
+            data: slice,
+            includes: fixtures.twitter.includes,
+            meta: {
+                result_count: slice.length,
+                ...(more ? { next_token: `page-${offset + slice.length}` } : {})
+            }
+        }];
+    }
+
+    if (url.pathname.startsWith('/api/v1/timelines/tag/')) {
+        const maxId = params.get('max_id');
+        const statuses = fixtures.mastodon.filter(status => !maxId || BigInt(status.id) < BigInt(maxId));
+        return [200, page(statuses, 0, params.get('limit')).slice];
+    }
+
+    if (url.pathname === '/xrpc/app.bsky.feed.searchPosts') {
+        const since = params.get('since');
+        const posts = fixtures.bluesky.posts.filter(post => !since || post.record.createdAt >= since);
+        const offset = Number(params.get('cursor') || 0);
+        const { slice, more } = page(posts, offset, params.get('limit'));
+        return [200, { posts: slice, ...(more ? { cursor: String(offset + slice.length) } : {}) }];
+    }
+
+    if (url.pathname === '/search.json') {
+        const children = fixtures.reddit.data.children;
+        const after = params.get('after');
+        const offset = after ? children.findIndex(child => child.data.name === after) + 1 : 0;
+        const { slice, more } = page(children, offset, params.get('limit'));
+        return [200, {
+            kind: 'Listing',
+            data: { ...fixtures.reddit.data, children: slice, after: more ? slice[slice.length - 1].data.name : null }
+        }];
+    }
+
+    if (url.pathname === '/mock-social-media') {
+        return [200, fixtures.mock];
+    }
+
+    return [404, { error: 'Not found' }];
+}
+
+function fetchAll(provider, query, options = {}) {
+    requests = [];
+    return provider.fetchPosts({ keywords: ['flood'], limit: 100, ...query }, { baseUrl, ...options });
+}
+
+function assertNormalized(post, provider) {
+    assert.deepEqual(Object.keys(post), POST_KEYS);
+    assert.deepEqual(Object.keys(post.author), AUTHOR_KEYS);
+    assert.equal(post.provider, provider);
+    assert.equal(post.id, `${provider}:${post.provider_id}`);
+    assert.equal(typeof post.content, 'string');
+    assert.equal(new Date(post.created_at).toISOString(), post.created_at);
+    Object.values(post.engagement).forEach(count => assert.ok(Number.isInteger(count) && count >= 0));
+    assert.ok(Array.isArray(post.hashtags));
+    post.media.forEach(item => assert.ok(['image', 'video', 'gif', 'other'].includes(item.type) && item.url));
+    post.references.forEach(ref => assert.ok(['repost', 'quote', 'reply'].includes(ref.type) && ref.provider_id));
+}
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push(url);
+        const [status, body] = handle(url, req.headers);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('twitter normalize maps a tweet with its author, place, media and references', () => {
+    const post = twitter.normalize(fixtures.twitter.data[0], fixtures.twitter.includes);
+
+    assertNormalized(post, 'twitter');
+    assert.equal(post.url, 'https://x.com/nycoem/status/1900500000000000005');
+    assert.equal(post.author.username, 'nycoem');
+    assert.equal(post.author.verified, true);
+    assert.equal(post.author.followers, 1054321);
+    assert.deepEqual(post.geo, { lat: 40.7075, lng: -74.0012, place_name: 'Manhattan, NY' });
+    assert.deepEqual(post.media, [{
+        type: 'image',
+        url: 'https://pbs.twimg.com/media/GmFlood1.jpg',
+        preview_url: null,
+        alt_text: 'Flooded street with cars submerged'
+    }]);
+    assert.deepEqual(post.engagement, { likes: 88, shares: 41, replies: 7, quotes: 3 });
+    assert.deepEqual(post.hashtags, ['NYCflood', 'rescue']);
+    assert.deepEqual(post.references, [{ type: 'quote', provider_id: '1900400000000000000' }]);
+
+    const retweet = twitter.normalize(fixtures.twitter.data[1], fixtures.twitter.includes);
+    assert.equal(retweet.geo.place_name, 'Manhattan, NY');
+    assert.ok(retweet.geo.lat > 40.68 && retweet.geo.lat < 40.88);
+    assert.deepEqual(retweet.references, [{ type: 'repost', provider_id: '1900300000000000000' }]);
+});
+
+test('twitter fetchPosts follows next_token back to since', async () => {
+    const posts = await fetchAll(twitter, { since: BEFORE_ALL }, { token: TWITTER_TOKEN });
+
+    assert.deepEqual(posts.map(p => p.provider_id), fixtures.twitter.data.map(t => t.id));
+    posts.forEach(post => assertNormalized(post, 'twitter'));
+    assert.equal(requests.length, 3);
+    assert.equal(requests[1].searchParams.get('next_token'), 'page-2');
+    assert.equal(requests[0].searchParams.get('start_time'), BEFORE_ALL);
+
+    const recent = await fetchAll(twitter, { since: MID_WINDOW }, { token: TWITTER_TOKEN });
+    assert.equal(recent.length, 3);
+
+    const limited = await fetchAll(twitter, { since: BEFORE_ALL, limit: 3 }, { token: TWITTER_TOKEN });
+    assert.equal(limited.length, 3);
+});
+
+test('twitter needs a bearer token', async () => {
+    assert.equal(twitter.isConfigured({ token: TWITTER_TOKEN }), true);
+    await assert.rejects(fetchAll(twitter, { since: BEFORE_ALL }, { token: 'wrong' }), /401/);
+});
+
+test('mastodon normalize maps statuses, boosts and replies', () => {
+    const post = mastodon.normalize(fixtures.mastodon[0]);
+
+    assertNormalized(post, 'mastodon');
+    assert.equal(post.content, 'Rescue boats at Pier 40 & Pier 45.\nStay off the roads! #flood');
+    assert.equal(post.author.username, 'floodwatch');
+    assert.equal(post.author.verified, true);
+    assert.deepEqual(post.media, [{
+        type: 'image',
+        url: 'https://files.mastodon.social/media/pier40.png',
+        preview_url: 'https://files.mastodon.social/media/small/pier40.png',
+        alt_text: 'Boats lined up at the pier'
+    }]);
+    assert.deepEqual(post.hashtags, ['flood']);
+
+    const boost = mastodon.normalize(fixtures.mastodon[1]);
+    assert.equal(boost.provider_id, '113900000000000004');
+    assert.match(boost.content, /^Shelter at PS 89 is full/);
+    assert.equal(boost.author.username, 'sam@hachyderm.io');
+    assert.deepEqual(boost.references, [{ type: 'repost', provider_id: '113900000000000000' }]);
+
+    const reply = mastodon.normalize(fixtures.mastodon[2]);
+    assert.deepEqual(reply.references, [{ type: 'reply', provider_id: '113900000000000002' }]);
+});
+
+test('mastodon fetchPosts pages each tag with max_id back to since', async () => {
+    const posts = await fetchAll(mastodon, { keywords: ['flood', '#rescue'], since: BEFORE_ALL });
+
+    assert.deepEqual(posts.map(p => p.provider_id), fixtures.mastodon.map(s => s.id));
+    posts.forEach(post => assertNormalized(post, 'mastodon'));
+    assert.ok(requests.some(url => url.pathname.endsWith('/rescue')));
+    assert.ok(requests.some(url => url.searchParams.get('max_id') === '113900000000000004'));
+
+    const recent = await fetchAll(mastodon, { since: MID_WINDOW });
+    assert.equal(recent.length, 3);
+    assert.equal(requests.length, 2);
+});
+
+test('bluesky normalize maps posts with images, video, quotes and replies', () => {
+    const post = bluesky.normalize(fixtures.bluesky.posts[0]);
+
+    assertNormalized(post, 'bluesky');
+    assert.equal(post.provider_id, 'at://did:plc:jordan3k9v/app.bsky.feed.post/3lkflood5');
+    assert.equal(post.url, 'https://bsky.app/profile/jordan.bsky.social/post/3lkflood5');
+    assert.equal(post.author.id, 'did:plc:jordan3k9v');
+    assert.equal(post.author.account_created_at, '2025-03-13T08:00:00.000Z');
+    assert.equal(post.media[0].type, 'image');
+    assert.equal(post.media[0].alt_text, 'People waving from a roof');
+    assert.deepEqual(post.hashtags, ['flood']);
+    assert.deepEqual(post.engagement, { likes: 12, shares: 31, replies: 4, quotes: 2 });
+
+    const quote = bluesky.normalize(fixtures.bluesky.posts[1]);
+    assert.equal(quote.author.verified, true);
+    assert.deepEqual(quote.references, [{ type: 'quote', provider_id: 'at://did:plc:floodalerts7q2x/app.bsky.feed.post/3lkflood2' }]);
+
+    const reply = bluesky.normalize(fixtures.bluesky.posts[2]);
+    assert.deepEqual(reply.references, [{ type: 'reply', provider_id: 'at://did:plc:floodalerts7q2x/app.bsky.feed.post/3lkflood2' }]);
+
+    const video = bluesky.normalize(fixtures.bluesky.posts[3]);
+    assert.equal(video.media[0].type, 'video');
+});
+
+test('bluesky fetchPosts follows the cursor back to since', async () => {
+    const posts = await fetchAll(bluesky, { since: BEFORE_ALL });
+
+    assert.deepEqual(posts.map(p => p.provider_id), fixtures.bluesky.posts.map(p => p.uri));
+    posts.forEach(post => assertNormalized(post, 'bluesky'));
+    assert.equal(requests.length, 3);
+    assert.equal(requests[2].searchParams.get('cursor'), '4');
+
+    const recent = await fetchAll(bluesky, { since: MID_WINDOW });
+    assert.equal(recent.length, 3);
+});
+
+test('reddit normalize maps links, media, crossposts and deleted authors', () => {
+    const [image, crosspost, deleted, video] = fixtures.reddit.data.children.map(child => reddit.normalize(child.data));
+
+    assertNormalized(image, 'reddit');
+    assert.equal(image.content, 'Flooding on Atlantic Ave\n\nWater is knee deep near Nevins St, cars stalled.');
+    assert.equal(image.created_at, '2025-03-14T12:05:00.000Z');
+    assert.equal(image.author.id, 't2_9w3kq');
+    assert.deepEqual(image.media, [{
+        type: 'image',
+        url: 'https://i.redd.it/atlanticave.jpeg',
+        preview_url: 'https://preview.redd.it/atlanticave.jpeg?width=1080&format=pjpg',
+        alt_text: null
+    }]);
+    assert.deepEqual(crosspost.references, [{ type: 'repost', provider_id: '1j8wz00' }]);
+    assert.equal(video.media[0].type, 'video');
+
+    assert.equal(deleted.author.id, null);
+    assert.equal(deleted.author.username, null);
+    assert.equal(deleted.author.url, null);
+});
+
+test('reddit fetchPosts follows after until a post older than since', async () => {
+    const posts = await fetchAll(reddit, { since: BEFORE_ALL });
+
+    assert.deepEqual(posts.map(p => p.provider_id), fixtures.reddit.data.children.map(c => c.data.id));
+    posts.forEach(post => assertNormalized(post, 'reddit'));
+    assert.equal(requests.length, 3);
+    assert.equal(requests[1].searchParams.get('after'), 't3_1j8xk04');
+
+    const recent = await fetchAll(reddit, { since: MID_WINDOW });
+    assert.equal(recent.length, 3);
+    assert.equal(requests.length, 2);
+});
+
+test('mock normalize and fetchPosts read a mock-social-media endpoint', async () => {
+    const posts = await mock.fetchPosts(
+        { keywords: ['food'], limit: 10, since: BEFORE_ALL },
+        { baseUrl: `${baseUrl}/mock-social-media` }
+    );
+
+    assert.equal(posts.length, 2);
+    posts.forEach(post => assertNormalized(post, 'mock'));
+    assert.equal(posts[0].author.username, 'citizen1');
+    assert.equal(posts[0].author.account_created_at, '2024-01-01T00:00:00.000Z');
+    assert.deepEqual(posts[0].geo, { lat: null, lng: null, place_name: 'Lower East Side, NYC' });
+    assert.deepEqual(posts[1].references, [{ type: 'repost', provider_id: 'm2' }]);
+});
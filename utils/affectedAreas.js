@@ -0,0 +1,183 @@
+// Versioned affected-area perimeters: each save writes a new version of a disaster's full area set
+const supabase = require('../config/supabase');
+const logger = require('./logger');
+const { normalizeAreaGeometry, formatMultiPolygonForDB, isPointInMultiPolygon } = require('./geo');
+const mockDisasterAreas = require('../data/mockDisasterAreas');
+
+const MAX_AREAS_PER_VERSION = 20;
+
+// Validate an affected_areas request value. Each item may be { label, geometry },
+// a GeoJSON Feature (label from properties.label/name) or a bare Polygon/MultiPolygon.
+// Returns { areas } with normalized MultiPolygons, or { error }.
+function validateAffectedAreas(input) {
+    if (!Array.isArray(input) || input.length === 0) {
+        return { error: 'affected_areas must be a non-empty array of GeoJSON polygons' };
+    }
+    if (input.length > MAX_AREAS_PER_VERSION) {
+        return { error: `affected_areas may contain at most ${MAX_AREAS_PER_VERSION} areas` };
+    }
+
+    const areas = [];
+    for (let i = 0; i < input.length; i++) {
+        const item = input[i] || {};
+        const isWrapper = item.geometry && item.type !== 'Feature';
+        const { geometry, error } = normalizeAreaGeometry(isWrapper ? item.geometry : item);
+        if (error) {
+            return { error: `affected_areas[${i}]: ${error}` };
+        }
+
+        const properties = item.properties || {};
+        const label = isWrapper ? item.label : (properties.label || properties.name);
+        areas.push({ label: label ? String(label).substring(0, 255) : null, geometry });
+    }
+
+    return { areas };
+}
+
+function getMockVersions(disasterId) {
+    return mockDisasterAreas.filter(area => area.disaster_id === disasterId);
+}
+
+function getLatestMockVersion(disasterId) {
+    return getMockVersions(disasterId).reduce((max, area) => Math.max(max, area.version), 0);
+}
+
+// Load one version (default: current) of a disaster's affected areas as GeoJSON
+async function getAffectedAreas(disasterId, version = null) {
+    try {
+        const { data, error } = await supabase.rpc('get_disaster_areas', {
+            target_disaster_id: disasterId,
+            target_version: version
+        });
+
+        if (error) {
+            throw error;
+        }
+
+        return { areas: data || [], source: 'supabase' };
+
+    } catch (error) {
+        logger.error(`Error loading affected areas for disaster ${disasterId}: ${error.message}`);
+
+        const target = version || getLatestMockVersion(disasterId);
+        return {
+            areas: getMockVersions(disasterId)
+                .filter(area => area.version === target)
+                .sort((a, b) => a.position - b.position),
+            source: 'mock_data'
+        };
+    }
+}
+
+// Summarize every saved version of a disaster's affected areas, newest first
+async function listAreaVersions(disasterId) {
+    let rows;
+    let source = 'supabase';
+
+    try {
+        const { data, error } = await supabase
+            .from('disaster_areas')
+            .select('version, label, created_by, created_at')
+            .eq('disaster_id', disasterId)
+            .order('version', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        rows = data || [];
+
+    } catch (error) {
+        logger.error(`Error listing affected area versions for disaster ${disasterId}: ${error.message}`);
+        rows = getMockVersions(disasterId);
+        source = 'mock_data';
+    }
+
+    const versions = new Map();
+    rows.forEach(row => {
+        if (!versions.has(row.version)) {
+            versions.set(row.version, {
+                version: row.version,
+                area_count: 0,
+                labels: [],
+                created_by: row.created_by,
+                created_at: row.created_at
+            });
+        }
+        const entry = versions.get(row.version);
+        entry.area_count++;
+        if (row.label) entry.labels.push(row.label);
+    });
+
+    return {
+        versions: [...versions.values()].sort((a, b) => b.version - a.version),
+        source
+    };
+}
+
+// Save a validated area set as the next version. Mock disasters keep their areas in memory.
+// Returns { version, areas } or { error }; a concurrent save of the same version is reported as a conflict.
+async function saveAffectedAreas(disasterId, areas, userId, useMock = false) {
+    const createdAt = new Date().toISOString();
+
+    if (useMock) {
+        const version = getLatestMockVersion(disasterId) + 1;
+        const rows = areas.map((area, position) => ({
+            id: `area_${disasterId}_v${version}_${position}`,
+            disaster_id: disasterId,
+            version,
+            position,
+            label: area.label,
+            geometry: area.geometry,
+            created_by: userId,
+            created_at: createdAt
+        }));
+        mockDisasterAreas.push(...rows);
+        return { version, areas: rows };
+    }
+
+    const { data: latest, error: latestError } = await supabase
+        .from('disaster_areas')
+        .select('version')
+        .eq('disaster_id', disasterId)
+        .order('version', { ascending: false })
+        .limit(1);
+
+    if (latestError) {
+        return { error: latestError };
+    }
+
+    const version = (latest && latest.length > 0 ? latest[0].version : 0) + 1;
+    const { error } = await supabase
+        .from('disaster_areas')
+        .insert(areas.map((area, position) => ({
+            disaster_id: disasterId,
+            version,
+            position,
+            label: area.label,
+            area: formatMultiPolygonForDB(area.geometry),
+            created_by: userId,
+            created_at: createdAt
+        })));
+
+    if (error) {
+        // Unique (disaster_id, version, position) violation: someone saved a version first
+        return error.code === '23505' ? { conflict: true } : { error };
+    }
+
+    const { areas: saved } = await getAffectedAreas(disasterId, version);
+    return { version, areas: saved };
+}
+
+// Keep only items whose GeoJSON location lies inside any of the given areas
+function filterInsideAreas(items, areas) {
+    return items.filter(item => areas.some(area => isPointInMultiPolygon(item.location, area.geometry)));
+}
+
+module.exports = {
+    validateAffectedAreas,
+    getAffectedAreas,
+    listAreaVersions,
+    saveAffectedAreas,
+    filterInsideAreas
+};
@@ -0,0 +1,119 @@
+// Disaster classification taxonomy and urgency scoring
+
+const HAZARD_TYPES = [
+    'flood',
+    'wildfire',
+    'earthquake',
+    'hurricane',
+    'tornado',
+    'tsunami',
+    'landslide',
+    'winter_storm',
+    'extreme_heat',
+    'drought',
+    'hazmat',
+    'infrastructure_failure',
+    'epidemic',
+    'other'
+];
+
+// Severity levels follow the Common Alerting Protocol scale, lowest first
+const SEVERITY_LEVELS = ['minor', 'moderate', 'severe', 'extreme'];
+
+// Relative weight of each urgency signal; weights sum to 1
+const URGENCY_WEIGHTS = {
+    severity: 0.35,
+    affected_population: 0.15,
+    report_volume: 0.15,
+    critical_posts: 0.15,
+    resource_saturation: 0.20
+};
+
+// Lifecycle states damp the score so contained and closed incidents sink in triage
+const STATUS_MULTIPLIERS = {
+    reported: 1,
+    active: 1,
+    contained: 0.6,
+    resolved: 0.1,
+    archived: 0
+};
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+// Validate classification fields from a request body; returns an error message or null
+function validateClassification({ hazard_type, severity, estimated_affected_population }) {
+    if (hazard_type !== undefined && !HAZARD_TYPES.includes(hazard_type)) {
+        return `hazard_type must be one of: ${HAZARD_TYPES.join(', ')}`;
+    }
+    if (severity !== undefined && !SEVERITY_LEVELS.includes(severity)) {
+        return `severity must be one of: ${SEVERITY_LEVELS.join(', ')}`;
+    }
+    if (estimated_affected_population !== undefined && estimated_affected_population !== null &&
+        (!Number.isInteger(estimated_affected_population) || estimated_affected_population < 0)) {
+        return 'estimated_affected_population must be a non-negative integer';
+    }
+    return null;
+}
+
+// Compute a 0-100 urgency score from a disaster and its activity metrics:
+// { report_count, critical_report_count, critical_post_count, total_capacity, total_occupancy, full_resource_count }
+function computeUrgency(disaster, metrics = {}) {
+    const severityIndex = SEVERITY_LEVELS.indexOf(disaster.severity);
+    const population = disaster.estimated_affected_population || 0;
+    const reportCount = metrics.report_count || 0;
+    const criticalReports = metrics.critical_report_count || 0;
+    const criticalPosts = metrics.critical_post_count || 0;
+    const capacity = metrics.total_capacity || 0;
+    const occupancy = metrics.total_occupancy || 0;
+
+    const signals = {
+        // Unclassified incidents are treated as moderate until someone triages them
+        severity: severityIndex === -1 ? 0.5 : (severityIndex + 1) / SEVERITY_LEVELS.length,
+        // 1,000,000 affected people saturates the signal
+        affected_population: clamp01(Math.log10(population + 1) / 6),
+        // Critical reports count triple; 20 weighted reports saturate the signal
+        report_volume: clamp01((reportCount + 2 * criticalReports) / 20),
+        critical_posts: clamp01(criticalPosts / 10),
+        resource_saturation: capacity > 0
+            ? clamp01(occupancy / capacity + 0.05 * (metrics.full_resource_count || 0))
+            : 0
+    };
+
+    const breakdown = {};
+    let total = 0;
+    Object.entries(URGENCY_WEIGHTS).forEach(([signal, weight]) => {
+        const contribution = signals[signal] * weight * 100;
+        breakdown[signal] = {
+            value: Math.round(signals[signal] * 1000) / 1000,
+            weight,
+            contribution: Math.round(contribution * 10) / 10
+        };
+        total += contribution;
+    });
+
+    const multiplier = STATUS_MULTIPLIERS[disaster.status] !== undefined ? STATUS_MULTIPLIERS[disaster.status] : 1;
+
+    return {
+        score: Math.round(total * multiplier),
+        status_multiplier: multiplier,
+        breakdown,
+        metrics: {
+            report_count: reportCount,
+            critical_report_count: criticalReports,
+            critical_post_count: criticalPosts,
+            total_capacity: capacity,
+            total_occupancy: occupancy,
+            full_resource_count: metrics.full_resource_count || 0
+        }
+    };
+}
+
+module.exports = {
+    HAZARD_TYPES,
+    SEVERITY_LEVELS,
+    URGENCY_WEIGHTS,
+    validateClassification,
+    computeUrgency
+};
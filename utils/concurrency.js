@@ -0,0 +1,41 @@
+// Optimistic concurrency helpers: rows carry an integer `version` exposed as an ETag,
+// and writes are applied only when the client's If-Match (or body `version`) is current
+
+// Format a row version as a strong ETag
+function formatETag(version) {
+    return `"${version}"`;
+}
+
+// Read the version the client expects from If-Match or the request body.
+// Returns null when the client did not send one (or sent `*`), NaN when it is malformed.
+function getExpectedVersion(req) {
+    const ifMatch = req.get('If-Match');
+    if (ifMatch && ifMatch.trim() !== '*') {
+        const match = ifMatch.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+        return match ? parseInt(match[1]) : NaN;
+    }
+
+    if (req.body && req.body.version !== undefined) {
+        const version = parseInt(req.body.version);
+        return isNaN(version) ? NaN : version;
+    }
+
+    return null;
+}
+
+// Respond with 409 and the current representation so the client can merge and retry
+function sendVersionConflict(res, current, resourceName = 'Record') {
+    res.set('ETag', formatETag(current.version));
+    return res.status(409).json({
+        error: 'Version conflict',
+        message: `${resourceName} was modified by someone else. Re-apply your changes to the current version.`,
+        current_version: current.version,
+        data: current
+    });
+}
+
+module.exports = {
+    formatETag,
+    getExpectedVersion,
+    sendVersionConflict
+};
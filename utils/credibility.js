@@ -0,0 +1,211 @@
+// Author credibility for social media posts: a 0-100 score from verified status, account age and the author's
+// record of posts confirmed or refuted against reports and official updates, overridden by the admin
+// trust/block list. Scores are computed when posts are read, so verdicts and list changes apply at once.
+
+const supabase = require('../config/supabase');
+const logger = require('./logger');
+const mockSocialMediaAuthors = require('../data/mockSocialMediaAuthors');
+const mockIngestedPosts = require('../data/mockIngestedPosts');
+
+const TRUST_LEVELS = ['trusted', 'blocked'];
+const VERDICTS = ['confirmed', 'refuted'];
+const CREDIBILITY_LEVELS = ['trusted', 'high', 'medium', 'low', 'blocked'];
+
+const BASE_SCORE = 50;
+const VERIFIED_BONUS = 15;
+// Account age bands, youngest first: accounts created days before a disaster are a common misinformation source
+const ACCOUNT_AGE_BANDS = [
+    { maxDays: 7, contribution: -20 },
+    { maxDays: 30, contribution: -10 },
+    { maxDays: 365, contribution: 0 },
+    { maxDays: Infinity, contribution: 10 }
+];
+// Verdict record: a refuted post costs more than a confirmed one earns, each capped
+const CONFIRMED_BONUS = 5;
+const MAX_CONFIRMED_BONUS = 20;
+const REFUTED_PENALTY = 15;
+const MAX_REFUTED_PENALTY = 45;
+const LEVEL_THRESHOLDS = { high: 70, medium: 40 };
+
+// Key identifying an author across disasters: provider plus the provider's account id (or username)
+function getAuthorKey(post) {
+    const author = post.author || {};
+    const id = author.id || author.username;
+    return id ? `${post.provider}:${id}` : null;
+}
+
+// Helper function to load trust/block list entries, optionally only for some authors; returns a Map by author key
+async function loadTrustList(authorKeys = null) {
+    let query = supabase.from('social_media_authors').select('*');
+    if (authorKeys) {
+        query = query.in('author_key', authorKeys);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+        logger.error(`Error loading social media trust list, using mock data: ${error.message}`);
+        const entries = mockSocialMediaAuthors.filter(entry => !authorKeys || authorKeys.includes(entry.author_key));
+        return new Map(entries.map(entry => [entry.author_key, entry]));
+    }
+
+    return new Map((data || []).map(entry => [entry.author_key, entry]));
+}
+
+// Helper function to count each author's confirmed and refuted posts across all disasters
+async function loadVerdictCounts(authorKeys) {
+    const counts = new Map();
+    if (authorKeys.length === 0) {
+        return counts;
+    }
+
+    const { data, error } = await supabase
+        .from('social_media_posts')
+        .select('id, author_key, verdict')
+        .in('author_key', authorKeys)
+        .not('verdict', 'is', null);
+
+    const rows = error
+        ? mockIngestedPosts.filter(p => authorKeys.includes(p.author_key) && p.verdict)
+        : data || [];
+
+    // A post stored for several disasters counts once; a refutation anywhere wins
+    const verdictsByPost = new Map();
+    rows.forEach(row => {
+        const existing = verdictsByPost.get(row.id);
+        if (!existing || existing.verdict !== 'refuted') {
+            verdictsByPost.set(row.id, { authorKey: row.author_key, verdict: row.verdict });
+        }
+    });
+    verdictsByPost.forEach(({ authorKey, verdict }) => {
+        const entry = counts.get(authorKey) || { confirmed: 0, refuted: 0 };
+        entry[verdict]++;
+        counts.set(authorKey, entry);
+    });
+
+    return counts;
+}
+
+// Score one author; returns { score, level, factors } where factors explain each contribution
+function scoreAuthor(author = {}, { listEntry = null, verdicts = null, now = Date.now() } = {}) {
+    const factors = [];
+    let score = BASE_SCORE;
+
+    if (author.verified) {
+        score += VERIFIED_BONUS;
+        factors.push({ factor: 'verified', value: true, contribution: VERIFIED_BONUS });
+    }
+
+    if (author.account_created_at) {
+        const ageDays = Math.floor((now - new Date(author.account_created_at).getTime()) / (24 * 60 * 60 * 1000));
+        if (!isNaN(ageDays)) {
+            const band = ACCOUNT_AGE_BANDS.find(b => ageDays < b.maxDays);
+            score += band.contribution;
+            factors.push({ factor: 'account_age_days', value: ageDays, contribution: band.contribution });
+        }
+    }
+
+    const confirmed = verdicts ? verdicts.confirmed : 0;
+    const refuted = verdicts ? verdicts.refuted : 0;
+    if (confirmed + refuted > 0) {
+        const contribution = Math.min(MAX_CONFIRMED_BONUS, confirmed * CONFIRMED_BONUS) -
+            Math.min(MAX_REFUTED_PENALTY, refuted * REFUTED_PENALTY);
+        score += contribution;
+        factors.push({ factor: 'accuracy', value: { confirmed, refuted }, contribution });
+    }
+
+    score = Math.max(0, Math.min(100, score));
+
+    if (listEntry) {
+        factors.push({ factor: 'trust_list', value: listEntry.trust, reason: listEntry.reason || null });
+        return {
+            score: listEntry.trust === 'trusted' ? 100 : 0,
+            level: listEntry.trust,
+            factors
+        };
+    }
+
+    const level = score >= LEVEL_THRESHOLDS.high ? 'high' : score >= LEVEL_THRESHOLDS.medium ? 'medium' : 'low';
+    return { score, level, factors };
+}
+
+// Add `credibility` to each post, loading the list entries and verdicts of the authors involved
+async function attachCredibility(posts) {
+    const authorKeys = [...new Set(posts.map(getAuthorKey).filter(Boolean))];
+    if (authorKeys.length === 0) {
+        return posts.map(post => ({ ...post, credibility: scoreAuthor(post.author) }));
+    }
+
+    const [trustList, verdictCounts] = await Promise.all([
+        loadTrustList(authorKeys),
+        loadVerdictCounts(authorKeys)
+    ]);
+    const now = Date.now();
+
+    return posts.map(post => {
+        const key = getAuthorKey(post);
+        return {
+            ...post,
+            credibility: scoreAuthor(post.author, {
+                listEntry: trustList.get(key) || null,
+                verdicts: verdictCounts.get(key) || null,
+                now
+            })
+        };
+    });
+}
+
+// Credibility of one author, using the profile from their newest stored post; returns null for unknown authors
+async function getAuthorCredibility(authorKey) {
+    const { data, error } = await supabase
+        .from('social_media_posts')
+        .select('provider, author')
+        .eq('author_key', authorKey)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+    const latest = error
+        ? mockIngestedPosts
+            .filter(p => p.author_key === authorKey)
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0]
+        : data && data[0];
+
+    const [trustList, verdictCounts] = await Promise.all([
+        loadTrustList([authorKey]),
+        loadVerdictCounts([authorKey])
+    ]);
+    const listEntry = trustList.get(authorKey) || null;
+
+    if (!latest && !listEntry) {
+        return null;
+    }
+
+    const verdicts = verdictCounts.get(authorKey) || { confirmed: 0, refuted: 0 };
+    return {
+        author_key: authorKey,
+        author: latest ? latest.author : null,
+        verdicts,
+        list_entry: listEntry,
+        credibility: scoreAuthor(latest ? latest.author : {}, { listEntry, verdicts })
+    };
+}
+
+// Author keys on the block list
+async function getBlockedAuthorKeys() {
+    const trustList = await loadTrustList();
+    return [...trustList.values()].filter(entry => entry.trust === 'blocked').map(entry => entry.author_key);
+}
+
+module.exports = {
+    TRUST_LEVELS,
+    VERDICTS,
+    CREDIBILITY_LEVELS,
+    LEVEL_THRESHOLDS,
+    getAuthorKey,
+    loadTrustList,
+    loadVerdictCounts,
+    scoreAuthor,
+    attachCredibility,
+    getAuthorCredibility,
+    getBlockedAuthorKeys
+};
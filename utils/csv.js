@@ -0,0 +1,86 @@
+// Minimal RFC 4180 CSV reading and writing for spreadsheet imports and exports
+
+// Parse CSV text into an array of rows (arrays of strings). Handles quoted fields with
+// embedded commas, quotes and newlines, CRLF line endings and a leading byte order mark.
+function parseCSV(text) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field');
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Values spreadsheets would run as formulas; signed numbers and phone numbers such as +1-555-0123 are left alone
+function isFormulaLike(text) {
+    return /^[=@\t\r]/.test(text) || (/^[+-]/.test(text) && !/^[+-][\d\s().-]*$/.test(text));
+}
+
+// Quote a value for CSV; formula-like values are prefixed with an apostrophe
+function formatCSVValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (isFormulaLike(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Build CSV text from column names and row objects
+function toCSV(columns, records) {
+    const lines = [columns.join(',')];
+    records.forEach(record => {
+        lines.push(columns.map(column => formatCSVValue(record[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Undo the apostrophe formatCSVValue adds so exported files re-import unchanged
+function unescapeCSVValue(text) {
+    return text.startsWith("'") && isFormulaLike(text.slice(1)) ? text.slice(1) : text;
+}
+
+module.exports = {
+    parseCSV,
+    unescapeCSVValue,
+    toCSV
+};
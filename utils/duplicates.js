@@ -0,0 +1,112 @@
+// Duplicate incident detection: scores recent disasters against a new one by
+// proximity, hazard type and title/tag similarity
+
+const { calculateDistance, getCoordinates } = require('./geo');
+
+// Only disasters created this recently are considered possible duplicates
+const DUPLICATE_WINDOW_HOURS = 72;
+// Disasters further apart than this get no proximity credit
+const DUPLICATE_RADIUS_KM = 25;
+const DUPLICATE_SCORE_THRESHOLD = 0.45;
+const MAX_CANDIDATES = 5;
+
+// Relative weight of each similarity signal; weights sum to 1
+const DUPLICATE_WEIGHTS = {
+    proximity: 0.45,
+    title: 0.3,
+    hazard_type: 0.15,
+    tags: 0.1
+};
+
+// Words that say nothing about which incident a title refers to
+const GENERIC_TITLE_WORDS = new Set([
+    'a', 'an', 'the', 'in', 'on', 'at', 'of', 'near', 'and',
+    'emergency', 'disaster', 'incident', 'event', 'alert', 'update', 'major', 'severe'
+]);
+
+// Crude stemming so "Flooding" and "Floods" match "Flood"
+function stem(word) {
+    if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+    if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+function tokenize(text) {
+    return new Set((String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(word => !GENERIC_TITLE_WORDS.has(word))
+        .map(stem));
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    const shared = [...a].filter(item => b.has(item)).length;
+    return shared / (a.size + b.size - shared);
+}
+
+// Score every existing disaster against `disaster` and return the likely duplicates, best first
+function findDuplicateCandidates(disaster, existing) {
+    const origin = getCoordinates(disaster);
+    const titleTokens = tokenize(disaster.title);
+    const tags = new Set((disaster.tags || []).map(tag => String(tag).toLowerCase()));
+
+    return existing
+        .filter(other => other.id !== disaster.id)
+        .map(other => {
+            const reasons = [];
+            const target = getCoordinates(other);
+
+            let proximity;
+            let distanceKm = null;
+            if (origin && target) {
+                distanceKm = Math.round(calculateDistance(origin.lat, origin.lng, target.lat, target.lng) * 100) / 100;
+                proximity = Math.max(0, 1 - distanceKm / DUPLICATE_RADIUS_KM);
+                if (proximity > 0) reasons.push(`within ${distanceKm} km`);
+            } else {
+                // Without coordinates on both sides fall back to comparing place names
+                proximity = jaccard(tokenize(disaster.location_name), tokenize(other.location_name));
+                if (proximity > 0) reasons.push('similar location name');
+            }
+
+            const title = jaccard(titleTokens, tokenize(other.title));
+            if (title > 0) reasons.push('similar title');
+
+            let hazardType = 0.5;
+            if (disaster.hazard_type && other.hazard_type) {
+                hazardType = disaster.hazard_type === other.hazard_type ? 1 : 0;
+                if (hazardType === 1) reasons.push(`same hazard type (${other.hazard_type})`);
+            }
+
+            const otherTags = new Set((other.tags || []).map(tag => String(tag).toLowerCase()));
+            const sharedTags = [...tags].filter(tag => otherTags.has(tag));
+            const tagScore = jaccard(tags, otherTags);
+            if (sharedTags.length > 0) reasons.push(`shared tags: ${sharedTags.join(', ')}`);
+
+            const score = DUPLICATE_WEIGHTS.proximity * proximity +
+                DUPLICATE_WEIGHTS.title * title +
+                DUPLICATE_WEIGHTS.hazard_type * hazardType +
+                DUPLICATE_WEIGHTS.tags * tagScore;
+
+            return {
+                id: other.id,
+                title: other.title,
+                location_name: other.location_name,
+                hazard_type: other.hazard_type || null,
+                status: other.status,
+                created_at: other.created_at,
+                distance_km: distanceKm,
+                score: Math.round(score * 100) / 100,
+                reasons
+            };
+        })
+        .filter(candidate => candidate.score >= DUPLICATE_SCORE_THRESHOLD)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATES);
+}
+
+module.exports = {
+    DUPLICATE_WINDOW_HOURS,
+    DUPLICATE_RADIUS_KM,
+    DUPLICATE_SCORE_THRESHOLD,
+    findDuplicateCandidates
+};
@@ -0,0 +1,178 @@
+// Geospatial helpers shared by the route modules (mock-mode fallbacks and query parsing)
+
+// Helper function to calculate distance between two points (Haversine formula)
+function calculateDistance(lat1, lng1, lat2, lng2) {
+    const R = 6371; // Earth's radius in kilometers
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+        Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return R * c;
+}
+
+// Parse a "minLng,minLat,maxLng,maxLat" bounding box string
+function parseBoundingBox(bbox) {
+    if (!bbox) return null;
+
+    const parts = String(bbox).split(',').map(part => parseFloat(part.trim()));
+    if (parts.length !== 4 || parts.some(part => isNaN(part))) {
+        return null;
+    }
+
+    const [minLng, minLat, maxLng, maxLat] = parts;
+    if (minLng > maxLng || minLat > maxLat ||
+        minLat < -90 || maxLat > 90 || minLng < -180 || maxLng > 180) {
+        return null;
+    }
+
+    return { minLng, minLat, maxLng, maxLat };
+}
+
+// Check whether a GeoJSON point ({ type: 'Point', coordinates: [lng, lat] }) falls inside a bounding box
+function isPointInBoundingBox(location, box) {
+    if (!location || !location.coordinates) return false;
+
+    const [lng, lat] = location.coordinates;
+    return lng >= box.minLng && lng <= box.maxLng && lat >= box.minLat && lat <= box.maxLat;
+}
+
+// Circle (center + radius) that covers a bounding box, for radius-based RPCs
+function boundingBoxToCircle(box) {
+    const lat = (box.minLat + box.maxLat) / 2;
+    const lng = (box.minLng + box.maxLng) / 2;
+    const radiusKm = Math.max(
+        calculateDistance(lat, lng, box.minLat, box.minLng),
+        calculateDistance(lat, lng, box.minLat, box.maxLng),
+        calculateDistance(lat, lng, box.maxLat, box.minLng),
+        calculateDistance(lat, lng, box.maxLat, box.maxLng)
+    );
+    return { lat, lng, radiusKm };
+}
+
+// Upper bound on vertices across all polygons of one affected area
+const MAX_AREA_VERTICES = 10000;
+
+function isValidPosition(position) {
+    return Array.isArray(position) && position.length >= 2 &&
+        typeof position[0] === 'number' && typeof position[1] === 'number' &&
+        position[0] >= -180 && position[0] <= 180 && position[1] >= -90 && position[1] <= 90;
+}
+
+// Validate a GeoJSON Polygon/MultiPolygon (bare or wrapped in a Feature) and normalize it to a MultiPolygon
+function normalizeAreaGeometry(input) {
+    const geometry = input && input.type === 'Feature' ? input.geometry : input;
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+        return { error: 'geometry must be a GeoJSON Polygon or MultiPolygon' };
+    }
+
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    if (polygons.length === 0) {
+        return { error: 'geometry must contain at least one polygon' };
+    }
+
+    let vertexCount = 0;
+    for (const polygon of polygons) {
+        if (!Array.isArray(polygon) || polygon.length === 0) {
+            return { error: 'each polygon must contain an outer ring' };
+        }
+
+        for (const ring of polygon) {
+            if (!Array.isArray(ring) || ring.length < 4) {
+                return { error: 'each ring must have at least 4 positions' };
+            }
+            if (!ring.every(isValidPosition)) {
+                return { error: 'positions must be [lng, lat] within valid ranges' };
+            }
+
+            const first = ring[0];
+            const last = ring[ring.length - 1];
+            if (first[0] !== last[0] || first[1] !== last[1]) {
+                return { error: 'each ring must be closed (first and last positions equal)' };
+            }
+            if (new Set(ring.map(position => `${position[0]},${position[1]}`)).size < 3) {
+                return { error: 'each ring must have at least 3 distinct positions' };
+            }
+
+            vertexCount += ring.length;
+        }
+    }
+
+    if (vertexCount > MAX_AREA_VERTICES) {
+        return { error: `geometry exceeds ${MAX_AREA_VERTICES} vertices` };
+    }
+
+    return {
+        geometry: {
+            type: 'MultiPolygon',
+            coordinates: polygons.map(polygon => polygon.map(ring => ring.map(([lng, lat]) => [lng, lat])))
+        }
+    };
+}
+
+// Format a GeoJSON MultiPolygon as EWKT for PostGIS geography columns
+function formatMultiPolygonForDB(geometry) {
+    const polygons = geometry.coordinates.map(polygon =>
+        `(${polygon.map(ring => `(${ring.map(([lng, lat]) => `${lng} ${lat}`).join(', ')})`).join(', ')})`
+    );
+    return `SRID=4326;MULTIPOLYGON(${polygons.join(', ')})`;
+}
+
+// Ray-casting test of a [lng, lat] position against one linear ring
+function isPositionInRing([lng, lat], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Check whether a GeoJSON point falls inside a MultiPolygon (outer rings minus holes)
+function isPointInMultiPolygon(location, geometry) {
+    if (!location || !location.coordinates || !geometry) return false;
+
+    return geometry.coordinates.some(([outer, ...holes]) =>
+        isPositionInRing(location.coordinates, outer) &&
+        !holes.some(hole => isPositionInRing(location.coordinates, hole))
+    );
+}
+
+// Read coordinates from RPC and view rows ({ lat, lng }), request bodies ({ location: { lat, lng } })
+// or mock data (GeoJSON point)
+function getCoordinates(record) {
+    if (typeof record.lat === 'number' && typeof record.lng === 'number') {
+        return { lat: record.lat, lng: record.lng };
+    }
+
+    const location = record.location;
+    if (location && location.coordinates) {
+        return { lat: location.coordinates[1], lng: location.coordinates[0] };
+    }
+    if (location && location.lat && location.lng) {
+        return { lat: parseFloat(location.lat), lng: parseFloat(location.lng) };
+    }
+
+    return null;
+}
+
+// Format a lat/lng pair as WKT for PostGIS geography columns
+function formatLocationForDB(lat, lng) {
+    return `POINT(${lng} ${lat})`;
+}
+
+module.exports = {
+    calculateDistance,
+    boundingBoxToCircle,
+    parseBoundingBox,
+    isPointInBoundingBox,
+    normalizeAreaGeometry,
+    isPointInMultiPolygon,
+    getCoordinates,
+    formatLocationForDB,
+    formatMultiPolygonForDB
+};
@@ -0,0 +1,218 @@
+// Needs-to-resources matching: extracts need categories from report and post text
+// and ranks resources that can meet them by coverage, distance and spare capacity.
+// Also ranks the best resources around a point for the "find best resource" query.
+
+const { calculateDistance, getCoordinates } = require('./geo');
+
+// Need categories with the text patterns that signal them and the resource types/amenities that meet them
+const NEED_CATEGORIES = {
+    food: {
+        patterns: [/\bfood\b/, /\bhungry\b/, /\bmeals?\b/, /\beat\b/, /\bbaby formula\b/, /\bformula\b/],
+        resource_types: ['food'],
+        amenities: ['food', 'hot_meals', 'snacks', 'baby_formula']
+    },
+    water: {
+        patterns: [/\b(drinking|bottled|clean) water\b/, /\bthirst/, /\bwater\b(?!\s+(st|street|ave|avenue|levels?|rising|damage|main|is|was))/],
+        resource_types: ['food'],
+        amenities: ['water']
+    },
+    shelter: {
+        patterns: [/\bshelter\b/, /\bplace to stay\b/, /\bhomeless\b/, /\bhousing\b/, /\bbeds?\b/, /\b(more|additional) space\b/],
+        resource_types: ['shelter', 'evacuation'],
+        amenities: ['temporary_housing']
+    },
+    medical: {
+        patterns: [/\bmedical\b/, /\binjur/, /\bhurt\b/, /\bdoctor\b/, /\bmedic/, /\binsulin\b/, /\bbleeding\b/, /\bfirst aid\b/, /\bambulance\b/],
+        resource_types: ['medical'],
+        amenities: ['medical', 'emergency_care', 'first_aid', 'medication', 'pharmacy', 'triage']
+    },
+    rescue: {
+        patterns: [/\btrapped\b/, /\bstranded\b/, /\brescue\b/, /\bstuck\b/],
+        resource_types: ['rescue'],
+        amenities: ['ambulance', 'boats', 'rescue']
+    },
+    warmth: {
+        patterns: [/\bblankets?\b/, /\bcold\b/, /\bclothes\b/, /\bclothing\b/, /\bwarm\b/],
+        resource_types: ['supplies'],
+        amenities: ['blankets', 'clothing']
+    },
+    hygiene: {
+        patterns: [/\bhygiene\b/, /\bdiapers?\b/, /\bsanitary\b/, /\btoilets?\b/],
+        resource_types: ['supplies'],
+        amenities: ['hygiene_kits']
+    },
+    power: {
+        patterns: [/\bcharg(e|ing)\b/, /\bpower\b/, /\belectricity\b/, /\bphones? (is |are )?dead\b/],
+        resource_types: [],
+        amenities: ['charging_stations']
+    },
+    pets: {
+        patterns: [/\bpets?\b/, /\bdogs?\b/, /\bcats?\b/],
+        resource_types: [],
+        amenities: ['pet_care']
+    }
+};
+
+// Phrases that mark text as asking for help rather than offering it
+const NEED_CUES = [/\bneed(s|ed)?\b/, /\brequir/, /\brequest/, /\blooking for\b/, /\b(running|ran) out\b/, /\bout of\b/, /\bshort(age)? of\b/, /\bno (more )?\w+ left\b/, /\black(ing)?\b/, /\btrapped\b/, /\bstranded\b/, /\bstuck\b/, /\bsos\b/];
+
+// "help" alone is ambiguous ("#help" on an offer), so it only counts when the text offers nothing
+const WEAK_NEED_CUES = [/\bhelp\b/];
+const OFFER_CUES = [/\bavailable\b/, /\bprovided\b/, /\boffering\b/, /\bcan accommodate\b/, /\bon standby\b/, /\bnow open\b/];
+
+// Matches further away than this are not suggested
+const MATCH_RADIUS_KM = 25;
+
+// Relative weight of each ranking signal; weights sum to 1
+const MATCH_WEIGHTS = {
+    coverage: 0.5,
+    distance: 0.3,
+    capacity: 0.2
+};
+
+// Relative weight of each "best resource" signal; weights sum to 1
+const BEST_RESOURCE_WEIGHTS = {
+    distance: 0.5,
+    capacity: 0.3,
+    freshness: 0.2
+};
+
+// A resource last updated this long ago gets no freshness credit
+const FRESHNESS_WINDOW_HOURS = 24;
+
+// Free places and a 0-1 capacity score; resources without a capacity (depots, distribution points)
+// have no free place count and are scored as half full. Places held by reservations are not free.
+function getCapacityInfo(resource) {
+    if (!(resource.capacity > 0)) {
+        return { available: null, score: 0.5 };
+    }
+    const available = Math.max(0, resource.capacity - (resource.current_occupancy || 0) - (resource.reserved_count || 0));
+    return { available, score: available / resource.capacity };
+}
+
+// A resource can take people or hand out supplies only while active and below capacity
+function isAvailable(resource) {
+    return resource.status === 'active' &&
+        !(resource.capacity > 0 && getCapacityInfo(resource).available === 0);
+}
+
+// Extract need categories from free text; offers ("shelter available") without a need cue yield none
+function extractNeeds(text) {
+    const content = String(text || '').toLowerCase();
+    const isOffer = OFFER_CUES.some(cue => cue.test(content));
+    const isNeed = NEED_CUES.some(cue => cue.test(content)) ||
+        (!isOffer && WEAK_NEED_CUES.some(cue => cue.test(content)));
+    if (!isNeed) {
+        return [];
+    }
+
+    return Object.entries(NEED_CATEGORIES)
+        .filter(([, category]) => category.patterns.some(pattern => pattern.test(content)))
+        .map(([name]) => name);
+}
+
+// Categories of a need a resource can meet, by type or amenity
+function getCoveredCategories(resource, categories) {
+    const amenities = resource.amenities || [];
+    return categories.filter(name => {
+        const category = NEED_CATEGORIES[name];
+        return category.resource_types.includes(resource.type) ||
+            category.amenities.some(amenity => amenities.includes(amenity));
+    });
+}
+
+// Rank resources for one need ({ categories, location }); full and inactive resources are skipped
+function rankResourcesForNeed(need, resources, { radiusKm = MATCH_RADIUS_KM, limit = 3 } = {}) {
+    const origin = need.location ? getCoordinates({ location: need.location }) : null;
+
+    return resources
+        .filter(isAvailable)
+        .map(resource => {
+            const covers = getCoveredCategories(resource, need.categories);
+            if (covers.length === 0) return null;
+
+            const target = getCoordinates(resource);
+            let distanceKm = null;
+            // Unknown distance is scored as halfway to the edge of the search radius
+            let distanceScore = 0.5;
+            if (origin && target) {
+                distanceKm = Math.round(calculateDistance(origin.lat, origin.lng, target.lat, target.lng) * 100) / 100;
+                if (distanceKm > radiusKm) return null;
+                distanceScore = 1 - distanceKm / radiusKm;
+            }
+
+            const capacity = getCapacityInfo(resource);
+
+            const score = MATCH_WEIGHTS.coverage * (covers.length / need.categories.length) +
+                MATCH_WEIGHTS.distance * distanceScore +
+                MATCH_WEIGHTS.capacity * capacity.score;
+
+            return {
+                resource_id: resource.id,
+                name: resource.name,
+                type: resource.type,
+                location_name: resource.location_name,
+                distance_km: distanceKm,
+                available_capacity: capacity.available,
+                covers,
+                missing: need.categories.filter(name => !covers.includes(name)),
+                score: Math.round(score * 100) / 100
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+// Rank available resources around a point by distance, free capacity and how recently they were updated.
+// Resources must match `type` (if given) and offer every requested amenity; those without a location are skipped.
+function rankBestResources(resources, { lat, lng, radiusKm, type, amenities = [], limit = 5, now = Date.now() }) {
+    return resources
+        .filter(resource => isAvailable(resource) &&
+            (!type || resource.type === type) &&
+            amenities.every(amenity => (resource.amenities || []).includes(amenity)))
+        .map(resource => {
+            const target = getCoordinates(resource);
+            if (!target) return null;
+
+            const distanceKm = calculateDistance(lat, lng, target.lat, target.lng);
+            if (distanceKm > radiusKm) return null;
+
+            const capacity = getCapacityInfo(resource);
+            const updatedAt = resource.updated_at || resource.created_at;
+            const ageHours = updatedAt ? (now - new Date(updatedAt).getTime()) / (60 * 60 * 1000) : Infinity;
+
+            const signals = {
+                distance: 1 - distanceKm / radiusKm,
+                capacity: capacity.score,
+                freshness: Math.max(0, 1 - Math.max(0, ageHours) / FRESHNESS_WINDOW_HOURS)
+            };
+
+            const score = Object.entries(BEST_RESOURCE_WEIGHTS)
+                .reduce((sum, [signal, weight]) => sum + signals[signal] * weight, 0);
+
+            return {
+                ...resource,
+                distance_km: Math.round(distanceKm * 100) / 100,
+                available_capacity: capacity.available,
+                last_updated: updatedAt || null,
+                score: Math.round(score * 1000) / 1000,
+                score_breakdown: Object.fromEntries(
+                    Object.entries(signals).map(([signal, value]) => [signal, Math.round(value * 1000) / 1000])
+                )
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+module.exports = {
+    NEED_CATEGORIES,
+    MATCH_RADIUS_KM,
+    MATCH_WEIGHTS,
+    BEST_RESOURCE_WEIGHTS,
+    extractNeeds,
+    rankResourcesForNeed,
+    rankBestResources
+};
@@ -0,0 +1,252 @@
+// Occupancy time series: a sample of a resource's capacity, occupancy, holds and status is kept
+// for every change, and summarized per resource or per disaster (by type, by hour or day)
+
+const supabase = require('../config/supabase');
+const logger = require('./logger');
+const mockOccupancySamples = require('../data/mockOccupancySamples');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_WINDOW_HOURS = 24;
+const BUCKET_SIZES = { hour: HOUR_MS, day: 24 * HOUR_MS };
+// Longest window per bucket size, which keeps responses to a few hundred buckets
+const MAX_WINDOW_HOURS = { hour: 7 * 24, day: 90 * 24 };
+const TRACKED_FIELDS = ['capacity', 'current_occupancy', 'reserved_count', 'status'];
+
+// Read the from/to query window (default: the last 24 hours); returns { from, to } in ms or { error }
+function parseTimeWindow({ from, to }, bucket = 'hour', now = Date.now()) {
+    const until = to ? new Date(to).getTime() : now;
+    const since = from ? new Date(from).getTime() : until - DEFAULT_WINDOW_HOURS * HOUR_MS;
+
+    if (isNaN(since) || isNaN(until)) {
+        return { error: 'from and to must be ISO 8601 timestamps' };
+    }
+    if (since >= until) {
+        return { error: 'from must be before to' };
+    }
+    if (until - since > MAX_WINDOW_HOURS[bucket] * HOUR_MS) {
+        return { error: `Windows are limited to ${MAX_WINDOW_HOURS[bucket]} hours with bucket=${bucket}` };
+    }
+    return { from: since, to: until };
+}
+
+// Record a mock sample if the resource's tracked fields changed (mock-mode equivalent of the resources trigger)
+function recordMockSample(resource) {
+    const current = {
+        capacity: resource.capacity || 0,
+        current_occupancy: resource.current_occupancy || 0,
+        reserved_count: resource.reserved_count || 0,
+        status: resource.status
+    };
+    const last = [...mockOccupancySamples].reverse().find(s => s.resource_id === resource.id);
+    if (last && TRACKED_FIELDS.every(field => last[field] === current[field])) {
+        return null;
+    }
+
+    const sample = {
+        id: mockOccupancySamples.length + 1,
+        resource_id: resource.id,
+        disaster_id: resource.disaster_id,
+        type: resource.type,
+        ...current,
+        recorded_at: new Date().toISOString()
+    };
+    mockOccupancySamples.push(sample);
+    return sample;
+}
+
+// Load samples in the window plus each resource's last sample before it, so the state at `from` is known
+async function loadSamples({ disasterId, resourceId = null, from, to }) {
+    const { data, error } = await supabase.rpc('get_occupancy_samples', {
+        target_disaster_id: disasterId,
+        target_resource_id: resourceId,
+        since: new Date(from).toISOString(),
+        until: new Date(to).toISOString()
+    });
+
+    if (!error) {
+        return { samples: data || [], source: 'supabase' };
+    }
+
+    logger.error(`Error loading occupancy samples: ${error.message}`);
+    const matching = mockOccupancySamples
+        .filter(s => s.disaster_id === disasterId && (!resourceId || s.resource_id === resourceId))
+        .filter(s => new Date(s.recorded_at).getTime() <= to);
+
+    const samples = matching.filter(s => new Date(s.recorded_at).getTime() >= from);
+    const before = new Map();
+    matching
+        .filter(s => new Date(s.recorded_at).getTime() < from)
+        .forEach(s => before.set(s.resource_id, s));
+
+    return { samples: [...before.values(), ...samples], source: 'mock_data' };
+}
+
+function round(value, digits = 3) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+// Places in use (occupied or held) and the share of capacity they take
+function describeState(sample) {
+    const used = sample.current_occupancy + (sample.reserved_count || 0);
+    return {
+        capacity: sample.capacity,
+        occupied: sample.current_occupancy,
+        reserved: sample.reserved_count || 0,
+        utilization: sample.capacity > 0 ? round(used / sample.capacity) : null
+    };
+}
+
+// Group samples by resource, oldest first
+function groupByResource(samples) {
+    const groups = new Map();
+    [...samples]
+        .sort((a, b) => new Date(a.recorded_at) - new Date(b.recorded_at))
+        .forEach(sample => {
+            if (!groups.has(sample.resource_id)) groups.set(sample.resource_id, []);
+            groups.get(sample.resource_id).push(sample);
+        });
+    return groups;
+}
+
+// Last sample recorded at or before `time`
+function stateAt(series, time) {
+    let state = null;
+    for (const sample of series) {
+        if (new Date(sample.recorded_at).getTime() > time) break;
+        state = sample;
+    }
+    return state;
+}
+
+// Least-squares trend of places in use over time. Returns the fill rate in places per hour and,
+// if places are filling up, when the resource (or group) would be full at that rate.
+function fitTrend(points, capacity) {
+    if (points.length < 2) {
+        return { fill_rate_per_hour: null, projected_full_at: null };
+    }
+
+    const meanT = points.reduce((sum, p) => sum + p.time, 0) / points.length;
+    const meanUsed = points.reduce((sum, p) => sum + p.used, 0) / points.length;
+    const spread = points.reduce((sum, p) => sum + Math.pow(p.time - meanT, 2), 0);
+    if (spread === 0) {
+        return { fill_rate_per_hour: null, projected_full_at: null };
+    }
+
+    const slope = points.reduce((sum, p) => sum + (p.time - meanT) * (p.used - meanUsed), 0) / spread;
+    const last = points[points.length - 1];
+    const projectedFullAt = slope > 0 && capacity > last.used
+        ? new Date(last.time + (capacity - last.used) / slope).toISOString()
+        : null;
+
+    return {
+        fill_rate_per_hour: round(slope * HOUR_MS, 2),
+        projected_full_at: projectedFullAt
+    };
+}
+
+// Summarize one resource's samples over [from, to]: current, peak and time-weighted average use, plus the trend
+function summarizeHistory(samples, from, to) {
+    const series = groupByResource(samples).values().next().value || [];
+    const initial = stateAt(series, from);
+    const inWindow = series.filter(s => new Date(s.recorded_at).getTime() >= from);
+    const points = [
+        ...(initial && initial !== inWindow[0] ? [{ sample: initial, time: from }] : []),
+        ...inWindow.map(sample => ({ sample, time: new Date(sample.recorded_at).getTime() }))
+    ].map(p => ({ ...p, used: p.sample.current_occupancy + (p.sample.reserved_count || 0) }));
+
+    if (points.length === 0) {
+        return null;
+    }
+
+    const current = points[points.length - 1].sample;
+    const peak = points.reduce((best, p) => (p.used > best.used ? p : best), points[0]);
+
+    // Each state lasts until the next change (or the end of the window)
+    let weighted = 0;
+    let covered = 0;
+    points.forEach((p, index) => {
+        const until = index + 1 < points.length ? points[index + 1].time : to;
+        if (p.sample.capacity > 0 && until > p.time) {
+            weighted += (p.used / p.sample.capacity) * (until - p.time);
+            covered += until - p.time;
+        }
+    });
+
+    return {
+        current: describeState(current),
+        peak: { ...describeState(peak.sample), at: new Date(peak.time).toISOString() },
+        average_utilization: covered > 0 ? round(weighted / covered) : null,
+        changes: inWindow.length,
+        ...fitTrend(points, current.capacity)
+    };
+}
+
+// Aggregate utilization per bucket and resource type. Each bucket shows the state at its end
+// (the end of the window for the last one); inactive resources do not count towards capacity.
+function aggregateUtilization(samples, { from, to, bucket = 'hour' }) {
+    const size = BUCKET_SIZES[bucket];
+    const groups = groupByResource(samples);
+    const buckets = [];
+
+    for (let start = Math.floor(from / size) * size; start < to; start += size) {
+        const end = Math.min(start + size, to);
+        const byType = {};
+        const total = { resources: 0, capacity: 0, occupied: 0, reserved: 0 };
+
+        groups.forEach(series => {
+            const state = stateAt(series, end);
+            if (!state || state.status === 'inactive') return;
+
+            const entry = byType[state.type] || (byType[state.type] = { resources: 0, capacity: 0, occupied: 0, reserved: 0 });
+            [entry, total].forEach(target => {
+                target.resources += 1;
+                target.capacity += state.capacity;
+                target.occupied += state.current_occupancy;
+                target.reserved += state.reserved_count || 0;
+            });
+        });
+
+        const withUtilization = entry => ({
+            ...entry,
+            utilization: entry.capacity > 0 ? round((entry.occupied + entry.reserved) / entry.capacity) : null
+        });
+
+        buckets.push({
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString(),
+            total: withUtilization(total),
+            by_type: Object.fromEntries(Object.entries(byType).map(([type, entry]) => [type, withUtilization(entry)]))
+        });
+    }
+
+    // Per-type summary over the window: latest figures, peak and trend
+    const types = [...new Set(buckets.flatMap(b => Object.keys(b.by_type)))];
+    const byType = Object.fromEntries(types.map(type => {
+        const series = buckets
+            .filter(b => b.by_type[type])
+            .map(b => ({ time: new Date(b.end).getTime(), entry: b.by_type[type] }));
+        const latest = series[series.length - 1].entry;
+        const peak = series.reduce((best, p) => ((p.entry.utilization || 0) > (best.entry.utilization || 0) ? p : best), series[0]);
+
+        return [type, {
+            ...latest,
+            peak_utilization: peak.entry.utilization,
+            peak_at: new Date(peak.time).toISOString(),
+            ...fitTrend(series.map(p => ({ time: p.time, used: p.entry.occupied + p.entry.reserved })), latest.capacity)
+        }];
+    }));
+
+    return { buckets, by_type: byType };
+}
+
+module.exports = {
+    BUCKET_SIZES,
+    MAX_WINDOW_HOURS,
+    parseTimeWindow,
+    recordMockSample,
+    loadSamples,
+    describeState,
+    summarizeHistory,
+    aggregateUtilization
+};
@@ -0,0 +1,12 @@
+// Permission checks shared by the resource, inventory and reservation routes
+
+// Check whether a user may run a resource: admins, its creator and its assigned managers
+function canManageResource(resource, user) {
+    return user.role === 'admin' ||
+        resource.created_by === user.id ||
+        (resource.managers || []).includes(user.id);
+}
+
+module.exports = {
+    canManageResource
+};
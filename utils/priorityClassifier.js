@@ -0,0 +1,216 @@
+// Priority classifier for social media posts and citizen reports: sums the weights of lexicon terms found in
+// the text (general lexicons plus the disaster's hazard type, in every configured language), ignores terms
+// that are negated ("no longer trapped") and maps the score to a priority level. The explanation lists every
+// term that fired so a flag can be justified.
+
+const supabase = require('../config/supabase');
+const logger = require('./logger');
+const { HAZARD_TYPES } = require('./classification');
+const mockPriorityLexicons = require('../data/mockPriorityLexicons');
+
+const PRIORITY_LEVELS = ['critical', 'high', 'normal', 'low'];
+
+// Minimum score for each level, highest first; anything below `normal` is low
+const PRIORITY_THRESHOLDS = {
+    critical: 8,
+    high: 5,
+    normal: 1
+};
+
+// Words that negate a term when they govern it: right before it, or separated only by filler words
+const NEGATION_CUES = {
+    en: ['no', 'not', 'no longer', 'never', 'without', 'non', 'nobody', "isn't", "aren't", "wasn't", "weren't", "don't", "doesn't", "didn't", "can't"],
+    es: ['no', 'ya no', 'sin', 'nunca', 'ni', 'nadie'],
+    fr: ['ne', 'n', 'pas', 'plus', 'sans', 'jamais', 'personne']
+};
+// Articles, copulas and degree words that may stand between a cue and its term ("not a drill",
+// "no hay heridos", "pas de blessés"); any other word ends the search for a cue
+const NEGATION_FILLERS = {
+    en: ['a', 'an', 'the', 'any', 'be', 'been', 'being', 'is', 'are', 'am', 'was', 'were', 'longer', 'more'],
+    es: ['el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'es', 'son', 'está', 'están', 'estoy', 'estamos', 'estaba', 'estaban', 'hay', 'más'],
+    fr: ['le', 'la', 'les', 'l', 'un', 'une', 'des', 'de', 'd', 'est', 'sont', 'suis', 'sommes', 'êtes', 'était', 'étaient', 'été', 'y', 'a', 'ont']
+};
+const SUPPORTED_LANGUAGES = Object.keys(NEGATION_CUES);
+// Words before a term that are searched for a negation cue
+const NEGATION_WINDOW = 3;
+
+const MAX_TERMS = 500;
+const MAX_TERM_LENGTH = 60;
+const MAX_WEIGHT = 20;
+// Lexicons are re-read from the database at most this often
+const LEXICON_CACHE_TTL_MS = 60 * 1000;
+
+let lexiconCache = null;
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word, case-insensitive pattern for a term; spaces in the term match any whitespace
+function termPattern(term, flags = 'giu') {
+    const body = term.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, flags);
+}
+
+// Lowercased words of the clause before `index`, with French elisions split off ("n'est" -> "n", "est")
+function getClauseWords(text, index) {
+    const clause = text.slice(0, index).split(/[.!?;:,\n]/).pop().toLowerCase();
+    return (clause.match(/[\p{L}\p{N}']+/gu) || []).flatMap(word => {
+        const elision = word.match(/^(\p{L})'(.+)$/u);
+        return elision ? [elision[1], elision[2]] : [word];
+    });
+}
+
+// The negation cue governing the term at `index`, or null. Scanning back from the term, only filler words
+// may stand between it and the cue, so in "no power no water still trapped" the "no" does not reach "trapped".
+function findNegation(text, index, language) {
+    const words = getClauseWords(text, index);
+    const cues = (NEGATION_CUES[language] || [])
+        .map(cue => cue.split(' '))
+        .sort((a, b) => b.length - a.length);
+    const fillers = NEGATION_FILLERS[language] || [];
+
+    for (let i = words.length - 1; i >= Math.max(0, words.length - NEGATION_WINDOW); i--) {
+        const cue = cues.find(parts =>
+            i + 1 >= parts.length && words.slice(i + 1 - parts.length, i + 1).join(' ') === parts.join(' ')
+        );
+        if (cue) return cue.join(' ');
+        if (!fillers.includes(words[i])) return null;
+    }
+
+    return null;
+}
+
+function getPriorityForScore(score) {
+    return PRIORITY_LEVELS.find(level => level === 'low' || score >= PRIORITY_THRESHOLDS[level]);
+}
+
+// Classify text with the given lexicons; returns { priority, score, explanation }.
+// Each explanation entry is one term: { term, lexicon, language, hazard_type, weight, negated, negation, contribution }.
+function classifyPriority(content, lexicons, { hazardType = null } = {}) {
+    const text = (content || '').replace(/[‘’]/g, '\'');
+    const applicable = lexicons.filter(lexicon => !lexicon.hazard_type || lexicon.hazard_type === hazardType);
+
+    // Longer terms are matched first so "au secours" is not counted again as "secours";
+    // a term listed in several lexicons counts once, with its strongest weight
+    const entries = applicable
+        .flatMap(lexicon => lexicon.terms.map(entry => ({ ...entry, lexicon })))
+        .sort((a, b) => b.term.length - a.term.length || Math.abs(b.weight) - Math.abs(a.weight));
+    const covered = [];
+    const signals = new Map();
+
+    entries.forEach(({ term, weight, negatable = true, lexicon }) => {
+        const key = term.trim().toLowerCase();
+        if (signals.has(key)) return;
+
+        const matches = [...text.matchAll(termPattern(term))].filter(match =>
+            !covered.some(span => match.index >= span.start && match.index + match[0].length <= span.end)
+        );
+        if (matches.length === 0) return;
+
+        // The term fires if any occurrence is not negated
+        const negations = negatable ? matches.map(match => findNegation(text, match.index, lexicon.language)) : [];
+        const negated = negatable && negations.every(Boolean);
+
+        matches.forEach(match => covered.push({ start: match.index, end: match.index + match[0].length }));
+        signals.set(key, {
+            term: key,
+            lexicon: lexicon.id,
+            language: lexicon.language,
+            hazard_type: lexicon.hazard_type || null,
+            weight,
+            negated,
+            negation: negated ? negations[0] : null,
+            contribution: negated ? 0 : weight
+        });
+    });
+
+    const explanation = [...signals.values()].sort((a, b) => b.contribution - a.contribution);
+    const total = explanation.reduce((sum, signal) => sum + signal.contribution, 0);
+    const score = Math.round(Math.max(0, total) * 100) / 100;
+
+    return {
+        priority: getPriorityForScore(score),
+        score,
+        explanation
+    };
+}
+
+// Load the configured lexicons (cached briefly); returns { lexicons, source }
+async function loadLexicons() {
+    if (lexiconCache && Date.now() - lexiconCache.loadedAt < LEXICON_CACHE_TTL_MS) {
+        return lexiconCache;
+    }
+
+    const { data, error } = await supabase
+        .from('priority_lexicons')
+        .select('*')
+        .order('id');
+
+    if (error) {
+        logger.error(`Error loading priority lexicons, using mock data: ${error.message}`);
+        lexiconCache = { lexicons: mockPriorityLexicons, source: 'mock_data', loadedAt: Date.now() };
+    } else {
+        lexiconCache = { lexicons: data || [], source: 'supabase', loadedAt: Date.now() };
+    }
+
+    return lexiconCache;
+}
+
+// Drop the cached lexicons after an admin change
+function invalidateLexicons() {
+    lexiconCache = null;
+}
+
+// Load the lexicons and classify text for a disaster's hazard type
+async function classifyText(content, { hazardType = null } = {}) {
+    const { lexicons } = await loadLexicons();
+    return classifyPriority(content, lexicons, { hazardType });
+}
+
+// Validate a lexicon from a request body; returns an error message or null
+function validateLexicon({ hazard_type, language, terms }) {
+    if (hazard_type !== null && hazard_type !== undefined && !HAZARD_TYPES.includes(hazard_type)) {
+        return `hazard_type must be null or one of: ${HAZARD_TYPES.join(', ')}`;
+    }
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+        return `language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`;
+    }
+    if (!Array.isArray(terms) || terms.length === 0 || terms.length > MAX_TERMS) {
+        return `terms must be a list of 1 to ${MAX_TERMS} entries`;
+    }
+
+    const seen = new Set();
+    for (const entry of terms) {
+        if (!entry || typeof entry.term !== 'string' || !entry.term.trim() || entry.term.length > MAX_TERM_LENGTH) {
+            return `each term must be a non-empty string of at most ${MAX_TERM_LENGTH} characters`;
+        }
+        if (typeof entry.weight !== 'number' || !isFinite(entry.weight) || entry.weight === 0 || Math.abs(entry.weight) > MAX_WEIGHT) {
+            return `weight of "${entry.term}" must be a non-zero number between -${MAX_WEIGHT} and ${MAX_WEIGHT}`;
+        }
+        if (entry.negatable !== undefined && typeof entry.negatable !== 'boolean') {
+            return `negatable of "${entry.term}" must be a boolean`;
+        }
+
+        const key = entry.term.trim().toLowerCase();
+        if (seen.has(key)) {
+            return `term "${entry.term}" is listed more than once`;
+        }
+        seen.add(key);
+    }
+
+    return null;
+}
+
+module.exports = {
+    PRIORITY_LEVELS,
+    PRIORITY_THRESHOLDS,
+    NEGATION_CUES,
+    NEGATION_FILLERS,
+    SUPPORTED_LANGUAGES,
+    classifyPriority,
+    classifyText,
+    loadLexicons,
+    invalidateLexicons,
+    validateLexicon
+};
@@ -0,0 +1,155 @@
+// Shelter reservations: places held for an incoming group count against capacity
+// until the group checks in, the hold is cancelled or it expires
+
+const supabase = require('../config/supabase');
+const logger = require('./logger');
+const { recordMockSample } = require('./occupancyHistory');
+const mockResources = require('../data/mockResources');
+const mockReservations = require('../data/mockReservations');
+
+const RESERVATION_STATUSES = ['held', 'checked_in', 'cancelled', 'expired'];
+// Holds last this long past the expected arrival unless hold_expires_at is given
+const ARRIVAL_GRACE_MINUTES = 60;
+// Hold length when no arrival time is known
+const DEFAULT_HOLD_MINUTES = 120;
+const MAX_HOLD_HOURS = 24;
+const MAX_PARTY_SIZE = 1000;
+
+// Places neither occupied nor held
+function getFreePlaces(resource) {
+    return Math.max(0, resource.capacity - resource.current_occupancy - (resource.reserved_count || 0));
+}
+
+// Status a resource should have once occupancy and holds are counted; inactive resources stay inactive
+function getCapacityStatus(resource) {
+    if (resource.status === 'inactive') return resource.status;
+    return resource.current_occupancy + (resource.reserved_count || 0) >= resource.capacity ? 'full' : 'active';
+}
+
+// Hold places at a mock resource (mock-mode equivalent of create_resource_reservation)
+function holdMockPlaces(resource, reservation) {
+    if (resource.status === 'inactive' || reservation.party_size > getFreePlaces(resource)) {
+        return { insufficient: true };
+    }
+
+    const now = new Date().toISOString();
+    const created = {
+        id: Math.random().toString(36).substr(2, 9),
+        ...reservation,
+        status: 'held',
+        arrived_count: null,
+        created_at: now,
+        updated_at: now,
+        released_at: null
+    };
+    mockReservations.push(created);
+
+    resource.reserved_count = (resource.reserved_count || 0) + reservation.party_size;
+    Object.assign(resource, {
+        status: getCapacityStatus(resource),
+        version: (resource.version || 1) + 1,
+        updated_at: now
+    });
+    recordMockSample(resource);
+
+    return { reservation: created, resource };
+}
+
+// End a mock hold (mock-mode equivalent of finish_resource_reservation)
+function finishMockReservation(reservation, outcome, arrived = null) {
+    const now = Date.now();
+    if (reservation.status !== 'held' ||
+        (outcome === 'checked_in' && new Date(reservation.hold_expires_at).getTime() <= now)) {
+        return { notHeld: true };
+    }
+
+    const resource = mockResources.find(r => r.id === reservation.resource_id);
+    const checkedIn = outcome === 'checked_in' ? (arrived === null ? reservation.party_size : arrived) : 0;
+    const timestamp = new Date(now).toISOString();
+
+    if (resource) {
+        resource.reserved_count = Math.max(0, (resource.reserved_count || 0) - reservation.party_size);
+        resource.current_occupancy += checkedIn;
+        Object.assign(resource, {
+            status: getCapacityStatus(resource),
+            version: (resource.version || 1) + 1,
+            updated_at: timestamp
+        });
+        recordMockSample(resource);
+    }
+
+    Object.assign(reservation, {
+        status: outcome,
+        arrived_count: outcome === 'checked_in' ? checkedIn : null,
+        released_at: timestamp,
+        updated_at: timestamp
+    });
+
+    return { reservation, resource };
+}
+
+// Release every hold past its expiry and notify the affected disaster rooms. Run by the scheduled job.
+async function releaseExpiredReservations(io) {
+    let released;
+
+    const { data, error } = await supabase.rpc('expire_resource_reservations');
+
+    if (error) {
+        logger.warn(`Expiring reservations in mock data: ${error.message}`);
+        const now = Date.now();
+        released = mockReservations
+            .filter(r => r.status === 'held' && new Date(r.hold_expires_at).getTime() <= now)
+            .map(r => finishMockReservation(r, 'expired'));
+    } else {
+        const expired = data || [];
+        const resourceIds = [...new Set(expired.map(r => r.resource_id))];
+        const { data: resources } = resourceIds.length > 0
+            ? await supabase.from('resources').select('*').in('id', resourceIds)
+            : { data: [] };
+
+        released = expired.map(reservation => ({
+            reservation,
+            resource: (resources || []).find(r => r.id === reservation.resource_id) || null
+        }));
+    }
+
+    released.forEach(({ reservation, resource }) => {
+        logger.info(`Reservation ${reservation.id} at resource ${reservation.resource_id} expired, releasing ${reservation.party_size} places`);
+        emitReservationUpdate(io, 'expired', reservation, resource);
+    });
+
+    return released.map(r => r.reservation);
+}
+
+// Helper function to push a reservation change, and the resource's new capacity figures, to the disaster room.
+// The resource's disaster is used when known, since it is the one whose capacity changed.
+function emitReservationUpdate(io, action, reservation, resource) {
+    const room = `disaster_${(resource && resource.disaster_id) || reservation.disaster_id}`;
+
+    io.to(room).emit('reservations_updated', {
+        action,
+        data: reservation,
+        timestamp: new Date().toISOString()
+    });
+
+    if (resource) {
+        io.to(room).emit('resources_updated', {
+            action: `reservation_${action}`,
+            data: resource
+        });
+    }
+}
+
+module.exports = {
+    RESERVATION_STATUSES,
+    ARRIVAL_GRACE_MINUTES,
+    DEFAULT_HOLD_MINUTES,
+    MAX_HOLD_HOURS,
+    MAX_PARTY_SIZE,
+    getFreePlaces,
+    getCapacityStatus,
+    holdMockPlaces,
+    finishMockReservation,
+    releaseExpiredReservations,
+    emitReservationUpdate
+};
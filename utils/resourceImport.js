@@ -0,0 +1,157 @@
+// Bulk resource import/export: converts CSV and GeoJSON to POST /resources bodies and back
+
+const { parseCSV, toCSV, unescapeCSVValue } = require('./csv');
+const { getCoordinates } = require('./geo');
+
+const IMPORT_FORMATS = ['csv', 'geojson'];
+const MAX_IMPORT_ROWS = 2000;
+
+// Columns read from and written to CSV; amenities are separated by semicolons within their cell
+const CSV_COLUMNS = [
+    'external_id', 'name', 'location_name', 'type', 'lat', 'lng',
+    'capacity', 'current_occupancy', 'contact', 'amenities', 'status'
+];
+const NUMERIC_COLUMNS = ['lat', 'lng', 'capacity', 'current_occupancy'];
+// Written on export for reference and ignored on import, so exported files can be edited and re-imported
+const EXPORT_ONLY_COLUMNS = ['id', 'version', 'updated_at'];
+
+// Work out the import format from an explicit ?format=, a file name or a content type
+function detectImportFormat({ format, filename, contentType }) {
+    if (format) return IMPORT_FORMATS.includes(format) ? format : null;
+    if (filename && /\.csv$/i.test(filename)) return 'csv';
+    if (filename && /\.(geo)?json$/i.test(filename)) return 'geojson';
+    if (contentType && /csv/i.test(contentType)) return 'csv';
+    if (contentType && /json/i.test(contentType)) return 'geojson';
+    return null;
+}
+
+// Turn a CSV cell into a number when it is one, so validation can report the bad value otherwise
+function readNumber(value) {
+    if (value === '') return undefined;
+    const number = Number(value);
+    return isNaN(number) ? value : number;
+}
+
+// Parse CSV text into [{ row, input }] where row is the spreadsheet line number (header = 1)
+function rowsFromCSV(text) {
+    const [header, ...lines] = parseCSV(text);
+    if (!header) {
+        return { error: 'CSV file is empty' };
+    }
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    const unknown = columns.filter(name => !CSV_COLUMNS.includes(name) && !EXPORT_ONLY_COLUMNS.includes(name));
+    if (unknown.length > 0) {
+        return { error: `Unknown CSV columns: ${unknown.join(', ')}. Allowed: ${CSV_COLUMNS.join(', ')}` };
+    }
+
+    const rows = lines.map((cells, index) => {
+        const input = {};
+        columns.forEach((column, position) => {
+            const value = unescapeCSVValue((cells[position] || '').trim());
+            if (value === '' || EXPORT_ONLY_COLUMNS.includes(column)) return;
+            if (NUMERIC_COLUMNS.includes(column)) {
+                input[column] = readNumber(value);
+            } else if (column === 'amenities') {
+                input.amenities = value.split(/[;|]/).map(a => a.trim()).filter(Boolean);
+            } else {
+                input[column] = value;
+            }
+        });
+
+        if (input.lat !== undefined || input.lng !== undefined) {
+            input.location = { lat: input.lat, lng: input.lng };
+        }
+        delete input.lat;
+        delete input.lng;
+
+        return { row: index + 2, input };
+    });
+
+    return { rows };
+}
+
+// Parse a GeoJSON FeatureCollection of Point features; properties hold the resource fields
+function rowsFromGeoJSON(collection) {
+    if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+        return { error: 'GeoJSON import must be a FeatureCollection' };
+    }
+
+    const rows = collection.features.map((feature, index) => {
+        const input = { ...((feature && feature.properties) || {}) };
+        const geometry = feature && feature.geometry;
+
+        if (geometry) {
+            input.location = geometry.type === 'Point' && Array.isArray(geometry.coordinates)
+                ? { lat: geometry.coordinates[1], lng: geometry.coordinates[0] }
+                : { invalid: geometry.type };
+        }
+
+        return { row: index + 1, input };
+    });
+
+    return { rows };
+}
+
+// Read import content in the given format; returns { rows } or { error }
+function parseImport(format, content) {
+    let result;
+    try {
+        if (format === 'csv') {
+            result = rowsFromCSV(typeof content === 'string' ? content : '');
+        } else {
+            result = rowsFromGeoJSON(typeof content === 'string' ? JSON.parse(content) : content);
+        }
+    } catch (error) {
+        return { error: `Could not parse ${format === 'csv' ? 'CSV' : 'GeoJSON'}: ${error.message}` };
+    }
+
+    if (result.rows && result.rows.length === 0) {
+        return { error: 'Import contains no resources' };
+    }
+    if (result.rows && result.rows.length > MAX_IMPORT_ROWS) {
+        return { error: `Import is limited to ${MAX_IMPORT_ROWS} resources per request` };
+    }
+
+    return result;
+}
+
+// Export resources as CSV text
+function resourcesToCSV(resources) {
+    const columns = ['id', ...CSV_COLUMNS, 'version', 'updated_at'];
+    return toCSV(columns, resources.map(resource => {
+        const coordinates = getCoordinates(resource);
+        return {
+            ...resource,
+            lat: coordinates ? coordinates.lat : null,
+            lng: coordinates ? coordinates.lng : null,
+            amenities: (resource.amenities || []).join(';')
+        };
+    }));
+}
+
+// Export resources as a GeoJSON FeatureCollection that can be imported again
+function resourcesToGeoJSON(resources) {
+    return {
+        type: 'FeatureCollection',
+        features: resources.map(resource => {
+            const coordinates = getCoordinates(resource);
+            const { location, lat, lng, distance_meters: distanceMeters, search_vector: searchVector, audit_trail: auditTrail, ...properties } = resource;
+            return {
+                type: 'Feature',
+                geometry: coordinates ? { type: 'Point', coordinates: [coordinates.lng, coordinates.lat] } : null,
+                properties
+            };
+        })
+    };
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    MAX_IMPORT_ROWS,
+    CSV_COLUMNS,
+    detectImportFormat,
+    parseImport,
+    resourcesToCSV,
+    resourcesToGeoJSON
+};
@@ -0,0 +1,190 @@
+// Resource opening hours: weekly schedules in a resource's local time zone plus one-off closures
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far ahead to look for the next opening
+const LOOKAHEAD_DAYS = 14;
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Validate a schedule: { timezone, weekly: { mon: [{ open: '08:00', close: '18:00' }], ... } }.
+// Days that are missing or empty are closed all day; ranges may not cross midnight (use '24:00' and
+// continue on the next day). Returns an error message or null.
+function validateSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+        return 'schedule must be an object with timezone and weekly hours';
+    }
+    if (!schedule.timezone || !isValidTimeZone(schedule.timezone)) {
+        return 'schedule.timezone must be an IANA time zone, e.g. America/New_York';
+    }
+    if (!schedule.weekly || typeof schedule.weekly !== 'object') {
+        return 'schedule.weekly must map days (sun-sat) to opening ranges';
+    }
+
+    for (const [day, ranges] of Object.entries(schedule.weekly)) {
+        if (!DAYS.includes(day)) {
+            return `schedule.weekly has unknown day "${day}"; use ${DAYS.join(', ')}`;
+        }
+        if (!Array.isArray(ranges)) {
+            return `schedule.weekly.${day} must be an array of { open, close } ranges`;
+        }
+
+        const sorted = [...ranges].sort((a, b) => String(a && a.open).localeCompare(String(b && b.open)));
+        for (let i = 0; i < sorted.length; i++) {
+            const range = sorted[i] || {};
+            if (!TIME_PATTERN.test(range.open) || !TIME_PATTERN.test(range.close)) {
+                return `schedule.weekly.${day} ranges need open and close times as HH:MM`;
+            }
+            if (toMinutes(range.open) >= toMinutes(range.close)) {
+                return `schedule.weekly.${day} range ${range.open}-${range.close} must close after it opens`;
+            }
+            if (i > 0 && toMinutes(range.open) < toMinutes(sorted[i - 1].close)) {
+                return `schedule.weekly.${day} ranges overlap`;
+            }
+        }
+    }
+
+    return null;
+}
+
+// Validate a one-off closure: { starts_at, ends_at, reason }. Returns an error message or null.
+function validateClosure(closure) {
+    if (!closure || !closure.starts_at || !closure.ends_at) {
+        return 'closure needs starts_at and ends_at';
+    }
+    const start = new Date(closure.starts_at).getTime();
+    const end = new Date(closure.ends_at).getTime();
+    if (isNaN(start) || isNaN(end)) {
+        return 'starts_at and ends_at must be ISO 8601 timestamps';
+    }
+    if (end <= start) {
+        return 'ends_at must be after starts_at';
+    }
+    return null;
+}
+
+// Offset of a time zone from UTC at a given instant, in milliseconds
+function getTimeZoneOffset(timeZone, timestamp) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(new Date(timestamp)).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+
+    const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return localAsUtc - (timestamp - (timestamp % 1000));
+}
+
+// UTC timestamp of a wall-clock time (minutes after local midnight) on a local calendar date
+function localTimeToUtc(timeZone, year, month, day, minutes) {
+    const guess = Date.UTC(year, month, day) + minutes * 60 * 1000;
+    const offset = getTimeZoneOffset(timeZone, guess - getTimeZoneOffset(timeZone, guess));
+    return guess - offset;
+}
+
+// Opening intervals [start, end) in UTC from the local day before `from` through the lookahead window
+function buildOpenIntervals(schedule, from) {
+    const { timezone, weekly } = schedule;
+    const local = new Date(from + getTimeZoneOffset(timezone, from));
+    const intervals = [];
+
+    for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+        const date = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + offset));
+        const ranges = weekly[DAYS[date.getUTCDay()]] || [];
+
+        ranges.forEach(range => {
+            intervals.push([
+                localTimeToUtc(timezone, date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), toMinutes(range.open)),
+                localTimeToUtc(timezone, date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), toMinutes(range.close))
+            ]);
+        });
+    }
+
+    return intervals.sort((a, b) => a[0] - b[0]);
+}
+
+// Remove closure periods from intervals and join intervals that touch (e.g. 24:00 followed by 00:00)
+function applyClosures(intervals, closures) {
+    const periods = (closures || []).map(c => [new Date(c.starts_at).getTime(), new Date(c.ends_at).getTime()]);
+    let segments = intervals;
+
+    periods.forEach(([closedFrom, closedUntil]) => {
+        segments = segments.flatMap(([start, end]) => {
+            if (closedUntil <= start || closedFrom >= end) return [[start, end]];
+            const remaining = [];
+            if (closedFrom > start) remaining.push([start, closedFrom]);
+            if (closedUntil < end) remaining.push([closedUntil, end]);
+            return remaining;
+        });
+    });
+
+    return segments.reduce((merged, segment) => {
+        const last = merged[merged.length - 1];
+        if (last && segment[0] <= last[1]) {
+            last[1] = Math.max(last[1], segment[1]);
+        } else {
+            merged.push([...segment]);
+        }
+        return merged;
+    }, []);
+}
+
+// Compute whether a resource is open at `at` and when it next opens or closes.
+// Resources without a schedule are open around the clock apart from closures; inactive resources are never open.
+function getAvailability(resource, at = Date.now()) {
+    const time = typeof at === 'number' ? at : new Date(at).getTime();
+    const closures = resource.closures || [];
+    const currentClosure = closures.find(c =>
+        new Date(c.starts_at).getTime() <= time && time < new Date(c.ends_at).getTime()
+    ) || null;
+
+    if (resource.status === 'inactive') {
+        return { open_now: false, opens_at: null, closes_at: null, always_open: false, closure: currentClosure };
+    }
+
+    const intervals = resource.schedule
+        ? buildOpenIntervals(resource.schedule, time)
+        : [[time - DAY_MS, time + LOOKAHEAD_DAYS * DAY_MS]];
+    const segments = applyClosures(intervals, closures);
+    const horizon = time + LOOKAHEAD_DAYS * DAY_MS;
+
+    const current = segments.find(([start, end]) => start <= time && time < end);
+    const next = segments.find(([start]) => start > time);
+    const toIso = timestamp => (timestamp !== undefined && timestamp < horizon ? new Date(timestamp).toISOString() : null);
+
+    return {
+        open_now: Boolean(current),
+        opens_at: current ? null : toIso(next && next[0]),
+        closes_at: current ? toIso(current[1]) : null,
+        always_open: !resource.schedule && closures.length === 0,
+        closure: currentClosure
+    };
+}
+
+module.exports = {
+    DAYS,
+    validateSchedule,
+    validateClosure,
+    getAvailability
+};
@@ -0,0 +1,151 @@
+// In-memory full-text ranking and highlighting, used when Postgres full-text search is unavailable,
+// and the escaping of the snippets Postgres returns
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'in', 'on', 'at', 'to', 'for', 'is', 'are', 'with', 'or']);
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+// Control characters search_platform() wraps matches in, so its snippets can be escaped before marking them up
+const HEADLINE_START = '\u0002';
+const HEADLINE_STOP = '\u0003';
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Split a query into lowercase prefix terms and "quoted phrases"
+function parseQuery(q) {
+    const phrases = [];
+    const terms = [];
+    const pattern = /"([^"]+)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(String(q || ''))) !== null) {
+        if (match[1]) {
+            const words = match[1].toLowerCase().match(WORD_PATTERN);
+            if (words) phrases.push(words.join(' '));
+        } else {
+            (match[2].toLowerCase().match(WORD_PATTERN) || [])
+                .filter(word => !STOP_WORDS.has(word))
+                .forEach(word => terms.push(word));
+        }
+    }
+
+    return { terms: [...new Set(terms)], phrases: [...new Set(phrases)] };
+}
+
+function isEmptyQuery(query) {
+    return query.terms.length === 0 && query.phrases.length === 0;
+}
+
+// Score weighted fields against a parsed query; every term and phrase must match somewhere (AND semantics)
+function scoreFields(fields, query) {
+    let score = 0;
+    const normalized = fields.map(field => {
+        const words = String(field.text || '').toLowerCase().match(WORD_PATTERN) || [];
+        return { weight: field.weight || 1, words, joined: words.join(' ') };
+    });
+
+    for (const term of query.terms) {
+        let termScore = 0;
+        normalized.forEach(field => {
+            const count = field.words.filter(word => word.startsWith(term)).length;
+            if (count > 0) termScore += field.weight * (1 + Math.log(count));
+        });
+        if (termScore === 0) return 0;
+        score += termScore;
+    }
+
+    for (const phrase of query.phrases) {
+        const phraseScore = normalized
+            .filter(field => field.joined.includes(phrase))
+            .reduce((sum, field) => sum + field.weight * 2, 0);
+        if (phraseScore === 0) return 0;
+        score += phraseScore;
+    }
+
+    return Math.round(score * 10000) / 10000;
+}
+
+// Build an HTML-escaped snippet around the first match, with matches wrapped in <mark>
+function highlight(text, query, maxLength = 160) {
+    const source = String(text || '');
+    const alternatives = [
+        ...query.phrases.map(phrase => phrase.split(' ').map(escapeRegExp).join('[^\\p{L}\\p{N}]+')),
+        ...query.terms.map(term => `${escapeRegExp(term)}[\\p{L}\\p{N}]*`)
+    ];
+    if (alternatives.length === 0 || !source) return null;
+
+    const matcher = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})`, 'giu');
+    const first = matcher.exec(source);
+    if (!first) return null;
+
+    const start = Math.max(0, first.index - Math.floor(maxLength / 3));
+    const end = Math.min(source.length, start + maxLength);
+    const snippet = escapeHtml(source.slice(start, end));
+
+    return (start > 0 ? '…' : '') +
+        snippet.replace(new RegExp(matcher.source, 'giu'), '<mark>$&</mark>') +
+        (end < source.length ? '…' : '');
+}
+
+// HTML-escape a ts_headline snippet from search_platform() and turn its match markers into <mark>
+function formatHeadline(headline) {
+    if (!headline) return null;
+
+    return escapeHtml(headline)
+        .split(HEADLINE_START).join('<mark>')
+        .split(HEADLINE_STOP).join('</mark>');
+}
+
+// Rank documents ({ type, id, title, fields: [{ name, text, weight }], ... }) against a query string
+function searchDocuments(documents, q) {
+    const query = parseQuery(q);
+    if (isEmptyQuery(query)) return [];
+
+    return documents
+        .map(doc => {
+            const score = scoreFields(doc.fields, query);
+            if (score === 0) return null;
+
+            const matchedField = doc.fields
+                .map(field => ({ name: field.name, snippet: highlight(field.text, query) }))
+                .find(field => field.snippet);
+
+            const { fields, ...result } = doc;
+            return {
+                ...result,
+                score,
+                matched_field: matchedField ? matchedField.name : null,
+                highlight: matchedField ? matchedField.snippet : null
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score);
+}
+
+// Count results per type
+function buildFacets(results, types) {
+    const facets = {};
+    types.forEach(type => { facets[type] = 0; });
+    results.forEach(result => {
+        facets[result.type] = (facets[result.type] || 0) + 1;
+    });
+    return facets;
+}
+
+module.exports = {
+    parseQuery,
+    isEmptyQuery,
+    scoreFields,
+    highlight,
+    formatHeadline,
+    searchDocuments,
+    buildFacets
+};
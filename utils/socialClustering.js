@@ -0,0 +1,167 @@
+// Near-duplicate clustering of social media posts: reposts and quotes join the post they reference, and
+// copies of the same text (retweets, copy-pasted pleas with other hashtags or links) are grouped by the
+// Jaccard similarity of their character shingles
+
+// Character n-gram size used for text similarity
+const SHINGLE_SIZE = 5;
+const DEFAULT_SIMILARITY = 0.6;
+// Texts shorter than this (after normalization) only cluster with identical texts
+const MIN_SIMILARITY_LENGTH = 20;
+const LINKED_REFERENCE_TYPES = ['repost', 'quote'];
+const PRIORITY_RANK = { critical: 3, high: 2, normal: 1, low: 0 };
+
+// Reduce a post to the text that copies share: no retweet prefix, mentions, links, hashtag marks or punctuation
+function normalizeText(content) {
+    return (content || '')
+        .toLowerCase()
+        .replace(/^rt\s+@[\w.]+:?\s*/, '')
+        .replace(/https?:\/\/\S+/g, ' ')
+        .replace(/@[\w.]+/g, ' ')
+        .replace(/#/g, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function getShingles(text) {
+    const shingles = new Set();
+    for (let i = 0; i + SHINGLE_SIZE <= text.length; i++) {
+        shingles.add(text.slice(i, i + SHINGLE_SIZE));
+    }
+    return shingles;
+}
+
+function jaccard(a, b) {
+    let shared = 0;
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    small.forEach(shingle => {
+        if (large.has(shingle)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+}
+
+// Minimal union-find over post indexes
+function createDisjointSet(size) {
+    const parent = Array.from({ length: size }, (_, i) => i);
+    const find = i => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    const union = (a, b) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) parent[rootB] = rootA;
+    };
+    return { find, union };
+}
+
+function isRepost(post) {
+    return (post.references || []).some(ref => ref.type === 'repost');
+}
+
+// The original (non-repost) post seen first stands for the cluster
+function pickRepresentative(members) {
+    return members.reduce((best, post) => {
+        if (isRepost(best) !== isRepost(post)) {
+            return isRepost(best) ? post : best;
+        }
+        return new Date(post.created_at) < new Date(best.created_at) ? post : best;
+    });
+}
+
+// Validate a similarity threshold; returns an error message or null
+function validateSimilarity(value) {
+    const similarity = Number(value);
+    if (value === '' || isNaN(similarity) || similarity <= 0 || similarity > 1) {
+        return 'similarity must be a number greater than 0 and at most 1';
+    }
+    return null;
+}
+
+// Group posts into clusters; returns one representative per cluster, most recent activity first:
+// the representative post plus `cluster` { count, first_seen_at, last_seen_at, member_ids, providers, priority }
+function clusterPosts(posts, { similarity = DEFAULT_SIMILARITY } = {}) {
+    const { find, union } = createDisjointSet(posts.length);
+
+    // Reposts and quotes join the referenced post, or other posts referencing the same one
+    const indexById = new Map();
+    posts.forEach((post, i) => {
+        const keys = [post.id, ...(post.references || [])
+            .filter(ref => LINKED_REFERENCE_TYPES.includes(ref.type))
+            .map(ref => `${post.provider}:${ref.provider_id}`)];
+        keys.forEach(key => {
+            if (indexById.has(key)) {
+                union(indexById.get(key), i);
+            } else {
+                indexById.set(key, i);
+            }
+        });
+    });
+
+    // Identical texts join directly, so only distinct texts are compared pairwise
+    const indexByText = new Map();
+    posts.forEach((post, i) => {
+        const text = normalizeText(post.content);
+        if (!text) return;
+        if (indexByText.has(text)) {
+            union(indexByText.get(text), i);
+        } else {
+            indexByText.set(text, i);
+        }
+    });
+
+    const distinct = [...indexByText.entries()]
+        .filter(([text]) => text.length >= MIN_SIMILARITY_LENGTH)
+        .map(([text, index]) => ({ index, shingles: getShingles(text) }));
+
+    for (let a = 0; a < distinct.length; a++) {
+        for (let b = a + 1; b < distinct.length; b++) {
+            const sizeA = distinct[a].shingles.size;
+            const sizeB = distinct[b].shingles.size;
+            // Jaccard similarity cannot exceed the ratio of the set sizes
+            if (Math.min(sizeA, sizeB) / Math.max(sizeA, sizeB) < similarity) continue;
+            if (find(distinct[a].index) === find(distinct[b].index)) continue;
+            if (jaccard(distinct[a].shingles, distinct[b].shingles) >= similarity) {
+                union(distinct[a].index, distinct[b].index);
+            }
+        }
+    }
+
+    const groups = new Map();
+    posts.forEach((post, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(post);
+    });
+
+    return [...groups.values()]
+        .map(members => {
+            members.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+            const priority = members.reduce((top, post) =>
+                (PRIORITY_RANK[post.priority] || 0) > (PRIORITY_RANK[top] || 0) ? post.priority : top,
+            members[0].priority);
+
+            return {
+                ...pickRepresentative(members),
+                cluster: {
+                    count: members.length,
+                    first_seen_at: members[0].created_at,
+                    last_seen_at: members[members.length - 1].created_at,
+                    member_ids: members.map(post => post.id),
+                    providers: [...new Set(members.map(post => post.provider))],
+                    priority
+                }
+            };
+        })
+        .sort((a, b) => new Date(b.cluster.last_seen_at) - new Date(a.cluster.last_seen_at));
+}
+
+module.exports = {
+    DEFAULT_SIMILARITY,
+    normalizeText,
+    validateSimilarity,
+    clusterPosts
+};
@@ -0,0 +1,286 @@
+// Social media ingestion: polls each live disaster's providers for its keywords, stores new posts
+// (deduplicated by provider id per disaster) and pushes them to the disaster room
+
+const supabase = require('../config/supabase');
+const logger = require('./logger');
+const { loadLexicons, classifyPriority } = require('./priorityClassifier');
+const { getAuthorKey } = require('./credibility');
+const { getDefaultProviders, fetchFromProviders } = require('./socialProviders');
+const mockDisasters = require('../data/mockDisasters');
+const mockIngestedPosts = require('../data/mockIngestedPosts');
+
+const DEFAULT_KEYWORDS = ['flood', 'emergency', 'help', 'rescue'];
+const POLLED_STATUSES = ['reported', 'active'];
+// How far back the first poll of a disaster reaches
+const INITIAL_LOOKBACK_HOURS = 6;
+// Later polls start a little before the newest stored post, since providers index posts late
+const CURSOR_OVERLAP_MINUTES = 10;
+// Adapters page back to the cursor, reading at most this many posts per provider and poll; a provider that
+// reaches it during a burst loses the older posts of that poll, which is logged
+const MAX_POSTS_PER_POLL = 500;
+// New posts included in one social_media_updated event
+const MAX_EVENT_POSTS = 20;
+
+// Function to extract location mentions from content
+function extractLocationFromContent(content) {
+    const locationPatterns = [
+        /(?:in|at|on|near)\s+([A-Z][a-zA-Z\s]+(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Manhattan|Brooklyn|Queens|Bronx))/gi,
+        /(Manhattan|Brooklyn|Queens|Bronx|Staten Island)/gi,
+        /([A-Z][a-zA-Z\s]+),\s*(NYC|New York)/gi
+    ];
+
+    for (const pattern of locationPatterns) {
+        const matches = content.match(pattern);
+        if (matches && matches.length > 0) {
+            return matches[0].replace(/^(in|at|on|near)\s+/i, '');
+        }
+    }
+
+    return null;
+}
+
+// Providers a disaster polls: its own choice or the deployment default
+function getEnabledProviders(disaster) {
+    const chosen = disaster && disaster.social_media_providers;
+    return Array.isArray(chosen) && chosen.length > 0 ? chosen : getDefaultProviders();
+}
+
+// Keywords a disaster polls: its own set or the default list
+function getDisasterKeywords(disaster) {
+    const chosen = disaster && disaster.social_media_keywords;
+    return Array.isArray(chosen) && chosen.length > 0 ? chosen : DEFAULT_KEYWORDS;
+}
+
+// Validate a keyword set; returns an error message or null
+function validateKeywords(keywords) {
+    if (!Array.isArray(keywords) || keywords.length === 0 || keywords.length > 20 ||
+        keywords.some(k => typeof k !== 'string' || !k.trim() || k.length > 100)) {
+        return 'keywords must be a list of 1 to 20 non-empty terms of at most 100 characters';
+    }
+    return null;
+}
+
+// Add the fields the platform derives from a normalized post
+function enrichPost(post, disaster, keywords, lexicons) {
+    const content = post.content.toLowerCase();
+    const classification = classifyPriority(post.content, lexicons, { hazardType: disaster.hazard_type });
+    return {
+        ...post,
+        priority: classification.priority,
+        priority_score: classification.score,
+        priority_explanation: classification.explanation,
+        extracted_location: (post.geo && post.geo.place_name) || extractLocationFromContent(post.content),
+        matched_keywords: keywords.filter(keyword =>
+            content.includes(keyword.toLowerCase()) ||
+            post.hashtags.some(tag => tag.toLowerCase() === keyword.replace(/^#/, '').toLowerCase())
+        ),
+        author_key: getAuthorKey(post),
+        disaster_id: disaster.id
+    };
+}
+
+// Stored rows keep references in `referenced_posts` (REFERENCES is an SQL keyword); the API uses the post schema
+function toRow(post) {
+    const { references, ...row } = post;
+    return { ...row, referenced_posts: references };
+}
+
+function fromRow(row) {
+    const { referenced_posts: referencedPosts, ...post } = row;
+    return { ...post, references: referencedPosts || [] };
+}
+
+// Newest stored post time for a disaster, used as the polling cursor
+async function getIngestCursor(disasterId) {
+    const { data, error } = await supabase
+        .from('social_media_posts')
+        .select('created_at')
+        .eq('disaster_id', disasterId)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+    if (error) {
+        const latest = mockIngestedPosts
+            .filter(p => p.disaster_id === disasterId)
+            .reduce((max, p) => Math.max(max, new Date(p.created_at).getTime()), 0);
+        return latest || null;
+    }
+
+    return data && data.length > 0 ? new Date(data[0].created_at).getTime() : null;
+}
+
+// Store posts that are not stored yet for the disaster; returns the newly stored ones
+async function storePosts(disasterId, posts) {
+    if (posts.length === 0) {
+        return [];
+    }
+
+    const { data, error } = await supabase
+        .from('social_media_posts')
+        .upsert(posts.map(toRow), { onConflict: 'disaster_id,id', ignoreDuplicates: true })
+        .select();
+
+    if (!error) {
+        return (data || []).map(fromRow);
+    }
+
+    logger.error(`Error storing social media posts, using mock storage: ${error.message}`);
+    const ingestedAt = new Date().toISOString();
+    const fresh = posts
+        .filter(post => !mockIngestedPosts.some(p => p.disaster_id === disasterId && p.id === post.id))
+        .map(post => ({ ...post, ingested_at: ingestedAt }));
+    mockIngestedPosts.push(...fresh);
+    return fresh;
+}
+
+// Poll one disaster's providers, store what is new and push it to the disaster room
+async function ingestDisaster(disaster, io) {
+    const keywords = getDisasterKeywords(disaster);
+    const providers = getEnabledProviders(disaster);
+    const cursor = await getIngestCursor(disaster.id);
+    const since = cursor
+        ? cursor - CURSOR_OVERLAP_MINUTES * 60 * 1000
+        : Date.now() - INITIAL_LOOKBACK_HOURS * 60 * 60 * 1000;
+
+    const { posts, results } = await fetchFromProviders(providers, {
+        keywords,
+        limit: MAX_POSTS_PER_POLL,
+        since: new Date(since).toISOString()
+    });
+
+    results
+        .filter(result => result.count >= MAX_POSTS_PER_POLL)
+        .forEach(result => {
+            result.truncated = true;
+            logger.warn(`${result.provider} returned ${MAX_POSTS_PER_POLL}+ posts for disaster ${disaster.id}; posts older than the newest ${MAX_POSTS_PER_POLL} were skipped`);
+        });
+
+    const { lexicons } = await loadLexicons();
+    const stored = await storePosts(disaster.id, posts.map(post => enrichPost(post, disaster, keywords, lexicons)));
+    const newPosts = stored.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    if (newPosts.length > 0 && io) {
+        io.to(`disaster_${disaster.id}`).emit('social_media_updated', {
+            disaster_id: disaster.id,
+            new_posts: newPosts.slice(0, MAX_EVENT_POSTS),
+            total_count: newPosts.length,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    return {
+        disaster_id: disaster.id,
+        fetched: posts.length,
+        stored: newPosts.length,
+        providers: results
+    };
+}
+
+// Poll every live disaster in turn; one failing disaster does not stop the others
+async function ingestActiveDisasters(io) {
+    const { data, error } = await supabase
+        .from('disasters')
+        .select('id, status, hazard_type, social_media_providers, social_media_keywords')
+        .is('deleted_at', null)
+        .in('status', POLLED_STATUSES);
+
+    const disasters = error
+        ? mockDisasters.filter(d => !d.deleted_at && POLLED_STATUSES.includes(d.status))
+        : data || [];
+
+    const summaries = [];
+    for (const disaster of disasters) {
+        try {
+            summaries.push(await ingestDisaster(disaster, io));
+        } catch (error) {
+            logger.error(`Error ingesting social media for disaster ${disaster.id}:`, error);
+        }
+    }
+    return summaries;
+}
+
+// Helper function to strip characters that have a meaning in PostgREST filters from a search keyword
+function sanitizeKeyword(keyword) {
+    return keyword.replace(/[^\p{L}\p{N}\s#_-]/gu, '').trim();
+}
+
+// Read stored posts for a disaster, newest first; returns { posts, total, source }
+async function queryStoredPosts(disasterId, { priority, provider, since, keywords = [], excludeAuthorKeys = [], limit = 20, offset = 0 } = {}) {
+    const terms = keywords.map(sanitizeKeyword).filter(Boolean);
+
+    let query = supabase
+        .from('social_media_posts')
+        .select('*', { count: 'exact' })
+        .eq('disaster_id', disasterId);
+
+    if (priority) {
+        query = query.eq('priority', priority);
+    }
+    if (provider) {
+        query = query.eq('provider', provider);
+    }
+    if (since) {
+        query = query.gte('created_at', new Date(since).toISOString());
+    }
+    if (terms.length > 0) {
+        query = query.or(terms.map(term => `content.ilike.*${term}*`).join(','));
+    }
+    // NOT IN is never true for a NULL author_key, so posts without an author are kept explicitly
+    if (excludeAuthorKeys.length > 0) {
+        const quoted = excludeAuthorKeys.map(key => `"${key.replace(/["\\]/g, '\\$&')}"`).join(',');
+        query = query.or(`author_key.is.null,author_key.not.in.(${quoted})`);
+    }
+
+    const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (!error) {
+        return { posts: (data || []).map(fromRow), total: count || 0, source: 'supabase' };
+    }
+
+    logger.error(`Error reading stored social media posts: ${error.message}`);
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const matching = mockIngestedPosts
+        .filter(p => p.disaster_id === disasterId)
+        .filter(p => (!priority || p.priority === priority) && (!provider || p.provider === provider))
+        .filter(p => !sinceTime || new Date(p.created_at).getTime() >= sinceTime)
+        .filter(p => terms.length === 0 || terms.some(term => p.content.toLowerCase().includes(term.toLowerCase())))
+        .filter(p => !excludeAuthorKeys.includes(p.author_key))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    return { posts: matching.slice(offset, offset + limit), total: matching.length, source: 'mock_data' };
+}
+
+// Save a stored post's verdict fields (verdict, verdict_evidence, verdict_by, verdict_at); returns the post or null
+async function setPostVerdict(disasterId, postId, changes) {
+    const { data, error } = await supabase
+        .from('social_media_posts')
+        .update(changes)
+        .eq('disaster_id', disasterId)
+        .eq('id', postId)
+        .select();
+
+    if (!error) {
+        return data && data.length > 0 ? fromRow(data[0]) : null;
+    }
+
+    logger.error(`Error saving social media post verdict, using mock storage: ${error.message}`);
+    const post = mockIngestedPosts.find(p => p.disaster_id === disasterId && p.id === postId);
+    if (!post) {
+        return null;
+    }
+    Object.assign(post, changes);
+    return post;
+}
+
+module.exports = {
+    DEFAULT_KEYWORDS,
+    getEnabledProviders,
+    getDisasterKeywords,
+    validateKeywords,
+    ingestDisaster,
+    ingestActiveDisasters,
+    queryStoredPosts,
+    setPostVerdict
+};
@@ -0,0 +1,144 @@
+// Bluesky adapter: app.bsky.feed.searchPosts on the AppView (BLUESKY_API_URL).
+// BLUESKY_ACCESS_TOKEN is sent when set, for AppViews that only allow signed-in search.
+
+const axios = require('axios');
+const { createPost } = require('./normalize');
+
+const DEFAULT_BASE_URL = 'https://public.api.bsky.app';
+const MAX_PAGE_SIZE = 100;
+
+function getConfig(options = {}) {
+    return {
+        baseUrl: options.baseUrl || process.env.BLUESKY_API_URL || DEFAULT_BASE_URL,
+        token: options.token || process.env.BLUESKY_ACCESS_TOKEN,
+        timeout: options.timeout || 10000
+    };
+}
+
+function isConfigured() {
+    return true;
+}
+
+// Split an embed view into its media and the record it quotes, if any
+function readEmbed(embed) {
+    if (!embed) return { media: [], quoted: null };
+
+    switch (embed.$type) {
+        case 'app.bsky.embed.images#view':
+            return {
+                media: (embed.images || []).map(image => ({
+                    type: 'image',
+                    url: image.fullsize,
+                    previewUrl: image.thumb,
+                    altText: image.alt
+                })),
+                quoted: null
+            };
+        case 'app.bsky.embed.video#view':
+            return {
+                media: [{ type: 'video', url: embed.playlist, previewUrl: embed.thumbnail, altText: embed.alt }],
+                quoted: null
+            };
+        case 'app.bsky.embed.record#view':
+            return { media: [], quoted: embed.record && embed.record.uri };
+        case 'app.bsky.embed.recordWithMedia#view': {
+            const inner = readEmbed(embed.media);
+            const record = embed.record && embed.record.record;
+            return { media: inner.media, quoted: record && record.uri };
+        }
+        default:
+            return { media: [], quoted: null };
+    }
+}
+
+// Map a searchPosts post view to a normalized post; the at:// URI is the provider id
+function normalize(post) {
+    const record = post.record || {};
+    const author = post.author || {};
+    const { media, quoted } = readEmbed(post.embed);
+    const rkey = (post.uri || '').split('/').pop();
+    const references = [];
+    if (quoted) references.push({ type: 'quote', providerId: quoted });
+    if (record.reply && record.reply.parent) references.push({ type: 'reply', providerId: record.reply.parent.uri });
+
+    const hashtags = [];
+    (record.facets || []).forEach(facet => (facet.features || []).forEach(feature => {
+        if (feature.$type === 'app.bsky.richtext.facet#tag') hashtags.push(feature.tag);
+    }));
+
+    return createPost({
+        provider: 'bluesky',
+        providerId: post.uri,
+        url: author.handle && rkey ? `https://bsky.app/profile/${author.handle}/post/${rkey}` : null,
+        content: record.text,
+        language: (record.langs || [])[0],
+        createdAt: record.createdAt || post.indexedAt,
+        author: {
+            id: author.did,
+            username: author.handle,
+            displayName: author.displayName,
+            verified: Boolean(author.verification && author.verification.verifiedStatus === 'valid'),
+            followers: author.followersCount,
+            createdAt: author.createdAt,
+            url: author.handle ? `https://bsky.app/profile/${author.handle}` : null
+        },
+        media,
+        engagement: {
+            likes: post.likeCount,
+            shares: post.repostCount,
+            replies: post.replyCount,
+            quotes: post.quoteCount
+        },
+        hashtags: hashtags.length > 0 ? hashtags : undefined,
+        references
+    });
+}
+
+// Read up to `limit` posts for one keyword, newest first, following the cursor until every post since `since` is read
+async function searchKeyword(keyword, limit, since, config) {
+    const posts = [];
+    let cursor = null;
+
+    do {
+        const response = await axios.get(`${config.baseUrl}/xrpc/app.bsky.feed.searchPosts`, {
+            headers: config.token ? { Authorization: `Bearer ${config.token}` } : {},
+            timeout: config.timeout,
+            params: {
+                q: keyword,
+                sort: 'latest',
+                limit: Math.min(limit - posts.length, MAX_PAGE_SIZE),
+                ...(since ? { since: new Date(since).toISOString() } : {}),
+                ...(cursor ? { cursor } : {})
+            }
+        });
+
+        const page = (response.data && response.data.posts) || [];
+        posts.push(...page);
+        cursor = page.length > 0 ? response.data.cursor : null;
+    } while (cursor && posts.length < limit);
+
+    return posts;
+}
+
+async function fetchPosts({ keywords, limit = 20, since }, options) {
+    const config = getConfig(options);
+
+    // Search has no OR operator, so each keyword is its own query
+    const results = await Promise.all(keywords.map(keyword => searchKeyword(keyword, limit, since, config)));
+
+    const byUri = new Map();
+    results.forEach(posts => posts.forEach(post => byUri.set(post.uri, post)));
+
+    return [...byUri.values()]
+        .map(normalize)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .slice(0, limit);
+}
+
+module.exports = {
+    name: 'bluesky',
+    label: 'Bluesky',
+    isConfigured,
+    fetchPosts,
+    normalize
+};
@@ -0,0 +1,85 @@
+// Social media provider registry. Each adapter exports { name, label, isConfigured(options), fetchPosts(query, options),
+// normalize(raw) } and returns posts in the normalized schema (see ./normalize). `options` overrides the adapter's
+// environment settings (baseUrl, token, timeout), which is how adapters are pointed at local fixture servers.
+
+const logger = require('../logger');
+const twitter = require('./twitter');
+const mastodon = require('./mastodon');
+const bluesky = require('./bluesky');
+const reddit = require('./reddit');
+const mock = require('./mock');
+
+const PROVIDERS = { twitter, mastodon, bluesky, reddit, mock };
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Providers used by disasters that have not chosen their own: SOCIAL_MEDIA_PROVIDERS, or Twitter when a token
+// is configured and the mock data otherwise
+function getDefaultProviders() {
+    const configured = (process.env.SOCIAL_MEDIA_PROVIDERS || '')
+        .split(',')
+        .map(name => name.trim())
+        .filter(name => PROVIDERS[name]);
+
+    if (configured.length > 0) return configured;
+    return twitter.isConfigured() ? ['twitter'] : ['mock'];
+}
+
+// Validate a list of provider names; returns an error message or null
+function validateProviderList(providers) {
+    if (!Array.isArray(providers) || providers.length === 0 || providers.some(name => typeof name !== 'string')) {
+        return 'providers must be a non-empty list of provider names';
+    }
+    const unknown = providers.filter(name => !PROVIDERS[name]);
+    if (unknown.length > 0) {
+        return `Unknown providers: ${unknown.join(', ')}. Available: ${PROVIDER_NAMES.join(', ')}`;
+    }
+    return null;
+}
+
+// Describe every provider and whether it can be used with the current settings
+function describeProviders(enabled = []) {
+    return PROVIDER_NAMES.map(name => ({
+        name,
+        label: PROVIDERS[name].label,
+        configured: PROVIDERS[name].isConfigured(),
+        enabled: enabled.includes(name)
+    }));
+}
+
+// Query several providers in parallel. A failing or unconfigured provider does not fail the others; its
+// outcome is reported in `results`. Posts are merged newest first with duplicates (same provider id) removed.
+async function fetchFromProviders(names, query, optionsByProvider = {}) {
+    const results = await Promise.all(names.map(async name => {
+        const provider = PROVIDERS[name];
+        const options = optionsByProvider[name];
+
+        if (!provider.isConfigured(options)) {
+            return { provider: name, status: 'not_configured', count: 0, posts: [] };
+        }
+
+        try {
+            const posts = await provider.fetchPosts(query, options);
+            return { provider: name, status: 'ok', count: posts.length, posts };
+        } catch (error) {
+            logger.error(`Error fetching ${name} posts: ${error.message}`);
+            return { provider: name, status: 'error', count: 0, error: error.message, posts: [] };
+        }
+    }));
+
+    const byId = new Map();
+    results.forEach(result => result.posts.forEach(post => byId.set(post.id, post)));
+
+    return {
+        posts: [...byId.values()].sort((a, b) => new Date(b.created_at) - new Date(a.created_at)),
+        results: results.map(({ posts, ...result }) => result)
+    };
+}
+
+module.exports = {
+    PROVIDERS,
+    PROVIDER_NAMES,
+    getDefaultProviders,
+    validateProviderList,
+    describeProviders,
+    fetchFromProviders
+};
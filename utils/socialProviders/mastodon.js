@@ -0,0 +1,113 @@
+// Mastodon adapter: public hashtag timelines of one instance (MASTODON_INSTANCE_URL).
+// Full-text status search needs an account, so each keyword is read as a hashtag; MASTODON_ACCESS_TOKEN is optional.
+
+const axios = require('axios');
+const { createPost, stripHtml } = require('./normalize');
+
+const DEFAULT_BASE_URL = 'https://mastodon.social';
+// The tag timeline returns at most 40 statuses per request
+const MAX_PAGE_SIZE = 40;
+
+function getConfig(options = {}) {
+    return {
+        baseUrl: options.baseUrl || process.env.MASTODON_INSTANCE_URL || DEFAULT_BASE_URL,
+        token: options.token || process.env.MASTODON_ACCESS_TOKEN,
+        timeout: options.timeout || 10000
+    };
+}
+
+// Public timelines need no credentials, so the adapter is always usable
+function isConfigured() {
+    return true;
+}
+
+const MEDIA_TYPES = { image: 'image', video: 'video', gifv: 'gif' };
+
+// Map a Mastodon status to a normalized post; a boost is stored as the boosted status with a repost reference
+function normalize(status) {
+    const original = status.reblog || status;
+    const account = status.account || {};
+    const references = [];
+    if (status.reblog) references.push({ type: 'repost', providerId: status.reblog.id });
+    if (original.in_reply_to_id) references.push({ type: 'reply', providerId: original.in_reply_to_id });
+    if (original.quote && original.quote.id) references.push({ type: 'quote', providerId: original.quote.id });
+
+    return createPost({
+        provider: 'mastodon',
+        providerId: status.id,
+        url: original.url || original.uri,
+        content: stripHtml(original.content) || original.spoiler_text || '',
+        language: original.language,
+        createdAt: status.created_at,
+        author: {
+            id: account.id,
+            username: account.acct,
+            displayName: account.display_name,
+            // Mastodon has no verification badge; profile links proven with rel="me" are the closest signal
+            verified: (account.fields || []).some(field => field.verified_at),
+            followers: account.followers_count,
+            createdAt: account.created_at,
+            url: account.url
+        },
+        media: (original.media_attachments || []).map(m => ({
+            type: MEDIA_TYPES[m.type] || 'other',
+            url: m.url || m.remote_url,
+            previewUrl: m.preview_url,
+            altText: m.description
+        })),
+        engagement: {
+            likes: original.favourites_count,
+            shares: original.reblogs_count,
+            replies: original.replies_count
+        },
+        hashtags: (original.tags || []).map(tag => tag.name),
+        references
+    });
+}
+
+// Read up to `limit` statuses of one tag timeline, newest first, paging with max_id until a status older
+// than `sinceTime` or an empty page shows up
+async function fetchTag(tag, limit, sinceTime, config) {
+    const statuses = [];
+    let maxId = null;
+
+    do {
+        const response = await axios.get(`${config.baseUrl}/api/v1/timelines/tag/${encodeURIComponent(tag)}`, {
+            headers: config.token ? { Authorization: `Bearer ${config.token}` } : {},
+            timeout: config.timeout,
+            params: { limit: Math.min(limit - statuses.length, MAX_PAGE_SIZE), ...(maxId ? { max_id: maxId } : {}) }
+        });
+
+        const page = response.data || [];
+        const recent = page.filter(status => !sinceTime || new Date(status.created_at).getTime() >= sinceTime);
+
+        statuses.push(...recent);
+        maxId = page.length > 0 && recent.length === page.length ? page[page.length - 1].id : null;
+    } while (maxId && statuses.length < limit);
+
+    return statuses;
+}
+
+async function fetchPosts({ keywords, limit = 20, since }, options) {
+    const config = getConfig(options);
+    const tags = [...new Set(keywords.map(k => k.replace(/^#/, '').replace(/\s+/g, '')).filter(Boolean))];
+    const sinceTime = since ? new Date(since).getTime() : null;
+
+    const timelines = await Promise.all(tags.map(tag => fetchTag(tag, limit, sinceTime, config)));
+
+    const byId = new Map();
+    timelines.forEach(statuses => statuses.forEach(status => byId.set(status.id, status)));
+
+    return [...byId.values()]
+        .map(normalize)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .slice(0, limit);
+}
+
+module.exports = {
+    name: 'mastodon',
+    label: 'Mastodon',
+    isConfigured,
+    fetchPosts,
+    normalize
+};
@@ -0,0 +1,80 @@
+// Mock adapter: the bundled sample posts, or a mock-social-media style endpoint when MOCK_SOCIAL_MEDIA_URL is set
+// (e.g. http://localhost:5000/api/mock-social-media). Used for development and whenever no real provider responds.
+
+const axios = require('axios');
+const { createPost } = require('./normalize');
+const mockSocialMediaPosts = require('../../data/mockSocialMediaPosts');
+
+function getConfig(options = {}) {
+    return {
+        baseUrl: options.baseUrl || process.env.MOCK_SOCIAL_MEDIA_URL || null,
+        timeout: options.timeout || 10000
+    };
+}
+
+function isConfigured() {
+    return true;
+}
+
+// Map a sample post (`content`, or `post` in the mock endpoint) to a normalized post; `repost_of` marks a repost
+function normalize(post) {
+    const engagement = post.engagement || {};
+    return createPost({
+        provider: 'mock',
+        providerId: post.id,
+        content: post.content || post.post,
+        createdAt: post.timestamp,
+        author: {
+            id: post.user,
+            username: (post.username || post.user || '').replace(/^@/, '') || null,
+            verified: post.verified,
+            createdAt: post.account_created_at
+        },
+        geo: post.location ? { placeName: post.location } : null,
+        engagement: {
+            likes: engagement.likes,
+            shares: engagement.retweets,
+            replies: engagement.replies
+        },
+        hashtags: post.hashtags,
+        references: post.repost_of ? [{ type: 'repost', providerId: post.repost_of }] : []
+    });
+}
+
+// Keep sample posts mentioning any keyword in their text or hashtags
+function matchesKeywords(post, keywords) {
+    if (keywords.length === 0) return true;
+    const content = (post.content || post.post || '').toLowerCase();
+    return keywords.some(keyword => {
+        const lower = keyword.toLowerCase();
+        return content.includes(lower) || (post.hashtags || []).some(tag => tag.toLowerCase().includes(lower));
+    });
+}
+
+async function fetchPosts({ keywords, limit = 20, since }, options) {
+    const config = getConfig(options);
+    let posts;
+
+    if (config.baseUrl) {
+        const response = await axios.get(config.baseUrl, {
+            timeout: config.timeout,
+            params: { keywords: keywords.join(','), limit }
+        });
+        posts = (response.data && response.data.posts) || [];
+    } else {
+        posts = mockSocialMediaPosts.filter(post => matchesKeywords(post, keywords));
+    }
+
+    const sinceTime = since ? new Date(since).getTime() : null;
+    return posts
+        .map(normalize)
+        .filter(post => !sinceTime || new Date(post.created_at).getTime() >= sinceTime);
+}
+
+module.exports = {
+    name: 'mock',
+    label: 'Mock data',
+    isConfigured,
+    fetchPosts,
+    normalize
+};
@@ -0,0 +1,122 @@
+// Normalized social media post schema shared by every provider adapter.
+// Every adapter maps its API's posts through createPost so the routes never see provider-specific shapes:
+//
+// {
+//   id: 'mastodon:1093',               provider-qualified, unique across providers
+//   provider: 'mastodon',
+//   provider_id: '1093',
+//   url: 'https://...' | null,          link to the original post
+//   content: 'plain text',
+//   language: 'en' | null,
+//   created_at: ISO 8601,
+//   author: { id, username, display_name, verified, followers, account_created_at, url },
+//   geo: { lat, lng, place_name } | null,
+//   media: [{ type: 'image'|'video'|'gif'|'other', url, preview_url, alt_text }],
+//   engagement: { likes, shares, replies, quotes },
+//   hashtags: ['floodrelief'],
+//   references: [{ type: 'repost'|'quote'|'reply', provider_id }]
+// }
+
+const MEDIA_TYPES = ['image', 'video', 'gif', 'other'];
+const REFERENCE_TYPES = ['repost', 'quote', 'reply'];
+
+// Extract hashtags (without #) from text
+function extractHashtags(content) {
+    const matches = (content || '').match(/#[\w]+/g);
+    return matches ? matches.map(tag => tag.substring(1)) : [];
+}
+
+// Turn the HTML some providers return (Mastodon) into plain text
+function stripHtml(html) {
+    return (html || '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/p>\s*<p>/gi, '\n\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, '\'')
+        .replace(/&nbsp;/g, ' ')
+        .trim();
+}
+
+function toCount(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? Math.round(number) : 0;
+}
+
+function toISO(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Build a normalized post; missing optional fields get empty defaults
+function createPost({
+    provider,
+    providerId,
+    url = null,
+    content = '',
+    language = null,
+    createdAt,
+    author = {},
+    geo = null,
+    media = [],
+    engagement = {},
+    hashtags,
+    references = []
+}) {
+    const text = content || '';
+    const lat = geo && geo.lat !== undefined && geo.lat !== null ? Number(geo.lat) : null;
+    const lng = geo && geo.lng !== undefined && geo.lng !== null ? Number(geo.lng) : null;
+    const hasCoordinates = Number.isFinite(lat) && Number.isFinite(lng);
+
+    return {
+        id: `${provider}:${providerId}`,
+        provider,
+        provider_id: String(providerId),
+        url,
+        content: text,
+        language: language || null,
+        created_at: toISO(createdAt) || new Date().toISOString(),
+        author: {
+            id: author.id !== undefined && author.id !== null ? String(author.id) : null,
+            username: author.username || null,
+            display_name: author.displayName || null,
+            verified: Boolean(author.verified),
+            followers: author.followers !== undefined && author.followers !== null ? toCount(author.followers) : null,
+            account_created_at: toISO(author.createdAt),
+            url: author.url || null
+        },
+        geo: hasCoordinates || (geo && geo.placeName)
+            ? { lat: hasCoordinates ? lat : null, lng: hasCoordinates ? lng : null, place_name: (geo && geo.placeName) || null }
+            : null,
+        media: media
+            .filter(item => item && item.url)
+            .map(item => ({
+                type: MEDIA_TYPES.includes(item.type) ? item.type : 'other',
+                url: item.url,
+                preview_url: item.previewUrl || null,
+                alt_text: item.altText || null
+            })),
+        engagement: {
+            likes: toCount(engagement.likes),
+            shares: toCount(engagement.shares),
+            replies: toCount(engagement.replies),
+            quotes: toCount(engagement.quotes)
+        },
+        hashtags: hashtags || extractHashtags(text),
+        references: references
+            .filter(ref => ref && ref.providerId && REFERENCE_TYPES.includes(ref.type))
+            .map(ref => ({ type: ref.type, provider_id: String(ref.providerId) }))
+    };
+}
+
+module.exports = {
+    MEDIA_TYPES,
+    REFERENCE_TYPES,
+    extractHashtags,
+    stripHtml,
+    createPost
+};
@@ -0,0 +1,104 @@
+// Reddit adapter: public search listing (REDDIT_API_URL). Reddit rejects requests without a descriptive
+// User-Agent, so REDDIT_USER_AGENT should name the deployment.
+
+const axios = require('axios');
+const { createPost } = require('./normalize');
+
+const DEFAULT_BASE_URL = 'https://www.reddit.com';
+const DEFAULT_USER_AGENT = 'disaster-response-platform/1.0';
+const MAX_PAGE_SIZE = 100;
+// Username Reddit shows for deleted accounts; such posts have no author
+const DELETED_AUTHOR = '[deleted]';
+
+function getConfig(options = {}) {
+    return {
+        baseUrl: options.baseUrl || process.env.REDDIT_API_URL || DEFAULT_BASE_URL,
+        userAgent: options.userAgent || process.env.REDDIT_USER_AGENT || DEFAULT_USER_AGENT,
+        timeout: options.timeout || 10000
+    };
+}
+
+function isConfigured() {
+    return true;
+}
+
+// Reddit HTML-escapes preview URLs
+function unescapeUrl(url) {
+    return url ? url.replace(/&amp;/g, '&') : null;
+}
+
+// Map a link listing entry (kind t3) to a normalized post; title and body form the content
+function normalize(link) {
+    const hasAuthor = Boolean(link.author) && link.author !== DELETED_AUTHOR;
+    const preview = link.preview && link.preview.images && link.preview.images[0];
+    const video = link.secure_media && link.secure_media.reddit_video;
+    const media = [];
+    if (video) {
+        media.push({ type: 'video', url: video.fallback_url, previewUrl: unescapeUrl(preview && preview.source.url) });
+    } else if (link.post_hint === 'image') {
+        media.push({ type: 'image', url: link.url, previewUrl: unescapeUrl(preview && preview.source.url) });
+    }
+
+    return createPost({
+        provider: 'reddit',
+        providerId: link.id,
+        url: link.permalink ? `https://www.reddit.com${link.permalink}` : link.url,
+        content: [link.title, link.selftext].filter(Boolean).join('\n\n'),
+        createdAt: link.created_utc ? link.created_utc * 1000 : null,
+        author: hasAuthor
+            ? { id: link.author_fullname, username: link.author, url: `https://www.reddit.com/user/${link.author}` }
+            : {},
+        media,
+        engagement: {
+            likes: link.score,
+            shares: link.num_crossposts,
+            replies: link.num_comments
+        },
+        references: link.crosspost_parent
+            ? [{ type: 'repost', providerId: link.crosspost_parent.replace(/^t3_/, '') }]
+            : []
+    });
+}
+
+// Read up to `limit` posts, newest first, following the listing's `after` until a post older than `since` shows up
+async function fetchPosts({ keywords, limit = 20, since }, options) {
+    const config = getConfig(options);
+    const query = keywords.map(k => (/\s/.test(k) ? `"${k}"` : k)).join(' OR ');
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const posts = [];
+    let after = null;
+
+    do {
+        const response = await axios.get(`${config.baseUrl}/search.json`, {
+            headers: { 'User-Agent': config.userAgent },
+            timeout: config.timeout,
+            params: {
+                q: query,
+                sort: 'new',
+                t: 'week',
+                limit: Math.min(limit - posts.length, MAX_PAGE_SIZE),
+                raw_json: 1,
+                ...(after ? { after } : {})
+            }
+        });
+
+        const listing = (response.data && response.data.data) || {};
+        const page = (listing.children || [])
+            .filter(child => child.kind === 't3' && child.data)
+            .map(child => normalize(child.data));
+        const recent = page.filter(post => !sinceTime || new Date(post.created_at).getTime() >= sinceTime);
+
+        posts.push(...recent);
+        after = page.length > 0 && recent.length === page.length ? listing.after : null;
+    } while (after && posts.length < limit);
+
+    return posts.slice(0, limit);
+}
+
+module.exports = {
+    name: 'reddit',
+    label: 'Reddit',
+    isConfigured,
+    fetchPosts,
+    normalize
+};
@@ -0,0 +1,119 @@
+// Twitter / X adapter: API v2 recent search (needs TWITTER_BEARER_TOKEN)
+
+const axios = require('axios');
+const { createPost } = require('./normalize');
+
+const DEFAULT_BASE_URL = 'https://api.twitter.com';
+// The API accepts 10-100 results per page
+const MIN_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+const REFERENCE_TYPES = { retweeted: 'repost', quoted: 'quote', replied_to: 'reply' };
+
+function getConfig(options = {}) {
+    return {
+        baseUrl: options.baseUrl || process.env.TWITTER_API_URL || DEFAULT_BASE_URL,
+        token: options.token || process.env.TWITTER_BEARER_TOKEN,
+        timeout: options.timeout || 10000
+    };
+}
+
+function isConfigured(options) {
+    return Boolean(getConfig(options).token);
+}
+
+// Centre of a place's bounding box ([west, south, east, north]) when the tweet has no exact point
+function placeCentre(place) {
+    const bbox = place && place.geo && place.geo.bbox;
+    if (!Array.isArray(bbox) || bbox.length !== 4) return {};
+    return { lat: (bbox[1] + bbox[3]) / 2, lng: (bbox[0] + bbox[2]) / 2 };
+}
+
+// Map a v2 tweet plus the response's `includes` to a normalized post
+function normalize(tweet, includes = {}) {
+    const user = (includes.users || []).find(u => u.id === tweet.author_id) || {};
+    const place = tweet.geo && tweet.geo.place_id
+        ? (includes.places || []).find(p => p.id === tweet.geo.place_id)
+        : null;
+    const point = tweet.geo && tweet.geo.coordinates && tweet.geo.coordinates.coordinates;
+    const mediaKeys = (tweet.attachments && tweet.attachments.media_keys) || [];
+    const metrics = tweet.public_metrics || {};
+    const tags = tweet.entities && tweet.entities.hashtags;
+
+    return createPost({
+        provider: 'twitter',
+        providerId: tweet.id,
+        url: user.username ? `https://x.com/${user.username}/status/${tweet.id}` : `https://x.com/i/web/status/${tweet.id}`,
+        content: tweet.text,
+        language: tweet.lang,
+        createdAt: tweet.created_at,
+        author: {
+            id: tweet.author_id,
+            username: user.username,
+            displayName: user.name,
+            verified: user.verified,
+            followers: user.public_metrics && user.public_metrics.followers_count,
+            createdAt: user.created_at,
+            url: user.username ? `https://x.com/${user.username}` : null
+        },
+        geo: point
+            ? { lng: point[0], lat: point[1], placeName: place && place.full_name }
+            : (place ? { ...placeCentre(place), placeName: place.full_name } : null),
+        media: mediaKeys
+            .map(key => (includes.media || []).find(m => m.media_key === key))
+            .filter(Boolean)
+            .map(m => ({
+                type: m.type === 'photo' ? 'image' : (m.type === 'animated_gif' ? 'gif' : m.type),
+                url: m.url || m.preview_image_url,
+                previewUrl: m.preview_image_url,
+                altText: m.alt_text
+            })),
+        engagement: {
+            likes: metrics.like_count,
+            shares: metrics.retweet_count,
+            replies: metrics.reply_count,
+            quotes: metrics.quote_count
+        },
+        hashtags: Array.isArray(tags) ? tags.map(t => t.tag) : undefined,
+        references: (tweet.referenced_tweets || []).map(ref => ({ type: REFERENCE_TYPES[ref.type], providerId: ref.id }))
+    });
+}
+
+// Read up to `limit` tweets, newest first, following next_token until every tweet since `since` is read
+async function fetchPosts({ keywords, limit = 20, since }, options) {
+    const config = getConfig(options);
+    const query = keywords.map(k => (/\s/.test(k) ? `"${k}"` : k)).join(' OR ');
+    const posts = [];
+    let nextToken = null;
+
+    do {
+        const response = await axios.get(`${config.baseUrl}/2/tweets/search/recent`, {
+            headers: { Authorization: `Bearer ${config.token}` },
+            timeout: config.timeout,
+            params: {
+                query,
+                max_results: Math.max(MIN_PAGE_SIZE, Math.min(limit - posts.length, MAX_PAGE_SIZE)),
+                ...(since ? { start_time: new Date(since).toISOString() } : {}),
+                ...(nextToken ? { next_token: nextToken } : {}),
+                'tweet.fields': 'created_at,author_id,public_metrics,geo,entities,lang,referenced_tweets,attachments',
+                expansions: 'author_id,geo.place_id,attachments.media_keys',
+                'user.fields': 'username,name,verified,created_at,public_metrics',
+                'place.fields': 'full_name,geo',
+                'media.fields': 'type,url,preview_image_url,alt_text'
+            }
+        });
+
+        const { data = [], includes = {}, meta = {} } = response.data || {};
+        posts.push(...data.map(tweet => normalize(tweet, includes)));
+        nextToken = data.length > 0 ? meta.next_token : null;
+    } while (nextToken && posts.length < limit);
+
+    return posts.slice(0, limit);
+}
+
+module.exports = {
+    name: 'twitter',
+    label: 'Twitter / X',
+    isConfigured,
+    fetchPosts,
+    normalize
+};